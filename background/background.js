@@ -3,9 +3,22 @@ importScripts("../scripts/utils.js");
 importScripts("../scripts/storage.js");
 importScripts("../scripts/messaging.js");
 importScripts("cancelDownload.js");
+importScripts("pauseDownload.js");
 importScripts("startDownload.js");
 importScripts("downloadBlob.js");
 importScripts("downloadM3U8.js");
+importScripts("fileSystemSave.js");
+importScripts("segmentScheduler.js");
+importScripts("isoBmff.js");
+importScripts("mp4Metadata.js");
+importScripts("tsRemuxer.js");
+importScripts("segmentValidation.js");
+importScripts("liveRecording.js");
+importScripts("cdnFailover.js");
+importScripts("downloadReport.js");
+importScripts("sizeEstimate.js");
+importScripts("downloadSubtitles.js");
+importScripts("resumeDownload.js");
 importScripts("configParser.js");
 
 // Store detected video URLs
@@ -106,16 +119,7 @@ self.addEventListener("fetch", (event) => {
       } catch (e) {
         return new Response("Bad URL", { status: 400 });
       }
-      const db = await new Promise((resolve, reject) => {
-        const req = indexedDB.open("DailymotionDownloaderDB", 1);
-        req.onerror = () => reject(req.error);
-        req.onsuccess = () => resolve(req.result);
-        req.onupgradeneeded = (e) => {
-          if (!e.target.result.objectStoreNames.contains("blobs")) {
-            e.target.result.createObjectStore("blobs");
-          }
-        };
-      });
+      const db = await openDownloaderDB();
       let index = 0;
       const deleteChunksAndClose = () => {
         const tx = db.transaction(["blobs"], "readwrite");
@@ -635,6 +639,7 @@ function storeVideoUrl(
   videoTitle = null,
   videoId = null,
   fileSize = null,
+  hlsInfo = null,
 ) {
   // Fix URL encoding issues before storing (using utility function)
   url = fixUrlEncoding(url);
@@ -808,6 +813,7 @@ function storeVideoUrl(
       videoTitle: urlVideoTitle,
       videoId: videoId,
       fileSize: fileSize,
+      hlsInfo: hlsInfo,
     });
     // Cap URLs per tab to prevent unbounded memory growth (keep most recent)
     const MAX_URLS_PER_TAB = 120;
@@ -901,6 +907,10 @@ function storeVideoUrl(
     if (fileSize !== null && fileSize !== undefined && !existingUrl.fileSize) {
       existingUrl.fileSize = fileSize;
     }
+    // Variant details from the master playlist (audio renditions, codecs, ...)
+    if (hlsInfo) {
+      existingUrl.hlsInfo = hlsInfo;
+    }
   }
 
   // Update active video: the most recent video from a network request is the one playing
@@ -1081,13 +1091,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   if (request.action === "convertProgress" && request.downloadId != null) {
     const p = request.progress;
+    const label = request.label || "Converting to MP4";
     chrome.storage.local.set({
       [`downloadStatus_${request.downloadId}`]:
-        typeof p === "number" ? `Converting to MP4... ${Math.round(p * 100)}%` : "Converting to MP4...",
+        typeof p === "number" ? `${label}... ${Math.round(p * 100)}%` : `${label}...`,
     }).catch(() => {});
     return false;
   }
 
+  // Offscreen FFmpeg job queue: a conversion waiting for other downloads' conversions
+  if (request.action === "ffmpegJobState" && request.downloadId != null) {
+    if (request.state === "queued" && request.position > 0) {
+      chrome.storage.local.set({
+        [`downloadStatus_${request.downloadId}`]:
+          request.position === 1
+            ? "Waiting for another conversion to finish..."
+            : `Waiting for ${request.position} conversions to finish...`,
+      }).catch(() => {});
+    }
+    return false;
+  }
+
   if (request.action === "getVideoData") {
     // If tabId is null/undefined, try to get it from sender
     let tabId = request.tabId;
@@ -1113,6 +1137,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       })),
     );
     sendResponse({ videoData: data });
+  } else if (request.action === "estimateHlsSizes") {
+    // Size and duration of HLS variants, fetched when the popup or page dropdown opens
+    let tabId = request.tabId;
+    if (!tabId && sender && sender.tab && sender.tab.id) {
+      tabId = sender.tab.id;
+    }
+    getHlsEstimates(tabId, request.urls || [], videoData)
+      .then((estimates) => sendResponse({ success: true, estimates }))
+      .catch((error) =>
+        sendResponse({ success: false, error: error.message, estimates: {} }),
+      );
+    return true;
   } else if (request.action === "getDownloadInfo") {
     // Return download info for a specific download ID
     // First check in-memory Map, then try storage (for persistence across service worker restarts)
@@ -1239,6 +1275,107 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       },
     );
     return true; // Keep channel open
+  } else if (request.action === "downloadSubtitles") {
+    // Download a WebVTT subtitle rendition as .vtt or .srt
+    if (!request.url) {
+      sendResponse({ success: false, error: "No subtitle URL provided" });
+      return true;
+    }
+    downloadSubtitleRendition(
+      request.url,
+      request.filename,
+      request.format === "srt" ? "srt" : "vtt",
+      request.tabId || null,
+    )
+      .then((result) => {
+        sendResponse({ success: true, cueCount: result.cueCount });
+      })
+      .catch((err) => {
+        console.error("Subtitle download error:", err);
+        sendResponse({ success: false, error: err.message });
+      });
+    return true; // Keep channel open for async
+  } else if (request.action === "resumeDownload") {
+    return handleResumeDownloadAction(
+      request,
+      sender,
+      sendResponse,
+      activeDownloads,
+      downloadInfo,
+      downloadControllers,
+      videoData,
+      activeChromeDownloads,
+      cleanupIndexedDBBlob,
+      setupOffscreenDocument,
+      blobToDataUrl,
+    );
+  } else if (request.action === "getInterruptedDownloads") {
+    // Checkpointed HLS downloads that can be resumed
+    getInterruptedDownloads(downloadControllers)
+      .then((downloads) => sendResponse({ success: true, downloads }))
+      .catch((error) =>
+        sendResponse({ success: false, error: error.message, downloads: [] }),
+      );
+    return true;
+  } else if (request.action === "discardInterruptedDownload") {
+    const downloadId = request.downloadId;
+    if (!downloadId) {
+      sendResponse({ success: false, error: "No downloadId provided" });
+      return true;
+    }
+    Promise.all([
+      deleteHlsCheckpoint(downloadId),
+      deleteMp4Checkpoint(downloadId),
+    ])
+      .then(() =>
+        chrome.storage.local.remove([
+          `downloadProgress_${downloadId}`,
+          `downloadStatus_${downloadId}`,
+          `downloadInfo_${downloadId}`,
+          `downloadSegments_${downloadId}`,
+          `downloadPaused_${downloadId}`,
+          `downloadLiveStop_${downloadId}`,
+        ]),
+      )
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "pauseDownload") {
+    const downloadId = request.downloadId;
+    if (!downloadId) {
+      sendResponse({ success: false, error: "No downloadId provided" });
+      return true;
+    }
+    pauseDownload(downloadId, downloadControllers)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "stopLiveRecording") {
+    const downloadId = request.downloadId;
+    if (!downloadId) {
+      sendResponse({ success: false, error: "No downloadId provided" });
+      return true;
+    }
+    stopLiveRecording(downloadId, downloadControllers)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "getRunningDownloads") {
+    // Downloads in progress, for the popup's pause controls
+    getRunningDownloads(downloadControllers, downloadInfo)
+      .then((downloads) => sendResponse({ success: true, downloads }))
+      .catch((error) =>
+        sendResponse({ success: false, error: error.message, downloads: [] }),
+      );
+    return true;
+  } else if (request.action === "getDownloadReports") {
+    // Recent download reports (which CDN served which part), for the popup
+    getDownloadReports()
+      .then((reports) => sendResponse({ success: true, reports }))
+      .catch((error) =>
+        sendResponse({ success: false, error: error.message, reports: [] }),
+      );
+    return true;
   } else if (request.action === "cancelDownload") {
     const downloadId = request.downloadId;
     if (!downloadId) {
@@ -1284,6 +1421,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // blobToDataUrl, cleanupIndexedDBBlob, supportsObjectUrl) are now in downloadBlob.js
 // HLS/M3U8 functions (getFetchOptionsWithHeaders, parseM3U8, parseMasterPlaylist,
 // downloadAndMergeM3U8, parseAndStoreHLSVariants, findDailymotionTabId) are now in downloadM3U8.js
+// Saving to a chosen file or folder (openFileSave, writeFileSaveChunks, saveChunksToFileSystem,
+// createHlsFileSaveStream) is in fileSystemSave.js
+// Segment scheduling (createSegmentRateController, runSegmentWindow) is in segmentScheduler.js
+// ISO-BMFF box walking (readBoxes, findInitSectionEnd, parseInitSection, readFragmentTrackIds) is in isoBmff.js
+// MP4 metadata tags (buildMp4MetadataUdta, addMp4Metadata) are in mp4Metadata.js
+// MPEG-TS to MP4 remuxing (createTsToMp4Remuxer) is in tsRemuxer.js, shared with the offscreen document
+// Segment validation (validateSegmentData, validateTsSegment, validateFmp4Segment) is in segmentValidation.js
+// Subtitle functions (downloadSubtitleRendition, stitchWebVttSegments, cuesToSrt) are now in downloadSubtitles.js
+// Pause functions (pauseDownload, isDownloadPaused, getRunningDownloads) are in pauseDownload.js
+// Live recording (isLivePlaylist, recordLiveStream, stopLiveRecording) is in liveRecording.js
+// CDN failover (loadCdnAlternates, createCdnPool, getCdnSegmentSource) is in cdnFailover.js
+// Download reports (saveDownloadReport, getDownloadReports) are in downloadReport.js
+// HLS size / duration estimates (estimateHlsVariant, getHlsEstimates) are in sizeEstimate.js
+// Resume functions (openHlsCheckpoint, saveMp4Checkpoint, markInterruptedHlsDownloads, handleResumeDownloadAction) are in resumeDownload.js
 // Config parsing functions (fetchAndParseMasterJson, shouldSkipConfig) are now in configParser.js
 // URL utilities (isChunkedRangeUrl, extractBaseUrlFromRange) are now in scripts/utils.js
 
@@ -1423,5 +1574,9 @@ async function restoreDownloadInfoFromStorage() {
   }
 }
 
-// Restore download info on startup
-restoreDownloadInfoFromStorage();
+// Restore download info on startup, then flag checkpointed HLS downloads as resumable
+restoreDownloadInfoFromStorage().then(() =>
+  markInterruptedHlsDownloads().catch((error) => {
+    console.warn("Error checking for interrupted downloads:", error);
+  }),
+);
@@ -61,6 +61,14 @@ async function cancelDownload(downloadId, downloadControllers, activeChromeDownl
     const activeIds = (storage.activeDownloadIds || []).filter((id) => id !== downloadId);
     await chrome.storage.local.set({ activeDownloadIds: activeIds });
     
+    // Drop checkpointed HLS segments and paused MP4 data - a cancelled download is not resumable
+    deleteHlsCheckpoint(downloadId).catch((error) => {
+      console.warn('Failed to delete download checkpoint:', error);
+    });
+    deleteMp4Checkpoint(downloadId).catch((error) => {
+      console.warn('Failed to delete paused download data:', error);
+    });
+    
     // Remove progress and downloadInfo immediately
     // Keep cancellation flag and status temporarily so download process can detect cancellation
     await chrome.storage.local.remove([
@@ -74,6 +82,8 @@ async function cancelDownload(downloadId, downloadControllers, activeChromeDownl
       chrome.storage.local.remove([
         `downloadStatus_${downloadId}`,
         `downloadCancelled_${downloadId}`,
+        `downloadPaused_${downloadId}`,
+        `downloadLiveStop_${downloadId}`,
         `blobReady_${downloadId}` // Also clean up blob ready flag if it exists
       ], () => {
         if (chrome.runtime.lastError) {
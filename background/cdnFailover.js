@@ -0,0 +1,347 @@
+/**
+ * CDN failover for HLS downloads
+ * master.json lists the same stream on several CDNs (config.request.files.hls.cdns).
+ * The alternates are loaded next to the primary playlist and lined up segment by
+ * segment, so a segment that keeps failing is fetched from another CDN, and a primary
+ * that is slow on the first segments is swapped for a faster one.
+ */
+
+/** Attempts on one CDN before a segment moves on to the next */
+const CDN_ATTEMPTS_PER_SOURCE = 2;
+/** Segments used to judge a CDN's speed at the start of a download */
+const CDN_EVALUATION_SEGMENTS = 6;
+/** A CDN is slow when fetching a segment takes more than this share of its play time */
+const CDN_SLOW_LATENCY_RATIO = 0.5;
+/** Switch primaries only when the best trial is at least this much faster */
+const CDN_SWITCH_MIN_GAIN = 1.5;
+/** Failed attempts in a row after which the primary CDN is replaced */
+const CDN_PRIMARY_FAILURE_LIMIT = 4;
+
+/**
+ * Get a readable name for a CDN URL (its host name)
+ * @param {string} url - Playlist or segment URL
+ * @returns {string} Host name, or "unknown"
+ */
+function getCdnName(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return "unknown";
+  }
+}
+
+/**
+ * Find the other CDNs' copies of a captured HLS URL
+ * fetchAndParseMasterJson remembers every CDN master of a video (hlsCdns), and
+ * parseAndStoreHLSVariants tags each variant with the master it came from.
+ * @param {Object|null} tabEntry - videoData entry of the tab the URL was captured in
+ * @param {Object|null} storedEntry - Captured URL entry ({url, videoId, hlsInfo})
+ * @param {string} url - URL being downloaded
+ * @returns {Object|null} {primary, alternates: [{name, url}], reference: {height, bandwidth}},
+ *   or null if the video isn't known on more than one CDN
+ */
+function getCdnFailoverOptions(tabEntry, storedEntry, url) {
+  const cdns = tabEntry?.videoIds?.[storedEntry?.videoId]?.hlsCdns || [];
+  if (cdns.length < 2) return null;
+  const masterUrl = fixUrlEncoding(storedEntry.hlsInfo?.masterUrl || url);
+  const primary = cdns.find((cdn) => fixUrlEncoding(cdn.url) === masterUrl);
+  if (!primary) return null;
+
+  const resolution = /^\d+x(\d+)$/.exec(storedEntry.hlsInfo?.resolution || "");
+  return {
+    primary: primary.name,
+    alternates: cdns.filter((cdn) => cdn !== primary),
+    reference: {
+      height: resolution ? parseInt(resolution[1], 10) : null,
+      bandwidth: storedEntry.hlsInfo?.bandwidth || null,
+    },
+  };
+}
+
+/**
+ * Find the variant matching the one being downloaded in another CDN's master playlist
+ * Prefers the same height, then the closest bandwidth.
+ * @param {Array} variants - Variants from parseMasterPlaylist
+ * @param {Object} reference - {height, bandwidth}
+ * @returns {Object|null} Matching variant, or null if none has the same height
+ */
+function matchCdnVariant(variants, reference) {
+  const sameHeight = variants.filter((variant) => {
+    const match = /^\d+x(\d+)$/.exec(variant.resolution || "");
+    return match && parseInt(match[1], 10) === reference.height;
+  });
+  if (sameHeight.length === 0) return null;
+  if (!reference.bandwidth) return sameHeight[0];
+  return sameHeight.reduce((best, variant) =>
+    Math.abs(variant.bandwidth - reference.bandwidth) <
+    Math.abs(best.bandwidth - reference.bandwidth)
+      ? variant
+      : best,
+  );
+}
+
+/**
+ * Fetch a playlist as text
+ * @param {string} url - Playlist URL
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @param {AbortController} abortController - Abort controller for cancellation
+ * @returns {Promise<string>} Playlist text
+ */
+async function fetchCdnPlaylist(url, tabId, abortController) {
+  const fetchOptions = await getFetchOptionsWithHeaders(
+    url,
+    tabId,
+    abortController,
+  );
+  const response = await fetch(url, fetchOptions);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
+
+/**
+ * Load the alternate CDNs' copies of the playlist being downloaded
+ * An alternate is kept only when its segment list lines up with the primary one
+ * (same count, total duration within a second), so segment N is the same media on
+ * every CDN. Alternates that fail to load are skipped.
+ * @param {Object} params
+ * @param {Array} params.alternates - [{name, url}] master (or media) playlist per CDN
+ * @param {Object} params.reference - Variant being downloaded: {height, bandwidth}
+ * @param {Array} params.segments - Primary segments (after clipping)
+ * @param {Object|null} params.clip - Normalized clip, applied to the alternates too
+ * @param {number|null} params.tabId - The tab ID for cookie access
+ * @param {AbortController} params.abortController - Abort controller for cancellation
+ * @returns {Promise<Array>} [{name, segments}]
+ */
+async function loadCdnAlternates(params) {
+  const { reference, segments, clip, tabId, abortController } = params;
+  const primaryDuration = segments.reduce(
+    (sum, seg) => sum + (seg.duration || 0),
+    0,
+  );
+
+  const loaded = await Promise.all(
+    params.alternates.map(async (alternate) => {
+      try {
+        let playlistUrl = fixUrlEncoding(alternate.url);
+        let text = await fetchCdnPlaylist(playlistUrl, tabId, abortController);
+        if (text.includes("#EXT-X-STREAM-INF")) {
+          const baseUrl = playlistUrl.substring(
+            0,
+            playlistUrl.lastIndexOf("/") + 1,
+          );
+          const variant = reference.height
+            ? matchCdnVariant(parseMasterPlaylist(text, baseUrl), reference)
+            : null;
+          if (!variant) {
+            throw new Error(`no ${reference.height || "matching"}p variant`);
+          }
+          playlistUrl = fixUrlEncoding(variant.url);
+          text = await fetchCdnPlaylist(playlistUrl, tabId, abortController);
+        }
+
+        let alternateSegments = parseM3U8(
+          text,
+          playlistUrl.substring(0, playlistUrl.lastIndexOf("/") + 1),
+        ).segments;
+        if (clip) {
+          alternateSegments = selectSegmentsForClip(
+            alternateSegments,
+            clip,
+          ).segments;
+        }
+        const duration = alternateSegments.reduce(
+          (sum, seg) => sum + (seg.duration || 0),
+          0,
+        );
+        if (
+          alternateSegments.length !== segments.length ||
+          Math.abs(duration - primaryDuration) > 1
+        ) {
+          throw new Error(
+            `segment list differs (${alternateSegments.length} vs ${segments.length} segments)`,
+          );
+        }
+        assertSupportedEncryption(alternateSegments);
+        return { name: alternate.name, segments: alternateSegments };
+      } catch (error) {
+        if (error.name === "AbortError" || abortController.signal.aborted) {
+          throw error;
+        }
+        console.warn(
+          `CDN ${alternate.name} unavailable for failover:`,
+          error.message,
+        );
+        return null;
+      }
+    }),
+  );
+  return loaded.filter(Boolean);
+}
+
+/**
+ * Create the CDN pool a download fetches its segments from
+ * @param {string} primaryName - Name of the CDN the download started on
+ * @param {Array} segments - Primary segments
+ * @param {Array} alternates - [{name, segments}] from loadCdnAlternates
+ * @returns {Object} Pool {sources, primary, phase, trialQueue, servedBy}
+ */
+function createCdnPool(primaryName, segments, alternates = []) {
+  const sources = [{ name: primaryName, segments }, ...alternates].map(
+    (source) => ({
+      ...source,
+      // Start-of-download speed samples
+      evalCount: 0,
+      evalBytes: 0,
+      evalLatencyMs: 0,
+      evalDuration: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+    }),
+  );
+  return {
+    sources,
+    primary: 0,
+    // "primary" (judging the first CDN) -> "trial" (trying alternates) -> "done"
+    phase: sources.length > 1 ? "primary" : "done",
+    trialQueue: sources.slice(1).map((source, i) => i + 1),
+    // CDN name per segment index, for the download report
+    servedBy: [],
+  };
+}
+
+/**
+ * Pick the CDN for an attempt at a segment
+ * The first attempts go to the primary; after CDN_ATTEMPTS_PER_SOURCE failures the
+ * segment moves on to the next CDN, wrapping around.
+ * @param {Object} pool - Pool from createCdnPool
+ * @param {number} index - Segment index
+ * @param {number} attempt - Attempt number (0-based)
+ * @returns {Object} {source, segment}
+ */
+function getCdnSegmentSource(pool, index, attempt) {
+  const offset = Math.floor(attempt / CDN_ATTEMPTS_PER_SOURCE);
+  const source = pool.sources[(pool.primary + offset) % pool.sources.length];
+  return { source, segment: source.segments[index] };
+}
+
+/**
+ * Average speed of a CDN over its evaluation samples
+ * @param {Object} source - Pool source
+ * @returns {number} Bytes per millisecond of request time
+ */
+function getCdnEvaluationSpeed(source) {
+  return source.evalLatencyMs > 0 ? source.evalBytes / source.evalLatencyMs : 0;
+}
+
+/**
+ * Record a segment served by a CDN, and re-pick the primary at the start of a download
+ * The primary is judged on its first CDN_EVALUATION_SEGMENTS segments. If those were
+ * slow, each alternate becomes primary for as many segments, and the fastest one stays.
+ * @param {Object} pool - Pool from createCdnPool
+ * @param {Object} source - Source that served the segment
+ * @param {number} index - Segment index
+ * @param {number} bytes - Segment size
+ * @param {number} latencyMs - Time from request to last byte
+ */
+function recordCdnSuccess(pool, source, index, bytes, latencyMs) {
+  pool.servedBy[index] = source.name;
+  source.consecutiveFailures = 0;
+  if (pool.phase === "done" || source !== pool.sources[pool.primary]) return;
+
+  source.evalCount++;
+  source.evalBytes += bytes;
+  source.evalLatencyMs += latencyMs;
+  source.evalDuration += source.segments[index]?.duration || 0;
+  if (source.evalCount < CDN_EVALUATION_SEGMENTS) return;
+
+  if (pool.phase === "primary") {
+    const averageLatency = source.evalLatencyMs / source.evalCount;
+    const averageDuration = (source.evalDuration / source.evalCount) * 1000;
+    if (
+      averageDuration === 0 ||
+      averageLatency <= averageDuration * CDN_SLOW_LATENCY_RATIO
+    ) {
+      pool.phase = "done";
+      return;
+    }
+    console.warn(
+      `CDN ${source.name} is slow (${Math.round(averageLatency)}ms per ${Math.round(averageDuration / 1000)}s segment), trying alternates`,
+    );
+    pool.phase = "trial";
+  }
+  advanceCdnTrial(pool);
+}
+
+/**
+ * Make the next alternate primary for its trial, or settle on the fastest CDN
+ * @param {Object} pool - Pool from createCdnPool (in the "trial" phase)
+ */
+function advanceCdnTrial(pool) {
+  if (pool.trialQueue.length > 0) {
+    pool.primary = pool.trialQueue.shift();
+    console.log(`Trying CDN ${pool.sources[pool.primary].name} as primary`);
+    return;
+  }
+
+  // Every CDN had its turn: keep the fastest, unless it barely beats the original
+  const original = pool.sources[0];
+  const fastest = pool.sources.reduce((best, candidate) =>
+    getCdnEvaluationSpeed(candidate) > getCdnEvaluationSpeed(best)
+      ? candidate
+      : best,
+  );
+  const keep =
+    getCdnEvaluationSpeed(fastest) >=
+    getCdnEvaluationSpeed(original) * CDN_SWITCH_MIN_GAIN
+      ? fastest
+      : original;
+  pool.primary = pool.sources.indexOf(keep);
+  pool.phase = "done";
+  console.log(`Primary CDN for the rest of the download: ${keep.name}`);
+}
+
+/**
+ * Record a failed attempt on a CDN
+ * A primary that keeps failing is replaced: during the trial it simply loses its turn,
+ * otherwise the next CDN takes over for the rest of the download.
+ * @param {Object} pool - Pool from createCdnPool
+ * @param {Object} source - Source the attempt went to
+ */
+function recordCdnFailure(pool, source) {
+  source.failures++;
+  source.consecutiveFailures++;
+  if (
+    pool.sources.length < 2 ||
+    source !== pool.sources[pool.primary] ||
+    source.consecutiveFailures < CDN_PRIMARY_FAILURE_LIMIT
+  ) {
+    return;
+  }
+  source.consecutiveFailures = 0;
+  if (pool.phase === "trial") {
+    advanceCdnTrial(pool);
+    return;
+  }
+  pool.primary = (pool.primary + 1) % pool.sources.length;
+  pool.phase = "done";
+  console.warn(
+    `CDN ${source.name} keeps failing, switching to ${pool.sources[pool.primary].name}`,
+  );
+}
+
+/**
+ * Describe how the CDNs were used, for the log and the download report
+ * @param {Object} pool - Pool from createCdnPool
+ * @returns {string} e.g. "cdn-a: 118 segments, cdn-b: 2 segments (3 failures)"
+ */
+function describeCdnUsage(pool) {
+  return pool.sources
+    .map((source) => {
+      const served = pool.servedBy.filter((name) => name === source.name).length;
+      const failures = source.failures ? ` (${source.failures} failures)` : "";
+      return `${source.name}: ${served} segments${failures}`;
+    })
+    .join(", ");
+}
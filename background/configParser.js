@@ -17,6 +17,116 @@ function shouldSkipConfig(normUrl, processedConfigs) {
   return false;
 }
 
+/**
+ * Remember every CDN a video's HLS master playlist is served from
+ * Downloads use the list to fall back to another CDN, default CDN first.
+ * @param {Object} videoData - Video data object
+ * @param {number} tabId - The tab ID
+ * @param {string|null} videoId - Video ID
+ * @param {Object} hls - HLS config block ({cdns, default_cdn})
+ */
+function storeHlsCdns(videoData, tabId, videoId, hls) {
+  if (!videoId) return;
+  const cdns = Object.entries(hls.cdns)
+    .filter(([, cdn]) => cdn?.url)
+    .map(([name, cdn]) => ({ name, url: cdn.url }))
+    .sort(
+      (a, b) =>
+        (b.name === hls.default_cdn) - (a.name === hls.default_cdn),
+    );
+  if (cdns.length === 0) return;
+  if (!videoData[tabId]) {
+    videoData[tabId] = {
+      urls: [],
+      activeUrl: null,
+      videoTitle: null,
+      videoIds: {},
+    };
+  }
+  if (!videoData[tabId].videoIds[videoId]) {
+    videoData[tabId].videoIds[videoId] = {};
+  }
+  videoData[tabId].videoIds[videoId].hlsCdns = cdns;
+}
+
+/**
+ * Pick the largest thumbnail a config offers
+ * thumbnails / posters map a height to a URL ({"120": url, ..., "1080": url}).
+ * @param {Object} config - Parsed config
+ * @returns {string|null} Thumbnail URL
+ */
+function getBestThumbnailUrl(config) {
+  const sizes = {
+    ...(config.video?.posters || {}),
+    ...(config.posters || {}),
+    ...(config.video?.thumbnails || {}),
+    ...(config.thumbnails || {}),
+  };
+  const best = Object.entries(sizes)
+    .filter(([height, url]) => parseInt(height, 10) > 0 && typeof url === "string")
+    .sort((a, b) => parseInt(b[0], 10) - parseInt(a[0], 10))[0];
+  return (
+    best?.[1] ||
+    config.thumbnail_url ||
+    config.poster_url ||
+    config.video?.thumbnail_url ||
+    null
+  );
+}
+
+/**
+ * Remember the tags a video's downloads are written with (mp4Metadata.js)
+ * @param {Object} videoData - Video data object
+ * @param {number} tabId - The tab ID
+ * @param {string|null} videoId - Video ID
+ * @param {Object} config - Parsed config
+ * @param {string|null} videoTitle - Title picked from the config (or the tab)
+ */
+function storeVideoMetadata(videoData, tabId, videoId, config, videoTitle) {
+  if (!videoId || !videoData[tabId]) return;
+  const owner = config.owner || config.video?.owner || {};
+  const createdTime = config.created_time || config.video?.created_time;
+  const canonicalId = typeof config.id === "string" ? config.id : videoId;
+  const metadata = {
+    title: videoTitle || null,
+    artist: owner.screenname || owner.username || null,
+    // created_time is in seconds
+    date: createdTime
+      ? new Date(createdTime * 1000).toISOString().slice(0, 10)
+      : null,
+    comment: `https://www.dailymotion.com/video/${canonicalId}`,
+    description: config.description || config.video?.description || null,
+    // Embedded as cover art (fetchCoverArt)
+    coverUrl: getBestThumbnailUrl(config),
+  };
+  if (!videoData[tabId].videoIds[videoId]) {
+    videoData[tabId].videoIds[videoId] = {};
+  }
+  videoData[tabId].videoIds[videoId].metadata = metadata;
+}
+
+/**
+ * Get the tags for a video's downloads
+ * Falls back to the stored title and the video's URL when its config wasn't parsed.
+ * @param {Object} videoData - Video data object
+ * @param {number} tabId - The tab ID
+ * @param {string|null} videoId - Video ID
+ * @returns {Object|null} {title, artist, date, comment, description, coverUrl}, or null if unknown
+ */
+function getVideoMetadata(videoData, tabId, videoId) {
+  const stored = videoId ? videoData[tabId]?.videoIds?.[videoId] : null;
+  if (!stored) return null;
+  if (stored.metadata) return stored.metadata;
+  return {
+    title: stored.title || null,
+    artist: null,
+    date: null,
+    comment: `https://www.dailymotion.com/video/${videoId}`,
+    description: null,
+    coverUrl: null,
+  };
+}
+
 /**
  * Fetch and parse master.json to extract full video URLs
  * @param {number} tabId - The tab ID
@@ -218,6 +328,14 @@ async function fetchAndParseMasterJson(
       console.log("Extracted video title:", videoTitle);
     }
 
+    storeVideoMetadata(
+      videoData,
+      tabId,
+      videoId,
+      config,
+      videoTitle || videoData[tabId].videoIds[videoId]?.title || null,
+    );
+
     // Try multiple config structures
     let foundUrls = false;
 
@@ -293,6 +411,7 @@ async function fetchAndParseMasterJson(
     if (config.request?.files?.hls) {
       const hls = config.request.files.hls;
       if (hls.cdns) {
+        storeHlsCdns(videoData, tabId, videoId, hls);
         Object.values(hls.cdns).forEach((cdn) => {
           if (cdn.url) {
             storeVideoUrl(
@@ -380,6 +499,7 @@ async function fetchAndParseMasterJson(
         foundUrls = true;
       }
       if (config.video.hls.cdns) {
+        storeHlsCdns(videoData, tabId, videoId, config.video.hls);
         Object.values(config.video.hls.cdns).forEach((cdn) => {
           if (cdn.url) {
             storeVideoUrl(
@@ -424,6 +544,7 @@ async function fetchAndParseMasterJson(
         foundUrls = true;
       }
       if (hls.cdns) {
+        storeHlsCdns(videoData, tabId, videoId, hls);
         Object.values(hls.cdns).forEach((cdn) => {
           if (cdn.url) {
             storeVideoUrl(
@@ -19,14 +19,15 @@ function sanitizeFilenameForDownload(filename) {
   base = base.replace(/\s+/g, " ").trim();
   base = base.replace(/^[.\s]+|[.\s]+$/g, "");
   if (!base) base = "dailymotion_video";
-  const extSafe = /\.(mp4|ts|mkv|webm|mpegts)$/i.test(ext) ? ext : ".mp4";
+  const extSafe = /\.(mp4|ts|mkv|webm|mpegts|m4a|aac|mp3|opus|vtt|srt)$/i.test(ext) ? ext : ".mp4";
   const sanitized = base + extSafe;
   return sanitized.length > 200 ? base.slice(0, 200 - extSafe.length) + extSafe : sanitized;
 }
 
 /**
  * Download a blob (merged video file) to user's computer
- * @param {Blob} blob - The blob to download
+ * @param {Blob|Object} blob - The blob to download, or {blobId, mimeType} for data already
+ *   stored in IndexedDB (mimeType defaults to video/mp4)
  * @param {string} filename - The filename for the download
  * @param {string|null} downloadId - The download ID for tracking
  * @param {Map} downloadControllers - Map of download controllers
@@ -81,17 +82,7 @@ async function downloadBlob(blob, filename, downloadId, downloadControllers, act
         throw new Error('Blob is empty (0 bytes)');
       }
       resolvedBlobId = `download_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const db = await new Promise((resolve, reject) => {
-        const request = indexedDB.open('DailymotionDownloaderDB', 1);
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(request.result);
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-          if (!db.objectStoreNames.contains('blobs')) {
-            db.createObjectStore('blobs');
-          }
-        };
-      });
+      const db = await openDownloaderDB();
       const transaction = db.transaction(['blobs'], 'readwrite');
       const store = transaction.objectStore('blobs');
       await new Promise((resolve, reject) => {
@@ -107,7 +98,12 @@ async function downloadBlob(blob, filename, downloadId, downloadControllers, act
       db.close();
       arrayBuffer = null;
     }
-    
+
+    // A chosen file or folder (fileSystemSave.js) takes the place of chrome.downloads
+    if (!isBlobUrlRef && await saveChunksToFileSystem({ blobId: resolvedBlobId }, filename, downloadId, setupOffscreenDocument)) {
+      return;
+    }
+
     // When caller provides a blob URL (e.g. SW-created URL for .ts fallback), skip offscreen
     if (!isBlobUrlRef) {
       await setupOffscreenDocument();
@@ -139,7 +135,7 @@ async function downloadBlob(blob, filename, downloadId, downloadControllers, act
     }
     
     // Copy values so Promise closure does NOT hold reference to blob (allows GC)
-    const mimeType = isBlobIdRef ? "video/mp4" : (blob.type || "video/mp4");
+    const mimeType = isBlobIdRef ? (blob.mimeType || "video/mp4") : (blob.type || "video/mp4");
     
     return new Promise((resolve, reject) => {
       const messageTimeout = isBlobUrlRef ? null : setTimeout(() => {
@@ -601,7 +597,14 @@ async function downloadBlob(blob, filename, downloadId, downloadControllers, act
 
 /**
  * Download a full MP4 file (ensuring we get the complete file, not chunks)
- * Fetches the video URL, streams it into memory, creates a blob, and downloads it
+ * Fetches the video URL, streams it into memory, creates a blob, and downloads it.
+ * When paused, the bytes received so far are stored in IndexedDB; the resumed download
+ * loads them and requests only the rest with a Range header.
+ * With a save folder chosen (fileSystemSave.js) the file is written to it every
+ * FILE_SAVE_FLUSH_SIZE bytes instead, and such a download can't be paused.
+ * The file is tagged with options.metadata (and its cover art) when its moov can be
+ * rewritten: always when the whole file is in memory, and only for a moov in the first
+ * piece when writing to a folder.
  * @param {string} videoUrl - The video URL to download
  * @param {string} filename - The filename for the download
  * @param {string} downloadId - The download ID for tracking
@@ -611,6 +614,9 @@ async function downloadBlob(blob, filename, downloadId, downloadControllers, act
  * @param {Function} cleanupIndexedDBBlob - Function to cleanup IndexedDB blobs
  * @param {Function} setupOffscreenDocument - Function to setup offscreen document
  * @param {Function} blobToDataUrl - Function to convert blob to data URL
+ * @param {Object} [options]
+ * @param {Object} [options.metadata] - Tags {title, artist, date, comment, description}
+ *   (see addMp4Metadata)
  * @returns {Promise<void>}
  */
 async function downloadFullVideoFile(
@@ -623,7 +629,20 @@ async function downloadFullVideoFile(
   cleanupIndexedDBBlob,
   setupOffscreenDocument,
   blobToDataUrl,
+  options = {},
 ) {
+  // Declared outside the try so a pause can store what was received
+  let checkpoint = null;
+  let chunks = [];
+  let receivedLength = 0;
+  let storedChunkCount = 0; // Leading chunks that are already in the checkpoint
+  let totalSize = null;
+  let validator = null;
+  let fileSave = null;
+  let fileSaveKey = null; // Piece on its way to the chosen folder
+  // Fetched alongside the video; resolves to null when there is no usable thumbnail
+  const coverPromise = fetchCoverArt(options.metadata?.coverUrl);
+
   try {
     await chrome.storage.local.set({
       [`downloadProgress_${downloadId}`]: 0,
@@ -635,25 +654,107 @@ async function downloadFullVideoFile(
       throw new DOMException("Download cancelled", "AbortError");
     }
 
-    // Fetch the video without range headers to get the full file
+    // A paused download continues from the bytes it stored
+    let storedParts = null;
+    try {
+      checkpoint = await loadMp4Checkpoint(downloadId);
+      if (checkpoint && checkpoint.url !== videoUrl) {
+        await deleteMp4Checkpoint(downloadId);
+        checkpoint = null;
+      }
+      if (checkpoint && checkpoint.receivedBytes > 0) {
+        storedParts = await loadMp4CheckpointParts(checkpoint);
+      }
+    } catch (checkpointError) {
+      console.warn("Could not read paused download data:", checkpointError.message);
+    }
+
+    const headers = {};
+    if (storedParts) {
+      headers["Range"] = `bytes=${checkpoint.receivedBytes}-`;
+      // If the file changed on the server, If-Range makes it send the whole new file
+      if (checkpoint.validator) headers["If-Range"] = checkpoint.validator;
+    }
+
+    // Without stored data, fetch without range headers to get the full file
     const response = await fetch(videoUrl, {
       method: "GET",
       signal: abortController.signal,
-      // Don't send Range header - request the full file
+      headers,
     });
 
     if (!response.ok) {
       throw new Error(`Failed to fetch video: ${response.statusText}`);
     }
 
-    // Get content length for progress
-    const contentLength = response.headers.get("content-length");
-    const totalSize = contentLength ? parseInt(contentLength) : null;
+    if (storedParts && response.status === 206) {
+      chunks = storedParts.map((part) => new Uint8Array(part));
+      storedChunkCount = chunks.length;
+      receivedLength = checkpoint.receivedBytes;
+      // "Content-Range: bytes 1000-4999/5000" carries the full size
+      const rangeTotal = (response.headers.get("content-range") || "").match(
+        /\/(\d+)$/,
+      );
+      totalSize = rangeTotal ? parseInt(rangeTotal[1]) : checkpoint.totalSize;
+      validator = checkpoint.validator;
+      console.log(
+        `Resuming MP4 download at ${Math.round(receivedLength / 1024 / 1024)}MB:`,
+        downloadId,
+      );
+    } else {
+      if (checkpoint) {
+        console.warn(
+          "Stored data can't be continued (range not honoured or file changed), downloading from the start:",
+          downloadId,
+        );
+        await deleteMp4Checkpoint(downloadId).catch(() => {});
+        checkpoint = null;
+      }
+      // Get content length for progress
+      const contentLength = response.headers.get("content-length");
+      totalSize = contentLength ? parseInt(contentLength) : null;
+      // Weak ETags can't be used with If-Range
+      const etag = response.headers.get("etag");
+      validator =
+        etag && !etag.startsWith("W/")
+          ? etag
+          : response.headers.get("last-modified");
+    }
+
+    // A chosen folder takes the data as it arrives; bytes already written can't be checkpointed
+    if ((await getSaveLocationSettings()).mode === "folder") {
+      fileSave = await openFileSave(downloadId, filename || "dailymotion_video.mp4", setupOffscreenDocument);
+      const saveControllerInfo = downloadControllers.get(downloadId);
+      if (fileSave && saveControllerInfo) saveControllerInfo.canPause = false;
+    }
+    let pendingLength = receivedLength;
+    let flushIndex = 0;
+    const flushToFileSave = async () => {
+      if (!chunks.length) return;
+      let piece = new Uint8Array(pendingLength);
+      let offset = 0;
+      for (const chunk of chunks) {
+        piece.set(chunk, offset);
+        offset += chunk.length;
+      }
+      chunks.length = 0;
+      pendingLength = 0;
+      // Written pieces can't be changed, so only a moov at the start of the file is tagged
+      const taggedParts =
+        flushIndex === 0 && receivedLength === piece.length
+          ? addMp4Metadata(piece, options.metadata || null, await coverPromise)
+          : null;
+      if (taggedParts) {
+        piece = new Uint8Array(await new Blob(taggedParts).arrayBuffer());
+      }
+      fileSaveKey = `${fileSave.saveId}_part_${flushIndex++}`;
+      await putBufferInIDB(fileSaveKey, piece.buffer);
+      await writeFileSaveChunks(fileSave, [fileSaveKey], { deleteAfterWrite: true });
+      fileSaveKey = null;
+    };
 
     // Read the response as array buffer
     const reader = response.body.getReader();
-    const chunks = [];
-    let receivedLength = 0;
 
     while (true) {
       // Check if cancelled before reading next chunk
@@ -667,6 +768,10 @@ async function downloadFullVideoFile(
 
       chunks.push(value);
       receivedLength += value.length;
+      pendingLength += value.length;
+      if (fileSave && pendingLength >= FILE_SAVE_FLUSH_SIZE) {
+        await flushToFileSave();
+      }
 
       // Update progress if we know the total size
       if (totalSize) {
@@ -678,41 +783,63 @@ async function downloadFullVideoFile(
       }
     }
 
-    // Combine all chunks
-    let allChunks = new Uint8Array(receivedLength);
-    let position = 0;
-    for (const chunk of chunks) {
-      allChunks.set(chunk, position);
-      position += chunk.length;
-    }
+    // Everything is fetched; from here on the download can only be cancelled
+    const fetchedControllerInfo = downloadControllers.get(downloadId);
+    if (fetchedControllerInfo) fetchedControllerInfo.canPause = false;
 
-    // Check if cancelled before creating blob
-    if (abortController.signal.aborted) {
-      throw new DOMException("Download cancelled", "AbortError");
-    }
+    if (fileSave) {
+      await flushToFileSave();
+      await closeFileSave(fileSave);
+      fileSave = null;
+      await chrome.storage.local.set({
+        [`downloadProgress_${downloadId}`]: 100,
+        [`downloadStatus_${downloadId}`]: "Download complete!",
+      });
+    } else {
+      // Combine all chunks
+      let allChunks = new Uint8Array(receivedLength);
+      let position = 0;
+      for (const chunk of chunks) {
+        allChunks.set(chunk, position);
+        position += chunk.length;
+      }
 
-    // Create blob and download
-    const blob = new Blob([allChunks], { type: "video/mp4" });
-    // Set progress to 100% BEFORE downloadBlob so polling sees completion immediately
-    await chrome.storage.local.set({
-      [`downloadProgress_${downloadId}`]: 100,
-      [`downloadStatus_${downloadId}`]: "Download complete!",
-    });
+      // Check if cancelled before creating blob
+      if (abortController.signal.aborted) {
+        throw new DOMException("Download cancelled", "AbortError");
+      }
 
-    await downloadBlob(
-      blob,
-      filename || "dailymotion_video.mp4",
-      downloadId,
-      downloadControllers,
-      activeChromeDownloads,
-      cleanupIndexedDBBlob,
-      setupOffscreenDocument,
-      blobToDataUrl,
-    );
+      // Create blob (tagged when the moov can be rewritten) and download
+      const blob = new Blob(
+        addMp4Metadata(allChunks, options.metadata || null, await coverPromise) || [
+          allChunks,
+        ],
+        { type: "video/mp4" },
+      );
+      // Set progress to 100% BEFORE downloadBlob so polling sees completion immediately
+      await chrome.storage.local.set({
+        [`downloadProgress_${downloadId}`]: 100,
+        [`downloadStatus_${downloadId}`]: "Download complete!",
+      });
 
-    // Release large buffers so GC can reclaim RAM
-    chunks.length = 0;
-    allChunks = null;
+      await downloadBlob(
+        blob,
+        filename || "dailymotion_video.mp4",
+        downloadId,
+        downloadControllers,
+        activeChromeDownloads,
+        cleanupIndexedDBBlob,
+        setupOffscreenDocument,
+        blobToDataUrl,
+      );
+
+      // Release large buffers so GC can reclaim RAM
+      chunks.length = 0;
+      allChunks = null;
+    }
+    if (checkpoint) {
+      deleteMp4Checkpoint(downloadId).catch(() => {});
+    }
 
     // Clean up ALL download-related storage keys after delay
     // Keep progress/status visible for 15s so polling can detect completion, then remove everything
@@ -732,9 +859,53 @@ async function downloadFullVideoFile(
       });
     }, 15000);
   } catch (error) {
+    // A partly written file in the chosen folder is removed
+    if (fileSave) {
+      await closeFileSave(fileSave, { abort: true }).catch(() => {});
+      if (fileSaveKey) cleanupIndexedDBBlob(fileSaveKey);
+    }
+
+    // A pause aborts like a cancel; store the new bytes so the resume can continue from them
+    if (
+      (error.name === "AbortError" || abortController.signal.aborted) &&
+      (await isDownloadPaused(downloadId))
+    ) {
+      const newChunks = chunks.slice(storedChunkCount);
+      const newLength = newChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+      const newBytes = new Uint8Array(newLength);
+      let offset = 0;
+      for (const chunk of newChunks) {
+        newBytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      chunks.length = 0;
+      try {
+        checkpoint = await saveMp4Checkpoint(
+          downloadId,
+          { url: videoUrl, filename, type: "mp4-full", totalSize, validator },
+          checkpoint,
+          newBytes,
+        );
+        console.log(
+          `Full video download was paused at ${Math.round(checkpoint.receivedBytes / 1024 / 1024)}MB:`,
+          downloadId,
+        );
+      } catch (checkpointError) {
+        // The resume falls back to the last stored data (or starts over)
+        console.warn("Could not store paused download data:", checkpointError);
+      }
+      await chrome.storage.local.set({
+        [`downloadStatus_${downloadId}`]: PAUSED_DOWNLOAD_STATUS,
+      });
+      throw new Error(DOWNLOAD_PAUSED_MESSAGE);
+    }
+
     // Check if error is due to cancellation
     if (error.name === "AbortError" || abortController.signal.aborted) {
       console.log("Full video download was cancelled:", downloadId);
+      if (checkpoint) {
+        deleteMp4Checkpoint(downloadId).catch(() => {});
+      }
       await chrome.storage.local.set({
         [`downloadProgress_${downloadId}`]: 0,
         [`downloadStatus_${downloadId}`]: "Download cancelled",
@@ -829,23 +1000,55 @@ function supportsObjectUrl() {
  */
 function cleanupIndexedDBBlob(blobId) {
   try {
-    const request = indexedDB.open("DailymotionDownloaderDB", 1);
-    request.onsuccess = () => {
-      const db = request.result;
-      const tx = db.transaction(["blobs"], "readwrite");
-      tx.objectStore("blobs").delete(blobId);
-      tx.oncomplete = () => {
-        db.close();
-        console.log("Cleaned up IndexedDB blob:", blobId);
-      };
-      tx.onerror = () => {
-        console.error("Failed to clean up IndexedDB blob:", tx.error);
-        db.close();
-      };
-    };
-    request.onerror = () => {
-      console.error("Failed to open IndexedDB for cleanup:", request.error);
-    };
+    openDownloaderDB().then(
+      (db) => {
+        const tx = db.transaction(["blobs"], "readwrite");
+        tx.objectStore("blobs").delete(blobId);
+        tx.oncomplete = () => {
+          db.close();
+          console.log("Cleaned up IndexedDB blob:", blobId);
+        };
+        tx.onerror = () => {
+          console.error("Failed to clean up IndexedDB blob:", tx.error);
+          db.close();
+        };
+      },
+      (error) => {
+        console.error("Failed to open IndexedDB for cleanup:", error);
+      },
+    );
+  } catch (error) {
+    console.error("Error cleaning up IndexedDB:", error);
+  }
+}
+
+/**
+ * Helper function to clean up a blob stored in IndexedDB as chunks
+ * @param {string} blobId - The blob ID (keys are `${blobId}_chunk_${i}`)
+ * @param {number} chunkCount - Number of chunks
+ */
+function cleanupIndexedDBChunks(blobId, chunkCount) {
+  try {
+    openDownloaderDB().then(
+      (db) => {
+        const tx = db.transaction(["blobs"], "readwrite");
+        const store = tx.objectStore("blobs");
+        for (let i = 0; i < chunkCount; i++) {
+          store.delete(`${blobId}_chunk_${i}`);
+        }
+        tx.oncomplete = () => {
+          db.close();
+          console.log(`Cleaned up ${chunkCount} IndexedDB chunks:`, blobId);
+        };
+        tx.onerror = () => {
+          console.error("Failed to clean up IndexedDB chunks:", tx.error);
+          db.close();
+        };
+      },
+      (error) => {
+        console.error("Failed to open IndexedDB for cleanup:", error);
+      },
+    );
   } catch (error) {
     console.error("Error cleaning up IndexedDB:", error);
   }
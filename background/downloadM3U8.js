@@ -53,156 +53,541 @@ async function getFetchOptionsWithHeaders(
 }
 
 /**
- * Parse M3U8 playlist to extract segments and init segment URL
+ * Parse an HLS attribute list (RFC 8216 section 4.2) into a plain object
+ * Quoted values are unquoted; all other values are returned as raw strings.
+ * @param {string} attributeText - Text after the tag's colon, e.g. `METHOD=AES-128,URI="key.bin"`
+ * @returns {Object} Map of attribute name to string value
+ */
+function parseAttributeList(attributeText) {
+  const attributes = {};
+  const attributeRegex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/gi;
+  let match;
+  while ((match = attributeRegex.exec(attributeText)) !== null) {
+    let value = match[2];
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.substring(1, value.length - 1);
+    }
+    attributes[match[1].toUpperCase()] = value;
+  }
+  return attributes;
+}
+
+/**
+ * Resolve a playlist URI against the playlist's base URL
+ * @param {string} uri - Absolute, root-relative or relative URI from the playlist
+ * @param {string} baseUrl - Base URL of the playlist (directory, ending with "/")
+ * @returns {string} Absolute URL
+ */
+function resolvePlaylistUrl(uri, baseUrl) {
+  if (uri.startsWith("http://") || uri.startsWith("https://")) {
+    return uri;
+  }
+  try {
+    return new URL(uri, baseUrl).href;
+  } catch (e) {
+    return baseUrl + uri;
+  }
+}
+
+/**
+ * Parse an EXT-X-BYTERANGE value or BYTERANGE attribute (`<length>[@<offset>]`)
+ * When the offset is omitted, the sub-range starts right after the previous
+ * sub-range of the same resource.
+ * @param {string} value - Byte range string
+ * @param {Object|null} previousRange - Previous byte range ({uri, length, offset}) for offset continuation
+ * @param {string} uri - Resolved URI the range applies to
+ * @returns {Object|null} Byte range object {length, offset} or null if invalid
+ */
+function parseByteRange(value, previousRange, uri) {
+  const match = String(value).trim().match(/^(\d+)(?:@(\d+))?$/);
+  if (!match) return null;
+  const length = parseInt(match[1], 10);
+  let offset;
+  if (match[2] !== undefined) {
+    offset = parseInt(match[2], 10);
+  } else if (previousRange && previousRange.uri === uri) {
+    offset = previousRange.offset + previousRange.length;
+  } else {
+    offset = 0;
+  }
+  return { length, offset };
+}
+
+/**
+ * Build an HTTP Range header value for a parsed byte range
+ * @param {Object|null} byteRange - Byte range object {length, offset}
+ * @returns {string|null} Range header value (e.g. "bytes=0-1023") or null
+ */
+function getByteRangeHeader(byteRange) {
+  if (!byteRange) return null;
+  return `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}`;
+}
+
+/**
+ * Parse an HLS media playlist (RFC 8216) into structured segments
+ *
+ * Each segment carries the tags that apply to it:
+ * - uri: absolute segment URL
+ * - duration / title: from #EXTINF
+ * - sequence: media sequence number (#EXT-X-MEDIA-SEQUENCE + position)
+ * - discontinuity: true if preceded by #EXT-X-DISCONTINUITY
+ * - discontinuitySequence: discontinuity sequence number
+ * - byteRange: {length, offset} from #EXT-X-BYTERANGE, or null
+ * - key: {method, uri, iv, keyFormat, keyFormatVersions} from #EXT-X-KEY, or null when unencrypted
+ * - map: {uri, byteRange, key} from #EXT-X-MAP, or null; key is the #EXT-X-KEY in effect
+ *   at the tag, which encrypts the init segment as well (RFC 8216 section 4.3.2.5)
+ * - programDateTime: ISO string from #EXT-X-PROGRAM-DATE-TIME, or null
+ * - gap: true if marked with #EXT-X-GAP
+ *
  * @param {string} playlistText - The M3U8 playlist text
  * @param {string} baseUrl - Base URL for resolving relative URLs
- * @returns {Object} Object with segments array and initSegmentUrl
+ * @returns {Object} Parsed playlist: {segments, initSegmentUrl, version, targetDuration,
+ *   mediaSequence, discontinuitySequence, playlistType, endList, independentSegments,
+ *   totalDuration}
  */
 function parseM3U8(playlistText, baseUrl) {
-  const lines = playlistText.split("\n");
-  const segments = [];
-  let initSegmentUrl = null;
-
-  // First pass: look for any lines that might contain init segment info (case-insensitive)
-  const mapLines = lines.filter((line) => {
-    const upperLine = line.toUpperCase();
-    return (
-      upperLine.includes("#EXT-X-MAP") ||
-      (upperLine.includes("MAP") && line.startsWith("#")) ||
-      (upperLine.includes("INIT") && line.startsWith("#"))
-    );
-  });
-  if (mapLines.length > 0) {
-    console.log(
-      `Found ${mapLines.length} potential MAP/init line(s) in playlist`,
-    );
-    mapLines.slice(0, 3).forEach((line, idx) => {
-      console.log(`  MAP line ${idx + 1}:`, line.substring(0, 150));
-    });
-  }
+  const lines = playlistText.split(/\r?\n/);
+  const playlist = {
+    segments: [],
+    initSegmentUrl: null,
+    version: 1,
+    targetDuration: null,
+    mediaSequence: 0,
+    discontinuitySequence: 0,
+    playlistType: null,
+    endList: false,
+    independentSegments: false,
+    totalDuration: 0,
+  };
+
+  // Tags that apply to the next URI line only
+  let pendingDuration = null;
+  let pendingTitle = "";
+  let pendingByteRange = null;
+  let pendingDiscontinuity = false;
+  let pendingProgramDateTime = null;
+  let pendingGap = false;
+
+  // Tags that apply to every following segment until replaced
+  let currentKey = null;
+  let currentMap = null;
+
+  let previousByteRange = null;
+  let discontinuitySequence = null;
+  let sequence = null;
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
-    const upperLine = line.toUpperCase();
-
-    // Check for init segment (map URL) - case-insensitive
-    // Format: #EXT-X-MAP:URI="..." or #EXT-X-MAP:URI=... or just #EXT-X-MAP:...
-    if (upperLine.startsWith("#EXT-X-MAP")) {
-      console.log("Processing #EXT-X-MAP line:", line.substring(0, 200));
-      let uri = null;
-
-      // Try different parsing methods
-      // Method 1: URI="..." or URI=...
-      const uriMatch1 = line.match(/URI=["']?([^"'\s]+)["']?/i);
-      if (uriMatch1) {
-        uri = uriMatch1[1];
-        console.log("  Extracted URI via Method 1:", uri);
-      } else {
-        // Method 2: Direct URL after colon (less common)
-        const colonIndex = line.indexOf(":");
-        if (colonIndex !== -1) {
-          const afterColon = line.substring(colonIndex + 1).trim();
-          // Check if it looks like a URL or path
-          if (
-            afterColon &&
-            (afterColon.startsWith("http") ||
-              afterColon.startsWith("/") ||
-              afterColon.startsWith("./"))
-          ) {
-            uri = afterColon;
-            console.log("  Extracted URI via Method 2:", uri);
-          }
-        }
+    if (!line) continue;
+
+    if (!line.startsWith("#")) {
+      // URI line: completes the pending segment
+      const uri = resolvePlaylistUrl(line, baseUrl);
+      if (sequence === null) sequence = playlist.mediaSequence;
+      if (discontinuitySequence === null) {
+        discontinuitySequence = playlist.discontinuitySequence;
+      }
+      if (pendingDiscontinuity) discontinuitySequence++;
 
-        // Method 3: Try to find any URL-like string in the line
-        if (!uri) {
-          const urlMatch = line.match(
-            /(https?:\/\/[^\s"']+|\.\/[^\s"']+|\/[^\s"']+)/,
-          );
-          if (urlMatch) {
-            uri = urlMatch[1];
-            console.log("  Extracted URI via Method 3 (URL pattern):", uri);
-          }
-        }
+      let byteRange = null;
+      if (pendingByteRange !== null) {
+        byteRange = parseByteRange(pendingByteRange, previousByteRange, uri);
+        previousByteRange = byteRange ? { uri, ...byteRange } : null;
       }
 
-      if (uri) {
-        // Decode URI if needed
-        try {
-          uri = decodeURIComponent(uri);
-        } catch (e) {
-          // URI might not be encoded, continue with original
-        }
+      const duration = pendingDuration !== null ? pendingDuration : 0;
+      playlist.segments.push({
+        uri,
+        duration,
+        title: pendingTitle,
+        sequence,
+        discontinuity: pendingDiscontinuity,
+        discontinuitySequence,
+        byteRange,
+        key: currentKey,
+        map: currentMap,
+        programDateTime: pendingProgramDateTime,
+        gap: pendingGap,
+      });
+      playlist.totalDuration += duration;
+      sequence++;
+
+      pendingDuration = null;
+      pendingTitle = "";
+      pendingByteRange = null;
+      pendingDiscontinuity = false;
+      pendingProgramDateTime = null;
+      pendingGap = false;
+      continue;
+    }
 
-        if (uri.startsWith("http://") || uri.startsWith("https://")) {
-          initSegmentUrl = uri;
-        } else if (uri.startsWith("/")) {
-          const urlObj = new URL(baseUrl);
-          initSegmentUrl = `${urlObj.protocol}//${urlObj.host}${uri}`;
-        } else if (uri.startsWith("./")) {
-          initSegmentUrl = baseUrl + uri.substring(2);
+    const colonIndex = line.indexOf(":");
+    const tag = (colonIndex === -1 ? line : line.substring(0, colonIndex))
+      .toUpperCase();
+    const value = colonIndex === -1 ? "" : line.substring(colonIndex + 1);
+
+    switch (tag) {
+      case "#EXT-X-VERSION":
+        playlist.version = parseInt(value, 10) || 1;
+        break;
+      case "#EXT-X-TARGETDURATION":
+        playlist.targetDuration = parseInt(value, 10) || null;
+        break;
+      case "#EXT-X-MEDIA-SEQUENCE":
+        playlist.mediaSequence = parseInt(value, 10) || 0;
+        break;
+      case "#EXT-X-DISCONTINUITY-SEQUENCE":
+        playlist.discontinuitySequence = parseInt(value, 10) || 0;
+        break;
+      case "#EXT-X-PLAYLIST-TYPE":
+        playlist.playlistType = value.trim().toUpperCase() || null;
+        break;
+      case "#EXT-X-ENDLIST":
+        playlist.endList = true;
+        break;
+      case "#EXT-X-INDEPENDENT-SEGMENTS":
+        playlist.independentSegments = true;
+        break;
+      case "#EXTINF": {
+        const commaIndex = value.indexOf(",");
+        const durationText =
+          commaIndex === -1 ? value : value.substring(0, commaIndex);
+        pendingDuration = parseFloat(durationText) || 0;
+        pendingTitle =
+          commaIndex === -1 ? "" : value.substring(commaIndex + 1).trim();
+        break;
+      }
+      case "#EXT-X-BYTERANGE":
+        pendingByteRange = value;
+        break;
+      case "#EXT-X-DISCONTINUITY":
+        pendingDiscontinuity = true;
+        break;
+      case "#EXT-X-PROGRAM-DATE-TIME":
+        pendingProgramDateTime = value.trim() || null;
+        break;
+      case "#EXT-X-GAP":
+        pendingGap = true;
+        break;
+      case "#EXT-X-KEY": {
+        const attrs = parseAttributeList(value);
+        const method = (attrs.METHOD || "NONE").toUpperCase();
+        if (method === "NONE") {
+          currentKey = null;
         } else {
-          initSegmentUrl = baseUrl + uri;
+          currentKey = {
+            method,
+            uri: attrs.URI ? resolvePlaylistUrl(attrs.URI, baseUrl) : null,
+            iv: attrs.IV || null,
+            keyFormat: attrs.KEYFORMAT || "identity",
+            keyFormatVersions: attrs.KEYFORMATVERSIONS || null,
+          };
         }
-        console.log(
-          "✅ Found #EXT-X-MAP with URI:",
-          uri,
-          "-> resolved to:",
-          initSegmentUrl,
-        );
-      } else {
-        console.warn(
-          "⚠️ Found #EXT-X-MAP but could not extract URI. Full line:",
-          line,
-        );
+        break;
       }
-      continue; // Skip this line, don't add it as a segment
-    }
-
-    // Skip other comments and empty lines
-    if (line.startsWith("#") || !line) continue;
-
-    // If line is a URL
-    if (line.startsWith("http://") || line.startsWith("https://")) {
-      segments.push(line);
-    } else if (line.startsWith("/")) {
-      // Relative URL from root
-      const urlObj = new URL(baseUrl);
-      segments.push(`${urlObj.protocol}//${urlObj.host}${line}`);
-    } else {
-      // Relative URL
-      segments.push(baseUrl + line);
+      case "#EXT-X-MAP": {
+        const attrs = parseAttributeList(value);
+        if (attrs.URI) {
+          const mapUri = resolvePlaylistUrl(attrs.URI, baseUrl);
+          currentMap = {
+            uri: mapUri,
+            byteRange: attrs.BYTERANGE
+              ? parseByteRange(attrs.BYTERANGE, null, mapUri)
+              : null,
+            key: currentKey,
+          };
+          if (!playlist.initSegmentUrl) {
+            playlist.initSegmentUrl = mapUri;
+          }
+        } else {
+          console.warn(
+            "⚠️ Found #EXT-X-MAP without URI attribute:",
+            line.substring(0, 200),
+          );
+        }
+        break;
+      }
+      default:
+        // Unknown or master-playlist tags are ignored (RFC 8216 section 6.3.1)
+        break;
     }
   }
 
-  // Log summary
-  if (initSegmentUrl) {
+  if (playlist.initSegmentUrl) {
     console.log(
-      `✅ parseM3U8: Found ${segments.length} segments and init segment: ${initSegmentUrl}`,
+      `✅ parseM3U8: Found ${playlist.segments.length} segments (${playlist.totalDuration.toFixed(1)}s) and init segment: ${playlist.initSegmentUrl}`,
     );
   } else {
     console.log(
-      `⚠️ parseM3U8: Found ${segments.length} segments but NO init segment`,
+      `parseM3U8: Found ${playlist.segments.length} segments (${playlist.totalDuration.toFixed(1)}s), no init segment`,
     );
-    if (mapLines.length > 0) {
-      console.warn(
-        `  Note: Found ${mapLines.length} potential MAP line(s) but couldn't parse init segment URL`,
+  }
+
+  return playlist;
+}
+
+/**
+ * Convert an #EXT-X-KEY IV attribute (0x-prefixed hex) to a 16-byte array
+ * @param {string} ivText - IV attribute value, e.g. "0x0000000000000000000000000000002A"
+ * @returns {Uint8Array} 16-byte IV
+ */
+function parseHexIV(ivText) {
+  const hex = ivText.replace(/^0x/i, "").padStart(32, "0");
+  if (hex.length !== 32 || /[^0-9a-f]/i.test(hex)) {
+    throw new Error(`Invalid AES-128 IV in playlist: ${ivText}`);
+  }
+  const iv = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    iv[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return iv;
+}
+
+/**
+ * Derive the default AES-128 IV from a segment's media sequence number
+ * (RFC 8216 section 5.2: big-endian sequence number padded to 16 bytes)
+ * @param {number} sequence - Media sequence number of the segment
+ * @returns {Uint8Array} 16-byte IV
+ */
+function ivFromMediaSequence(sequence) {
+  const iv = new Uint8Array(16);
+  let remaining = sequence;
+  for (let i = 15; i >= 0 && remaining > 0; i--) {
+    iv[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  return iv;
+}
+
+/**
+ * Reject playlists whose encryption we cannot decrypt
+ * Only METHOD=AES-128 (full-segment AES-CBC) is supported; SAMPLE-AES and
+ * other methods would produce a corrupt file, so fail early with a clear error.
+ * @param {Array} segments - Parsed segments from parseM3U8
+ * @throws {Error} If any segment uses an unsupported encryption method
+ */
+function assertSupportedEncryption(segments) {
+  const unsupported = segments.find(
+    (seg) => seg.key && seg.key.method !== "AES-128",
+  );
+  if (unsupported) {
+    throw new Error(
+      `Unsupported HLS encryption method: ${unsupported.key.method}. Only AES-128 encrypted streams can be downloaded.`,
+    );
+  }
+  const missingUri = segments.find((seg) => seg.key && !seg.key.uri);
+  if (missingUri) {
+    throw new Error("Encrypted HLS playlist is missing the key URI");
+  }
+}
+
+/**
+ * Validate a requested clip range
+ * @param {Object|null} clip - {start, end, frameAccurate} in seconds
+ * @returns {Object|null} Normalized {start, end, frameAccurate}, or null for no clip
+ * @throws {Error} If the range is not a valid, non-empty window
+ */
+function normalizeClipRange(clip) {
+  if (!clip) return null;
+  const start = Number(clip.start) || 0;
+  const end =
+    clip.end === null || clip.end === undefined || clip.end === ""
+      ? Infinity
+      : Number(clip.end);
+  if (start === 0 && end === Infinity) return null;
+  if (!isFinite(start) || start < 0 || isNaN(end) || end <= start) {
+    throw new Error(
+      "Invalid clip range: the end time must be after the start time",
+    );
+  }
+  return { start, end, frameAccurate: !!clip.frameAccurate };
+}
+
+/**
+ * Pick the segments whose cumulative EXTINF timing overlaps a clip window
+ * Segment N covers [sum of durations before N, that sum + its own duration).
+ * @param {Array} segments - Parsed segments from parseM3U8
+ * @param {Object} clip - Normalized clip from normalizeClipRange
+ * @returns {Object} {segments, startOffset} where startOffset is the source time
+ *   at which the first selected segment begins
+ * @throws {Error} If the window starts after the end of the playlist
+ */
+function selectSegmentsForClip(segments, clip) {
+  const selected = [];
+  let startOffset = null;
+  let position = 0;
+  for (const segment of segments) {
+    const segmentStart = position;
+    position += segment.duration || 0;
+    if (position <= clip.start || segmentStart >= clip.end) continue;
+    if (startOffset === null) startOffset = segmentStart;
+    selected.push(segment);
+  }
+  if (selected.length === 0) {
+    throw new Error(
+      `Clip start (${formatClipTime(clip.start)}) is beyond the end of the video (${formatClipTime(position)})`,
+    );
+  }
+  return { segments: selected, startOffset };
+}
+
+/**
+ * Estimate how many bytes a list of segments downloads, before fetching them
+ * @param {Array} segments - Parsed segments from parseM3U8
+ * @param {number|null} bandwidth - BANDWIDTH of the variant in bits per second, if known
+ * @returns {number|null} Estimated bytes, or null if neither byte ranges nor a bandwidth tell
+ */
+function estimateSegmentBytes(segments, bandwidth) {
+  if (segments.every((seg) => seg.byteRange)) {
+    return segments.reduce((sum, seg) => sum + seg.byteRange.length, 0);
+  }
+  if (!bandwidth) return null;
+  const duration = segments.reduce((sum, seg) => sum + (seg.duration || 0), 0);
+  return Math.round((bandwidth / 8) * duration);
+}
+
+/**
+ * Error message for an animated export whose range is more video than FFmpeg can render
+ * @param {number} bytes - Size of the range's video
+ * @param {boolean} [estimated] - Whether bytes is an estimate made before downloading
+ * @returns {string}
+ */
+function getAnimationTooLongMessage(bytes, estimated = false) {
+  return `The range is too long for an animated export (${estimated ? "about " : ""}${formatFileSize(bytes, 0)} of video, at most ${formatFileSize(ANIMATION_MAX_SOURCE_BYTES, 0)}). Pick a shorter range or a lower quality.`;
+}
+
+/**
+ * Format seconds as h:mm:ss (or m:ss) for status and error messages
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatClipTime(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Fetch and import an AES-128 key, caching the import per key URI
+ * Failed fetches are evicted from the cache so a later retry can fetch again.
+ * @param {string} keyUri - Absolute key URI from #EXT-X-KEY
+ * @param {Map} keyCache - Map of key URI to Promise<CryptoKey>
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @param {AbortController|null} abortController - Abort controller for cancellation
+ * @returns {Promise<CryptoKey>} Imported AES-CBC key
+ */
+function getAesKey(keyUri, keyCache, tabId, abortController) {
+  if (keyCache.has(keyUri)) {
+    return keyCache.get(keyUri);
+  }
+
+  const keyPromise = (async () => {
+    const fixedKeyUri = fixUrlEncoding(keyUri);
+    const fetchOptions = await getFetchOptionsWithHeaders(
+      fixedKeyUri,
+      tabId,
+      abortController,
+    );
+    const response = await fetch(fixedKeyUri, fetchOptions);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch AES-128 key: HTTP ${response.status} ${response.statusText}`,
+      );
+    }
+    const rawKey = await response.arrayBuffer();
+    if (rawKey.byteLength !== 16) {
+      throw new Error(
+        `Invalid AES-128 key length: ${rawKey.byteLength} bytes (expected 16)`,
       );
     }
+    return crypto.subtle.importKey("raw", rawKey, { name: "AES-CBC" }, false, [
+      "decrypt",
+    ]);
+  })();
+
+  keyCache.set(keyUri, keyPromise);
+  keyPromise.catch(() => keyCache.delete(keyUri));
+  return keyPromise;
+}
+
+/**
+ * Decrypt an AES-128 encrypted segment with WebCrypto (AES-CBC, PKCS#7 padding)
+ * @param {ArrayBuffer} data - Encrypted segment bytes
+ * @param {Object} segment - Parsed segment (uses key and sequence)
+ * @param {Map} keyCache - Key cache passed to getAesKey
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @param {AbortController|null} abortController - Abort controller for cancellation
+ * @returns {Promise<ArrayBuffer>} Decrypted segment bytes (input returned unchanged if unencrypted)
+ */
+async function decryptSegmentData(
+  data,
+  segment,
+  keyCache,
+  tabId,
+  abortController,
+) {
+  if (!segment.key) {
+    return data;
   }
+  const cryptoKey = await getAesKey(
+    segment.key.uri,
+    keyCache,
+    tabId,
+    abortController,
+  );
+  const iv = segment.key.iv
+    ? parseHexIV(segment.key.iv)
+    : ivFromMediaSequence(segment.sequence);
+  try {
+    return await crypto.subtle.decrypt({ name: "AES-CBC", iv }, cryptoKey, data);
+  } catch (e) {
+    throw new Error(
+      `AES-128 decryption failed for segment ${segment.sequence}: ${e.message || e.name}`,
+    );
+  }
+}
 
-  // Return both segments and init segment URL
-  return { segments, initSegmentUrl };
+/**
+ * Decrypt an init segment (#EXT-X-MAP) encrypted with AES-128
+ * The #EXT-X-KEY in effect at the EXT-X-MAP tag applies to the init segment too, and must
+ * have an IV then, as there is no media sequence number to derive one from (RFC 8216
+ * section 4.3.2.5). SAMPLE-AES leaves the init segment in the clear.
+ * @param {ArrayBuffer} data - Init segment bytes
+ * @param {Object|null} key - The key that applies to the map (map.key from parseM3U8)
+ * @param {Map} keyCache - Key cache passed to getAesKey
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @param {AbortController|null} abortController - Abort controller for cancellation
+ * @returns {Promise<ArrayBuffer>} Decrypted bytes (input returned unchanged if unencrypted)
+ */
+async function decryptInitSegmentData(data, key, keyCache, tabId, abortController) {
+  if (!key || key.method !== "AES-128") {
+    return data;
+  }
+  if (!key.iv) {
+    throw new Error("The init segment is encrypted but its #EXT-X-KEY has no IV");
+  }
+  return decryptSegmentData(
+    data,
+    { key, sequence: "init" },
+    keyCache,
+    tabId,
+    abortController,
+  );
 }
 
 /**
  * Parse master playlist to extract quality variants
  * @param {string} playlistText - The master playlist text
  * @param {string} baseUrl - Base URL for resolving relative URLs
- * @returns {Array} Array of variant objects with url, bandwidth, and resolution
+ * @returns {Array} Array of variant objects with url, bandwidth, averageBandwidth
+ *   (AVERAGE-BANDWIDTH, or null), resolution, codecs, frameRate, hdcpLevel, videoRange
+ *   (SDR / PQ / HLG), audioGroup and subtitleGroup (GROUP-IDs of the AUDIO / SUBTITLES
+ *   rendition groups, or null)
  */
 function parseMasterPlaylist(playlistText, baseUrl) {
-  const lines = playlistText.split("\n");
+  const lines = playlistText.split(/\r?\n/);
   const variants = [];
   let currentVariant = null;
 
@@ -211,25 +596,26 @@ function parseMasterPlaylist(playlistText, baseUrl) {
 
     if (line.startsWith("#EXT-X-STREAM-INF")) {
       // Extract quality/bandwidth info
-      const bandwidthMatch = line.match(/BANDWIDTH=(\d+)/);
-      const resolutionMatch = line.match(/RESOLUTION=(\d+x\d+)/);
-      const bandwidth = bandwidthMatch ? parseInt(bandwidthMatch[1]) : 0;
-      const resolution = resolutionMatch ? resolutionMatch[1] : "unknown";
-
-      currentVariant = { bandwidth, resolution };
+      const attrs = parseAttributeList(line.substring(line.indexOf(":") + 1));
+      const bandwidth = parseInt(attrs.BANDWIDTH, 10) || 0;
+      const resolution = /^\d+x\d+$/.test(attrs.RESOLUTION || "")
+        ? attrs.RESOLUTION
+        : "unknown";
+
+      currentVariant = {
+        bandwidth,
+        averageBandwidth: parseInt(attrs["AVERAGE-BANDWIDTH"], 10) || null,
+        resolution,
+        codecs: attrs.CODECS || null,
+        frameRate: parseFloat(attrs["FRAME-RATE"]) || null,
+        hdcpLevel: attrs["HDCP-LEVEL"] || null,
+        videoRange: attrs["VIDEO-RANGE"] || null,
+        audioGroup: attrs.AUDIO || null,
+        subtitleGroup: attrs.SUBTITLES || null,
+      };
     } else if (line && !line.startsWith("#") && currentVariant) {
       // This is the URL for the variant
-      let variantUrl;
-      if (line.startsWith("http://") || line.startsWith("https://")) {
-        variantUrl = line;
-      } else if (line.startsWith("/")) {
-        const urlObj = new URL(baseUrl);
-        variantUrl = `${urlObj.protocol}//${urlObj.host}${line}`;
-      } else {
-        variantUrl = baseUrl + line;
-      }
-
-      currentVariant.url = variantUrl;
+      currentVariant.url = resolvePlaylistUrl(line, baseUrl);
       variants.push(currentVariant);
       currentVariant = null;
     }
@@ -241,6 +627,325 @@ function parseMasterPlaylist(playlistText, baseUrl) {
   return variants;
 }
 
+/**
+ * Parse #EXT-X-MEDIA rendition entries from a master playlist
+ * @param {string} playlistText - The master playlist text
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Array} Array of renditions: {type, groupId, name, language, isDefault,
+ *   autoselect, forced, channels, uri} (uri is null when the rendition is muxed into the variant)
+ */
+function parseMediaRenditions(playlistText, baseUrl) {
+  const renditions = [];
+  const lines = playlistText.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line.startsWith("#EXT-X-MEDIA:")) continue;
+
+    const attrs = parseAttributeList(line.substring("#EXT-X-MEDIA:".length));
+    renditions.push({
+      type: (attrs.TYPE || "").toUpperCase(),
+      groupId: attrs["GROUP-ID"] || null,
+      name: attrs.NAME || null,
+      language: attrs.LANGUAGE || null,
+      isDefault: attrs.DEFAULT === "YES",
+      autoselect: attrs.AUTOSELECT === "YES",
+      forced: attrs.FORCED === "YES",
+      channels: attrs.CHANNELS || null,
+      uri: attrs.URI ? resolvePlaylistUrl(attrs.URI, baseUrl) : null,
+    });
+  }
+
+  return renditions;
+}
+
+/**
+ * Pick the separate audio renditions that belong to a variant's AUDIO group
+ * Renditions without a URI are carried inside the variant itself and are skipped.
+ * The DEFAULT=YES rendition is returned first so it becomes the primary track.
+ * @param {Array} renditions - Renditions from parseMediaRenditions
+ * @param {Object} variant - Variant from parseMasterPlaylist
+ * @returns {Array} Audio renditions to download alongside the variant
+ */
+function getAudioRenditionsForVariant(renditions, variant) {
+  if (!variant || !variant.audioGroup) return [];
+  return renditions
+    .filter(
+      (r) => r.type === "AUDIO" && r.groupId === variant.audioGroup && r.uri,
+    )
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+}
+
+/**
+ * Pick the playlist to fetch for an audio-only download
+ * A separate audio rendition (from the best variant's AUDIO group, DEFAULT first) is
+ * taken as is, then an audio-only variant; failing both, the smallest variant is used and
+ * its audio is extracted after the merge.
+ * @param {Array} variants - Variants from parseMasterPlaylist (highest bandwidth first)
+ * @param {Array} renditions - Renditions from parseMediaRenditions
+ * @returns {Object} {url, rendition, variant}: the rendition or variant that was chosen
+ */
+function selectAudioOnlySource(variants, renditions) {
+  for (const variant of variants) {
+    const rendition = getAudioRenditionsForVariant(renditions, variant)[0];
+    if (rendition) return { url: rendition.uri, rendition, variant: null };
+  }
+  const audioVariant = variants.find(
+    (variant) =>
+      variant.resolution === "unknown" &&
+      variant.codecs &&
+      !getCodecFamily(variant.codecs) &&
+      /\b(mp4a|ac-3|ec-3|opus|flac)\b/i.test(variant.codecs),
+  );
+  const variant = audioVariant || variants[variants.length - 1];
+  return { url: variant.url, rendition: null, variant };
+}
+
+/**
+ * Pick the WebVTT subtitle renditions that belong to a variant's SUBTITLES group
+ * @param {Array} renditions - Renditions from parseMediaRenditions
+ * @param {Object} variant - Variant from parseMasterPlaylist
+ * @returns {Array} Subtitle renditions with a URI, DEFAULT first
+ */
+function getSubtitleRenditionsForVariant(renditions, variant) {
+  if (!variant || !variant.subtitleGroup) return [];
+  return renditions
+    .filter(
+      (r) =>
+        r.type === "SUBTITLES" && r.groupId === variant.subtitleGroup && r.uri,
+    )
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+}
+
+/**
+ * Store an ArrayBuffer in the extension's IndexedDB blob store
+ * @param {string} blobId - Key to store the buffer under
+ * @param {ArrayBuffer} buffer - Data to store
+ * @returns {Promise<void>}
+ */
+async function putBufferInIDB(blobId, buffer) {
+  const db = await openDownloaderDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      tx.objectStore("blobs").put(buffer, blobId);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * File name for merged segments: a .m3u8 name, or one without a video extension, gets .ts
+ * for MPEG-TS and .mp4 otherwise
+ * @param {string|null} filename - Requested file name
+ * @param {boolean} isMPEGTS - Whether the segments are MPEG-TS
+ * @returns {string}
+ */
+function getMergedFilename(filename, isMPEGTS) {
+  const extension = isMPEGTS ? "ts" : "mp4";
+  let merged = filename || "dailymotion_video.mp4";
+  if (merged.includes(".m3u8")) {
+    merged = merged.replace(/\.m3u8$/i, `.${extension}`);
+    merged = merged.replace(/\.m3u8\./i, `.${extension}.`);
+  } else if (!merged.match(/\.(mp4|ts|mpegts|mkv|webm)$/i)) {
+    merged = merged.replace(/\.[^.]*$/, "") + `.${extension}`;
+  }
+  return merged;
+}
+
+/**
+ * Guess a container file extension from the first bytes of a media buffer
+ * @param {Uint8Array} header - First bytes of the media data
+ * @returns {string} "ts", "mp4", "aac" or "bin"
+ */
+function sniffMediaExtension(header) {
+  if (header.length >= 1 && header[0] === 0x47) return "ts";
+  if (header.length >= 8) {
+    const boxType = String.fromCharCode(header[4], header[5], header[6], header[7]);
+    if (["ftyp", "styp", "moof", "moov"].includes(boxType)) return "mp4";
+  }
+  if (
+    header.length >= 3 &&
+    header[0] === 0x49 &&
+    header[1] === 0x44 &&
+    header[2] === 0x33
+  ) {
+    // ID3 tag: packed audio (RFC 8216 section 3.4)
+    return "aac";
+  }
+  if (header.length >= 2 && header[0] === 0xff && (header[1] & 0xf0) === 0xf0) {
+    return "aac";
+  }
+  return "bin";
+}
+
+/**
+ * Download every segment of a separate HLS rendition (e.g. an alternate audio
+ * track) and concatenate them, init segment first
+ * Segments are fetched a few at a time with retries and AES-128 decryption.
+ * @param {string} playlistUrl - Media playlist URL of the rendition
+ * @param {string} downloadId - The download ID (for cancellation checks)
+ * @param {AbortController} abortController - Abort controller for cancellation
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @param {Map} keyCache - AES-128 key cache shared with the main download
+ * @param {Function|null} onProgress - Called with (doneCount, totalCount)
+ * @param {Object|null} clip - Only fetch segments overlapping this window (from normalizeClipRange)
+ * @returns {Promise<{blob: Blob, extension: string, duration: number, startOffset: number,
+ *   corruptSegments: Array}>} corruptSegments lists [{segment, reason}] that stayed corrupt
+ */
+async function downloadRenditionPlaylist(
+  playlistUrl,
+  downloadId,
+  abortController,
+  tabId,
+  keyCache,
+  onProgress = null,
+  clip = null,
+) {
+  const fixedPlaylistUrl = fixUrlEncoding(playlistUrl);
+  const playlistOptions = await getFetchOptionsWithHeaders(
+    fixedPlaylistUrl,
+    tabId,
+    abortController,
+  );
+  const playlistResponse = await fetch(fixedPlaylistUrl, playlistOptions);
+  if (!playlistResponse.ok) {
+    throw new Error(
+      `Failed to fetch rendition playlist: HTTP ${playlistResponse.status} ${playlistResponse.statusText}`,
+    );
+  }
+  const playlistText = await playlistResponse.text();
+  const parsed = parseM3U8(
+    playlistText,
+    fixedPlaylistUrl.substring(0, fixedPlaylistUrl.lastIndexOf("/") + 1),
+  );
+  if (parsed.segments.length === 0) {
+    throw new Error("Rendition playlist has no segments");
+  }
+  let startOffset = 0;
+  if (clip) {
+    const clipped = selectSegmentsForClip(parsed.segments, clip);
+    parsed.segments = clipped.segments;
+    startOffset = clipped.startOffset;
+  }
+  assertSupportedEncryption(parsed.segments);
+
+  const fetchWithRetry = async (url, byteRange, retries = 3) => {
+    const fixedUrl = fixUrlEncoding(url);
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (
+        abortController.signal.aborted ||
+        (await isDownloadCancelled(downloadId))
+      ) {
+        throw new DOMException("Download cancelled", "AbortError");
+      }
+      try {
+        const fetchOptions = await getFetchOptionsWithHeaders(
+          fixedUrl,
+          tabId,
+          abortController,
+        );
+        const rangeHeader = getByteRangeHeader(byteRange);
+        if (rangeHeader) {
+          fetchOptions.headers["Range"] = rangeHeader;
+        }
+        const response = await fetch(fixedUrl, fetchOptions);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return await response.arrayBuffer();
+      } catch (error) {
+        if (error.name === "AbortError" || abortController.signal.aborted) {
+          throw error;
+        }
+        if (attempt === retries) throw error;
+        const errorMsg = error.message || "";
+        const backoffTime =
+          errorMsg.includes("503") || errorMsg.includes("429")
+            ? 2000 * Math.pow(2, attempt)
+            : 1000 * (attempt + 1);
+        await new Promise((resolve) => setTimeout(resolve, backoffTime));
+      }
+    }
+  };
+
+  const parts = [];
+  const firstMap = parsed.segments[0].map;
+  if (firstMap) {
+    parts.push(
+      await decryptInitSegmentData(
+        await fetchWithRetry(firstMap.uri, firstMap.byteRange),
+        firstMap.key,
+        keyCache,
+        tabId,
+        abortController,
+      ),
+    );
+  }
+
+  const segmentParts = new Array(parsed.segments.length);
+  const corruptSegments = [];
+  const concurrency = 4;
+  let nextIndex = 0;
+  let doneCount = 0;
+  const worker = async () => {
+    while (nextIndex < parsed.segments.length) {
+      const index = nextIndex++;
+      const segment = parsed.segments[index];
+      // Corrupt responses are re-fetched twice, then kept and reported (segmentValidation.js)
+      for (let attempt = 0; ; attempt++) {
+        const data = await fetchWithRetry(segment.uri, segment.byteRange);
+        segmentParts[index] = await decryptSegmentData(
+          data,
+          segment,
+          keyCache,
+          tabId,
+          abortController,
+        );
+        const validation = validateSegmentData(segmentParts[index], {
+          hasMap: !!segment.map,
+          byteRange: segment.byteRange,
+        });
+        if (validation.valid) break;
+        if (attempt === 2) {
+          console.error(
+            `Rendition segment ${index + 1} still corrupt, keeping it as is:`,
+            validation.reason,
+          );
+          corruptSegments.push({ segment: index + 1, reason: validation.reason });
+          break;
+        }
+        console.warn(
+          `Rendition segment ${index + 1} corrupt (${validation.reason}), re-fetching...`,
+        );
+      }
+      doneCount++;
+      if (typeof onProgress === "function") {
+        onProgress(doneCount, parsed.segments.length);
+      }
+    }
+  };
+  await Promise.all(
+    Array.from(
+      { length: Math.min(concurrency, parsed.segments.length) },
+      worker,
+    ),
+  );
+  parts.push(...segmentParts);
+
+  const extension = sniffMediaExtension(new Uint8Array(parts[0].slice(0, 8)));
+  return {
+    blob: new Blob(parts),
+    extension,
+    duration: parsed.totalDuration,
+    startOffset,
+    corruptSegments,
+  };
+}
+
 /**
  * Download and merge M3U8 playlist segments into a single video file
  * @param {string} m3u8Url - The M3U8 playlist URL
@@ -253,12 +958,36 @@ function parseMasterPlaylist(playlistText, baseUrl) {
  * @param {Function} cleanupIndexedDBBlob - Function to cleanup IndexedDB blobs
  * @param {Function} setupOffscreenDocument - Function to setup offscreen document
  * @param {Function} blobToDataUrl - Function to convert blob to data URL
+ * @param {Object} [options] - Extra download options
+ * @param {Array} [options.audioRenditions] - Separate audio renditions (from parseMediaRenditions)
+ *   for a variant URL; ignored when m3u8Url is a master playlist, which carries its own
+ * @param {Object} [options.clip] - Only download and keep {start, end, frameAccurate} (seconds)
+ * @param {Object} [options.variantPolicy] - Which variant to take when m3u8Url is a master
+ *   playlist (see selectVariantByPolicy); defaults to the stored "qualityPreference"
+ * @param {Object} [options.cdnFailover] - The same stream on other CDNs
+ *   {primary, alternates, reference} (see getCdnFailoverOptions)
+ * @param {Object} [options.animation] - Export the clip as an animated GIF or WebM
+ *   {format, width, fps} (see normalizeAnimationOptions); needs options.clip, and only the
+ *   video is fetched
+ * @param {Object} [options.audioOnly] - Save only the audio as {format, bitrate}
+ *   (see normalizeAudioOnlyOptions); a master playlist's audio rendition is preferred
+ * @param {Array|null} [options.subtitles] - Subtitle renditions to embed as mov_text tracks
+ *   ({uri, language, name, isDefault, forced}); null picks the stored
+ *   "subtitleEmbedLanguages" among the variant's renditions
+ * @param {Array} [options.subtitleRenditions] - The variant's subtitle renditions, for that
+ *   pick; ignored when m3u8Url is a master playlist, which carries its own
+ * @param {Object} [options.transcode] - Re-encode the output with this transcoding preset
+ *   (see normalizeTranscodePreset) instead of copying the streams; ignored for audio only
+ * @param {Object} [options.metadata] - Tags for the output file
+ *   {title, artist, date, comment, description}, written by the remuxer, FFmpeg or,
+ *   for fMP4 saved as is, into the init segment's moov
  * @returns {Promise<void>}
  */
 
 /**
  * Download by streaming chunks from IDB (avoids allocating 2GB buffer when assembly failed).
  * Chrome's download manager may not trigger our fetch handler (NETWORK_FAILED); then we fall back to blob-from-chunks.
+ * With a chosen save location the chunks are written to it one at a time instead.
  */
 async function downloadViaStreamFromChunks(
   chunksOnlyForDownload,
@@ -269,6 +998,9 @@ async function downloadViaStreamFromChunks(
   cleanupIndexedDBBlob,
 ) {
   const { blobId, chunkCount, totalSize } = chunksOnlyForDownload;
+  if (await saveChunksToFileSystem(chunksOnlyForDownload, filename, downloadId, setupOffscreenDocument)) {
+    return;
+  }
   const sanitized = typeof sanitizeFilenameForDownload === "function"
     ? sanitizeFilenameForDownload(filename)
     : filename.replace(/[\\/:*?"<>|]/g, "_");
@@ -332,6 +1064,7 @@ async function downloadViaStreamFromChunks(
 /**
  * Fallback when stream URL fails (NETWORK_FAILED): offscreen builds a Blob from IDB chunks,
  * creates a blob URL, and we use that for chrome.downloads.download. May fail for 2GB if offscreen hits allocation limit.
+ * With a chosen save location the chunks are written to it one at a time instead (no blob URL).
  */
 async function downloadViaBlobFromChunks(
   chunksOnlyForDownload,
@@ -341,14 +1074,17 @@ async function downloadViaBlobFromChunks(
   activeChromeDownloads,
   setupOffscreenDocument,
 ) {
-  const { blobId, chunkCount } = chunksOnlyForDownload;
+  const { blobId, chunkCount, mimeType } = chunksOnlyForDownload;
+  if (await saveChunksToFileSystem(chunksOnlyForDownload, filename, downloadId, setupOffscreenDocument)) {
+    return;
+  }
   const sanitized = typeof sanitizeFilenameForDownload === "function"
     ? sanitizeFilenameForDownload(filename)
     : filename.replace(/[\\/:*?"<>|]/g, "_");
   await setupOffscreenDocument();
   const buildResult = await new Promise((resolve) => {
     chrome.runtime.sendMessage(
-      { action: "buildBlobFromChunksForDownload", blobId, chunkCount },
+      { action: "buildBlobFromChunksForDownload", blobId, chunkCount, mimeType },
       (response) => {
         if (chrome.runtime.lastError) resolve({ success: false, error: chrome.runtime.lastError.message });
         else resolve(response || { success: false, error: "No response" });
@@ -412,6 +1148,97 @@ async function downloadViaBlobFromChunks(
   });
 }
 
+/**
+ * Store a blob in IDB as 32MB chunks (`${blobId}_chunk_${i}`) so the SW never holds it whole
+ * @param {Blob} blob - The blob to store
+ * @param {string} blobId - Key prefix for the chunks
+ * @param {string} downloadId - The download ID (for status updates)
+ * @returns {Promise<Object>} {blobId, chunkCount, totalSize}
+ */
+async function storeBlobChunksInIDB(blob, blobId, downloadId) {
+  const CHUNK_SIZE = 32 * 1024 * 1024; // 32MB per chunk
+  const totalSize = blob.size;
+  const chunkCount = Math.ceil(totalSize / CHUNK_SIZE);
+  try {
+    const db = await openDownloaderDB();
+    for (let i = 0; i < chunkCount; i++) {
+      const start = i * CHUNK_SIZE;
+      const end = Math.min(start + CHUNK_SIZE, totalSize);
+      const chunk = blob.slice(start, end);
+      const chunkBuffer = await chunk.arrayBuffer();
+      const chunkKey = `${blobId}_chunk_${i}`;
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(["blobs"], "readwrite");
+        tx.objectStore("blobs").put(chunkBuffer, chunkKey);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+      if (i % 20 === 0 && chunkCount > 20) {
+        await chrome.storage.local.set({
+          [`downloadStatus_${downloadId}`]: `Storing for conversion (chunk ${i + 1}/${chunkCount})...`,
+        });
+      }
+    }
+    db.close();
+  } catch (storeErr) {
+    throw new Error(storeErr?.message || "Failed to store blob in IDB");
+  }
+  return { blobId, chunkCount, totalSize };
+}
+
+/**
+ * Rewrap MPEG-TS chunks stored in IDB as MP4 with the offscreen streaming remuxer
+ * (tsRemuxer.js). Works a chunk at a time, so there is no size limit; on success the
+ * input chunks are gone and the MP4 is stored as chunks too.
+ * It waits its turn in the offscreen FFmpeg job queue like a conversion.
+ * @param {Object} chunks - {blobId, chunkCount} of the stored MPEG-TS
+ * @param {string} downloadId - The download ID (for progress)
+ * @param {Object|null} [metadata] - Tags for the MP4 (see buildMp4MetadataUdta)
+ * @param {boolean} [fragmented] - Write fragmented MP4 (moof/mdat fragments) instead of
+ *   one mdat indexed by the moov
+ * @param {AbortSignal} [signal] - Cancels the remux (queued or running)
+ * @returns {Promise<Object>} {blobId, chunkCount, totalSize, mimeType} of the MP4 chunks
+ */
+async function remuxTsChunksToMp4(chunks, downloadId, metadata = null, fragmented = false, signal = null) {
+  const jobId = `remux_${downloadId}`;
+  const cancelRemux = () => {
+    chrome.runtime.sendMessage(
+      { action: "cancelFFmpegJob", jobId },
+      () => void chrome.runtime.lastError,
+    );
+  };
+  if (signal) signal.addEventListener("abort", cancelRemux);
+  const result = await new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      {
+        action: "remuxTsToMp4",
+        blobId: chunks.blobId,
+        chunkCount: chunks.chunkCount,
+        downloadId,
+        jobId,
+        metadata,
+        fragmented,
+      },
+      (response) => {
+        if (chrome.runtime.lastError) resolve({ success: false, error: chrome.runtime.lastError.message });
+        else resolve(response || { success: false, error: "No response" });
+      },
+    );
+  }).finally(() => {
+    if (signal) signal.removeEventListener("abort", cancelRemux);
+  });
+  if (!result || !result.success) {
+    throw new Error(result?.error || "Remux failed");
+  }
+  console.log("[downloadM3U8] Remuxed to MP4:", result.info);
+  return {
+    blobId: result.outputBlobId,
+    chunkCount: result.chunkCount,
+    totalSize: result.totalSize,
+    mimeType: "video/mp4",
+  };
+}
+
 async function downloadAndMergeM3U8(
   m3u8Url,
   filename,
@@ -423,7 +1250,14 @@ async function downloadAndMergeM3U8(
   cleanupIndexedDBBlob,
   setupOffscreenDocument,
   blobToDataUrl,
+  options = {},
 ) {
+  // Segment checkpoint (resumeDownload.js); kept on failure so the download can be resumed
+  let checkpoint = null;
+  // Open connection the segments are checkpointed through (openHlsCheckpointWriter)
+  let checkpointWriter = null;
+  // File being written while the segments download (createHlsFileSaveStream), if any
+  let fileSaveStream = null;
   try {
     // Set initial progress immediately
     await chrome.storage.local.set({
@@ -511,10 +1345,44 @@ async function downloadAndMergeM3U8(
 
     let segments = [];
     let initSegmentUrl = null;
+    let initSegmentByteRange = null;
+    // #EXT-X-KEY that applies to the init segment, or null when it isn't encrypted
+    let initSegmentKey = null;
+    // Parsed media playlist and its URL (reloaded when recording a live stream)
+    let mediaPlaylist = null;
+    let mediaPlaylistUrl = m3u8Url;
+    // Separate audio renditions (EXT-X-MEDIA TYPE=AUDIO with URI) to mux with the video
+    const animation = options.animation
+      ? normalizeAnimationOptions(options.animation)
+      : null;
+    const audioOnly =
+      options.audioOnly && !animation
+        ? normalizeAudioOnlyOptions(options.audioOnly)
+        : null;
+    let audioRenditions =
+      Array.isArray(options.audioRenditions) && !audioOnly && !animation
+        ? options.audioRenditions
+        : [];
+    let clip = normalizeClipRange(options.clip);
+    if (animation && !clip) {
+      throw new Error("An animated export needs a start and end time");
+    }
+    const transcode =
+      audioOnly || animation ? null : normalizeTranscodePreset(options.transcode);
+    // Subtitles to embed, and the renditions a null pick is made from
+    let subtitleRenditions = Array.isArray(options.subtitles) ? options.subtitles : null;
+    let subtitleCandidates = Array.isArray(options.subtitleRenditions)
+      ? options.subtitleRenditions
+      : [];
+    // Variant being downloaded, to find the same rendition on the alternate CDNs
+    let cdnReference = options.cdnFailover?.reference || null;
+    // Variant picked from a master playlist, and the policy it was picked by (checkpointed)
+    let checkpointVariant = null;
+    let checkpointVariantPolicy = null;
 
     if (isMasterPlaylist) {
-      // This is a master playlist - find the best quality variant
-      console.log("Master playlist detected, finding best quality...");
+      // This is a master playlist - pick the variant the request (or the user's preference) asks for
+      console.log("Master playlist detected, selecting variant...");
       const baseUrl = m3u8Url.substring(0, m3u8Url.lastIndexOf("/") + 1);
 
       // First, check if master playlist itself has #EXT-X-MAP (rare but possible)
@@ -533,9 +1401,72 @@ async function downloadAndMergeM3U8(
         throw new Error("No variant playlists found in master playlist");
       }
 
-      // Use the first (usually highest quality) variant
-      let variantUrl = variantPlaylists[0].url;
-      console.log(`Using variant playlist: ${variantUrl}`);
+      let selectedVariant;
+      let variantUrl;
+      if (audioOnly) {
+        const source = selectAudioOnlySource(
+          variantPlaylists,
+          parseMediaRenditions(playlistText, baseUrl),
+        );
+        selectedVariant = source.variant;
+        variantUrl = source.url;
+        // Alternate CDNs are matched by video height, which an audio rendition doesn't have
+        cdnReference = null;
+        audioRenditions = [];
+        console.log(
+          source.rendition
+            ? `Audio only: using audio rendition "${source.rendition.name || source.rendition.language || "default"}" ${variantUrl}`
+            : `Audio only: extracting audio from variant ${selectedVariant.resolution} @ ${selectedVariant.bandwidth} bps ${variantUrl}`,
+        );
+      } else {
+        let variantPolicy = options.variantPolicy || null;
+        if (!variantPolicy) {
+          const stored = await chrome.storage.local.get(["qualityPreference"]);
+          variantPolicy = stored.qualityPreference || null;
+        }
+        checkpointVariantPolicy = variantPolicy;
+        // A resumed download stays on the variant its checkpoint was written for, even if
+        // the policy now picks another one, so its restored and new segments match
+        const savedVariant =
+          (await loadHlsCheckpoint(downloadId).catch(() => null))?.variant || null;
+        const resumedVariant = findCheckpointVariant(variantPlaylists, savedVariant);
+        if (savedVariant && !resumedVariant) {
+          console.warn(
+            "The checkpoint's variant is no longer in the master playlist, picking again:",
+            savedVariant,
+          );
+        }
+        selectedVariant =
+          resumedVariant || selectVariantByPolicy(variantPlaylists, variantPolicy);
+        variantUrl = selectedVariant.url;
+        const variantHeight = /^\d+x(\d+)$/.exec(
+          selectedVariant.resolution || "",
+        );
+        cdnReference = {
+          height: variantHeight
+            ? parseInt(variantHeight[1], 10)
+            : cdnReference?.height || null,
+          bandwidth: selectedVariant.bandwidth || null,
+        };
+        console.log(
+          `Using variant playlist (${resumedVariant ? "same as the checkpoint" : describeQualityPolicy(variantPolicy)}): ${selectedVariant.resolution} @ ${selectedVariant.bandwidth} bps ${variantUrl}`,
+        );
+
+        const renditions = parseMediaRenditions(playlistText, baseUrl);
+        // An animated export has no sound
+        audioRenditions = animation
+          ? []
+          : getAudioRenditionsForVariant(renditions, selectedVariant);
+        subtitleCandidates = getSubtitleRenditionsForVariant(
+          renditions,
+          selectedVariant,
+        );
+      }
+      checkpointVariant = {
+        url: variantUrl,
+        resolution: selectedVariant?.resolution || null,
+        bandwidth: selectedVariant?.bandwidth || null,
+      };
 
       // Check if cancelled
       if (abortController.signal.aborted) {
@@ -611,20 +1542,27 @@ async function downloadAndMergeM3U8(
       );
       const parsed = parseM3U8(variantText, variantBaseUrl);
       segments = parsed.segments;
+      mediaPlaylist = parsed;
+      mediaPlaylistUrl = variantUrl;
 
       // Use init segment from variant if found, otherwise use from master (if any)
       if (parsed.initSegmentUrl) {
         initSegmentUrl = parsed.initSegmentUrl;
+        initSegmentByteRange = segments[0]?.map?.byteRange || null;
+        initSegmentKey = segments[0]?.map?.key || null;
         console.log("Found init segment in variant playlist:", initSegmentUrl);
-      } else if (!initSegmentUrl) {
+      } else if (!initSegmentUrl && selectedVariant) {
         // No init segment in variant or master - try checking other variants
         console.warn(
           "No init segment found in selected variant, checking other variants...",
         );
-        for (let i = 1; i < Math.min(variantPlaylists.length, 5); i++) {
-          // Check up to 5 variants
+        const otherVariants = variantPlaylists.filter(
+          (variant) => variant !== selectedVariant,
+        );
+        for (let i = 0; i < Math.min(otherVariants.length, 4); i++) {
+          // Check up to 4 other variants
           try {
-            const otherVariantUrl = fixUrlEncoding(variantPlaylists[i].url);
+            const otherVariantUrl = fixUrlEncoding(otherVariants[i].url);
             const otherFetchOptions = await getFetchOptionsWithHeaders(
               otherVariantUrl,
               tabId,
@@ -644,7 +1582,7 @@ async function downloadAndMergeM3U8(
               if (otherParsed.initSegmentUrl) {
                 initSegmentUrl = otherParsed.initSegmentUrl;
                 console.log(
-                  `Found init segment in variant ${i + 1}:`,
+                  `Found init segment in other variant ${i + 1}:`,
                   initSegmentUrl,
                 );
                 break;
@@ -652,7 +1590,7 @@ async function downloadAndMergeM3U8(
             }
           } catch (err) {
             console.warn(
-              `Failed to check variant ${i + 1} for init segment:`,
+              `Failed to check other variant ${i + 1} for init segment:`,
               err.message,
             );
             // Continue checking other variants
@@ -711,7 +1649,10 @@ async function downloadAndMergeM3U8(
       const baseUrl = m3u8Url.substring(0, m3u8Url.lastIndexOf("/") + 1);
       const parsed = parseM3U8(playlistText, baseUrl);
       segments = parsed.segments;
+      mediaPlaylist = parsed;
       initSegmentUrl = parsed.initSegmentUrl;
+      initSegmentByteRange = segments[0]?.map?.byteRange || null;
+      initSegmentKey = segments[0]?.map?.key || null;
 
       if (initSegmentUrl) {
         console.log(
@@ -731,19 +1672,168 @@ async function downloadAndMergeM3U8(
       throw new Error("No segments found in playlist");
     }
 
+    if (audioOnly || animation) {
+      subtitleRenditions = [];
+    } else if (!subtitleRenditions) {
+      const { subtitleEmbedLanguages } = await chrome.storage.local.get([
+        "subtitleEmbedLanguages",
+      ]);
+      subtitleRenditions = subtitleCandidates.filter((rendition) =>
+        subtitleMatchesLanguages(rendition, subtitleEmbedLanguages),
+      );
+    }
+
+    // No #EXT-X-ENDLIST: record the stream as it grows (liveRecording.js)
+    const liveRecording = isLivePlaylist(mediaPlaylist);
+    let liveSettings = null;
+    if (liveRecording) {
+      liveSettings = await getLiveRecordingSettings();
+      const liveControllerInfo = downloadControllers.get(downloadId);
+      if (liveControllerInfo) {
+        // Stop (which keeps the recording) replaces pause
+        liveControllerInfo.live = true;
+        liveControllerInfo.canPause = false;
+      }
+      if (animation) {
+        throw new Error("Animated exports are not available for live streams");
+      }
+      if (clip) {
+        console.warn(
+          "Time-range clips are not supported for live streams, recording instead",
+        );
+        clip = null;
+      }
+      if (audioRenditions.length > 0) {
+        console.warn(
+          "Separate audio renditions are not recorded for live streams; only the variant's own audio is kept",
+        );
+        audioRenditions = [];
+      }
+      if (subtitleRenditions.length > 0) {
+        console.warn("Subtitles are not embedded in live recordings");
+        subtitleRenditions = [];
+      }
+    }
+
+    // Time-range clip: keep only the segments covering the window; FFmpeg trims the edges later
+    let clipVideoOffset = 0;
+    if (clip) {
+      const totalSegments = segments.length;
+      const clipped = selectSegmentsForClip(segments, clip);
+      segments = clipped.segments;
+      clipVideoOffset = clipped.startOffset;
+      console.log(
+        `✂️ Clip ${formatClipTime(clip.start)}-${clip.end === Infinity ? "end" : formatClipTime(clip.end)}: ${segments.length}/${totalSegments} segments (first starts at ${clipVideoOffset.toFixed(3)}s)`,
+      );
+    }
+
+    if (animation) {
+      const estimatedBytes = estimateSegmentBytes(
+        segments,
+        checkpointVariant?.bandwidth || null,
+      );
+      if (estimatedBytes > ANIMATION_MAX_SOURCE_BYTES) {
+        throw new Error(getAnimationTooLongMessage(estimatedBytes, true));
+      }
+    }
+
+    // Fail fast on encryption we can't decrypt (e.g. SAMPLE-AES)
+    assertSupportedEncryption(segments);
+    const isEncrypted = segments.some((seg) => seg.key);
+    if (isEncrypted) {
+      console.log(
+        "🔒 Playlist is AES-128 encrypted - segments will be decrypted after download",
+      );
+    }
+    // AES-128 keys are fetched once per key URI and shared across segments
+    const keyCache = new Map();
+
+    // Line up the same playlist on the other CDNs from master.json (cdnFailover.js) so
+    // segments can fall back to them; a live recording stays on the CDN it started on
+    let cdnPool = null;
+    if (!liveRecording) {
+      let cdnAlternates = [];
+      if (options.cdnFailover?.alternates?.length > 0 && cdnReference) {
+        await chrome.storage.local.set({
+          [`downloadStatus_${downloadId}`]: "Checking alternate CDNs...",
+        });
+        cdnAlternates = await loadCdnAlternates({
+          alternates: options.cdnFailover.alternates,
+          reference: cdnReference,
+          segments,
+          clip,
+          tabId,
+          abortController,
+        });
+        console.log(
+          `CDN failover: ${cdnAlternates.length}/${options.cdnFailover.alternates.length} alternate CDNs line up with the primary playlist`,
+        );
+      }
+      cdnPool = createCdnPool(
+        options.cdnFailover?.primary || getCdnName(mediaPlaylistUrl),
+        segments,
+        cdnAlternates,
+      );
+    }
+
+    // Checkpoint every segment so an interrupted download can resume; segments
+    // from an earlier attempt under the same downloadId are picked up here
+    let restoredSegments = [];
+    try {
+      if (liveRecording) {
+        // Recorded segments are appended as they arrive and loaded back once recording ends
+        checkpoint = await openLiveCheckpoint(downloadId, {
+          url: m3u8Url,
+          filename,
+          type: "hls",
+          tabId,
+        });
+      } else {
+        checkpoint = await openHlsCheckpoint(
+          downloadId,
+          {
+            url: m3u8Url,
+            filename,
+            type: "hls",
+            tabId,
+            clip: options.clip || null,
+            audioOnly: audioOnly,
+            animation,
+            subtitles: subtitleRenditions,
+            transcode,
+            metadata: options.metadata || null,
+            variant: checkpointVariant,
+            variantPolicy: checkpointVariantPolicy,
+          },
+          segments,
+        );
+        restoredSegments = await loadHlsCheckpointSegments(checkpoint);
+      }
+      checkpointWriter = await openHlsCheckpointWriter(checkpoint);
+    } catch (checkpointError) {
+      console.warn(
+        "Segment checkpointing unavailable, download will not be resumable:",
+        checkpointError.message,
+      );
+      checkpoint = null;
+      restoredSegments = [];
+    }
+
     // Detect if this is MPEG-TS (Transport Stream) or fMP4 (Fragmented MP4)
     // MPEG-TS uses .ts segments and doesn't need an init segment
     // fMP4 uses .m4s or .mp4 segments and requires an init segment
+    // An #EXT-X-MAP on any segment is authoritative; URL patterns are the fallback
+    const segmentsHaveMap = segments.some((seg) => seg.map);
     const isMPEGTS =
-      segments.length > 0 &&
-      segments.some((seg) => seg.includes(".ts") || seg.endsWith(".ts"));
+      !segmentsHaveMap &&
+      segments.some((seg) => seg.uri.includes(".ts"));
     const isFMP4 =
-      segments.length > 0 &&
+      segmentsHaveMap ||
       segments.some(
         (seg) =>
-          seg.includes(".m4s") ||
-          seg.includes("frag") ||
-          seg.includes("segment"),
+          seg.uri.includes(".m4s") ||
+          seg.uri.includes("frag") ||
+          seg.uri.includes("segment"),
       );
 
     if (isMPEGTS) {
@@ -792,24 +1882,28 @@ async function downloadAndMergeM3U8(
               tabId,
               abortController,
             );
+            const initRange = getByteRangeHeader(initSegmentByteRange);
+            if (initRange) {
+              fetchOptions.headers["Range"] = initRange;
+            }
             const initResponse = await fetch(initSegmentUrl, fetchOptions);
             if (initResponse.ok) {
-              const data = await initResponse.arrayBuffer();
+              const data = await decryptInitSegmentData(
+                await initResponse.arrayBuffer(),
+                initSegmentKey,
+                keyCache,
+                tabId,
+                abortController,
+              );
 
               // Validate init segment has proper structure
               if (data.byteLength < 8) {
                 throw new Error("Init segment is too small");
               }
 
-              const view = new Uint8Array(data);
-              const hasFtyp =
-                view[4] === 0x66 &&
-                view[5] === 0x74 &&
-                view[6] === 0x79 &&
-                view[7] === 0x70;
-
-              if (!hasFtyp) {
-                throw new Error("Init segment missing ftyp box");
+              const { initEnd, error: initError } = findInitSectionEnd(data);
+              if (initEnd === null) {
+                throw new Error(`Invalid init segment: ${initError}`);
               }
 
               console.log(
@@ -881,27 +1975,68 @@ async function downloadAndMergeM3U8(
     // If no init segment, the first segment might contain it
     // For now, we'll concatenate all segments and hope they're in a compatible format
 
-    // Download and merge segments in batches to reduce memory usage
-    // Process segments in batches of 10 to avoid loading everything into memory
-    // For very large videos (800+ segments), use smaller batches to avoid rate limiting
-    const batchSize = segments.length > 800 ? 5 : 10;
+    // Segments are fetched through a sliding window (see segmentScheduler.js):
+    // a slow segment only holds its own slot, and the number of parallel requests
+    // adapts to throughput, latency and 429/503 pushback from the server.
+    // Very large videos (800+ segments) start with fewer parallel requests.
+    const rateController = createSegmentRateController({
+      initial: segments.length > 800 ? 4 : 8,
+    });
     const segmentBlobs = []; // Store blobs instead of ArrayBuffers (more memory efficient)
-    const segmentData = []; // Store segment data with index for proper ordering
+    const segmentData = [...restoredSegments]; // Store segment data with index for proper ordering
     const failedSegments = []; // Track failed segments for retry
 
+    // Only segments that weren't restored from the checkpoint are fetched
+    // (a live recording picks its own segments as the playlist grows)
+    const restoredIndices = new Set(restoredSegments.map((s) => s.index));
+    const pendingIndices = [];
+    for (let i = 0; i < segments.length && !liveRecording; i++) {
+      if (!restoredIndices.has(i)) pendingIndices.push(i);
+    }
+    restoredSegments = [];
+
     console.log(
-      `Downloading ${segments.length} segments in batches of ${batchSize}...`,
+      liveRecording
+        ? `Recording live stream (${rateController.concurrency} parallel to start)...`
+        : restoredIndices.size > 0
+        ? `Resuming: ${restoredIndices.size} segments restored from checkpoint, downloading remaining ${pendingIndices.length} (${rateController.concurrency} parallel to start)...`
+        : `Downloading ${segments.length} segments (${rateController.concurrency} parallel to start)...`,
+    );
+
+    // Segments that stayed corrupt after every attempt: index -> {reason, cdn}
+    // (restored ones were stored as is by an earlier attempt and are still reported)
+    const corruptSegments = new Map(
+      Object.entries(checkpoint?.corrupt || {}).map(([index, corrupt]) => [
+        Number(index),
+        corrupt,
+      ]),
     );
+    const segmentFormat = isMPEGTS
+      ? "ts"
+      : isFMP4 || initSegmentUrl
+      ? "fmp4"
+      : null;
+
+    const checkpointSegment = async (segmentIndex, arrayBuffer, corrupt = null) => {
+      if (!checkpointWriter) return;
+      await checkpointWriter.save(segmentIndex, arrayBuffer, corrupt).catch(
+        (checkpointError) => {
+          console.warn(
+            `Could not checkpoint segment ${segmentIndex + 1}:`,
+            checkpointError.message,
+          );
+        },
+      );
+    };
 
     // Retry function for failed segment downloads (increased retries to 4 = 5 total attempts)
     const downloadSegmentWithRetry = async (
-      segmentUrl,
+      segment,
       segmentIndex,
       retries = 4,
     ) => {
-      // Fix segment URL encoding
-      const fixedSegmentUrl = fixUrlEncoding(segmentUrl);
-
+      // Last response that arrived but failed validation, kept if no attempt does better
+      let corruptResponse = null;
       for (let attempt = 0; attempt <= retries; attempt++) {
         // Check if cancelled before each attempt
         if (
@@ -911,20 +2046,85 @@ async function downloadAndMergeM3U8(
           throw new DOMException("Download cancelled", "AbortError");
         }
 
+        // Repeated failures move the segment on to the next CDN
+        const cdnSource = cdnPool
+          ? getCdnSegmentSource(cdnPool, segmentIndex, attempt)
+          : null;
+        const sourceSegment = cdnSource?.segment || segment;
+        if (cdnSource && attempt > 0 && sourceSegment !== segment) {
+          console.log(
+            `Segment ${segmentIndex + 1}: trying CDN ${cdnSource.source.name}`,
+          );
+        }
+        // Fix segment URL encoding
+        const fixedSegmentUrl = fixUrlEncoding(sourceSegment.uri);
+        const rangeHeader = getByteRangeHeader(sourceSegment.byteRange);
+
         try {
           const fetchOptions = await getFetchOptionsWithHeaders(
             fixedSegmentUrl,
             tabId,
             abortController,
           );
+          if (rangeHeader) {
+            fetchOptions.headers["Range"] = rangeHeader;
+          }
+          const requestStart = Date.now();
           const response = await fetch(fixedSegmentUrl, fetchOptions);
           if (!response.ok) {
             // Extract status code for better error handling
             const statusCode = response.status;
             const statusText = response.statusText || "";
+            if (statusCode === 429 || statusCode === 503) {
+              // Server pushback - shrink the window for every worker, not just this one
+              recordSegmentThrottle(
+                rateController,
+                parseRetryAfter(response.headers.get("Retry-After")),
+              );
+            } else if (statusCode >= 500) {
+              recordSegmentError(rateController);
+            }
             throw new Error(`HTTP ${statusCode}: ${statusText}`);
           }
-          const arrayBuffer = await response.arrayBuffer();
+          const responseData = await response.arrayBuffer();
+          const requestLatency = Date.now() - requestStart;
+          recordSegmentSuccess(
+            rateController,
+            responseData.byteLength,
+            requestLatency,
+          );
+          const arrayBuffer = await decryptSegmentData(
+            responseData,
+            sourceSegment,
+            keyCache,
+            tabId,
+            abortController,
+          );
+          // Truncated or garbled responses are re-fetched (segmentValidation.js)
+          const validation = validateSegmentData(arrayBuffer, {
+            format: segmentFormat,
+            hasMap: !!sourceSegment.map,
+            byteRange: sourceSegment.byteRange,
+          });
+          if (!validation.valid) {
+            corruptResponse = {
+              data: arrayBuffer,
+              reason: validation.reason,
+              cdn: cdnSource?.source.name || getCdnName(sourceSegment.uri),
+            };
+            throw new Error(`Corrupt segment: ${validation.reason}`);
+          }
+          if (cdnSource) {
+            recordCdnSuccess(
+              cdnPool,
+              cdnSource.source,
+              segmentIndex,
+              responseData.byteLength,
+              requestLatency,
+            );
+          }
+          corruptSegments.delete(segmentIndex);
+          await checkpointSegment(segmentIndex, arrayBuffer);
           return { success: true, data: arrayBuffer, index: segmentIndex };
         } catch (error) {
           // If cancelled, don't retry - throw immediately
@@ -935,7 +2135,30 @@ async function downloadAndMergeM3U8(
           ) {
             throw new DOMException("Download cancelled", "AbortError");
           }
+          if (cdnSource) recordCdnFailure(cdnPool, cdnSource.source);
 
+          if (attempt === retries && corruptResponse) {
+            // Every attempt failed or came back corrupt: keep the corrupt data rather
+            // than leave a gap, and list the segment in the download report
+            console.error(
+              `Segment ${segmentIndex + 1} still corrupt after ${retries + 1} attempts, keeping it as is:`,
+              corruptResponse.reason,
+            );
+            const corrupt = {
+              reason: corruptResponse.reason,
+              cdn: corruptResponse.cdn,
+            };
+            corruptSegments.set(segmentIndex, corrupt);
+            if (cdnPool) cdnPool.servedBy[segmentIndex] = corruptResponse.cdn;
+            // Flagged in the checkpoint, so a resume reports it instead of trusting it
+            await checkpointSegment(segmentIndex, corruptResponse.data, corrupt);
+            return {
+              success: true,
+              data: corruptResponse.data,
+              index: segmentIndex,
+              corrupt: true,
+            };
+          }
           if (attempt === retries) {
             // Last attempt failed - return failure info instead of throwing
             const errorMessage =
@@ -955,7 +2178,7 @@ async function downloadAndMergeM3U8(
             return {
               success: false,
               index: segmentIndex,
-              url: segmentUrl,
+              url: segment.uri,
               error: errorMessage,
             };
           }
@@ -1004,154 +2227,213 @@ async function downloadAndMergeM3U8(
       }
     };
 
-    // Download all segments in batches
-    for (
-      let batchStart = 0;
-      batchStart < segments.length;
-      batchStart += batchSize
-    ) {
-      // Calculate batch info first
-      const batchEnd = Math.min(batchStart + batchSize, segments.length);
-      const batchNumber = Math.floor(batchStart / batchSize) + 1;
-      const totalBatches = Math.ceil(segments.length / batchSize);
-
-      // Check if cancelled before each batch
-      if (
-        abortController.signal.aborted ||
-        (await isDownloadCancelled(downloadId))
-      ) {
-        throw new DOMException("Download cancelled", "AbortError");
-      }
-
-      console.log(
-        `Processing batch ${batchNumber}/${totalBatches} (segments ${batchStart + 1}-${batchEnd})...`,
+    // Tracks described by the init segment (parseInitSection), and segments that don't match them
+    let initTracks = null;
+    const unknownTrackSegments = [];
+    const findUnknownTracks = (index, data) => {
+      const initTrackIds = initTracks.map((track) => track.id);
+      const unknownIds = readFragmentTrackIds(data).filter(
+        (id) => !initTrackIds.includes(id),
       );
+      if (unknownIds.length > 0) {
+        unknownTrackSegments.push({ index, trackIds: unknownIds });
+      }
+    };
 
-      await chrome.storage.local.set({
-        [`downloadProgress_${downloadId}`]: Math.round(
-          (batchStart / segments.length) * 85,
-        ), // Up to 85% for initial downloading
-        [`downloadStatus_${downloadId}`]: `Downloading batch ${batchNumber}/${totalBatches} (${batchStart + 1}-${batchEnd}/${segments.length})`,
+    // Layout picked in the popup ("MP4 layout")
+    const { fragmentedMp4Output } = await chrome.storage.local.get([
+      "fragmentedMp4Output",
+    ]);
+    // With a chosen save location, output that needs no FFmpeg pass is written while the
+    // segments download (fileSystemSave.js): fMP4 as it is after its init segment, MPEG-TS
+    // through the streaming remuxer (regular MP4 only, whose header size is known up front).
+    // Every other mode (and live recordings) is written to it once finished, see the save page
+    const mergedFilename = getMergedFilename(filename, isMPEGTS);
+    const streamedAsIs = !isMPEGTS && !!initSegmentData;
+    const streamedRemux =
+      isMPEGTS && !/\.mp4$/i.test(mergedFilename) && !fragmentedMp4Output;
+    let streamFilename = null;
+    if (
+      !liveRecording &&
+      (streamedAsIs || streamedRemux) &&
+      (await getSaveLocationSettings()).mode !== "downloads" &&
+      audioRenditions.length === 0 &&
+      !subtitleRenditions?.length &&
+      !clip &&
+      !audioOnly &&
+      !transcode &&
+      !animation
+    ) {
+      const cover = await fetchCoverArt(options.metadata?.coverUrl);
+      let header = null;
+      if (streamedAsIs) {
+        const initInfo = parseInitSection(initSegmentData);
+        if (!initInfo.error) initTracks = initInfo.tracks;
+        header = (!initInfo.error &&
+          addMp4Metadata(
+            new Uint8Array(initSegmentData),
+            options.metadata || null,
+            cover,
+          )) || [new Uint8Array(initSegmentData)];
+      }
+      streamFilename = streamedRemux
+        ? mergedFilename.replace(/\.(ts|mpegts|mkv|webm)$/i, ".mp4")
+        : mergedFilename;
+      fileSaveStream = createHlsFileSaveStream({
+        downloadId,
+        filename: streamFilename,
+        setupOffscreenDocument,
+        header,
+        remux: streamedRemux
+          ? { metadata: options.metadata || null, cover }
+          : null,
+        onSegment: initTracks ? findUnknownTracks : null,
       });
-
-      // Download segments in this batch - use allSettled to continue even if some fail
-      const batchPromises = [];
-      for (let i = batchStart; i < batchEnd; i++) {
-        const segmentUrl = segments[i];
-        const segmentIndex = i;
-        batchPromises.push(downloadSegmentWithRetry(segmentUrl, segmentIndex));
+      for (const segment of segmentData) {
+        await fileSaveStream.add(segment);
       }
+    }
 
-      // Wait for batch with periodic cancellation checks (every 50ms)
-      let checkInterval;
-      const batchResults = await new Promise(async (resolve, reject) => {
-        let cancelled = false;
-
-        // Monitor for cancellation while batch is downloading
-        checkInterval = setInterval(() => {
-          if (abortController.signal.aborted) {
-            cancelled = true;
-            clearInterval(checkInterval);
-            reject(new DOMException("Download cancelled", "AbortError"));
-            return;
-          }
-
-          isDownloadCancelled(downloadId)
-            .then((isCancelled) => {
-              if (isCancelled && !cancelled) {
-                cancelled = true;
-                clearInterval(checkInterval);
-                if (!abortController.signal.aborted) {
-                  abortController.abort();
-                }
-                reject(new DOMException("Download cancelled", "AbortError"));
-              }
-            })
-            .catch(() => {});
-        }, 50);
-
-        try {
-          const results = await Promise.allSettled(batchPromises);
-          clearInterval(checkInterval);
-
-          if (
-            !cancelled &&
-            (abortController.signal.aborted ||
-              (await isDownloadCancelled(downloadId)))
-          ) {
-            reject(new DOMException("Download cancelled", "AbortError"));
-          } else if (!cancelled) {
-            resolve(results);
-          }
-        } catch (error) {
-          clearInterval(checkInterval);
-          if (
-            error.name === "AbortError" ||
-            error.message === "Download cancelled"
-          ) {
-            reject(error);
-          } else if (
-            abortController.signal.aborted ||
-            (await isDownloadCancelled(downloadId))
-          ) {
-            reject(new DOMException("Download cancelled", "AbortError"));
-          } else {
-            reject(error);
+    // Download all (pending) segments through the adaptive window
+    // Cancellation is flagged in storage by cancelDownload; poll it and abort
+    // in-flight requests so the window stops promptly
+    const cancelCheckInterval = setInterval(() => {
+      if (abortController.signal.aborted) return;
+      isDownloadCancelled(downloadId)
+        .then((isCancelled) => {
+          if (isCancelled && !abortController.signal.aborted) {
+            abortController.abort();
           }
-        }
-      }).catch((error) => {
-        if (checkInterval) clearInterval(checkInterval);
-        throw error;
-      });
+        })
+        .catch(() => {});
+    }, 50);
 
-      // Process results - collect successful segments and track failures
-      const batchSegmentData = [];
-      for (let i = 0; i < batchResults.length; i++) {
-        const result = batchResults[i];
-        if (result.status === "fulfilled" && result.value.success) {
-          batchSegmentData.push(result.value);
-        } else {
-          // Segment failed - add to failed list for retry
-          const segmentIndex = batchStart + i;
-          const segmentUrl = segments[segmentIndex];
-          const errorInfo =
-            result.status === "fulfilled"
-              ? result.value
-              : {
-                  index: segmentIndex,
-                  url: segmentUrl,
-                  error: result.reason?.message || "Unknown error",
-                };
-          failedSegments.push(errorInfo);
-          const failedSegmentNum =
-            errorInfo.index !== undefined
-              ? errorInfo.index + 1
-              : segmentIndex + 1;
-          console.warn(
-            `Segment ${failedSegmentNum} failed in batch ${batchNumber}, will retry later`,
+    let completedCount = 0;
+    let lastStatusUpdate = 0;
+    let windowResults;
+    try {
+      if (liveRecording) {
+        const recording = await recordLiveStream({
+          playlistUrl: mediaPlaylistUrl,
+          playlist: mediaPlaylist,
+          downloadId,
+          abortController,
+          tabId,
+          checkpoint,
+          settings: liveSettings,
+          rateController,
+          downloadSegment: async (segment, segmentIndex) => {
+            if (checkpoint) {
+              // Saved with the segment, so a resumed recording knows what it holds
+              checkpoint.liveSegments[segmentIndex] = segment;
+              checkpoint.segmentCount = Math.max(
+                checkpoint.segmentCount,
+                segmentIndex + 1,
+              );
+            }
+            const result = await downloadSegmentWithRetry(
+              segment,
+              segmentIndex,
+            );
+            // Recorded data stays in the checkpoint until the merge instead of piling up in memory
+            return checkpoint && result.success
+              ? { success: true, index: segmentIndex, stored: true }
+              : result;
+          },
+        });
+        segments = recording.segments;
+        if (segments.length === 0) {
+          throw new Error(
+            "The live stream ended before anything was recorded",
           );
         }
+        const storedSegments = checkpoint
+          ? await loadHlsCheckpointSegments(checkpoint)
+          : [];
+        windowResults = [
+          ...storedSegments,
+          ...recording.results.filter((result) => !result.stored),
+        ].sort((a, b) => a.index - b.index);
+        const endText = {
+          stopped: "Recording stopped",
+          limit: "Recording time limit reached",
+          ended: "Live stream ended",
+        }[recording.endReason];
+        await chrome.storage.local.set({
+          [`downloadSegments_${downloadId}`]: segments.length,
+          [`downloadProgress_${downloadId}`]: 85,
+          [`downloadStatus_${downloadId}`]: `${endText}: ${formatClipTime(recording.recordedDuration)} recorded, merging...`,
+        });
+      } else {
+        windowResults = await runSegmentWindow(
+          pendingIndices,
+          async (segmentIndex) => {
+            const result = await downloadSegmentWithRetry(
+              segments[segmentIndex],
+              segmentIndex,
+            );
+            // The slot is held until the segment is written (or waits behind an earlier one)
+            if (fileSaveStream) await fileSaveStream.add(result);
+            return result;
+          },
+          rateController,
+          {
+            shouldStop: () => abortController.signal.aborted,
+            onResult: (result) => {
+              completedCount++;
+              if (!result.success) {
+                console.warn(
+                  `Segment ${result.index + 1} failed, will retry later`,
+                );
+              }
+              // Storage writes are throttled; the window can finish several segments per tick
+              const now = Date.now();
+              if (
+                now - lastStatusUpdate < 500 &&
+                completedCount < pendingIndices.length
+              ) {
+                return;
+              }
+              lastStatusUpdate = now;
+              const doneCount = restoredIndices.size + completedCount;
+              chrome.storage.local
+                .set({
+                  [`downloadProgress_${downloadId}`]: Math.round(
+                    (doneCount / segments.length) * 85,
+                  ), // Up to 85% for initial downloading
+                  [`downloadStatus_${downloadId}`]: `Downloading segments ${doneCount}/${segments.length} (${rateController.concurrency} parallel)`,
+                })
+                .catch(() => {});
+            },
+          },
+        );
       }
+    } finally {
+      clearInterval(cancelCheckInterval);
+    }
 
-      // Sort by index to maintain order
-      batchSegmentData.sort((a, b) => a.index - b.index);
-
-      // Store successful segments
-      segmentData.push(...batchSegmentData);
+    if (
+      abortController.signal.aborted ||
+      (await isDownloadCancelled(downloadId))
+    ) {
+      throw new DOMException("Download cancelled", "AbortError");
+    }
 
-      // Check if cancelled after batch download
-      if (
-        abortController.signal.aborted ||
-        (await isDownloadCancelled(downloadId))
-      ) {
-        throw new DOMException("Download cancelled", "AbortError");
+    // Results come back sorted by index, so segment order is preserved for the merge
+    for (const result of windowResults) {
+      if (result.success) {
+        segmentData.push(result);
+      } else {
+        failedSegments.push({
+          index: result.index,
+          url: result.url || segments[result.index].uri,
+          error: result.error,
+        });
       }
-
-      // Add a small delay between batches to avoid rate limiting
-      // Longer delay for large videos to be more respectful to the server
-      const batchDelay = segments.length > 500 ? 200 : 100;
-      await new Promise((resolve) => setTimeout(resolve, batchDelay));
     }
+    console.log(
+      `Segment window finished: ${windowResults.length - failedSegments.length}/${windowResults.length} downloaded, final window ${rateController.concurrency}, ${rateController.throttleCount} throttled responses`,
+    );
 
     // Retry failed segments with more attempts
     if (failedSegments.length > 0) {
@@ -1185,7 +2467,7 @@ async function downloadAndMergeM3U8(
         if (idx > 0) {
           await new Promise((resolve) => setTimeout(resolve, idx * 200)); // Increased stagger delay
         }
-        return downloadSegmentWithRetry(failed.url, failed.index, 6); // 7 total attempts for retries
+        return downloadSegmentWithRetry(segments[failed.index], failed.index, 6); // 7 total attempts for retries
       });
 
       const retryResults = await Promise.allSettled(retryPromises);
@@ -1204,6 +2486,7 @@ async function downloadAndMergeM3U8(
         const result = retryResults[i];
         if (result.status === "fulfilled" && result.value.success) {
           segmentData.push(result.value);
+          if (fileSaveStream) await fileSaveStream.add(result.value);
           recoveredCount++;
           console.log(
             `Successfully recovered segment ${result.value.index + 1}`,
@@ -1245,6 +2528,11 @@ async function downloadAndMergeM3U8(
       }
     }
 
+    // Everything is fetched; from here on the download can only be cancelled
+    if (checkpointWriter) await checkpointWriter.close();
+    const fetchedControllerInfo = downloadControllers.get(downloadId);
+    if (fetchedControllerInfo) fetchedControllerInfo.canPause = false;
+
     // Check if we have enough segments to proceed
     if (segmentData.length === 0) {
       throw new Error(
@@ -1327,6 +2615,22 @@ async function downloadAndMergeM3U8(
       throw new Error(errorMsg);
     }
 
+    // Where each segment came from, for the download report
+    const segmentSources = segments.map((seg, i) => {
+      if (!downloadedIndices.has(i)) return "missing";
+      if (cdnPool?.servedBy[i]) return cdnPool.servedBy[i];
+      if (restoredIndices.has(i)) return "checkpoint";
+      return getCdnName(seg.uri);
+    });
+
+    if (corruptSegments.size > 0) {
+      const corruptMsg = `Warning: ${corruptSegments.size} segments stayed corrupt after re-fetching and may glitch (listed in the download report)`;
+      console.warn(corruptMsg, [...corruptSegments.keys()].map((i) => i + 1));
+      await chrome.storage.local.set({
+        [`downloadStatus_${downloadId}`]: corruptMsg,
+      });
+    }
+
     // Warn if some segments are missing but proceed (only if we passed all checks)
     if (missingIndices.length > 0 && successRate >= 0.98) {
       const warningMsg = `Warning: ${missingIndices.length} segments missing (${segmentData.length}/${segments.length} downloaded). Video should play but may have minor glitches.`;
@@ -1336,37 +2640,230 @@ async function downloadAndMergeM3U8(
       });
     }
 
-    // Ensure segments are in consecutive order
-    // For fMP4, missing segments can break playback, so we need to be careful
-    const orderedSegments = [];
-    let lastIndex = -1;
-
-    for (const segment of segmentData) {
-      // Check for gaps
-      if (segment.index > lastIndex + 1) {
-        const gapSize = segment.index - lastIndex - 1;
+    // Ensure segments are in consecutive order
+    // For fMP4, missing segments can break playback, so we need to be careful
+    const orderedSegments = [];
+    let lastIndex = -1;
+
+    for (const segment of segmentData) {
+      // Check for gaps
+      if (segment.index > lastIndex + 1) {
+        const gapSize = segment.index - lastIndex - 1;
+        console.warn(
+          `Gap detected: missing ${gapSize} segment(s) between index ${lastIndex} and ${segment.index}`,
+        );
+        // If we have gaps, the file might not play - but we've already validated above
+      }
+      orderedSegments.push(segment);
+      lastIndex = segment.index;
+    }
+
+    // Validate that we have the first segment (critical for playback)
+    if (orderedSegments.length === 0 || orderedSegments[0].index !== 0) {
+      throw new Error(
+        "First segment is missing. Video cannot be played without the initial segment.",
+      );
+    }
+
+    // Validate that we have at least the first 5 segments consecutively
+    for (let i = 0; i < Math.min(5, segments.length); i++) {
+      if (!downloadedIndices.has(i)) {
+        throw new Error(
+          `Critical segment ${i + 1} is missing. Video cannot be played without the initial segments.`,
+        );
+      }
+    }
+
+    // Download separate audio renditions so they can be muxed into the MP4
+    // The first (DEFAULT) track is required; extra language tracks are best-effort
+    const audioTracks = [];
+    for (let r = 0; r < audioRenditions.length; r++) {
+      const rendition = audioRenditions[r];
+      const trackLabel =
+        rendition.name || rendition.language || `track ${r + 1}`;
+      try {
+        await chrome.storage.local.set({
+          [`downloadStatus_${downloadId}`]: `Downloading audio (${trackLabel})...`,
+        });
+        const audio = await downloadRenditionPlaylist(
+          rendition.uri,
+          downloadId,
+          abortController,
+          tabId,
+          keyCache,
+          (done, total) => {
+            if (done % 20 === 0 || done === total) {
+              chrome.storage.local.set({
+                [`downloadStatus_${downloadId}`]: `Downloading audio (${trackLabel}) ${done}/${total}...`,
+              });
+            }
+          },
+          clip,
+        );
+        const audioBlobId = `audio_${downloadId}_${r}`;
+        await putBufferInIDB(audioBlobId, await audio.blob.arrayBuffer());
+        audioTracks.push({
+          blobId: audioBlobId,
+          extension: audio.extension,
+          language: rendition.language,
+          name: rendition.name,
+          isDefault: r === 0,
+          startOffset: audio.startOffset,
+          corruptSegments: audio.corruptSegments,
+        });
+        console.log(
+          `✅ Audio rendition downloaded: ${trackLabel} (${Math.round(audio.blob.size / 1024)}KB, .${audio.extension})`,
+        );
+      } catch (audioError) {
+        if (
+          audioError.name === "AbortError" ||
+          abortController.signal.aborted
+        ) {
+          throw audioError;
+        }
+        if (r === 0) {
+          audioTracks.forEach((t) => cleanupIndexedDBBlob(t.blobId));
+          throw new Error(
+            `Failed to download audio track (${trackLabel}): ${audioError.message}`,
+          );
+        }
+        console.warn(
+          `Skipping audio rendition ${trackLabel}:`,
+          audioError.message,
+        );
+      }
+    }
+
+    // Subtitles to embed are stitched onto the video's timeline (from its first segment) and
+    // stored as WebVTT for FFmpeg; a subtitle that fails is left out
+    const subtitleTracks = [];
+    for (let t = 0; t < subtitleRenditions.length; t++) {
+      const rendition = subtitleRenditions[t];
+      const trackLabel =
+        rendition.name || rendition.language || `track ${t + 1}`;
+      try {
+        await chrome.storage.local.set({
+          [`downloadStatus_${downloadId}`]: `Downloading subtitles (${trackLabel})...`,
+        });
+        const cues = await fetchSubtitleCues(rendition.uri, tabId);
+        if (cues.length === 0) continue;
+        const subtitleBlobId = `subtitle_${downloadId}_${t}`;
+        await putBufferInIDB(
+          subtitleBlobId,
+          new TextEncoder().encode(cuesToWebVtt(cues)).buffer,
+        );
+        subtitleTracks.push({
+          blobId: subtitleBlobId,
+          language: rendition.language,
+          name: rendition.name,
+          isDefault: !!rendition.isDefault,
+          forced: !!rendition.forced,
+          startOffset: Math.min(...cues.map((cue) => cue.start)),
+        });
+      } catch (subtitleError) {
+        if (abortController.signal.aborted) throw subtitleError;
         console.warn(
-          `Gap detected: missing ${gapSize} segment(s) between index ${lastIndex} and ${segment.index}`,
+          `Skipping subtitles ${trackLabel}:`,
+          subtitleError.message,
         );
-        // If we have gaps, the file might not play - but we've already validated above
       }
-      orderedSegments.push(segment);
-      lastIndex = segment.index;
     }
 
-    // Validate that we have the first segment (critical for playback)
-    if (orderedSegments.length === 0 || orderedSegments[0].index !== 0) {
-      throw new Error(
-        "First segment is missing. Video cannot be played without the initial segment.",
-      );
-    }
+    // Report, checkpoint and status cleanup once the file is saved
+    const completeDownload = (savedFilename) => {
+      if (cdnPool) {
+        console.log(`CDN usage: ${describeCdnUsage(cdnPool)}`);
+      }
+      saveDownloadReport({
+        downloadId,
+        filename: savedFilename,
+        url: m3u8Url,
+        segmentCount: segments.length,
+        cdnUsage: cdnPool ? describeCdnUsage(cdnPool) : null,
+        codecs: initTracks ? describeInitTracks(initTracks) : null,
+        parts: [
+          ...(initSegmentUrl
+            ? [{ part: "init segment", cdn: getCdnName(initSegmentUrl) }]
+            : []),
+          ...summarizeSegmentSources(segmentSources),
+          ...audioRenditions.map((rendition) => ({
+            part: `audio${rendition.language ? ` (${rendition.language})` : ""}`,
+            cdn: getCdnName(rendition.uri),
+          })),
+        ],
+        // Segments that couldn't be fixed by re-fetching
+        unfixableSegments: [
+          ...missingIndices.map((index) => ({
+            part: `segment ${index + 1}`,
+            reason: "could not be downloaded",
+          })),
+          ...[...corruptSegments.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([index, corrupt]) => ({
+              part: `segment ${index + 1}`,
+              cdn: corrupt.cdn,
+              reason: corrupt.reason,
+            })),
+          ...unknownTrackSegments.map((segment) => ({
+            part: `segment ${segment.index + 1}`,
+            reason: `track ID ${segment.trackIds.join(", ")} not in init segment`,
+          })),
+          ...audioTracks.flatMap((track) =>
+            (track.corruptSegments || []).map((corrupt) => ({
+              part: `audio${track.language ? ` (${track.language})` : ""} segment ${corrupt.segment}`,
+              reason: corrupt.reason,
+            })),
+          ),
+        ],
+      }).catch((reportError) => {
+        console.warn("Failed to save download report:", reportError.message);
+      });
+      if (checkpoint) {
+        deleteHlsCheckpoint(downloadId).catch((checkpointError) => {
+          console.warn("Failed to delete download checkpoint:", checkpointError);
+        });
+      }
 
-    // Validate that we have at least the first 5 segments consecutively
-    for (let i = 0; i < Math.min(5, segments.length); i++) {
-      if (!downloadedIndices.has(i)) {
-        throw new Error(
-          `Critical segment ${i + 1} is missing. Video cannot be played without the initial segments.`,
+      // Clean up ALL download-related storage keys after delay
+      // Keep progress/status visible for 15s so polling can detect completion, then remove everything
+      setTimeout(() => {
+        chrome.storage.local.remove(
+          [
+            `downloadProgress_${downloadId}`,
+            `downloadStatus_${downloadId}`,
+            `downloadInfo_${downloadId}`,
+            `downloadCancelled_${downloadId}`,
+            `downloadSegments_${downloadId}`,
+            `blobReady_${downloadId}`, // Also clean up blob ready flag if it exists
+          ],
+          () => {
+            if (chrome.runtime.lastError) {
+              console.error(
+                "Error cleaning up download storage:",
+                chrome.runtime.lastError,
+              );
+            } else {
+              console.log(
+                "Cleaned up all download storage from downloadM3U8:",
+                downloadId,
+              );
+            }
+          },
         );
+      }, 15000);
+    };
+
+    // Written to the chosen file while downloading: only its end is left to write
+    if (fileSaveStream) {
+      const saved = await fileSaveStream.finish(segments.length);
+      fileSaveStream = null;
+      if (saved) {
+        await chrome.storage.local.set({
+          [`downloadProgress_${downloadId}`]: 100,
+          [`downloadStatus_${downloadId}`]: "Download complete!",
+        });
+        completeDownload(streamFilename);
+        return;
       }
     }
 
@@ -1393,8 +2890,27 @@ async function downloadAndMergeM3U8(
       }
     }
 
+    // Where each segment starts on the source timeline; a batch's range goes with it so a
+    // large download converted in parts can line the separate tracks and the clip up with it
+    const segmentStarts = [];
+    segments.reduce((position, seg, i) => {
+      segmentStarts[i] = position;
+      return position + (seg.duration || 0);
+    }, clipVideoOffset);
+    const getBatchRange = (batchSegments) => {
+      const last = batchSegments[batchSegments.length - 1].index;
+      return {
+        start: segmentStarts[batchSegments[0].index],
+        end: segmentStarts[last] + (segments[last].duration || 0),
+      };
+    };
+    const segmentBlobRanges = [];
+
     // Create blobs in batches to avoid memory issues
     // Filter out empty segments (e.g., first segment if used as init)
+    const validSegments = orderedSegments.filter(
+      (seg, i) => segmentBuffers[i].byteLength > 0,
+    );
     const validSegmentBuffers = segmentBuffers.filter(
       (buf) => buf.byteLength > 0,
     );
@@ -1408,6 +2924,7 @@ async function downloadAndMergeM3U8(
       );
       const batchBlob = new Blob(batch, { type: segmentMimeType });
       segmentBlobs.push(batchBlob);
+      segmentBlobRanges.push(getBatchRange(validSegments.slice(i, i + blobBatchSize)));
     }
 
     console.log("Merging segment batches...");
@@ -1421,6 +2938,8 @@ async function downloadAndMergeM3U8(
     // However, Dailymotion's segments might work if we include the init segment
 
     const finalBlobs = [];
+    // Source time range of each final blob (null for the init segment)
+    const finalBlobRanges = [];
 
     // Init segment is CRITICAL for fMP4 playback - it contains the moov atom with metadata
     // QuickTime REQUIRES a valid MP4 structure starting with ftyp box
@@ -1435,153 +2954,51 @@ async function downloadAndMergeM3U8(
 
       if (segmentBuffers.length > 0 && segmentBuffers[0]) {
         const firstSegment = segmentBuffers[0];
-        if (firstSegment.byteLength >= 8) {
-          const firstView = new Uint8Array(firstSegment);
-          const firstHasFtyp =
-            firstView[4] === 0x66 &&
-            firstView[5] === 0x74 &&
-            firstView[6] === 0x79 &&
-            firstView[7] === 0x70;
-
-          if (firstHasFtyp) {
-            console.log(
-              "✅ First segment contains ftyp box - extracting init data (workaround)",
-            );
-
-            // Find moov atom in first segment (contains metadata)
-            // moov atom signature: 0x6D6F6F76 = "moov"
-            let moovStart = -1;
-            let moovEnd = -1;
-            const searchLimit = Math.min(firstSegment.byteLength, 500 * 1024); // Search first 500KB
-
-            for (let i = 8; i < searchLimit - 8; i++) {
-              if (
-                firstView[i] === 0x6d &&
-                firstView[i + 1] === 0x6f &&
-                firstView[i + 2] === 0x6f &&
-                firstView[i + 3] === 0x76
-              ) {
-                // Found moov, get its size (4 bytes before)
-                if (i >= 4) {
-                  const moovSizeBytes = new Uint8Array(
-                    firstSegment.slice(i - 4, i),
-                  );
-                  const moovSize =
-                    (moovSizeBytes[0] << 24) |
-                    (moovSizeBytes[1] << 16) |
-                    (moovSizeBytes[2] << 8) |
-                    moovSizeBytes[3];
-                  moovStart = i - 4;
-                  moovEnd = moovStart + moovSize;
-                  console.log(
-                    `Found moov atom at offset ${moovStart}, size: ${moovSize} bytes`,
-                  );
-                  break;
-                }
-              }
-            }
-
-            if (moovStart !== -1 && moovEnd <= firstSegment.byteLength) {
-              // Extract ftyp + moov (everything up to and including moov)
-              initSegmentData = firstSegment.slice(0, moovEnd);
-              useFirstSegmentAsInit = true;
-              console.log(
-                `Extracted init data: ${moovEnd} bytes (ftyp + moov)`,
-              );
-
-              // Remove the init portion from first segment to avoid duplication
-              if (moovEnd < firstSegment.byteLength) {
-                segmentBuffers[0] = firstSegment.slice(moovEnd);
-
-                // Recreate segmentBlobs since we modified segmentBuffers
-                segmentBlobs.length = 0;
-                for (let i = 0; i < segmentBuffers.length; i += blobBatchSize) {
-                  const batch = segmentBuffers.slice(
-                    i,
-                    Math.min(i + blobBatchSize, segmentBuffers.length),
-                  );
-                  const batchBlob = new Blob(batch, { type: "video/mp4" });
-                  segmentBlobs.push(batchBlob);
-                }
-              } else {
-                // Init data is entire first segment - create empty buffer for first segment
-                // This keeps the segment count correct
-                segmentBuffers[0] = new ArrayBuffer(0);
-                console.warn(
-                  "⚠️ First segment was entirely init data - segment will be empty but count preserved",
-                );
+        // Walk the boxes rather than search for "moov": the name can occur in sample data
+        const { initEnd, error: initError } = findInitSectionEnd(firstSegment);
 
-                // Recreate blobs
-                segmentBlobs.length = 0;
-                for (let i = 0; i < segmentBuffers.length; i += blobBatchSize) {
-                  const batch = segmentBuffers.slice(
-                    i,
-                    Math.min(i + blobBatchSize, segmentBuffers.length),
-                  );
-                  const batchBlob = new Blob(batch, { type: "video/mp4" });
-                  segmentBlobs.push(batchBlob);
-                }
-              }
-            } else {
-              // Moov not found, use first 200KB as fallback (should contain ftyp + moov)
-              console.warn(
-                "⚠️ Could not find moov atom, using first 200KB as init data",
-              );
-              const initSize = Math.min(200 * 1024, firstSegment.byteLength);
-              initSegmentData = firstSegment.slice(0, initSize);
-              useFirstSegmentAsInit = true;
-
-              if (initSize < firstSegment.byteLength) {
-                segmentBuffers[0] = firstSegment.slice(initSize);
-                // Recreate blobs
-                segmentBlobs.length = 0;
-                for (let i = 0; i < segmentBuffers.length; i += blobBatchSize) {
-                  const batch = segmentBuffers.slice(
-                    i,
-                    Math.min(i + blobBatchSize, segmentBuffers.length),
-                  );
-                  const batchBlob = new Blob(batch, { type: "video/mp4" });
-                  segmentBlobs.push(batchBlob);
-                }
-              } else {
-                // Init data is entire first segment - create empty buffer
-                segmentBuffers[0] = new ArrayBuffer(0);
-                console.warn(
-                  "⚠️ First segment was entirely init data - segment will be empty but count preserved",
-                );
+        if (initEnd !== null) {
+          console.log(
+            `✅ First segment starts with ftyp + moov (${initEnd} bytes) - extracting init data (workaround)`,
+          );
+          initSegmentData = firstSegment.slice(0, initEnd);
+          useFirstSegmentAsInit = true;
 
-                // Recreate blobs
-                segmentBlobs.length = 0;
-                for (let i = 0; i < segmentBuffers.length; i += blobBatchSize) {
-                  const batch = segmentBuffers.slice(
-                    i,
-                    Math.min(i + blobBatchSize, segmentBuffers.length),
-                  );
-                  const batchBlob = new Blob(batch, { type: "video/mp4" });
-                  segmentBlobs.push(batchBlob);
-                }
-              }
-            }
+          // Remove the init portion from first segment to avoid duplication
+          // (an empty first segment keeps the segment count correct)
+          if (initEnd < firstSegment.byteLength) {
+            segmentBuffers[0] = firstSegment.slice(initEnd);
           } else {
-            // No ftyp in first segment - warn but allow download to proceed (might work in VLC)
+            segmentBuffers[0] = new ArrayBuffer(0);
             console.warn(
-              "⚠️ First segment does not contain ftyp box - file may not play in QuickTime Player but should work in VLC",
+              "⚠️ First segment was entirely init data - segment will be empty but count preserved",
+            );
+          }
+
+          // Recreate segmentBlobs since we modified segmentBuffers
+          segmentBlobs.length = 0;
+          segmentBlobRanges.length = 0;
+          for (let i = 0; i < segmentBuffers.length; i += blobBatchSize) {
+            const batch = segmentBuffers.slice(
+              i,
+              Math.min(i + blobBatchSize, segmentBuffers.length),
+            );
+            const batchBlob = new Blob(batch, { type: "video/mp4" });
+            segmentBlobs.push(batchBlob);
+            segmentBlobRanges.push(
+              getBatchRange(orderedSegments.slice(i, i + blobBatchSize)),
             );
-            await chrome.storage.local.set({
-              [`downloadStatus_${downloadId}`]:
-                "Warning: No init segment found. File may not play in QuickTime Player but should work in VLC.",
-            });
-            // Continue without init segment - some players can handle it
           }
         } else {
-          // First segment too small - warn but proceed
+          // No init section in first segment - warn but allow download to proceed (might work in VLC)
           console.warn(
-            "⚠️ First segment is too small - file may not play in QuickTime Player but should work in VLC",
+            `⚠️ First segment has no init section (${initError}) - file may not play in QuickTime Player but should work in VLC`,
           );
           await chrome.storage.local.set({
             [`downloadStatus_${downloadId}`]:
               "Warning: No init segment found. File may not play in QuickTime Player but should work in VLC.",
           });
+          // Continue without init segment - some players can handle it
         }
       } else {
         // No segments available - this is a real problem
@@ -1606,45 +3023,58 @@ async function downloadAndMergeM3U8(
         );
       }
 
-      // Validate init segment has proper MP4 structure
-      const initView = new Uint8Array(initSegmentData);
-      if (initView.length < 8) {
-        throw new Error(
-          "Init segment is too small. Video cannot be played without proper initialization data.",
-        );
-      }
-
-      // Check if init segment starts with ftyp box (required for QuickTime)
-      // MP4 file structure: [4 bytes size][4 bytes type] where type should be "ftyp" at offset 4
-      // ftyp box: 0x66747970 = "ftyp"
-      const initHasFtyp =
-        initView.length >= 8 &&
-        initView[4] === 0x66 &&
-        initView[5] === 0x74 &&
-        initView[6] === 0x79 &&
-        initView[7] === 0x70;
+      // Validate init segment structure (ftyp + moov with tracks) and read its codecs
+      const initInfo = parseInitSection(initSegmentData);
 
-      if (!initHasFtyp) {
+      if (initInfo.error) {
         // Warn but don't fail - file might still work in VLC
         console.warn(
-          "⚠️ Init segment does not have valid ftyp box - file may not play in QuickTime Player",
+          `⚠️ Init segment structure is invalid (${initInfo.error}) - file may not play in QuickTime Player`,
         );
         await chrome.storage.local.set({
           [`downloadStatus_${downloadId}`]:
             "Warning: Init segment structure may be invalid. File may not play in QuickTime Player but should work in VLC.",
         });
       } else {
-        if (useFirstSegmentAsInit) {
-          console.log(
-            "✅ Using first segment as init (workaround) - QuickTime compatible",
-          );
-        } else {
-          console.log(
-            "✅ Init segment has valid ftyp box - QuickTime compatible",
+        initTracks = initInfo.tracks;
+        console.log(
+          `✅ ${useFirstSegmentAsInit ? "Using first segment as init (workaround)" : "Init segment is valid"} - QuickTime compatible. Tracks: ${describeInitTracks(initTracks)}`,
+        );
+
+        // Fragments for a track the init doesn't describe can't be decoded
+        segmentBuffers.forEach((buffer, i) =>
+          findUnknownTracks(orderedSegments[i].index, buffer),
+        );
+        if (unknownTrackSegments.length > 0) {
+          console.warn(
+            `⚠️ ${unknownTrackSegments.length} segment(s) use track IDs missing from the init segment (init tracks: ${initTracks.map((track) => track.id).join(", ")})`,
+            unknownTrackSegments,
           );
+          await chrome.storage.local.set({
+            [`downloadStatus_${downloadId}`]: `Warning: ${unknownTrackSegments.length} segment(s) don't match the init segment's tracks and may not play.`,
+          });
         }
       }
-      finalBlobs.push(new Blob([initSegmentData], { type: "video/mp4" }));
+      // fMP4 saved as is gets its tags in the init segment's moov; fragments address their
+      // data from their own moof, so nothing after it has to move. Output that goes
+      // through FFmpeg (separate audio, clip, audio only, transcoding) is tagged there instead.
+      const savedAsIs =
+        audioTracks.length === 0 &&
+        subtitleTracks.length === 0 &&
+        !clip &&
+        !audioOnly &&
+        !transcode;
+      const taggedInit = initInfo.error || !savedAsIs
+        ? null
+        : addMp4Metadata(
+            new Uint8Array(initSegmentData),
+            options.metadata || null,
+            await fetchCoverArt(options.metadata?.coverUrl),
+          );
+      finalBlobs.push(
+        new Blob(taggedInit || [initSegmentData], { type: "video/mp4" }),
+      );
+      finalBlobRanges.push(null);
     } else if (!isMPEGTS) {
       // No init segment at all - warn but proceed (might work in VLC)
       // Skip warning for MPEG-TS - it doesn't need an init segment
@@ -1666,8 +3096,11 @@ async function downloadAndMergeM3U8(
     // Note: For fMP4, each segment is a complete fragment (moof + mdat)
     // Concatenating them should work for some players, but may not be fully compatible
     // Missing segments can cause playback issues, so we've already validated above
-    const validSegmentBlobs = segmentBlobs.filter((blob) => blob.size > 0);
-    finalBlobs.push(...validSegmentBlobs);
+    segmentBlobs.forEach((blob, i) => {
+      if (blob.size === 0) return;
+      finalBlobs.push(blob);
+      finalBlobRanges.push(segmentBlobRanges[i]);
+    });
 
     // Check if cancelled before merging
     if (
@@ -1680,9 +3113,13 @@ async function downloadAndMergeM3U8(
     const totalSizeFromBlobs = finalBlobs.reduce((s, b) => s + b.size, 0);
     const LARGE_FILE_THRESHOLD = 1 * 1024 * 1024 * 1024; // 1GB
     const isLargeFile = totalSizeFromBlobs > LARGE_FILE_THRESHOLD;
+    // An animated export is rendered in one piece; its size is checked before downloading
+    // when the playlist tells it, and here otherwise
+    if (animation && totalSizeFromBlobs > ANIMATION_MAX_SOURCE_BYTES) {
+      throw new Error(getAnimationTooLongMessage(totalSizeFromBlobs));
+    }
 
     let validatedBlob = null;
-    let skippedMergeForLargeFile = false;
     let inputBlobIdForConvert = null;
     let chunksOnlyForDownload = null;
     let finalFilename = filename || "dailymotion_video.mp4";
@@ -1691,12 +3128,7 @@ async function downloadAndMergeM3U8(
       // Keep offscreen document (and its keep-alive port) open so the SW is not suspended during the long IDB write loop.
       await setupOffscreenDocument();
       // Avoid creating one 2GB+ merged blob — write segment blobs directly to IDB (each ~40MB read).
-      if (finalFilename.includes(".m3u8")) {
-        finalFilename = isMPEGTS ? finalFilename.replace(/\.m3u8$/i, ".ts") : finalFilename.replace(/\.m3u8$/i, ".mp4");
-        finalFilename = finalFilename.replace(/\.m3u8\./i, isMPEGTS ? ".ts." : ".mp4.");
-      } else if (!finalFilename.match(/\.(mp4|ts|mpegts|mkv|webm)$/i)) {
-        finalFilename = finalFilename.replace(/\.[^.]*$/, "") + (isMPEGTS ? ".ts" : ".mp4");
-      }
+      finalFilename = getMergedFilename(filename, isMPEGTS);
       console.log(
         `Final filename: ${finalFilename} (format: ${isMPEGTS ? "MPEG-TS" : "fMP4"}) — large file (${Math.round(totalSizeFromBlobs / 1024 / 1024)}MB), writing segment batches to IDB directly`,
       );
@@ -1708,16 +3140,7 @@ async function downloadAndMergeM3U8(
         if (!hasFtyp) throw new Error("Merged file does not have valid MP4 structure (missing ftyp box).");
       }
       inputBlobIdForConvert = `convert_input_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
-      const db = await new Promise((resolve, reject) => {
-        const req = indexedDB.open("DailymotionDownloaderDB", 1);
-        req.onerror = () => reject(req.error);
-        req.onsuccess = () => resolve(req.result);
-        req.onupgradeneeded = (e) => {
-          if (!e.target.result.objectStoreNames.contains("blobs")) {
-            e.target.result.createObjectStore("blobs");
-          }
-        };
-      });
+      const db = await openDownloaderDB();
       for (let i = 0; i < finalBlobs.length; i++) {
         const buf = await finalBlobs[i].arrayBuffer();
         await new Promise((resolve, reject) => {
@@ -1743,13 +3166,13 @@ async function downloadAndMergeM3U8(
         blobId: inputBlobIdForConvert,
         chunkCount: finalBlobs.length,
         totalSize: totalSizeFromBlobs,
+        chunkRanges: finalBlobRanges.slice(),
       };
       segmentData.length = 0;
       if (orderedSegments && orderedSegments.length) orderedSegments.length = 0;
       if (segmentBuffers && segmentBuffers.length) segmentBuffers.length = 0;
       segmentBlobs.length = 0;
       finalBlobs.length = 0;
-      skippedMergeForLargeFile = true;
       // finalFilename is set above; we'll reuse it after the else block (see below)
     }
 
@@ -1768,26 +3191,7 @@ async function downloadAndMergeM3U8(
     finalBlobs.length = 0;
 
     // Update filename extension based on format
-    finalFilename = filename || "dailymotion_video.mp4";
-    if (finalFilename.includes(".m3u8")) {
-      // Replace .m3u8 with appropriate extension
-      if (isMPEGTS) {
-        finalFilename = finalFilename.replace(/\.m3u8$/i, ".ts");
-        // Also replace if extension is in the middle of filename
-        finalFilename = finalFilename.replace(/\.m3u8\./i, ".ts.");
-      } else {
-        finalFilename = finalFilename.replace(/\.m3u8$/i, ".mp4");
-        // Also replace if extension is in the middle of filename
-        finalFilename = finalFilename.replace(/\.m3u8\./i, ".mp4.");
-      }
-    } else if (!finalFilename.match(/\.(mp4|ts|mpegts|mkv|webm)$/i)) {
-      // If no video extension, add one based on format
-      if (isMPEGTS) {
-        finalFilename = finalFilename.replace(/\.[^.]*$/, "") + ".ts";
-      } else {
-        finalFilename = finalFilename.replace(/\.[^.]*$/, "") + ".mp4";
-      }
-    }
+    finalFilename = getMergedFilename(filename, isMPEGTS);
 
     console.log(
       `Final filename: ${finalFilename} (format: ${isMPEGTS ? "MPEG-TS" : "fMP4"})`,
@@ -1804,7 +3208,7 @@ async function downloadAndMergeM3U8(
     // Validate file structure by reading ONLY the first 8 bytes (avoids NotReadableError on large files).
     // Full mergedBlob.arrayBuffer() would duplicate the entire video in memory and hit limits.
     const header = new Uint8Array(await mergedBlob.slice(0, 8).arrayBuffer());
-    let validatedBlob = mergedBlob;
+    validatedBlob = mergedBlob;
 
     if (isMPEGTS) {
       // MPEG-TS validation: Check for sync byte (0x47) at the start
@@ -1871,78 +3275,135 @@ async function downloadAndMergeM3U8(
     let converted = false;
     let storedInputInIDB = false;
 
+    // Plain MPEG-TS is rewrapped in JS a chunk at a time (no 1GB limit, no FFmpeg load).
+    // Unsupported codecs fall through to FFmpeg below.
+    let remuxedChunks = null;
+    if (
+      isMPEGTS &&
+      !alreadyMp4 &&
+      audioTracks.length === 0 &&
+      subtitleTracks.length === 0 &&
+      !clip &&
+      !audioOnly &&
+      !transcode
+    ) {
+      try {
+        await chrome.storage.local.set({
+          [`downloadStatus_${downloadId}`]: "Converting to MP4...",
+        });
+        await setupOffscreenDocument();
+        if (!chunksOnlyForDownload) {
+          inputBlobIdForConvert = `convert_input_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+          chunksOnlyForDownload = await storeBlobChunksInIDB(
+            validatedBlob,
+            inputBlobIdForConvert,
+            downloadId,
+          );
+        }
+        remuxedChunks = await remuxTsChunksToMp4(
+          chunksOnlyForDownload,
+          downloadId,
+          options.metadata || null,
+          !!fragmentedMp4Output,
+          abortController.signal,
+        );
+      } catch (remuxErr) {
+        console.warn("Remux to MP4 failed, trying FFmpeg:", remuxErr.message);
+      }
+    }
+    if (remuxedChunks) {
+      converted = true;
+      chunksOnlyForDownload = null;
+      await chrome.storage.local.set({
+        [`downloadProgress_${downloadId}`]: 100,
+        [`downloadStatus_${downloadId}`]: "Saving MP4...",
+      });
+      await downloadViaBlobFromChunks(
+        remuxedChunks,
+        mp4Filename,
+        downloadId,
+        downloadControllers,
+        activeChromeDownloads,
+        setupOffscreenDocument,
+      );
+    }
+
     // Skip conversion when merged output is already MP4 (fMP4) — avoids loading helper iframe and potential hang
-    if (!alreadyMp4) try {
+    // Separate audio tracks, subtitles, clips, audio-only output and transcoding always need
+    // an FFmpeg pass (mux / trim / extract / re-encode); an animated export is always a clip
+    const audioFormat = audioOnly ? AUDIO_ONLY_FORMATS[audioOnly.format] : null;
+    const animationFormat = animation ? ANIMATION_FORMATS[animation.format] : null;
+    // Formats other than MP4 keep the name and take their own extension
+    const outputFormat = audioFormat || animationFormat;
+    if (
+      !converted &&
+      (!alreadyMp4 ||
+        audioTracks.length > 0 ||
+        subtitleTracks.length > 0 ||
+        clip ||
+        audioOnly ||
+        transcode)
+    ) try {
       await chrome.storage.local.set({
-        [`downloadStatus_${downloadId}`]: "Converting to MP4...",
+        [`downloadStatus_${downloadId}`]: animation
+          ? `Rendering ${describeAnimationOptions(animation)}...`
+          : audioOnly
+          ? `Extracting audio (${describeAudioOnlyOptions(audioOnly)})...`
+          : transcode
+          ? `Transcoding (${transcode.name})...`
+          : clip
+          ? clip.frameAccurate
+            ? "Trimming clip (re-encoding for frame accuracy)..."
+            : "Trimming clip..."
+          : audioTracks.length > 0
+            ? "Muxing audio and converting to MP4..."
+            : subtitleTracks.length > 0
+              ? "Adding subtitles and converting to MP4..."
+              : "Converting to MP4...",
       });
-      if (!skippedMergeForLargeFile) {
+      await setupOffscreenDocument();
+      if (!chunksOnlyForDownload) {
+        // Store merged blob in IDB in chunks so the SW never holds the whole blob in memory
         inputBlobIdForConvert = `convert_input_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+        chunksOnlyForDownload = await storeBlobChunksInIDB(
+          validatedBlob,
+          inputBlobIdForConvert,
+          downloadId,
+        );
       }
-      await setupOffscreenDocument();
 
-      if (!skippedMergeForLargeFile) {
-        // Store merged blob in IDB in chunks so the SW never holds the whole blob in memory
-        const CHUNK_SIZE = 32 * 1024 * 1024; // 32MB per chunk
-        const totalSize = validatedBlob.size;
-        const chunkCount = Math.ceil(totalSize / CHUNK_SIZE);
-        try {
-          const db = await new Promise((resolve, reject) => {
-            const req = indexedDB.open("DailymotionDownloaderDB", 1);
-            req.onerror = () => reject(req.error);
-            req.onsuccess = () => resolve(req.result);
-            req.onupgradeneeded = (e) => {
-              if (!e.target.result.objectStoreNames.contains("blobs")) {
-                e.target.result.createObjectStore("blobs");
-              }
-            };
-          });
-          for (let i = 0; i < chunkCount; i++) {
-            const start = i * CHUNK_SIZE;
-            const end = Math.min(start + CHUNK_SIZE, totalSize);
-            const chunk = validatedBlob.slice(start, end);
-            const chunkBuffer = await chunk.arrayBuffer();
-            const chunkKey = `${inputBlobIdForConvert}_chunk_${i}`;
-            await new Promise((resolve, reject) => {
-              const tx = db.transaction(["blobs"], "readwrite");
-              tx.objectStore("blobs").put(chunkBuffer, chunkKey);
-              tx.oncomplete = () => resolve();
-              tx.onerror = () => reject(tx.error);
-            });
-            if (i % 20 === 0 && chunkCount > 20) {
-              await chrome.storage.local.set({
-                [`downloadStatus_${downloadId}`]: `Storing for conversion (chunk ${i + 1}/${chunkCount})...`,
-              });
-            }
-          }
-          db.close();
-        } catch (storeErr) {
-          throw new Error(storeErr?.message || "Failed to store blob in IDB");
-        }
+      // Cancelled meanwhile: don't assemble or convert anything
+      if (abortController.signal.aborted) {
+        throw new DOMException("Download cancelled", "AbortError");
       }
 
-      // Offscreen assembles chunks into one blob under inputBlobIdForConvert (or we already have chunks from large-file path)
-      const totalSize = skippedMergeForLargeFile ? chunksOnlyForDownload.totalSize : validatedBlob.size;
-      const chunkCount = skippedMergeForLargeFile ? chunksOnlyForDownload.chunkCount : Math.ceil(totalSize / (32 * 1024 * 1024));
-      const assembleResult = await new Promise((resolve) => {
-        chrome.runtime.sendMessage(
-          {
-            action: "assembleChunksForConvert",
-            blobId: inputBlobIdForConvert,
-            chunkCount,
-            totalSize,
-          },
-          (response) => {
-            if (chrome.runtime.lastError) resolve({ success: false, error: chrome.runtime.lastError.message });
-            else resolve(response || { success: false, error: "No response" });
-          },
-        );
-      });
-      if (!assembleResult || !assembleResult.success) {
-        chunksOnlyForDownload = { blobId: inputBlobIdForConvert, chunkCount, totalSize };
-        throw new Error(assembleResult?.error || "Failed to assemble chunks in IDB");
+      const { totalSize, chunkCount, chunkRanges } = chunksOnlyForDownload;
+      // Over 1GB the input can't be assembled into one piece for FFmpeg: it converts the
+      // chunks one by one (each with its time range of the audio tracks, subtitles and clip)
+      // and joins the parts instead
+      const convertInParts = totalSize > LARGE_FILE_THRESHOLD;
+      if (!convertInParts) {
+        // Offscreen assembles chunks into one blob under inputBlobIdForConvert
+        const assembleResult = await new Promise((resolve) => {
+          chrome.runtime.sendMessage(
+            {
+              action: "assembleChunksForConvert",
+              blobId: inputBlobIdForConvert,
+              chunkCount,
+              totalSize,
+            },
+            (response) => {
+              if (chrome.runtime.lastError) resolve({ success: false, error: chrome.runtime.lastError.message });
+              else resolve(response || { success: false, error: "No response" });
+            },
+          );
+        });
+        if (!assembleResult || !assembleResult.success) {
+          throw new Error(assembleResult?.error || "Failed to assemble chunks in IDB");
+        }
+        storedInputInIDB = true;
+        chunksOnlyForDownload = null; // assembled: the chunks are gone
       }
-      storedInputInIDB = true;
       // FFmpeg check (same idea as sound-catcher): ensure FFmpeg is loadable before starting conversion
       const checkResult = await new Promise((resolve) => {
         chrome.runtime.sendMessage({ action: "checkFFmpeg" }, (response) => {
@@ -1958,15 +3419,72 @@ async function downloadAndMergeM3U8(
         });
         throw new Error(errMsg);
       }
-      const CONVERT_RESPONSE_TIMEOUT_MS = 7 * 60 * 1000;
+      // Re-encoding in FFmpeg.wasm runs well below real time, so it gets far longer.
+      // The offscreen job queue times the job from when it starts running (not while it
+      // waits for other downloads' conversions) and terminates FFmpeg when time is up.
+      // In parts, that is per started GB of input.
+      const convertTimeoutMinutes =
+        (transcode || animation ? 120 : 7) *
+        (convertInParts ? Math.ceil(totalSize / LARGE_FILE_THRESHOLD) : 1);
+      const convertJobId = `convert_${downloadId}`;
+      // Cancel or pause stops the job (queued or running) instead of waiting for it
+      const cancelConversion = () => {
+        chrome.runtime.sendMessage(
+          { action: "cancelFFmpegJob", jobId: convertJobId },
+          () => void chrome.runtime.lastError,
+        );
+      };
+      abortController.signal.addEventListener("abort", cancelConversion);
       const convertResult = await new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          reject(new Error("Conversion timed out (7 min)"));
-        }, CONVERT_RESPONSE_TIMEOUT_MS);
         chrome.runtime.sendMessage(
-          { action: "convertToMp4", blobId: inputBlobIdForConvert, downloadId },
+          {
+            action: convertInParts ? "convertChunksToMp4" : "convertToMp4",
+            blobId: inputBlobIdForConvert,
+            // Only read in parts
+            chunkCount,
+            chunkRanges,
+            downloadId,
+            jobId: convertJobId,
+            // Clips are short jobs, so they don't wait behind whole videos
+            priority: clip ? 1 : 0,
+            timeoutMs: convertTimeoutMinutes * 60 * 1000,
+            audioTracks,
+            subtitles: subtitleTracks,
+            clip: clip
+              ? {
+                  start: clip.start,
+                  // Infinity doesn't survive messaging; the last segment bounds the clip anyway
+                  end: Math.min(
+                    clip.end,
+                    clipVideoOffset +
+                      segments.reduce((sum, seg) => sum + (seg.duration || 0), 0),
+                  ),
+                  frameAccurate: clip.frameAccurate,
+                  videoOffset: clipVideoOffset,
+                }
+              : null,
+            audioOnly: audioFormat
+              ? {
+                  codec: audioFormat.codec,
+                  bitrate: audioOnly.bitrate,
+                  extension: audioFormat.extension,
+                  mimeType: audioFormat.mimeType,
+                }
+              : null,
+            animation: animationFormat
+              ? {
+                  codec: animationFormat.codec,
+                  width: animation.width,
+                  fps: animation.fps,
+                  label: animationFormat.label,
+                  extension: animationFormat.extension,
+                  mimeType: animationFormat.mimeType,
+                }
+              : null,
+            transcode,
+            metadata: options.metadata || null,
+          },
           (response) => {
-            clearTimeout(timeoutId);
             if (chrome.runtime.lastError) {
               reject(new Error(chrome.runtime.lastError.message));
             } else {
@@ -1974,28 +3492,70 @@ async function downloadAndMergeM3U8(
             }
           },
         );
+      }).finally(() => {
+        abortController.signal.removeEventListener("abort", cancelConversion);
       });
 
+      if (convertResult && !convertResult.success && convertResult.error) {
+        console.warn("Conversion failed:", convertResult.error);
+      }
       if (convertResult && convertResult.success && convertResult.outputBlobId) {
         converted = true;
         await chrome.storage.local.set({
           [`downloadProgress_${downloadId}`]: 100,
-          [`downloadStatus_${downloadId}`]: "Saving MP4...",
+          [`downloadStatus_${downloadId}`]: `Saving ${outputFormat ? outputFormat.label : "MP4"}...`,
         });
-        await downloadBlob(
-          { blobId: convertResult.outputBlobId },
-          mp4Filename,
-          downloadId,
-          downloadControllers,
-          activeChromeDownloads,
-          cleanupIndexedDBBlob,
-          setupOffscreenDocument,
-          blobToDataUrl,
-        );
+        if (convertInParts) chunksOnlyForDownload = null; // The input chunks are gone
+        if (convertResult.chunkCount) {
+          // An MP4 converted in parts is stored in chunks as well
+          await downloadViaBlobFromChunks(
+            {
+              blobId: convertResult.outputBlobId,
+              chunkCount: convertResult.chunkCount,
+              totalSize: convertResult.totalSize,
+              mimeType: "video/mp4",
+            },
+            mp4Filename,
+            downloadId,
+            downloadControllers,
+            activeChromeDownloads,
+            setupOffscreenDocument,
+          );
+        } else {
+          await downloadBlob(
+            {
+              blobId: convertResult.outputBlobId,
+              mimeType: convertResult.mimeType,
+            },
+            outputFormat
+              ? finalFilename.replace(/\.[^.]*$/, `.${outputFormat.extension}`)
+              : mp4Filename,
+            downloadId,
+            downloadControllers,
+            activeChromeDownloads,
+            cleanupIndexedDBBlob,
+            setupOffscreenDocument,
+            blobToDataUrl,
+          );
+        }
       }
     } catch (convertErr) {
       console.warn("Convert to MP4 failed, saving as .ts:", convertErr.message);
     }
+    // Cancelling (or pausing) during the conversion stops FFmpeg; nothing is saved then
+    if (abortController.signal.aborted) {
+      if (inputBlobIdForConvert) cleanupIndexedDBBlob(inputBlobIdForConvert);
+      // Not assembled (over 1 GB, or cancelled before): the input is still in chunks
+      if (chunksOnlyForDownload) {
+        cleanupIndexedDBChunks(
+          chunksOnlyForDownload.blobId,
+          chunksOnlyForDownload.chunkCount,
+        );
+      }
+      audioTracks.forEach((track) => cleanupIndexedDBBlob(track.blobId));
+      subtitleTracks.forEach((track) => cleanupIndexedDBBlob(track.blobId));
+      throw new DOMException("Download cancelled", "AbortError");
+    }
 
     if (!converted) {
       await chrome.storage.local.set({
@@ -2041,50 +3601,89 @@ async function downloadAndMergeM3U8(
           blobToDataUrl,
         );
       }
+      // Muxing failed: save the audio tracks and subtitles next to the video so nothing is lost
+      const baseFilename = finalFilename.replace(/\.[^.]*$/, "");
+      for (const track of audioTracks) {
+        const languageSuffix = track.language ? `.${track.language}` : "";
+        try {
+          await downloadBlob(
+            { blobId: track.blobId },
+            `${baseFilename}${languageSuffix}.${track.extension === "mp4" ? "m4a" : track.extension}`,
+            null,
+            downloadControllers,
+            activeChromeDownloads,
+            cleanupIndexedDBBlob,
+            setupOffscreenDocument,
+            blobToDataUrl,
+          );
+        } catch (audioSaveErr) {
+          console.warn("Failed to save separate audio track:", audioSaveErr.message);
+        }
+      }
+      for (const track of subtitleTracks) {
+        const languageSuffix = track.language ? `.${track.language}` : "";
+        try {
+          await downloadBlob(
+            { blobId: track.blobId, mimeType: "text/vtt" },
+            `${baseFilename}${languageSuffix}.vtt`,
+            null,
+            downloadControllers,
+            activeChromeDownloads,
+            cleanupIndexedDBBlob,
+            setupOffscreenDocument,
+            blobToDataUrl,
+          );
+        } catch (subtitleSaveErr) {
+          console.warn("Failed to save subtitles:", subtitleSaveErr.message);
+        }
+      }
       await chrome.storage.local.set({
         [`downloadStatus_${downloadId}`]: "Download complete! (saved as .ts)",
       });
     } else if (inputBlobIdForConvert) {
       cleanupIndexedDBBlob(inputBlobIdForConvert);
     }
+    audioTracks.forEach((track) => cleanupIndexedDBBlob(track.blobId));
+    subtitleTracks.forEach((track) => cleanupIndexedDBBlob(track.blobId));
+    completeDownload(finalFilename);
 
     // Release validatedBlob only AFTER download is fully complete (Chrome download + blob URL revoked).
     // Delay cleanup so we don't clear in the same tick; wait until everything is truly done.
     setTimeout(() => {
       validatedBlob = null;
     }, 3000);
-
-    // Clean up ALL download-related storage keys after delay
-    // Keep progress/status visible for 15s so polling can detect completion, then remove everything
-    setTimeout(() => {
-      chrome.storage.local.remove(
-        [
-          `downloadProgress_${downloadId}`,
-          `downloadStatus_${downloadId}`,
-          `downloadInfo_${downloadId}`,
-          `downloadCancelled_${downloadId}`,
-          `downloadSegments_${downloadId}`,
-          `blobReady_${downloadId}`, // Also clean up blob ready flag if it exists
-        ],
-        () => {
-          if (chrome.runtime.lastError) {
-            console.error(
-              "Error cleaning up download storage:",
-              chrome.runtime.lastError,
-            );
-          } else {
-            console.log(
-              "Cleaned up all download storage from downloadM3U8:",
-              downloadId,
-            );
-          }
-        },
-      );
-    }, 15000);
   } catch (error) {
+    // A partly written file is thrown away (a resume writes it again from the checkpoint)
+    if (fileSaveStream) await fileSaveStream.abort();
+    const aborted = error.name === "AbortError" || abortController.signal.aborted;
+    const paused = aborted && (await isDownloadPaused(downloadId));
+    // A cancelled download's checkpoint is deleted, so its manifest isn't written again
+    if (checkpointWriter) {
+      await checkpointWriter
+        .close({ discard: aborted && !paused })
+        .catch((closeError) => {
+          console.warn("Failed to close download checkpoint:", closeError.message);
+        });
+    }
+    // A pause aborts like a cancel, but the checkpoint and progress are kept for the resume
+    if (paused) {
+      console.log(
+        `M3U8 download was paused: ${downloadId}` +
+          (checkpoint
+            ? ` (${checkpoint.completed.length}/${checkpoint.segmentCount} segments kept)`
+            : ""),
+      );
+      await chrome.storage.local.set({
+        [`downloadStatus_${downloadId}`]: PAUSED_DOWNLOAD_STATUS,
+      });
+      throw new Error(DOWNLOAD_PAUSED_MESSAGE);
+    }
     // Check if error is due to cancellation
-    if (error.name === "AbortError" || abortController.signal.aborted) {
+    if (aborted) {
       console.log("M3U8 download was cancelled:", downloadId);
+      if (checkpoint) {
+        deleteHlsCheckpoint(downloadId).catch(() => {});
+      }
       await chrome.storage.local.set({
         [`downloadProgress_${downloadId}`]: 0,
         [`downloadStatus_${downloadId}`]: "Download cancelled",
@@ -2132,6 +3731,8 @@ async function downloadAndMergeM3U8(
       } else if (error.message.includes("No segments found")) {
         errorMessage =
           "No video segments found in playlist. The video may not be available for download.";
+      } else if (error.message.includes("Unsupported HLS encryption")) {
+        errorMessage = error.message;
       } else if (error.message.includes("No variant playlists")) {
         errorMessage = "Could not find video quality variants in playlist.";
       } else if (error.message.includes("Failed to download segment")) {
@@ -2143,6 +3744,9 @@ async function downloadAndMergeM3U8(
     }
 
     console.error("M3U8 merge error:", error);
+    if (checkpoint && checkpoint.completed.length > 0) {
+      errorMessage += ` (${checkpoint.completed.length}/${checkpoint.segmentCount} segments kept - resume it from the extension popup)`;
+    }
 
     // Update status with error message
     await chrome.storage.local.set({
@@ -2388,8 +3992,9 @@ async function parseAndStoreHLSVariants(
       masterPlaylistUrl.lastIndexOf("/") + 1,
     );
 
-    // Parse variants from master playlist
+    // Parse variants and alternate renditions from master playlist
     const variants = parseMasterPlaylist(playlistText, baseUrl);
+    const renditions = parseMediaRenditions(playlistText, baseUrl);
     console.log(
       `Found ${variants.length} HLS variants:`,
       variants.map((v) => ({
@@ -2567,8 +4172,24 @@ async function parseAndStoreHLSVariants(
       // Create type string with quality info
       const type = quality ? `hls-${quality}p` : `hls-variant-${index + 1}`;
 
-      // Store the variant URL with videoId and videoTitle
-      storeVideoUrl(tabId, variant.url, type, false, videoTitle, videoId);
+      // Store the variant URL with videoId and videoTitle, plus the
+      // master-playlist details a direct variant download can't recover
+      storeVideoUrl(tabId, variant.url, type, false, videoTitle, videoId, null, {
+        bandwidth: variant.bandwidth,
+        averageBandwidth: variant.averageBandwidth,
+        resolution: variant.resolution,
+        codecs: variant.codecs,
+        frameRate: variant.frameRate,
+        hdcpLevel: variant.hdcpLevel,
+        videoRange: variant.videoRange,
+        audioGroup: variant.audioGroup,
+        masterUrl: masterPlaylistUrl,
+        audioRenditions: getAudioRenditionsForVariant(renditions, variant),
+        subtitleRenditions: getSubtitleRenditionsForVariant(
+          renditions,
+          variant,
+        ),
+      });
       storedCount++;
       console.log(
         `Stored HLS variant ${storedCount}/${variants.length}: ${quality ? quality + "p" : "variant " + (index + 1)} (videoId: ${videoId}) - ${variant.url.substring(0, 80)}...`,
@@ -0,0 +1,55 @@
+/**
+ * Download reports
+ * A short record of how a finished download was put together (which CDN served which
+ * part), kept for the most recent downloads so it can be looked at from the popup.
+ */
+
+/** Number of reports kept in storage */
+const DOWNLOAD_REPORT_LIMIT = 20;
+
+/**
+ * Store a download report, dropping the oldest beyond DOWNLOAD_REPORT_LIMIT
+ * @param {Object} report - {downloadId, filename, url, segmentCount, parts, ...}; parts is
+ *   [{part, cdn}] with part describing a range such as "segments 1-120" or "init segment"
+ * @returns {Promise<void>}
+ */
+async function saveDownloadReport(report) {
+  const items = await chrome.storage.local.get(["downloadReports"]);
+  const reports = (items.downloadReports || []).filter(
+    (existing) => existing.downloadId !== report.downloadId,
+  );
+  reports.unshift({ ...report, completedAt: Date.now() });
+  await chrome.storage.local.set({
+    downloadReports: reports.slice(0, DOWNLOAD_REPORT_LIMIT),
+  });
+}
+
+/**
+ * Get the stored download reports
+ * @returns {Promise<Array>} Reports, most recent first
+ */
+async function getDownloadReports() {
+  const items = await chrome.storage.local.get(["downloadReports"]);
+  return items.downloadReports || [];
+}
+
+/**
+ * Collapse a per-segment source list into report parts
+ * Consecutive segments from the same source become one part ("segments 1-120").
+ * @param {Array<string|undefined>} sources - Source name per segment index
+ * @returns {Array} [{part, cdn}]
+ */
+function summarizeSegmentSources(sources) {
+  const parts = [];
+  let runStart = 0;
+  for (let i = 1; i <= sources.length; i++) {
+    if (i < sources.length && sources[i] === sources[runStart]) continue;
+    const label =
+      i - 1 === runStart
+        ? `segment ${runStart + 1}`
+        : `segments ${runStart + 1}-${i}`;
+    parts.push({ part: label, cdn: sources[runStart] || "unknown" });
+    runStart = i;
+  }
+  return parts;
+}
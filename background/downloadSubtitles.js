@@ -0,0 +1,305 @@
+/**
+ * Subtitle download functionality
+ * Handles downloading segmented WebVTT subtitle renditions from HLS, stitching
+ * them into one timeline and saving them as .vtt or .srt files
+ */
+
+// MPEG-TS presentation timestamps use a 90kHz clock and wrap at 2^33
+const MPEGTS_CLOCK = 90000;
+const MPEGTS_ROLLOVER = Math.pow(2, 33);
+
+/**
+ * Parse a WebVTT timestamp ("hh:mm:ss.ttt" or "mm:ss.ttt") into seconds
+ * @param {string} text - Timestamp text
+ * @returns {number|null} Seconds, or null if the text is not a timestamp
+ */
+function parseVttTimestamp(text) {
+  const match = String(text)
+    .trim()
+    .match(/^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/);
+  if (!match) return null;
+  const hours = match[1] ? parseInt(match[1], 10) : 0;
+  return (
+    hours * 3600 +
+    parseInt(match[2], 10) * 60 +
+    parseInt(match[3], 10) +
+    parseInt(match[4], 10) / 1000
+  );
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Millisecond separator ("." for WebVTT, "," for SRT)
+ * @returns {string} "hh:mm:ss.ttt"
+ */
+function formatSubtitleTimestamp(seconds, separator = ".") {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Parse one WebVTT file (or segment) into cues
+ * Header, NOTE, STYLE and REGION blocks are skipped. The X-TIMESTAMP-MAP
+ * header (RFC 8216 section 3.5) is returned so the caller can place the
+ * cues on the video timeline.
+ * @param {string} text - WebVTT text
+ * @returns {Object} {cues: [{start, end, settings, text}], timestampMap: {mpegts, local}|null}
+ */
+function parseWebVtt(text) {
+  const blocks = text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+  const cues = [];
+  let timestampMap = null;
+
+  blocks.forEach((block, blockIndex) => {
+    const lines = block.split("\n").filter((line, i) => i > 0 || line.trim());
+    if (lines.length === 0) return;
+
+    if (blockIndex === 0 && lines[0].startsWith("WEBVTT")) {
+      const mapLine = lines.find((line) => line.startsWith("X-TIMESTAMP-MAP"));
+      if (mapLine) {
+        const mpegtsMatch = mapLine.match(/MPEGTS:(\d+)/);
+        const localMatch = mapLine.match(/LOCAL:([\d:.]+)/);
+        timestampMap = {
+          mpegts: mpegtsMatch ? parseInt(mpegtsMatch[1], 10) : 0,
+          local: localMatch ? parseVttTimestamp(localMatch[1]) || 0 : 0,
+        };
+      }
+      return;
+    }
+    if (/^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1) return;
+
+    const timingMatch = lines[timingIndex].match(
+      /^\s*(\S+)\s+-->\s+(\S+)\s*(.*)$/,
+    );
+    if (!timingMatch) return;
+    const start = parseVttTimestamp(timingMatch[1]);
+    const end = parseVttTimestamp(timingMatch[2]);
+    if (start === null || end === null) return;
+
+    cues.push({
+      start,
+      end,
+      settings: timingMatch[3].trim(),
+      text: lines.slice(timingIndex + 1).join("\n"),
+    });
+  });
+
+  return { cues, timestampMap };
+}
+
+/**
+ * Stitch WebVTT segments into one cue list on a timeline starting at 0
+ * Each segment's cues are shifted by its X-TIMESTAMP-MAP (MPEGTS minus LOCAL),
+ * relative to the first segment's mapping, with 33-bit PTS rollover handled.
+ * Cues repeated across segment boundaries are emitted once.
+ * @param {Array<string>} segmentTexts - WebVTT text of each segment, in playlist order
+ * @returns {Array} Sorted cues [{start, end, settings, text}]
+ */
+function stitchWebVttSegments(segmentTexts) {
+  const cues = [];
+  const seen = new Set();
+  let baseOffset = null;
+  let previousMpegts = null;
+  let rolloverCount = 0;
+
+  segmentTexts.forEach((segmentText) => {
+    const parsed = parseWebVtt(segmentText);
+    let offset = 0;
+    if (parsed.timestampMap) {
+      let mpegts = parsed.timestampMap.mpegts;
+      if (previousMpegts !== null && mpegts < previousMpegts - MPEGTS_ROLLOVER / 2) {
+        rolloverCount++;
+      }
+      previousMpegts = mpegts;
+      mpegts += rolloverCount * MPEGTS_ROLLOVER;
+      offset = mpegts / MPEGTS_CLOCK - parsed.timestampMap.local;
+      if (baseOffset === null) baseOffset = offset;
+      offset -= baseOffset;
+    }
+
+    parsed.cues.forEach((cue) => {
+      const start = cue.start + offset;
+      const end = cue.end + offset;
+      const key = `${start.toFixed(3)}|${end.toFixed(3)}|${cue.text}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      cues.push({ start, end, settings: cue.settings, text: cue.text });
+    });
+  });
+
+  cues.sort((a, b) => a.start - b.start || a.end - b.end);
+  return cues;
+}
+
+/**
+ * Serialize cues as a WebVTT document
+ * @param {Array} cues - Cues from stitchWebVttSegments
+ * @returns {string} WebVTT text
+ */
+function cuesToWebVtt(cues) {
+  const body = cues
+    .map((cue) => {
+      const timing = `${formatSubtitleTimestamp(cue.start)} --> ${formatSubtitleTimestamp(cue.end)}`;
+      return `${cue.settings ? `${timing} ${cue.settings}` : timing}\n${cue.text}`;
+    })
+    .join("\n\n");
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Serialize cues as SubRip (.srt)
+ * WebVTT-only markup (voice, class and karaoke timestamp tags) is stripped;
+ * <b>, <i> and <u> are kept since SRT players understand them.
+ * @param {Array} cues - Cues from stitchWebVttSegments
+ * @returns {string} SRT text
+ */
+function cuesToSrt(cues) {
+  return (
+    cues
+      .map((cue, i) => {
+        const text = cue.text
+          .replace(/<(?!\/?[biu]>)[^>]*>/g, "")
+          .replace(/&lt;/g, "<")
+          .replace(/&gt;/g, ">")
+          .replace(/&nbsp;/g, " ")
+          .replace(/&amp;/g, "&");
+        return `${i + 1}\n${formatSubtitleTimestamp(cue.start, ",")} --> ${formatSubtitleTimestamp(cue.end, ",")}\n${text}`;
+      })
+      .join("\n\n") + "\n"
+  );
+}
+
+/**
+ * Fetch a WebVTT subtitle rendition and stitch its segments into cues
+ * Accepts either a media playlist of .vtt segments or a plain .vtt file.
+ * @param {string} playlistUrl - Subtitle rendition URI from #EXT-X-MEDIA
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @returns {Promise<Array>} Cues on a timeline starting at 0
+ */
+async function fetchSubtitleCues(playlistUrl, tabId = null) {
+  const fixedUrl = fixUrlEncoding(playlistUrl);
+  const response = await fetch(
+    fixedUrl,
+    await getFetchOptionsWithHeaders(fixedUrl, tabId),
+  );
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch subtitle playlist: HTTP ${response.status} ${response.statusText}`,
+    );
+  }
+  const text = await response.text();
+
+  // Some renditions point straight at a single WebVTT file
+  if (text.replace(/^\uFEFF/, "").startsWith("WEBVTT")) {
+    return stitchWebVttSegments([text]);
+  }
+
+  const parsed = parseM3U8(
+    text,
+    fixedUrl.substring(0, fixedUrl.lastIndexOf("/") + 1),
+  );
+  if (parsed.segments.length === 0) {
+    throw new Error("Subtitle playlist has no segments");
+  }
+
+  // Subtitle segments are tiny, so fetch them a few at a time
+  const segmentTexts = new Array(parsed.segments.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < parsed.segments.length) {
+      const index = nextIndex++;
+      const segmentUrl = fixUrlEncoding(parsed.segments[index].uri);
+      let lastError = null;
+      for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+          const segmentResponse = await fetch(
+            segmentUrl,
+            await getFetchOptionsWithHeaders(segmentUrl, tabId),
+          );
+          if (!segmentResponse.ok) {
+            throw new Error(`HTTP ${segmentResponse.status}`);
+          }
+          segmentTexts[index] = await segmentResponse.text();
+          lastError = null;
+          break;
+        } catch (error) {
+          lastError = error;
+          await new Promise((resolve) =>
+            setTimeout(resolve, 500 * (attempt + 1)),
+          );
+        }
+      }
+      if (lastError) {
+        throw new Error(
+          `Failed to download subtitle segment ${index + 1}: ${lastError.message}`,
+        );
+      }
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(4, parsed.segments.length) }, worker),
+  );
+
+  return stitchWebVttSegments(segmentTexts);
+}
+
+/**
+ * Download a subtitle rendition as a .vtt or .srt file
+ * @param {string} playlistUrl - Subtitle rendition URI from #EXT-X-MEDIA
+ * @param {string} filename - Target filename (extension is replaced to match format)
+ * @param {string} format - "vtt" or "srt"
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @returns {Promise<{cueCount: number, chromeDownloadId: number}>}
+ */
+async function downloadSubtitleRendition(
+  playlistUrl,
+  filename,
+  format = "vtt",
+  tabId = null,
+) {
+  const cues = await fetchSubtitleCues(playlistUrl, tabId);
+  if (cues.length === 0) {
+    throw new Error("Subtitle track contains no cues");
+  }
+
+  const isSrt = format === "srt";
+  const content = isSrt ? cuesToSrt(cues) : cuesToWebVtt(cues);
+  const mimeType = isSrt ? "application/x-subrip" : "text/vtt";
+  const targetName = sanitizeFilenameForDownload(
+    `${String(filename || "subtitles").replace(/\.(vtt|srt)$/i, "")}.${isSrt ? "srt" : "vtt"}`,
+  );
+  // Service workers can't create blob URLs; subtitle files are small enough for a data URL
+  const dataUrl = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+
+  const chromeDownloadId = await new Promise((resolve, reject) => {
+    chrome.downloads.download(
+      { url: dataUrl, filename: targetName, saveAs: false },
+      (id) => {
+        if (chrome.runtime.lastError || id === undefined) {
+          reject(
+            new Error(chrome.runtime.lastError?.message || "Download failed"),
+          );
+        } else {
+          resolve(id);
+        }
+      },
+    );
+  });
+
+  console.log(
+    `Subtitle download started: ${targetName} (${cues.length} cues, ${format})`,
+  );
+  return { cueCount: cues.length, chromeDownloadId };
+}
@@ -0,0 +1,241 @@
+/**
+ * FFmpeg job queue for the offscreen document
+ * FFmpeg.wasm runs one command at a time on a single instance, so conversions from
+ * concurrent downloads are queued and run one by one: highest priority first, then in the
+ * order they came in. A job can be cancelled while queued (it is dropped) or while running:
+ * ffmpeg.exec can't be interrupted, so the instance is terminated and loaded again for the
+ * next job. Work done in JS that should take turns with the conversions (the streaming
+ * remux) runs as a job without the instance and checks for a cancel itself.
+ * Every state change is sent to the service worker as an "ffmpegJobState" message.
+ * Needs getFFmpeg and resetFFmpeg from offscreen.js.
+ */
+
+/** Jobs waiting to run, in no particular order (see takeNextFFmpegJob) */
+const queuedFFmpegJobs = [];
+/** The job using the FFmpeg instance, or null */
+let runningFFmpegJob = null;
+/** Tie-breaker for jobs with the same priority */
+let ffmpegJobSequence = 0;
+
+/**
+ * Error thrown for a job that was cancelled (by request or because it ran too long)
+ */
+class FFmpegJobCancelledError extends Error {
+  constructor(message = "Conversion cancelled") {
+    super(message);
+    this.name = "FFmpegJobCancelledError";
+  }
+}
+
+/**
+ * Tell the service worker where a job is
+ * @param {Object} job - The job
+ * @param {string} state - "queued", "running", "done", "failed" or "cancelled"
+ */
+function reportFFmpegJobState(job, state) {
+  job.state = state;
+  try {
+    chrome.runtime.sendMessage(
+      {
+        action: "ffmpegJobState",
+        jobId: job.jobId,
+        downloadId: job.downloadId,
+        state,
+        // Jobs that run before this one (queued jobs only)
+        position: state === "queued" ? getFFmpegJobPosition(job) : null,
+      },
+      () => void chrome.runtime.lastError,
+    );
+  } catch (e) {}
+}
+
+/**
+ * Order in which queued jobs run: higher priority first, then first come first served
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareFFmpegJobs(a, b) {
+  return b.priority - a.priority || a.sequence - b.sequence;
+}
+
+/**
+ * Count the jobs that run before a queued one (the running job included)
+ * @param {Object} job - A queued job
+ * @returns {number}
+ */
+function getFFmpegJobPosition(job) {
+  const ahead = queuedFFmpegJobs.filter(
+    (other) => other !== job && compareFFmpegJobs(other, job) < 0,
+  ).length;
+  return ahead + (runningFFmpegJob ? 1 : 0);
+}
+
+/**
+ * Remove and return the job that runs next
+ * @returns {Object|null}
+ */
+function takeNextFFmpegJob() {
+  if (queuedFFmpegJobs.length === 0) return null;
+  queuedFFmpegJobs.sort(compareFFmpegJobs);
+  return queuedFFmpegJobs.shift();
+}
+
+/**
+ * Queue work that needs the FFmpeg instance
+ * @param {Object} details
+ * @param {string} [details.jobId] - Job ID (one is made up if missing)
+ * @param {string} [details.downloadId] - Download the job belongs to, for cancelling by download
+ * @param {number} [details.priority] - Higher runs first (default 0)
+ * @param {number} [details.timeoutMs] - Cancel the job if it runs longer than this
+ * @param {Function} [details.onProgress] - Called with FFmpeg progress in [0, 1]
+ * @param {boolean} [details.usesFFmpeg] - false for a job that doesn't need the instance:
+ *   it isn't loaded for it, and a cancel only marks the job (default true)
+ * @param {Function} run - async (ffmpeg, isCancelled) => result, called when the job's turn
+ *   comes; ffmpeg is null without usesFFmpeg, isCancelled() tells such a job to stop
+ * @returns {Promise<*>} The result of run; rejects with FFmpegJobCancelledError if cancelled
+ */
+function runFFmpegJob(details, run) {
+  return new Promise((resolve, reject) => {
+    const job = {
+      jobId:
+        details.jobId ||
+        `ffmpeg_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+      downloadId: details.downloadId || null,
+      priority: Number(details.priority) || 0,
+      sequence: ffmpegJobSequence++,
+      timeoutMs: details.timeoutMs > 0 ? details.timeoutMs : null,
+      onProgress: details.onProgress,
+      usesFFmpeg: details.usesFFmpeg !== false,
+      run,
+      resolve,
+      reject,
+      state: null,
+      cancelReason: null,
+    };
+    queuedFFmpegJobs.push(job);
+    reportFFmpegJobState(job, "queued");
+    // Jobs that were already waiting may have been pushed back by a higher priority one
+    queuedFFmpegJobs
+      .filter((other) => other !== job && compareFFmpegJobs(job, other) < 0)
+      .forEach((other) => reportFFmpegJobState(other, "queued"));
+    pumpFFmpegQueue();
+  });
+}
+
+/**
+ * Start the next queued job if the instance is free
+ */
+async function pumpFFmpegQueue() {
+  if (runningFFmpegJob) return;
+  const job = takeNextFFmpegJob();
+  if (!job) return;
+  runningFFmpegJob = job;
+  reportFFmpegJobState(job, "running");
+  queuedFFmpegJobs.forEach((other) => reportFFmpegJobState(other, "queued"));
+
+  const timeoutId = job.timeoutMs
+    ? setTimeout(() => {
+        cancelRunningFFmpegJob(
+          `Conversion timed out (${Math.round(job.timeoutMs / 60000)} min)`,
+        );
+      }, job.timeoutMs)
+    : null;
+  try {
+    const ffmpeg = job.usesFFmpeg ? await getFFmpeg() : null;
+    if (job.cancelReason) throw new FFmpegJobCancelledError(job.cancelReason);
+    const onProgress = ({ progress }) => {
+      if (typeof job.onProgress === "function") {
+        try {
+          job.onProgress(Math.min(1, Math.max(0, progress)));
+        } catch (e) {}
+      }
+    };
+    if (ffmpeg) ffmpeg.on("progress", onProgress);
+    let result;
+    try {
+      result = await job.run(ffmpeg, () => job.cancelReason !== null);
+    } finally {
+      if (ffmpeg) ffmpeg.off("progress", onProgress);
+    }
+    // A job cancelled at its very end still counts as cancelled: its download is gone
+    if (job.cancelReason) throw new FFmpegJobCancelledError(job.cancelReason);
+    reportFFmpegJobState(job, "done");
+    job.resolve(result);
+  } catch (error) {
+    if (job.cancelReason) {
+      reportFFmpegJobState(job, "cancelled");
+      job.reject(
+        error instanceof FFmpegJobCancelledError
+          ? error
+          : new FFmpegJobCancelledError(job.cancelReason),
+      );
+    } else {
+      // Its files may still be in the instance's memory; start the next job on a clean one
+      if (job.usesFFmpeg) resetFFmpeg();
+      reportFFmpegJobState(job, "failed");
+      job.reject(error);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+    runningFFmpegJob = null;
+    pumpFFmpegQueue();
+  }
+}
+
+/**
+ * Stop the running job by terminating the FFmpeg instance (the next job loads a new one)
+ * A job without the instance stops at its next isCancelled() check instead.
+ * @param {string} reason - Message for the job's error
+ */
+function cancelRunningFFmpegJob(reason) {
+  const job = runningFFmpegJob;
+  if (!job || job.cancelReason) return;
+  job.cancelReason = reason;
+  if (!job.usesFFmpeg) return;
+  console.log(`Terminating FFmpeg for job ${job.jobId}: ${reason}`);
+  // Makes the pending exec reject, which ends the job
+  resetFFmpeg();
+}
+
+/**
+ * Cancel a job, queued or running
+ * @param {Object} target - {jobId} or {downloadId} (every job of that download)
+ * @returns {number} Number of jobs cancelled
+ */
+function cancelFFmpegJobs(target) {
+  const matches = (job) =>
+    (target.jobId && job.jobId === target.jobId) ||
+    (target.downloadId && job.downloadId === target.downloadId);
+  let cancelled = 0;
+
+  for (let i = queuedFFmpegJobs.length - 1; i >= 0; i--) {
+    const job = queuedFFmpegJobs[i];
+    if (!matches(job)) continue;
+    queuedFFmpegJobs.splice(i, 1);
+    reportFFmpegJobState(job, "cancelled");
+    job.reject(new FFmpegJobCancelledError());
+    cancelled++;
+  }
+  if (runningFFmpegJob && matches(runningFFmpegJob)) {
+    cancelRunningFFmpegJob("Conversion cancelled");
+    cancelled++;
+  }
+  return cancelled;
+}
+
+/**
+ * List the running and queued jobs, in the order they run
+ * @returns {Array<Object>} {jobId, downloadId, priority, state}
+ */
+function listFFmpegJobs() {
+  return [
+    ...(runningFFmpegJob ? [runningFFmpegJob] : []),
+    ...[...queuedFFmpegJobs].sort(compareFFmpegJobs),
+  ].map(({ jobId, downloadId, priority, state }) => ({
+    jobId,
+    downloadId,
+    priority,
+    state,
+  }));
+}
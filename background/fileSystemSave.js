@@ -0,0 +1,410 @@
+/**
+ * Saving to a user-chosen file or folder (File System Access API)
+ * The destination is picked on the extension's save page (popup/saveLocation.html): once
+ * for every download (a folder, showDirectoryPicker) or per download (a file,
+ * showSaveFilePicker). The handles live in the IndexedDB blob store; the offscreen document
+ * writes stored chunks into a FileSystemWritableFileStream one at a time, so a finished
+ * download is never assembled into one blob. HLS downloads that need no FFmpeg pass are
+ * written while they download (createHlsFileSaveStream). Without a destination, or when
+ * access to it has lapsed, files go through chrome.downloads as before.
+ */
+
+/** Progressive downloads are written to the chosen folder in pieces of this size */
+const FILE_SAVE_FLUSH_SIZE = 16 * 1024 * 1024;
+/** How long a finished download waits for its file to be picked on the save page */
+const SAVE_FILE_CHOICE_TIMEOUT_MS = 5 * 60 * 1000;
+/** IndexedDB key of the folder picked for every download */
+const SAVE_DIRECTORY_HANDLE_KEY = "fsDirectoryHandle";
+
+/**
+ * Read the save location settings saved on the save page
+ * @returns {Promise<Object>} {mode: "downloads"|"folder"|"ask", folderName}
+ */
+async function getSaveLocationSettings() {
+  const { saveLocation } = await chrome.storage.local.get(["saveLocation"]);
+  return normalizeSaveLocation(saveLocation);
+}
+
+/**
+ * Open the save page so the user can pick the file for one download
+ * Does nothing when a file was already picked (e.g. for a resumed download).
+ * @param {string} downloadId - The download ID
+ * @param {string} filename - Suggested file name
+ * @returns {Promise<void>}
+ */
+async function promptForSaveFile(downloadId, filename) {
+  const choiceKey = `saveFileChoice_${downloadId}`;
+  const stored = await chrome.storage.local.get([choiceKey]);
+  if (stored[choiceKey]) return;
+  const params = new URLSearchParams({ downloadId, filename: filename || "" });
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`popup/saveLocation.html?${params.toString()}`),
+  });
+}
+
+/**
+ * Wait until the user has picked a file for a download on the save page
+ * @param {string} downloadId - The download ID
+ * @returns {Promise<boolean>} true if a file was picked, false if the browser's
+ *   downloads folder was chosen instead or nothing was picked in time
+ */
+async function waitForSaveFileChoice(downloadId) {
+  const choiceKey = `saveFileChoice_${downloadId}`;
+  const deadline = Date.now() + SAVE_FILE_CHOICE_TIMEOUT_MS;
+  let statusShown = false;
+  while (Date.now() < deadline) {
+    const stored = await chrome.storage.local.get([
+      choiceKey,
+      `downloadCancelled_${downloadId}`,
+    ]);
+    if (stored[`downloadCancelled_${downloadId}`]) return false;
+    if (stored[choiceKey] === "downloads") {
+      await chrome.storage.local.remove(choiceKey);
+      return false;
+    }
+    if (stored[choiceKey]) return stored[choiceKey] === "file";
+    if (!statusShown) {
+      statusShown = true;
+      await chrome.storage.local.set({
+        [`downloadStatus_${downloadId}`]:
+          "Waiting for you to choose where to save (see the save tab)...",
+      });
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  console.warn(
+    "No file picked for download in time, using the downloads folder:",
+    downloadId,
+  );
+  return false;
+}
+
+/**
+ * Send a file save message to the offscreen document
+ * @param {Object} message - Message with an openFileSave/writeFileSave/closeFileSave action
+ * @returns {Promise<Object>} Response ({success, error, ...})
+ */
+function sendFileSaveMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({ success: false, error: chrome.runtime.lastError.message });
+      } else {
+        resolve(response || { success: false, error: "No response" });
+      }
+    });
+  });
+}
+
+/**
+ * Open the file a download is saved to, if a save location is set up
+ * @param {string|null} downloadId - The download ID (files are only picked per download)
+ * @param {string} filename - File name (used in the chosen folder)
+ * @param {Function} setupOffscreenDocument - Function to setup offscreen document
+ * @returns {Promise<Object|null>} {saveId, filename, handleKey}, or null to use chrome.downloads
+ */
+async function openFileSave(downloadId, filename, setupOffscreenDocument) {
+  const settings = await getSaveLocationSettings();
+  if (settings.mode === "downloads") return null;
+  if (settings.mode === "ask") {
+    if (!downloadId || !(await waitForSaveFileChoice(downloadId))) return null;
+  }
+
+  const handleKey =
+    settings.mode === "ask"
+      ? `fsFileHandle_${downloadId}`
+      : SAVE_DIRECTORY_HANDLE_KEY;
+  const saveId = `filesave_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+  await setupOffscreenDocument();
+  const result = await sendFileSaveMessage({
+    action: "openFileSave",
+    saveId,
+    handleKey,
+    filename: sanitizeFilenameForDownload(filename),
+  });
+  if (!result.success) {
+    console.warn(
+      "Could not open the chosen save location, using the downloads folder:",
+      result.error,
+    );
+    if (result.permissionLost) {
+      await chrome.storage.local.set({ saveLocationNeedsAccess: true });
+    }
+    return null;
+  }
+  console.log(`[fileSystemSave] Writing ${result.filename} for`, downloadId);
+  return { saveId, filename: result.filename, handleKey };
+}
+
+/**
+ * Append stored chunks to an open save file, one message per chunk
+ * @param {Object} save - From openFileSave
+ * @param {Array<string>} keys - IndexedDB keys, in file order
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteAfterWrite] - Remove each chunk once it is on disk
+ * @param {AbortSignal} [options.signal] - Stop between chunks when aborted
+ * @param {number} [options.position] - Write the first chunk at this offset instead of
+ *   appending (the rest follow it)
+ * @returns {Promise<number>} Bytes written
+ */
+async function writeFileSaveChunks(save, keys, options = {}) {
+  let written = 0;
+  for (const [i, key] of keys.entries()) {
+    if (options.signal?.aborted) {
+      throw new DOMException("Download cancelled", "AbortError");
+    }
+    const result = await sendFileSaveMessage({
+      action: "writeFileSave",
+      saveId: save.saveId,
+      key,
+      deleteAfterWrite: !!options.deleteAfterWrite,
+      position: i === 0 ? options.position : undefined,
+    });
+    if (!result.success) {
+      throw new Error(result.error || "Writing to the chosen file failed");
+    }
+    written += result.bytesWritten;
+  }
+  return written;
+}
+
+/**
+ * Finish (or throw away) a save file
+ * @param {Object} save - From openFileSave
+ * @param {Object} [options]
+ * @param {boolean} [options.abort] - Discard what was written and remove the new file
+ * @param {Array<string>} [options.deleteKeys] - IndexedDB keys to remove once the file is complete
+ * @returns {Promise<void>}
+ */
+async function closeFileSave(save, options = {}) {
+  const result = await sendFileSaveMessage({
+    action: "closeFileSave",
+    saveId: save.saveId,
+    abort: !!options.abort,
+    deleteKeys: options.deleteKeys || [],
+  });
+  if (!result.success) {
+    throw new Error(result.error || "Closing the chosen file failed");
+  }
+}
+
+/**
+ * Mark a download's picked file as written (the save page closes itself) and drop the handle
+ * @param {Object} save - From openFileSave
+ * @param {string|null} downloadId - The download ID
+ * @returns {Promise<void>}
+ */
+async function finishFileSave(save, downloadId) {
+  if (save.handleKey === SAVE_DIRECTORY_HANDLE_KEY || !downloadId) return;
+  await chrome.storage.local.set({ [`saveFileChoice_${downloadId}`]: "saved" });
+  cleanupIndexedDBBlob(save.handleKey);
+  setTimeout(() => {
+    chrome.storage.local.remove([`saveFileChoice_${downloadId}`]);
+  }, 15000);
+}
+
+/**
+ * Save stored chunks to the chosen file or folder instead of chrome.downloads
+ * The chunks stay in IndexedDB until the file is complete, so on failure the caller can
+ * still hand them to chrome.downloads.
+ * @param {Object} chunks - {blobId, chunkCount} for `${blobId}_chunk_${i}` keys, or {blobId}
+ *   for a single stored buffer
+ * @param {string} filename - File name
+ * @param {string|null} downloadId - The download ID
+ * @param {Function} setupOffscreenDocument - Function to setup offscreen document
+ * @returns {Promise<boolean>} true if the file was written, false to use chrome.downloads
+ */
+async function saveChunksToFileSystem(
+  chunks,
+  filename,
+  downloadId,
+  setupOffscreenDocument,
+) {
+  const save = await openFileSave(downloadId, filename, setupOffscreenDocument);
+  if (!save) return false;
+
+  const keys =
+    chunks.chunkCount != null
+      ? Array.from(
+          { length: chunks.chunkCount },
+          (_, i) => `${chunks.blobId}_chunk_${i}`,
+        )
+      : [chunks.blobId];
+  try {
+    if (downloadId) {
+      await chrome.storage.local.set({
+        [`downloadStatus_${downloadId}`]: `Writing ${save.filename}...`,
+      });
+    }
+    await writeFileSaveChunks(save, keys);
+    await closeFileSave(save, { deleteKeys: keys });
+  } catch (error) {
+    console.warn(
+      "Writing to the chosen save location failed, using the downloads folder:",
+      error.message,
+    );
+    await closeFileSave(save, { abort: true }).catch(() => {});
+    return false;
+  }
+  await finishFileSave(save, downloadId);
+  return true;
+}
+
+/**
+ * Write an HLS download to the chosen file or folder while its segments download
+ * Segments are handed over as they finish, in any order, and written in playlist order, so
+ * only the segments waiting behind a slower one are held; a written segment's data is
+ * dropped from its result. The file is opened once the destination is known: at once for
+ * the folder, in "ask" mode as soon as a file has been picked on the save page. Until then
+ * (or without a destination) nothing is taken and the finished download is saved as usual.
+ * MPEG-TS is rewrapped by the streaming remuxer (tsRemuxer.js) as regular MP4: the room for
+ * its header is reserved at the start of the file and filled in last.
+ * @param {Object} options
+ * @param {string} options.downloadId - The download ID
+ * @param {string} options.filename - File name
+ * @param {Function} options.setupOffscreenDocument - Function to setup offscreen document
+ * @param {Array<Uint8Array>} [options.header] - Written before the first segment (the fMP4
+ *   init segment)
+ * @param {Object} [options.remux] - Remux with these options (see createTsToMp4Remuxer)
+ *   instead of writing the segments as they are
+ * @param {Function} [options.onSegment] - Called with (index, bytes) for each segment
+ *   before it is written
+ * @returns {Object} {add(result), finish(segmentCount), abort()} - add takes a segment
+ *   result ({success, index, data}); finish writes what is left (missing segments are
+ *   left out) and resolves true once the file is complete, or false if it was never opened
+ */
+function createHlsFileSaveStream(options) {
+  const { downloadId } = options;
+  const settingsPromise = getSaveLocationSettings();
+  // Results waiting for the segments before them, by index
+  const waiting = new Map();
+  let save = null;
+  let disabled = false;
+  let error = null;
+  let remuxer = null;
+  let nextIndex = 0;
+  let written = 0;
+  let pieces = [...(options.header || [])];
+  let pendingLength = pieces.reduce((sum, piece) => sum + piece.length, 0);
+  let flushIndex = 0;
+  let fileSaveKey = null;
+  let queue = Promise.resolve();
+
+  const open = async () => {
+    const settings = await settingsPromise;
+    if (settings.mode === "ask") {
+      // Picking a file isn't waited for here; the segments just stay in memory until then
+      const choiceKey = `saveFileChoice_${downloadId}`;
+      const stored = await chrome.storage.local.get([choiceKey]);
+      if (!stored[choiceKey]) return;
+      if (stored[choiceKey] !== "file") {
+        disabled = true;
+        return;
+      }
+    } else if (settings.mode !== "folder") {
+      disabled = true;
+      return;
+    }
+    save = await openFileSave(downloadId, options.filename, options.setupOffscreenDocument);
+    if (!save) {
+      disabled = true;
+      return;
+    }
+    if (options.remux) {
+      remuxer = createTsToMp4Remuxer(options.remux);
+      pieces.unshift(new Uint8Array(remuxer.headerSize));
+      pendingLength += remuxer.headerSize;
+    }
+  };
+
+  const writePieces = async (position) => {
+    if (pieces.length === 0) return;
+    fileSaveKey = `${save.saveId}_part_${flushIndex++}`;
+    await putBufferInIDB(fileSaveKey, new Blob(pieces));
+    pieces = [];
+    pendingLength = 0;
+    await writeFileSaveChunks(save, [fileSaveKey], { deleteAfterWrite: true, position });
+    fileSaveKey = null;
+  };
+
+  const writeSegment = async (result) => {
+    const bytes = new Uint8Array(result.data);
+    if (bytes.length === 0) {
+      throw new Error(`Segment ${result.index + 1} is empty. Video file would be corrupted.`);
+    }
+    if (options.onSegment) options.onSegment(result.index, bytes);
+    for (const piece of remuxer ? remuxer.push(bytes) : [bytes]) {
+      pieces.push(piece);
+      pendingLength += piece.length;
+    }
+    result.data = null;
+    written++;
+    if (pendingLength >= FILE_SAVE_FLUSH_SIZE) await writePieces();
+  };
+
+  const drain = async () => {
+    if (!save) await open();
+    if (!save) return;
+    while (waiting.has(nextIndex)) {
+      const result = waiting.get(nextIndex);
+      waiting.delete(nextIndex);
+      await writeSegment(result);
+      nextIndex++;
+    }
+  };
+
+  const abort = async () => {
+    if (!save) return;
+    const aborted = save;
+    save = null;
+    await closeFileSave(aborted, { abort: true }).catch(() => {});
+    if (fileSaveKey) cleanupIndexedDBBlob(fileSaveKey);
+  };
+
+  return {
+    add(result) {
+      if (disabled || error || !result.success) return queue;
+      waiting.set(result.index, result);
+      queue = queue.then(drain).catch(async (err) => {
+        if (written > 0) {
+          error = err;
+          return;
+        }
+        // Nothing has been taken yet (e.g. a codec the remuxer doesn't handle), so the
+        // finished download can still be saved as usual
+        console.warn("Writing while downloading stopped, saving once finished:", err.message);
+        disabled = true;
+        waiting.clear();
+        await abort();
+      });
+      return queue;
+    },
+
+    async finish(segmentCount) {
+      await queue;
+      if (error) throw error;
+      if (!save) return false;
+      for (let index = nextIndex; index < segmentCount; index++) {
+        const result = waiting.get(index);
+        if (result) await writeSegment(result);
+      }
+      waiting.clear();
+      if (remuxer) {
+        const result = remuxer.finish();
+        pieces.push(...result.pieces);
+        if (result.trailer) pieces.push(result.trailer);
+        await writePieces();
+        pieces = [result.header];
+        await writePieces(0);
+      } else {
+        await writePieces();
+      }
+      await closeFileSave(save);
+      await finishFileSave(save, downloadId);
+      save = null;
+      return true;
+    },
+
+    abort,
+  };
+}
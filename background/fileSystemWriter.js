@@ -0,0 +1,163 @@
+/**
+ * File System Access writer
+ * Writes stored chunks straight into a FileSystemWritableFileStream, either a file picked
+ * for one download or a new file in the folder picked for every download. Each write reads
+ * one chunk from IndexedDB, so memory stays near the size of a chunk however long the video is.
+ * Loaded by the offscreen document (openFileSave / writeFileSave / closeFileSave);
+ * the service worker side is fileSystemSave.js. Needs openDownloaderDB from scripts/storage.js.
+ */
+
+/** Open save files by saveId: {writable, directory, name, created, bytesWritten} */
+const openFileSaves = new Map();
+
+/**
+ * Read one value (a handle or a chunk) from the blob store
+ * @param {string} key - IndexedDB key
+ * @returns {Promise<*>} The stored value, or undefined
+ */
+async function readSaveEntry(key) {
+  const db = await openDownloaderDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readonly");
+      const req = tx.objectStore("blobs").get(key);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error("IDB read error"));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Remove values from the blob store
+ * @param {Array<string>} keys - IndexedDB keys
+ * @returns {Promise<void>}
+ */
+async function deleteSaveEntries(keys) {
+  if (!keys.length) return;
+  const db = await openDownloaderDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      const store = tx.objectStore("blobs");
+      for (const key of keys) store.delete(key);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Pick a name that doesn't exist yet in a folder ("video.mp4", "video (1).mp4", ...)
+ * @param {FileSystemDirectoryHandle} directory - Target folder
+ * @param {string} name - Wanted file name
+ * @returns {Promise<string>}
+ */
+async function getUniqueFileName(directory, name) {
+  const dot = name.lastIndexOf(".");
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : "";
+  for (let i = 0; i < 1000; i++) {
+    const candidate = i === 0 ? name : `${stem} (${i})${extension}`;
+    try {
+      await directory.getFileHandle(candidate);
+    } catch (error) {
+      if (error.name === "NotFoundError") return candidate;
+      throw error;
+    }
+  }
+  return `${stem} (${Date.now()})${extension}`;
+}
+
+/**
+ * Open a writable stream on the picked file, or on a new file in the picked folder
+ * @param {string} saveId - ID to refer to the open file by
+ * @param {string} handleKey - IndexedDB key of the stored file or directory handle
+ * @param {string} filename - File name to create in a folder
+ * @returns {Promise<Object>} {success, filename} or {success: false, error, permissionLost}
+ */
+async function handleOpenFileSave(saveId, handleKey, filename) {
+  const handle = await readSaveEntry(handleKey);
+  if (!handle || typeof handle.queryPermission !== "function") {
+    return { success: false, error: "No save location has been chosen" };
+  }
+  // Permission can't be requested here (no user gesture); the save page asks again
+  const permission = await handle.queryPermission({ mode: "readwrite" });
+  if (permission !== "granted") {
+    return {
+      success: false,
+      error: `Access to "${handle.name}" needs to be allowed again`,
+      permissionLost: true,
+    };
+  }
+
+  let fileHandle = handle;
+  let directory = null;
+  let created = false;
+  if (handle.kind === "directory") {
+    directory = handle;
+    const name = await getUniqueFileName(directory, filename);
+    fileHandle = await directory.getFileHandle(name, { create: true });
+    created = true;
+  }
+  const writable = await fileHandle.createWritable();
+  openFileSaves.set(saveId, {
+    writable,
+    directory,
+    name: fileHandle.name,
+    created,
+    bytesWritten: 0,
+  });
+  return { success: true, filename: fileHandle.name };
+}
+
+/**
+ * Append one stored chunk to an open save file
+ * @param {string} saveId - From handleOpenFileSave
+ * @param {string} key - IndexedDB key of the chunk (ArrayBuffer or Blob)
+ * @param {boolean} deleteAfterWrite - Remove the chunk once written
+ * @param {number} [position] - Write at this offset instead of appending (e.g. a header
+ *   whose space was reserved); later writes continue after it
+ * @returns {Promise<Object>} {success, bytesWritten}
+ */
+async function handleWriteFileSave(saveId, key, deleteAfterWrite, position) {
+  const save = openFileSaves.get(saveId);
+  if (!save) throw new Error(`Save file not open: ${saveId}`);
+  const chunk = await readSaveEntry(key);
+  if (!(chunk instanceof ArrayBuffer) && !(chunk instanceof Blob)) {
+    throw new Error(`Chunk not found: ${key}`);
+  }
+  await save.writable.write(
+    position == null ? chunk : { type: "write", position, data: chunk },
+  );
+  const size = chunk instanceof Blob ? chunk.size : chunk.byteLength;
+  if (position == null) save.bytesWritten += size;
+  if (deleteAfterWrite) await deleteSaveEntries([key]);
+  return { success: true, bytesWritten: size };
+}
+
+/**
+ * Close an open save file; the file only appears with its content once closed
+ * @param {string} saveId - From handleOpenFileSave
+ * @param {boolean} abort - Discard the written data (and remove a file created in a folder)
+ * @param {Array<string>} deleteKeys - IndexedDB keys to remove after a successful close
+ * @returns {Promise<Object>} {success, bytesWritten}
+ */
+async function handleCloseFileSave(saveId, abort, deleteKeys) {
+  const save = openFileSaves.get(saveId);
+  if (!save) return { success: true, bytesWritten: 0 };
+  openFileSaves.delete(saveId);
+  if (abort) {
+    await save.writable.abort().catch(() => {});
+    if (save.created && save.directory) {
+      await save.directory.removeEntry(save.name).catch(() => {});
+    }
+    return { success: true, bytesWritten: 0 };
+  }
+  await save.writable.close();
+  await deleteSaveEntries(deleteKeys || []);
+  return { success: true, bytesWritten: save.bytesWritten };
+}
@@ -0,0 +1,308 @@
+/**
+ * ISO-BMFF (MP4) box walker
+ * Walks box headers instead of searching for box names, so a "moov" or "ftyp" inside
+ * sample data is never mistaken for a box. Used to take the init section (ftyp + moov)
+ * out of a first segment, to check fragments against the init's tracks, to describe the
+ * codecs from stsd, and by segmentValidation.js.
+ */
+
+/** Top-level boxes that start the media part of a file or segment (end of any init section) */
+const MP4_MEDIA_BOXES = ["styp", "sidx", "moof", "mdat", "emsg", "prft"];
+/** stsd entries of protected tracks carry the original format in sinf/frma */
+const MP4_PROTECTED_ENTRIES = ["encv", "enca"];
+
+/**
+ * Read a four-character box type
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset of the type field
+ * @returns {string} Box type
+ */
+function readBoxType(bytes, offset) {
+  return String.fromCharCode(
+    bytes[offset],
+    bytes[offset + 1],
+    bytes[offset + 2],
+    bytes[offset + 3],
+  );
+}
+
+/**
+ * Split a range of ISO-BMFF data into boxes
+ * @param {Uint8Array} bytes - Data
+ * @param {number} start - First byte of the range
+ * @param {number} end - End of the range
+ * @returns {{boxes: Array, error: string|null}} Boxes {type, start, headerSize, end}
+ *   up to the first one that doesn't fit, and why it doesn't
+ */
+function readBoxes(bytes, start, end) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  let offset = start;
+  while (offset < end) {
+    if (end - offset < 8) {
+      return { boxes, error: `${end - offset} stray bytes after the last box` };
+    }
+    const type = readBoxType(bytes, offset + 4);
+    let size = view.getUint32(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      if (end - offset < 16) {
+        return { boxes, error: `${type} box header cut off` };
+      }
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset; // box extends to the end
+    }
+    if (size < headerSize) {
+      return { boxes, error: `invalid ${type} box size ${size}` };
+    }
+    if (offset + size > end) {
+      return {
+        boxes,
+        error: `truncated: ${type} box needs ${size} bytes, only ${end - offset} left`,
+      };
+    }
+    boxes.push({ type, start: offset, headerSize, end: offset + size });
+    offset += size;
+  }
+  return { boxes, error: null };
+}
+
+/**
+ * Find a box by path below a parent box
+ * @param {Uint8Array} bytes - Data
+ * @param {Object|null} parent - Box to search in, or null for the top level
+ * @param {Array<string>} path - Box types, outermost first (e.g. ["mdia", "minf", "stbl"])
+ * @returns {Object|null} The first matching box, or null
+ */
+function findBox(bytes, parent, path) {
+  let box = parent;
+  for (const type of path) {
+    const { boxes } = box
+      ? readBoxes(bytes, box.start + box.headerSize, box.end)
+      : readBoxes(bytes, 0, bytes.length);
+    box = boxes.find((child) => child.type === type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+/**
+ * Find where the init section (ftyp ... moov) of a file or segment ends
+ * The init section must start with ftyp and reach a complete moov before any media box.
+ * @param {ArrayBuffer|Uint8Array} data - Data starting at a box boundary
+ * @returns {{initEnd: number|null, error: string|null}} Byte length of the init section,
+ *   or null and why there is none
+ */
+function findInitSectionEnd(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  // Only the leading boxes matter; a truncated or odd box further on is not our concern
+  const { boxes, error } = readBoxes(bytes, 0, bytes.length);
+  if (boxes.length === 0) return { initEnd: null, error: error || "no boxes" };
+  if (boxes[0].type !== "ftyp") {
+    return { initEnd: null, error: "no ftyp box at the start" };
+  }
+  for (const box of boxes) {
+    if (box.type === "moov") return { initEnd: box.end, error: null };
+    if (MP4_MEDIA_BOXES.includes(box.type)) {
+      return { initEnd: null, error: `${box.type} before any moov` };
+    }
+  }
+  return { initEnd: null, error: error || "no moov box" };
+}
+
+/**
+ * Parse an init section: its tracks and their codecs
+ * @param {ArrayBuffer|Uint8Array} data - Init section (ftyp + moov), or a file starting with one
+ * @returns {{tracks: Array, error: string|null}} Tracks {id, handler, timescale, codec,
+ *   codecString, width, height, channels, sampleRate, encrypted}
+ */
+function parseInitSection(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const { initEnd, error } = findInitSectionEnd(bytes);
+  if (initEnd === null) return { tracks: [], error };
+  const moov = findBox(bytes.subarray(0, initEnd), null, ["moov"]);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const { boxes } = readBoxes(bytes, moov.start + moov.headerSize, moov.end);
+  const tracks = [];
+  const fullBoxBody = (box) => box.start + box.headerSize + 4;
+  for (const trak of boxes.filter((box) => box.type === "trak")) {
+    const tkhd = findBox(bytes, trak, ["tkhd"]);
+    const mdhd = findBox(bytes, trak, ["mdia", "mdhd"]);
+    const hdlr = findBox(bytes, trak, ["mdia", "hdlr"]);
+    const stsd = findBox(bytes, trak, ["mdia", "minf", "stbl", "stsd"]);
+    if (!tkhd || !mdhd || !hdlr || !stsd) {
+      return { tracks, error: "trak without tkhd, mdhd, hdlr or stsd" };
+    }
+    if (
+      tkhd.end - tkhd.start < 32 ||
+      mdhd.end - mdhd.start < 32 ||
+      hdlr.end - hdlr.start < 20
+    ) {
+      return { tracks, error: "tkhd, mdhd or hdlr box too small" };
+    }
+    const tkhdVersion = bytes[tkhd.start + tkhd.headerSize];
+    const mdhdVersion = bytes[mdhd.start + mdhd.headerSize];
+    const handler = readBoxType(bytes, fullBoxBody(hdlr) + 4);
+    tracks.push({
+      id: view.getUint32(fullBoxBody(tkhd) + (tkhdVersion === 1 ? 16 : 8)),
+      handler,
+      timescale: view.getUint32(fullBoxBody(mdhd) + (mdhdVersion === 1 ? 16 : 8)),
+      ...readSampleEntry(bytes, stsd, handler),
+    });
+  }
+  if (tracks.length === 0) return { tracks, error: "moov has no tracks" };
+  return { tracks, error: null };
+}
+
+/**
+ * Describe the first sample entry of an stsd box
+ * @param {Uint8Array} bytes - Data
+ * @param {Object} stsd - stsd box
+ * @param {string} handler - Track handler type ("vide", "soun", ...)
+ * @returns {Object} {codec, codecString, width, height, channels, sampleRate, encrypted}
+ */
+function readSampleEntry(bytes, stsd, handler) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // full box header + entry_count
+  const { boxes } = readBoxes(bytes, stsd.start + stsd.headerSize + 8, stsd.end);
+  const entry = boxes[0];
+  const details = {
+    codec: entry ? entry.type : null,
+    codecString: entry ? entry.type : null,
+    width: null,
+    height: null,
+    channels: null,
+    sampleRate: null,
+    encrypted: false,
+  };
+  if (!entry) return details;
+  const body = entry.start + entry.headerSize;
+
+  // Visual and audio sample entries have different fixed fields before their child boxes
+  const fixedSize = handler === "soun" ? 28 : handler === "vide" ? 78 : null;
+  if (fixedSize === null || body + fixedSize > entry.end) return details;
+  let childStart;
+  if (handler === "soun") {
+    const soundVersion = view.getUint16(body + 8);
+    details.channels = view.getUint16(body + 16);
+    details.sampleRate = view.getUint32(body + 24) >>> 16;
+    childStart = body + 28 + (soundVersion === 1 ? 16 : soundVersion === 2 ? 36 : 0);
+  } else {
+    details.width = view.getUint16(body + 24);
+    details.height = view.getUint16(body + 26);
+    childStart = body + 78;
+  }
+  const children = readBoxes(bytes, Math.min(childStart, entry.end), entry.end).boxes;
+  const child = (type) => children.find((box) => box.type === type);
+
+  if (MP4_PROTECTED_ENTRIES.includes(entry.type)) {
+    const sinf = child("sinf");
+    const frma = sinf && findBox(bytes, sinf, ["frma"]);
+    details.encrypted = true;
+    if (frma) {
+      details.codec = readBoxType(bytes, frma.start + frma.headerSize);
+      details.codecString = details.codec;
+    }
+  }
+
+  const avcC = child("avcC");
+  if (avcC && bytes.length >= avcC.start + avcC.headerSize + 4) {
+    const profile = avcC.start + avcC.headerSize + 1;
+    const hex = (value) => value.toString(16).padStart(2, "0").toUpperCase();
+    details.codecString = `${details.codec}.${hex(bytes[profile])}${hex(bytes[profile + 1])}${hex(bytes[profile + 2])}`;
+  }
+  const esds = child("esds");
+  if (esds) {
+    const objectType = readEsdsObjectType(bytes, esds);
+    if (objectType) details.codecString = `${details.codec}.${objectType}`;
+  }
+  return details;
+}
+
+/**
+ * Read the RFC 6381 object type ("40.2" for AAC-LC) from an esds box
+ * @param {Uint8Array} bytes - Data
+ * @param {Object} esds - esds box
+ * @returns {string|null}
+ */
+function readEsdsObjectType(bytes, esds) {
+  let offset = esds.start + esds.headerSize + 4; // full box header
+  const end = esds.end;
+  // Descriptor: tag, size in 1-4 bytes of 7 bits
+  const readDescriptor = () => {
+    if (offset + 2 > end) return null;
+    const tag = bytes[offset++];
+    let size = 0;
+    for (let i = 0; i < 4 && offset < end; i++) {
+      const byte = bytes[offset++];
+      size = (size << 7) | (byte & 0x7f);
+      if (!(byte & 0x80)) break;
+    }
+    return { tag, size, body: offset };
+  };
+
+  const es = readDescriptor();
+  if (!es || es.tag !== 0x03) return null;
+  const esFlags = bytes[offset + 2];
+  offset += 3; // ES_ID, flags
+  if (esFlags & 0x80) offset += 2; // dependsOn_ES_ID
+  if (esFlags & 0x40) offset += 1 + bytes[offset]; // URL
+  if (esFlags & 0x20) offset += 2; // OCR_ES_Id
+  const config = readDescriptor();
+  if (!config || config.tag !== 0x04) return null;
+  const objectTypeIndication = bytes[config.body];
+  offset = config.body + 13; // objectType, streamType, bufferSize, max/avg bitrate
+  const specific = readDescriptor();
+  const hex = objectTypeIndication.toString(16);
+  if (!specific || specific.tag !== 0x05 || objectTypeIndication !== 0x40) {
+    return hex;
+  }
+  let audioObjectType = bytes[specific.body] >> 3;
+  if (audioObjectType === 31) {
+    audioObjectType =
+      32 + (((bytes[specific.body] & 0x07) << 3) | (bytes[specific.body + 1] >> 5));
+  }
+  return `${hex}.${audioObjectType}`;
+}
+
+/**
+ * Collect the track IDs used by the fragments (moof/traf/tfhd) of a segment
+ * @param {ArrayBuffer|Uint8Array} data - Segment data
+ * @returns {Array<number>} Track IDs, in order of first use
+ */
+function readFragmentTrackIds(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ids = [];
+  for (const moof of readBoxes(bytes, 0, bytes.length).boxes) {
+    if (moof.type !== "moof") continue;
+    const { boxes } = readBoxes(bytes, moof.start + moof.headerSize, moof.end);
+    for (const traf of boxes.filter((box) => box.type === "traf")) {
+      const tfhd = findBox(bytes, traf, ["tfhd"]);
+      if (!tfhd || tfhd.end - tfhd.start < tfhd.headerSize + 8) continue;
+      const id = view.getUint32(tfhd.start + tfhd.headerSize + 4);
+      if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * One-line summary of an init section's tracks, e.g. "avc1.64001F 1280x720, mp4a.40.2 48000Hz 2ch"
+ * @param {Array} tracks - Tracks from parseInitSection
+ * @returns {string}
+ */
+function describeInitTracks(tracks) {
+  return tracks
+    .map((track) => {
+      const parts = [track.codecString || track.handler];
+      if (track.width && track.height) parts.push(`${track.width}x${track.height}`);
+      if (track.sampleRate) parts.push(`${track.sampleRate}Hz`);
+      if (track.channels) parts.push(`${track.channels}ch`);
+      if (track.encrypted) parts.push("encrypted");
+      return parts.join(" ");
+    })
+    .join(", ");
+}
@@ -0,0 +1,344 @@
+/**
+ * Live stream recording
+ * Live media playlists have no #EXT-X-ENDLIST: the server keeps appending segments and
+ * drops old ones. Recording reloads the playlist every target duration, downloads the
+ * segments it hasn't seen yet (by media sequence number) and appends them to the
+ * download's checkpoint until the user stops it, a duration limit is reached or the
+ * stream ends. The recorded segments are then merged like a regular HLS download.
+ */
+
+/** Status prefix while a live stream is being recorded (the UI shows it instead of a percentage) */
+const LIVE_RECORDING_STATUS = "Recording live stream";
+/** Without "from start", recording begins this many segments from the live edge */
+const LIVE_EDGE_SEGMENTS = 3;
+/** Give up (treat the stream as ended) after this many failed playlist reloads in a row */
+const LIVE_MAX_RELOAD_FAILURES = 5;
+
+/**
+ * Check if a parsed media playlist is live (still growing)
+ * EVENT playlists without #EXT-X-ENDLIST are live too; only VOD lists are final.
+ * @param {Object} playlist - Parsed playlist from parseM3U8
+ * @returns {boolean}
+ */
+function isLivePlaylist(playlist) {
+  return !!playlist && !playlist.endList && playlist.playlistType !== "VOD";
+}
+
+/**
+ * Read the live recording settings saved in the popup
+ * @returns {Promise<Object>} {maxDuration, fromStart}; maxDuration is in seconds, null for no limit
+ */
+async function getLiveRecordingSettings() {
+  const items = await chrome.storage.local.get(["liveRecordingSettings"]);
+  const stored = items.liveRecordingSettings || {};
+  const minutes = parseFloat(stored.maxMinutes);
+  return {
+    maxDuration: minutes > 0 ? Math.round(minutes * 60) : null,
+    fromStart: !!stored.fromStart,
+  };
+}
+
+/**
+ * Check if the user asked a live recording to stop
+ * @param {string} downloadId - The download ID
+ * @returns {Promise<boolean>}
+ */
+async function isLiveRecordingStopped(downloadId) {
+  const items = await chrome.storage.local.get([
+    `downloadLiveStop_${downloadId}`,
+  ]);
+  return !!items[`downloadLiveStop_${downloadId}`];
+}
+
+/**
+ * Stop a live recording
+ * Unlike a cancel, the recorded segments are kept and merged into the output file.
+ * @param {string} downloadId - The download ID
+ * @param {Map} downloadControllers - Map of download controllers
+ * @returns {Promise<void>}
+ */
+async function stopLiveRecording(downloadId, downloadControllers) {
+  const controllerInfo = downloadControllers.get(downloadId);
+  if (!controllerInfo?.controller || controllerInfo.controller.signal.aborted) {
+    throw new Error("This download is not running.");
+  }
+  if (!controllerInfo.live) {
+    throw new Error("This download is not a live recording.");
+  }
+
+  await chrome.storage.local.set({
+    [`downloadLiveStop_${downloadId}`]: true,
+    [`downloadStatus_${downloadId}`]: "Stopping recording...",
+  });
+  console.log("Live recording stop requested:", downloadId);
+}
+
+/**
+ * Start (or pick up) the checkpoint of a live recording
+ * A live playlist changes on every reload, so instead of a segment-list fingerprint the
+ * manifest keeps the recorded segments themselves (liveSegments, by index). A resumed
+ * recording keeps what it had and appends after it.
+ * @param {string} downloadId - The download ID
+ * @param {Object} details - What is needed to restart the download: {url, filename, type, tabId}
+ * @returns {Promise<Object>} Manifest as from openHlsCheckpoint, plus {live, liveSegments}
+ */
+async function openLiveCheckpoint(downloadId, details) {
+  const existing = await loadHlsCheckpoint(downloadId);
+  if (existing && existing.live) {
+    console.log(
+      `♻️ Continuing live recording: ${existing.completed.length} segments already recorded`,
+    );
+    return existing;
+  }
+  if (existing) {
+    await deleteHlsCheckpoint(downloadId);
+  }
+
+  const now = Date.now();
+  const manifest = {
+    downloadId,
+    url: details.url,
+    filename: details.filename,
+    type: details.type || "hls",
+    tabId: details.tabId || null,
+    clip: null,
+    fingerprint: "live",
+    live: true,
+    liveSegments: [],
+    segmentCount: 0,
+    completed: [],
+    corrupt: {},
+    createdAt: now,
+    updatedAt: now,
+  };
+  const db = await openDownloaderDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      tx.objectStore("blobs").put(
+        manifest,
+        getCheckpointManifestKey(downloadId),
+      );
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+  return manifest;
+}
+
+/**
+ * Fetch and parse a live media playlist
+ * @param {string} playlistUrl - Media playlist URL
+ * @param {number|null} tabId - The tab ID for cookie access
+ * @param {AbortController} abortController - Abort controller for cancellation
+ * @returns {Promise<Object>} Parsed playlist from parseM3U8
+ */
+async function fetchLivePlaylist(playlistUrl, tabId, abortController) {
+  const fetchOptions = await getFetchOptionsWithHeaders(
+    playlistUrl,
+    tabId,
+    abortController,
+  );
+  // Intermediate caches may serve a stale window
+  fetchOptions.cache = "no-store";
+  const response = await fetch(playlistUrl, fetchOptions);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to reload live playlist: HTTP ${response.status} ${response.statusText}`,
+    );
+  }
+  const text = await response.text();
+  const baseUrl = playlistUrl.substring(0, playlistUrl.lastIndexOf("/") + 1);
+  return parseM3U8(text, baseUrl);
+}
+
+/**
+ * Wait before the next playlist reload, returning early if the recording is stopped
+ * @param {string} downloadId - The download ID
+ * @param {AbortController} abortController - Abort controller for cancellation
+ * @param {number} waitMs - How long to wait
+ * @returns {Promise<boolean>} True if the user stopped the recording meanwhile
+ */
+async function waitForLiveReload(downloadId, abortController, waitMs) {
+  const waitStart = Date.now();
+  while (Date.now() - waitStart < waitMs) {
+    if (abortController.signal.aborted) {
+      throw new DOMException("Download cancelled", "AbortError");
+    }
+    if (await isLiveRecordingStopped(downloadId)) return true;
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  return false;
+}
+
+/**
+ * Record a live stream until it is stopped, reaches the duration limit or ends
+ * New segments are fetched through the adaptive window in slices, so a "from start"
+ * recording catches up on the DVR window quickly while stop and limit are still
+ * checked between slices.
+ * @param {Object} params
+ * @param {string} params.playlistUrl - Media playlist URL to reload
+ * @param {Object} params.playlist - Already fetched and parsed media playlist
+ * @param {string} params.downloadId - The download ID
+ * @param {AbortController} params.abortController - Abort controller for cancellation
+ * @param {number|null} params.tabId - The tab ID for cookie access
+ * @param {Object|null} params.checkpoint - Manifest from openLiveCheckpoint (null if unavailable)
+ * @param {Object} params.settings - {maxDuration, fromStart} from getLiveRecordingSettings
+ * @param {Object} params.rateController - Rate controller from createSegmentRateController
+ * @param {Function} params.downloadSegment - (segment, index) => Promise<{success, index, data?, error?}>
+ * @returns {Promise<Object>} {segments, results, recordedDuration, endReason}; endReason is
+ *   "stopped", "limit" or "ended"
+ */
+async function recordLiveStream(params) {
+  const { playlistUrl, downloadId, abortController, tabId, checkpoint } =
+    params;
+  const { maxDuration, fromStart } = params.settings;
+  let playlist = params.playlist;
+
+  // A resumed recording keeps its segments; the first new one follows a gap
+  const recorded = checkpoint ? checkpoint.liveSegments.slice() : [];
+  const completed = new Set(checkpoint ? checkpoint.completed : []);
+  let recordedDuration = recorded.reduce(
+    (sum, seg, index) => sum + (seg && completed.has(index) ? seg.duration : 0),
+    0,
+  );
+  const seenSequences = new Set(recorded.map((seg) => seg && seg.sequence));
+  let lastSequence =
+    recorded.length > 0 ? recorded[recorded.length - 1].sequence : null;
+  let markGap = recorded.length > 0;
+  let firstLoad = recorded.length === 0;
+  let plannedDuration = recordedDuration;
+  let reloadFailures = 0;
+  let endReason = null;
+  const results = [];
+
+  const reportProgress = () => {
+    const limitText = maxDuration ? ` of ${formatClipTime(maxDuration)}` : "";
+    return chrome.storage.local
+      .set({
+        [`downloadProgress_${downloadId}`]: 5,
+        [`downloadStatus_${downloadId}`]: `${LIVE_RECORDING_STATUS}: ${formatClipTime(recordedDuration)}${limitText} recorded (${recorded.length} segments)`,
+      })
+      .catch(() => {});
+  };
+
+  console.log(
+    `🔴 Recording live stream (${fromStart ? "from the start of the DVR window" : "from the live edge"}${maxDuration ? `, limit ${formatClipTime(maxDuration)}` : ""})`,
+  );
+  // A stop left over from an earlier attempt under this ID must not end this one
+  await chrome.storage.local.remove([`downloadLiveStop_${downloadId}`]);
+  await reportProgress();
+
+  while (!endReason) {
+    if (abortController.signal.aborted) {
+      throw new DOMException("Download cancelled", "AbortError");
+    }
+
+    // Only segments after the last recorded one count, so DVR segments skipped at the
+    // live edge (or before a resume) are never appended behind newer ones
+    let fresh = playlist.segments.filter(
+      (seg) =>
+        !seenSequences.has(seg.sequence) &&
+        (lastSequence === null || seg.sequence > lastSequence),
+    );
+    if (firstLoad && !fromStart) {
+      fresh = fresh.slice(-LIVE_EDGE_SEGMENTS);
+    }
+    firstLoad = false;
+    playlist.segments.forEach((seg) => seenSequences.add(seg.sequence));
+
+    if (
+      fresh.length > 0 &&
+      lastSequence !== null &&
+      fresh[0].sequence > lastSequence + 1
+    ) {
+      // The window moved past segments we never saw (slow reloads or a resume)
+      console.warn(
+        `Live recording fell behind: ${fresh[0].sequence - lastSequence - 1} segments left the playlist before they could be fetched`,
+      );
+      markGap = true;
+    }
+    assertSupportedEncryption(fresh);
+
+    // Queue what fits in the duration limit, then fetch it in slices
+    const queued = [];
+    for (const seg of fresh) {
+      if (maxDuration && plannedDuration >= maxDuration) break;
+      plannedDuration += seg.duration || 0;
+      queued.push(markGap ? { ...seg, discontinuity: true } : seg);
+      markGap = false;
+    }
+    if (maxDuration && plannedDuration >= maxDuration) {
+      endReason = "limit";
+    }
+
+    while (queued.length > 0) {
+      const slice = queued.splice(0, params.rateController.concurrency);
+      const indices = slice.map((seg) => {
+        recorded.push(seg);
+        return recorded.length - 1;
+      });
+      const sliceResults = await runSegmentWindow(
+        indices,
+        (index) => params.downloadSegment(recorded[index], index),
+        params.rateController,
+        { shouldStop: () => abortController.signal.aborted },
+      );
+      sliceResults.forEach((result) => {
+        results.push(result);
+        if (result.success) {
+          recordedDuration += recorded[result.index].duration || 0;
+        }
+      });
+      lastSequence = slice[slice.length - 1].sequence;
+      await reportProgress();
+
+      if (await isLiveRecordingStopped(downloadId)) {
+        endReason = "stopped";
+        break;
+      }
+    }
+    if (endReason) break;
+
+    if (playlist.endList) {
+      endReason = "ended";
+      break;
+    }
+
+    // RFC 8216 section 6.3.4: reload after the target duration, or half of it when
+    // the last reload brought nothing new
+    const targetMs = (playlist.targetDuration || 6) * 1000;
+    const waitMs = fresh.length > 0 ? targetMs : targetMs / 2;
+    if (await waitForLiveReload(downloadId, abortController, waitMs)) {
+      endReason = "stopped";
+      break;
+    }
+
+    try {
+      playlist = await fetchLivePlaylist(playlistUrl, tabId, abortController);
+      reloadFailures = 0;
+    } catch (error) {
+      if (error.name === "AbortError" || abortController.signal.aborted) {
+        throw error;
+      }
+      reloadFailures++;
+      console.warn(
+        `Live playlist reload failed (${reloadFailures}/${LIVE_MAX_RELOAD_FAILURES}):`,
+        error.message,
+      );
+      if (reloadFailures >= LIVE_MAX_RELOAD_FAILURES) {
+        console.warn(
+          "Live playlist is no longer available, treating the stream as ended",
+        );
+        endReason = "ended";
+      }
+    }
+  }
+
+  console.log(
+    `⏹️ Live recording finished (${endReason}): ${formatClipTime(recordedDuration)} in ${recorded.length} segments`,
+  );
+  return { segments: recorded, results, recordedDuration, endReason };
+}
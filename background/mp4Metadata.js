@@ -0,0 +1,184 @@
+/**
+ * MP4 metadata tags (title, artist, date, comment, description) and cover art
+ * Tags are written the way iTunes and FFmpeg do: moov > udta > meta > ilst, one item per
+ * tag (©nam, ©ART, ©day, ©cmt, desc) holding a UTF-8 "data" box, and the video's
+ * thumbnail (metadata.coverUrl) as a covr item holding the JPEG or PNG.
+ * Loaded by the service worker, which tags progressive and fMP4 output with
+ * addMp4Metadata (needs isoBmff.js), and by the offscreen document, where the TS remuxer
+ * puts buildMp4MetadataUdta in the moov it writes. FFmpeg output is tagged with
+ * -metadata arguments and gets the cover as an attached_pic stream instead (offscreen.js).
+ */
+
+/** ilst item type for each metadata key */
+const MP4_METADATA_ITEMS = {
+  title: "©nam",
+  artist: "©ART",
+  date: "©day",
+  comment: "©cmt",
+  description: "desc",
+};
+/** Larger thumbnails are not embedded */
+const COVER_ART_MAX_BYTES = 5 * 1024 * 1024;
+/** data box type codes for cover images */
+const COVER_ART_DATA_TYPES = { jpeg: 13, png: 14 };
+
+/**
+ * Fetch a video's thumbnail for embedding
+ * Only JPEG and PNG can be stored as MP4 / ID3 cover art; anything else is skipped.
+ * @param {string|null} url - Thumbnail URL (metadata.coverUrl)
+ * @returns {Promise<Object|null>} {data: Uint8Array, format: "jpeg"|"png"}, or null
+ *   if there is none or it couldn't be fetched (a download never fails over its cover)
+ */
+async function fetchCoverArt(url) {
+  if (!url) return null;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (data.length === 0 || data.length > COVER_ART_MAX_BYTES) return null;
+    // Trust the bytes rather than the Content-Type
+    if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+      return { data, format: "jpeg" };
+    }
+    if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) {
+      return { data, format: "png" };
+    }
+    return null;
+  } catch (e) {
+    console.warn("Could not fetch cover art:", e.message);
+    return null;
+  }
+}
+
+/**
+ * Build a box from a type and byte payloads
+ * @param {string} type - Four-character box type (Latin-1, so "©" is one byte)
+ * @param {...Uint8Array} payloads - Box contents
+ * @returns {Uint8Array}
+ */
+function buildMetadataBox(type, ...payloads) {
+  const size = 8 + payloads.reduce((sum, payload) => sum + payload.length, 0);
+  const box = new Uint8Array(size);
+  new DataView(box.buffer).setUint32(0, size);
+  for (let i = 0; i < 4; i++) box[4 + i] = type.charCodeAt(i);
+  let offset = 8;
+  for (const payload of payloads) {
+    box.set(payload, offset);
+    offset += payload.length;
+  }
+  return box;
+}
+
+/**
+ * Build the udta box holding a video's tags
+ * @param {Object|null} metadata - {title, artist, date, comment, description}; empty values are left out
+ * @param {Object|null} [cover] - Cover art from fetchCoverArt
+ * @returns {Uint8Array|null} udta box, or null when there is nothing to write
+ */
+function buildMp4MetadataUdta(metadata, cover = null) {
+  if (!metadata && !cover) return null;
+  metadata = metadata || {};
+  const encoder = new TextEncoder();
+  const items = Object.entries(MP4_METADATA_ITEMS)
+    .filter(([key]) => typeof metadata[key] === "string" && metadata[key].trim())
+    .map(([key, type]) =>
+      buildMetadataBox(
+        type,
+        // data: type 1 (UTF-8), locale 0, then the text
+        buildMetadataBox(
+          "data",
+          Uint8Array.of(0, 0, 0, 1, 0, 0, 0, 0),
+          encoder.encode(metadata[key].trim()),
+        ),
+      ),
+    );
+  if (cover) {
+    items.push(
+      buildMetadataBox(
+        "covr",
+        buildMetadataBox(
+          "data",
+          Uint8Array.of(0, 0, 0, COVER_ART_DATA_TYPES[cover.format], 0, 0, 0, 0),
+          cover.data,
+        ),
+      ),
+    );
+  }
+  if (items.length === 0) return null;
+
+  const hdlr = buildMetadataBox(
+    "hdlr",
+    new Uint8Array(8), // version, flags, pre_defined
+    Uint8Array.from("mdirappl", (c) => c.charCodeAt(0)), // handler type, reserved
+    new Uint8Array(9), // reserved, empty name
+  );
+  const meta = buildMetadataBox(
+    "meta",
+    new Uint8Array(4), // version, flags
+    hdlr,
+    buildMetadataBox("ilst", ...items),
+  );
+  return buildMetadataBox("udta", meta);
+}
+
+/**
+ * Tag an MP4 whose moov is in the given bytes
+ * The moov's own udta (if any) is replaced. When the moov comes before the sample data,
+ * that data moves by the size change, so every stco / co64 chunk offset is moved with it.
+ * Works on the start of a file too: boxes after the moov don't have to be complete.
+ * @param {Uint8Array} bytes - The file, or a part of it starting at a box boundary
+ * @param {Object|null} metadata - Tags for buildMp4MetadataUdta
+ * @param {Object|null} [cover] - Cover art from fetchCoverArt
+ * @returns {Array<Uint8Array>|null} Parts of the tagged data (for a Blob or to concatenate),
+ *   or null if there is nothing to write, no complete moov or an offset would overflow
+ */
+function addMp4Metadata(bytes, metadata, cover = null) {
+  const udta = buildMp4MetadataUdta(metadata, cover);
+  if (!udta) return null;
+  const { boxes } = readBoxes(bytes, 0, bytes.length);
+  const moov = boxes.find((box) => box.type === "moov");
+  if (!moov) return null;
+
+  const children = readBoxes(bytes, moov.start + moov.headerSize, moov.end).boxes;
+  const kept = children
+    .filter((child) => child.type !== "udta")
+    .map((child) => bytes.subarray(child.start, child.end));
+  const newMoov = buildMetadataBox("moov", ...kept, udta);
+
+  const movesSampleData = !boxes.some(
+    (box) => box.type === "mdat" && box.start < moov.start,
+  );
+  const delta = newMoov.length - (moov.end - moov.start);
+  if (movesSampleData && delta !== 0) {
+    const view = new DataView(newMoov.buffer);
+    const traks = readBoxes(newMoov, 8, newMoov.length).boxes.filter(
+      (box) => box.type === "trak",
+    );
+    for (const trak of traks) {
+      const stbl = findBox(newMoov, trak, ["mdia", "minf", "stbl"]);
+      if (!stbl) continue;
+      const tables = readBoxes(newMoov, stbl.start + stbl.headerSize, stbl.end).boxes;
+      for (const table of tables) {
+        if (table.type !== "stco" && table.type !== "co64") continue;
+        const entrySize = table.type === "stco" ? 4 : 8;
+        const first = table.start + table.headerSize + 8; // version/flags, entry count
+        const count = Math.min(
+          view.getUint32(first - 4),
+          Math.floor((table.end - first) / entrySize),
+        );
+        for (let i = 0; i < count; i++) {
+          const at = first + i * entrySize;
+          if (entrySize === 4) {
+            const offset = view.getUint32(at) + delta;
+            if (offset > 0xffffffff) return null;
+            view.setUint32(at, offset);
+          } else {
+            view.setBigUint64(at, view.getBigUint64(at) + BigInt(delta));
+          }
+        }
+      }
+    }
+  }
+
+  return [bytes.subarray(0, moov.start), newMoov, bytes.subarray(moov.end)];
+}
@@ -0,0 +1,179 @@
+/**
+ * Fragmented MP4 part joiner
+ * Large downloads converted by FFmpeg a chunk at a time (convertChunksWithFFmpeg in
+ * offscreen.js) come out as one fragmented MP4 per chunk, each with its own init section
+ * and timestamps starting again from zero. The joiner turns them into one file a part at
+ * a time: the first part's ftyp + moov become the init section, later parts contribute
+ * only their moof/mdat fragments, with the decode times (tfdt) moved to follow on from the
+ * parts before and the fragment sequence numbers (mfhd) counting on. Boxes are patched in
+ * place, so only the part being added is ever in memory.
+ * Every part has to share the first part's codec setup, since only its moov is kept:
+ * stream-copied parts carry the source's, transcoded parts come from the same encoder
+ * settings.
+ * Needs readBoxes, findBox and parseInitSection from isoBmff.js.
+ */
+
+/**
+ * Read the default sample durations (mvex/trex) of an init section
+ * @param {Uint8Array} bytes - Data starting with the init section
+ * @param {Object} moov - The moov box (from readBoxes)
+ * @returns {Map<number, number>} Track ID -> default sample duration
+ */
+function readTrackExtendsDefaults(bytes, moov) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const defaults = new Map();
+  const mvex = findBox(bytes, moov, ["mvex"]);
+  if (!mvex) return defaults;
+  for (const trex of readBoxes(bytes, mvex.start + mvex.headerSize, mvex.end).boxes) {
+    if (trex.type !== "trex" || trex.end - trex.start < trex.headerSize + 16) continue;
+    // version/flags, track_ID, default_sample_description_index, default_sample_duration
+    const body = trex.start + trex.headerSize;
+    defaults.set(view.getUint32(body + 4), view.getUint32(body + 12));
+  }
+  return defaults;
+}
+
+/**
+ * Read what the joiner needs from one traf: its track, decode time and total duration
+ * @param {Uint8Array} bytes - Part data
+ * @param {Object} traf - The traf box
+ * @param {Map<number, number>} trexDefaults - From readTrackExtendsDefaults
+ * @returns {Object} {trackId, tfdt, baseTime, duration}; tfdt is the box to patch
+ */
+function readTrackFragment(bytes, traf, trexDefaults) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tfhd = findBox(bytes, traf, ["tfhd"]);
+  const tfdt = findBox(bytes, traf, ["tfdt"]);
+  if (!tfhd || !tfdt) throw new Error("MP4 part has a traf without tfhd or tfdt");
+  const tfhdFlags = view.getUint32(tfhd.start + tfhd.headerSize) & 0xffffff;
+  const trackId = view.getUint32(tfhd.start + tfhd.headerSize + 4);
+  // Optional tfhd fields come in this order after track_ID
+  let field = tfhd.start + tfhd.headerSize + 8;
+  if (tfhdFlags & 0x01) field += 8; // base_data_offset
+  if (tfhdFlags & 0x02) field += 4; // sample_description_index
+  const defaultDuration =
+    tfhdFlags & 0x08 ? view.getUint32(field) : trexDefaults.get(trackId) || 0;
+
+  const tfdtBody = tfdt.start + tfdt.headerSize;
+  const baseTime =
+    bytes[tfdtBody] === 1
+      ? Number(view.getBigUint64(tfdtBody + 4))
+      : view.getUint32(tfdtBody + 4);
+
+  let duration = 0;
+  for (const trun of readBoxes(bytes, traf.start + traf.headerSize, traf.end).boxes) {
+    if (trun.type !== "trun") continue;
+    const body = trun.start + trun.headerSize;
+    const flags = view.getUint32(body) & 0xffffff;
+    const sampleCount = view.getUint32(body + 4);
+    if (!(flags & 0x100)) {
+      duration += sampleCount * defaultDuration;
+      continue;
+    }
+    let offset = body + 8;
+    if (flags & 0x01) offset += 4; // data_offset
+    if (flags & 0x04) offset += 4; // first_sample_flags
+    // Per sample: duration, size, flags, composition time offset (those present)
+    const sampleSize = [0x100, 0x200, 0x400, 0x800].filter((bit) => flags & bit).length * 4;
+    for (let i = 0; i < sampleCount; i++) {
+      duration += view.getUint32(offset + i * sampleSize);
+    }
+  }
+  return { trackId, tfdt, baseTime, duration };
+}
+
+/**
+ * Create a joiner for the fragmented MP4 parts of one file
+ * @returns {Object} {push(part): Array<Uint8Array>} - push takes the parts in order (each a
+ *   complete fragmented MP4, patched in place) and returns the pieces to append to the file
+ */
+function createMp4PartJoiner() {
+  // Track ID -> {timescale, end}; end is where the track's samples end so far
+  const tracks = new Map();
+  let sequence = 1;
+  let partCount = 0;
+
+  const push = (part) => {
+    const view = new DataView(part.buffer, part.byteOffset, part.byteLength);
+    const { boxes, error } = readBoxes(part, 0, part.length);
+    if (error) throw new Error(`MP4 part ${partCount + 1}: ${error}`);
+    const moov = boxes.find((box) => box.type === "moov");
+    const init = parseInitSection(part);
+    if (!moov || init.error) {
+      throw new Error(`MP4 part ${partCount + 1}: ${init.error || "no moov box"}`);
+    }
+    const first = partCount === 0;
+    init.tracks.forEach((track) => {
+      const known = tracks.get(track.id);
+      if (first) tracks.set(track.id, { timescale: track.timescale, end: 0 });
+      else if (!known || known.timescale !== track.timescale) {
+        throw new Error(`MP4 part ${partCount + 1} doesn't match the first part's tracks`);
+      }
+    });
+    const trexDefaults = readTrackExtendsDefaults(part, moov);
+
+    const fragments = [];
+    for (const moof of boxes.filter((box) => box.type === "moof")) {
+      const trafs = readBoxes(part, moof.start + moof.headerSize, moof.end).boxes.filter(
+        (box) => box.type === "traf",
+      );
+      fragments.push({
+        moof,
+        trafs: trafs.map((traf) => readTrackFragment(part, traf, trexDefaults)),
+      });
+    }
+    if (fragments.length === 0) throw new Error(`MP4 part ${partCount + 1} has no fragments`);
+
+    // Move the whole part by one amount, so its tracks stay in sync with each other: the
+    // first track (the video) starts where it ended in the parts before
+    let shiftSeconds = 0;
+    if (!first) {
+      const reference = Math.min(...tracks.keys());
+      const start = fragments
+        .flatMap((fragment) => fragment.trafs)
+        .find((traf) => traf.trackId === reference);
+      if (start) {
+        const { timescale, end } = tracks.get(reference);
+        shiftSeconds = (end - start.baseTime) / timescale;
+      }
+    }
+
+    for (const fragment of fragments) {
+      const mfhd = findBox(part, fragment.moof, ["mfhd"]);
+      if (mfhd) view.setUint32(mfhd.start + mfhd.headerSize + 4, sequence);
+      sequence++;
+      for (const traf of fragment.trafs) {
+        const track = tracks.get(traf.trackId);
+        if (!track) continue;
+        const baseTime = Math.max(
+          0,
+          traf.baseTime + Math.round(shiftSeconds * track.timescale),
+        );
+        const tfdtBody = traf.tfdt.start + traf.tfdt.headerSize;
+        if (part[tfdtBody] === 1) {
+          view.setBigUint64(tfdtBody + 4, BigInt(baseTime));
+        } else if (baseTime <= 0xffffffff) {
+          view.setUint32(tfdtBody + 4, baseTime);
+        } else {
+          throw new Error("Decode time too large for a version 0 tfdt box");
+        }
+        track.end = Math.max(track.end, baseTime + traf.duration);
+      }
+    }
+    partCount++;
+
+    // The first part's init section, then the fragments (an mfra index at the end of a part
+    // would point into that part alone)
+    const firstMoof = fragments[0].moof.start;
+    return boxes
+      .filter(
+        (box) =>
+          box.type === "moof" ||
+          box.type === "mdat" ||
+          (first && box.start < firstMoof),
+      )
+      .map((box) => part.subarray(box.start, box.end));
+  };
+
+  return { push };
+}
@@ -56,49 +56,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 
     if (request.action === "buildBlobFromChunksForDownload") {
-      const { blobId, chunkCount } = request;
+      const { blobId, chunkCount, mimeType } = request;
       if (!blobId || chunkCount == null) {
         sendResponse({ success: false, error: "Missing blobId or chunkCount" });
         return true;
       }
       (async () => {
         try {
-          const db = await new Promise((resolve, reject) => {
-            const req = indexedDB.open("DailymotionDownloaderDB", 1);
-            req.onerror = () => reject(req.error);
-            req.onsuccess = () => resolve(req.result);
-            req.onupgradeneeded = (e) => {
-              if (!e.target.result.objectStoreNames.contains("blobs")) {
-                e.target.result.createObjectStore("blobs");
+          const store = await openBlobChunkStore();
+          let blobUrl;
+          try {
+            const parts = [];
+            for (let i = 0; i < chunkCount; i++) {
+              const chunk = await store.read(`${blobId}_chunk_${i}`);
+              // Segment chunks are ArrayBuffers, remuxer output chunks are Blobs
+              if (!(chunk instanceof ArrayBuffer) && !(chunk instanceof Blob)) {
+                throw new Error(`Missing or invalid chunk ${i}`);
               }
-            };
-          });
-          const parts = [];
-          for (let i = 0; i < chunkCount; i++) {
-            const chunkKey = `${blobId}_chunk_${i}`;
-            const chunk = await new Promise((resolve, reject) => {
-              const tx = db.transaction(["blobs"], "readonly");
-              const req = tx.objectStore("blobs").get(chunkKey);
-              req.onsuccess = () => resolve(req.result);
-              req.onerror = () => reject(req.error);
-            });
-            if (!chunk || !(chunk instanceof ArrayBuffer)) {
-              throw new Error(`Missing or invalid chunk ${i}`);
+              parts.push(chunk);
             }
-            parts.push(chunk);
+            const blob = new Blob(parts, { type: mimeType || "video/mp2t" });
+            blobUrl = URL.createObjectURL(blob);
+            await store.deleteChunks(blobId, chunkCount);
+          } finally {
+            store.close();
           }
-          const blob = new Blob(parts, { type: "video/mp2t" });
-          const blobUrl = URL.createObjectURL(blob);
-          await new Promise((resolve, reject) => {
-            const tx = db.transaction(["blobs"], "readwrite");
-            const store = tx.objectStore("blobs");
-            for (let i = 0; i < chunkCount; i++) {
-              store.delete(`${blobId}_chunk_${i}`);
-            }
-            tx.oncomplete = () => resolve();
-            tx.onerror = () => reject(tx.error);
-          });
-          db.close();
           sendResponse({ success: true, blobUrl });
         } catch (err) {
           console.error("buildBlobFromChunksForDownload failed:", err);
@@ -116,43 +98,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       }
       (async () => {
         try {
-          const db = await new Promise((resolve, reject) => {
-            const req = indexedDB.open("DailymotionDownloaderDB", 1);
-            req.onerror = () => reject(req.error);
-            req.onsuccess = () => resolve(req.result);
-            req.onupgradeneeded = (e) => {
-              if (!e.target.result.objectStoreNames.contains("blobs")) {
-                e.target.result.createObjectStore("blobs");
+          const store = await openBlobChunkStore();
+          try {
+            const result = new Uint8Array(totalSize);
+            let offset = 0;
+            for (let i = 0; i < chunkCount; i++) {
+              const chunk = await store.read(`${blobId}_chunk_${i}`);
+              if (!chunk || !(chunk instanceof ArrayBuffer)) {
+                throw new Error(`Missing or invalid chunk ${i}`);
               }
-            };
-          });
-          const result = new Uint8Array(totalSize);
-          let offset = 0;
-          for (let i = 0; i < chunkCount; i++) {
-            const chunkKey = `${blobId}_chunk_${i}`;
-            const chunk = await new Promise((resolve, reject) => {
-              const tx = db.transaction(["blobs"], "readonly");
-              const req = tx.objectStore("blobs").get(chunkKey);
-              req.onsuccess = () => resolve(req.result);
-              req.onerror = () => reject(req.error);
-            });
-            if (!chunk || !(chunk instanceof ArrayBuffer)) {
-              throw new Error(`Missing or invalid chunk ${i}`);
+              result.set(new Uint8Array(chunk), offset);
+              offset += chunk.byteLength;
             }
-            result.set(new Uint8Array(chunk), offset);
-            offset += chunk.byteLength;
+            await store.write(blobId, result.buffer);
+            await store.deleteChunks(blobId, chunkCount);
+          } finally {
+            store.close();
           }
-          await new Promise((resolve, reject) => {
-            const tx = db.transaction(["blobs"], "readwrite");
-            const store = tx.objectStore("blobs");
-            store.put(result.buffer, blobId);
-            for (let i = 0; i < chunkCount; i++) {
-              store.delete(`${blobId}_chunk_${i}`);
-            }
-            tx.oncomplete = () => resolve();
-            tx.onerror = () => reject(tx.error);
-          });
-          db.close();
           sendResponse({ success: true });
         } catch (err) {
           console.error("assembleChunksForConvert failed:", err);
@@ -173,23 +135,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           const res = await fetch(blobUrl);
           if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
           const arrayBuffer = await res.arrayBuffer();
-          const db = await new Promise((resolve, reject) => {
-            const req = indexedDB.open("DailymotionDownloaderDB", 1);
-            req.onerror = () => reject(req.error);
-            req.onsuccess = () => resolve(req.result);
-            req.onupgradeneeded = (e) => {
-              if (!e.target.result.objectStoreNames.contains("blobs")) {
-                e.target.result.createObjectStore("blobs");
-              }
-            };
-          });
-          await new Promise((resolve, reject) => {
-            const tx = db.transaction(["blobs"], "readwrite");
-            tx.objectStore("blobs").put(arrayBuffer, blobId);
-            tx.oncomplete = () => resolve();
-            tx.onerror = () => reject(tx.error);
-          });
-          db.close();
+          const store = await openBlobChunkStore();
+          try {
+            await store.write(blobId, arrayBuffer);
+          } finally {
+            store.close();
+          }
           sendResponse({ success: true });
         } catch (err) {
           console.error("storeBlobFromUrl failed:", err);
@@ -209,13 +160,152 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
               action: "convertProgress",
               downloadId: request.downloadId,
               progress,
+              label: request.animation
+                ? `Rendering ${request.animation.label}`
+                : request.transcode
+                  ? `Transcoding (${request.transcode.name})`
+                  : undefined,
             });
           } catch (e) {}
         },
+        {
+          jobId: request.jobId,
+          priority: request.priority,
+          timeoutMs: request.timeoutMs,
+          audioTracks: request.audioTracks,
+          subtitles: request.subtitles,
+          clip: request.clip,
+          audioOnly: request.audioOnly,
+          animation: request.animation,
+          transcode: request.transcode,
+          metadata: request.metadata,
+        },
       )
         .then((result) => sendResponse(result))
         .catch((err) => {
-          console.error("convertToMp4 error:", err);
+          const cancelled = err instanceof FFmpegJobCancelledError;
+          if (cancelled) console.log("convertToMp4 cancelled:", err.message);
+          else console.error("convertToMp4 error:", err);
+          sendResponse({ success: false, error: err.message, cancelled });
+        });
+      return true;
+    }
+
+    if (request.action === "cancelFFmpegJob") {
+      const cancelled = cancelFFmpegJobs({
+        jobId: request.jobId,
+        downloadId: request.downloadId,
+      });
+      sendResponse({ success: true, cancelled });
+      return true;
+    }
+
+    if (request.action === "getFFmpegJobs") {
+      sendResponse({ success: true, jobs: listFFmpegJobs() });
+      return true;
+    }
+
+    if (request.action === "remuxTsToMp4") {
+      handleRemuxTsToMp4(
+        request.blobId,
+        request.chunkCount,
+        request.downloadId,
+        (progress) => {
+          try {
+            chrome.runtime.sendMessage({
+              action: "convertProgress",
+              downloadId: request.downloadId,
+              progress,
+            });
+          } catch (e) {}
+        },
+        {
+          jobId: request.jobId,
+          priority: request.priority,
+          fragmented: request.fragmented,
+          metadata: request.metadata,
+        },
+      )
+        .then((result) => sendResponse(result))
+        .catch((err) => {
+          const cancelled = err instanceof FFmpegJobCancelledError;
+          if (cancelled) console.log("remuxTsToMp4 cancelled:", err.message);
+          else console.warn("remuxTsToMp4 failed:", err);
+          sendResponse({ success: false, error: err.message, cancelled });
+        });
+      return true;
+    }
+
+    if (request.action === "convertChunksToMp4") {
+      handleConvertChunksToMp4(
+        request.blobId,
+        request.chunkCount,
+        request.downloadId,
+        (progress) => {
+          try {
+            chrome.runtime.sendMessage({
+              action: "convertProgress",
+              downloadId: request.downloadId,
+              progress,
+              label: request.transcode
+                ? `Transcoding (${request.transcode.name})`
+                : undefined,
+            });
+          } catch (e) {}
+        },
+        {
+          jobId: request.jobId,
+          priority: request.priority,
+          timeoutMs: request.timeoutMs,
+          chunkRanges: request.chunkRanges,
+          audioTracks: request.audioTracks,
+          subtitles: request.subtitles,
+          clip: request.clip,
+          audioOnly: request.audioOnly,
+          transcode: request.transcode,
+          metadata: request.metadata,
+        },
+      )
+        .then((result) => sendResponse(result))
+        .catch((err) => {
+          const cancelled = err instanceof FFmpegJobCancelledError;
+          if (cancelled) console.log("convertChunksToMp4 cancelled:", err.message);
+          else console.error("convertChunksToMp4 error:", err);
+          sendResponse({ success: false, error: err.message, cancelled });
+        });
+      return true;
+    }
+
+    if (request.action === "openFileSave") {
+      handleOpenFileSave(request.saveId, request.handleKey, request.filename)
+        .then((result) => sendResponse(result))
+        .catch((err) => {
+          console.warn("openFileSave failed:", err);
+          sendResponse({ success: false, error: err.message });
+        });
+      return true;
+    }
+
+    if (request.action === "writeFileSave") {
+      handleWriteFileSave(
+        request.saveId,
+        request.key,
+        request.deleteAfterWrite,
+        request.position,
+      )
+        .then((result) => sendResponse(result))
+        .catch((err) => {
+          console.warn("writeFileSave failed:", err);
+          sendResponse({ success: false, error: err.message });
+        });
+      return true;
+    }
+
+    if (request.action === "closeFileSave") {
+      handleCloseFileSave(request.saveId, request.abort, request.deleteKeys)
+        .then((result) => sendResponse(result))
+        .catch((err) => {
+          console.warn("closeFileSave failed:", err);
           sendResponse({ success: false, error: err.message });
         });
       return true;
@@ -286,39 +376,13 @@ async function handleBlobDownload(blobId, filename, mimeType, expectedSize) {
   try {
     console.log(`Retrieving blob from IndexedDB with ID: ${blobId}...`);
 
-    // Open IndexedDB (offscreen document shares the same IndexedDB as service worker)
-    const db = await new Promise((resolve, reject) => {
-      const request = indexedDB.open("DailymotionDownloaderDB", 1);
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve(request.result);
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains("blobs")) {
-          db.createObjectStore("blobs");
-        }
-      };
-    });
-
-    // Retrieve ArrayBuffer
-    const transaction = db.transaction(["blobs"], "readonly");
-    const store = transaction.objectStore("blobs");
-
-    let arrayBuffer = await new Promise((resolve, reject) => {
-      const request = store.get(blobId);
-      request.onsuccess = () => {
-        const data = request.result;
-        if (!data || !(data instanceof ArrayBuffer)) {
-          reject(new Error(`Blob not found in IndexedDB. Blob ID: ${blobId}`));
-        } else {
-          resolve(data);
-        }
-      };
-      request.onerror = () => {
-        reject(request.error || new Error("IndexedDB read error"));
-      };
-    });
-
-    db.close();
+    // The offscreen document shares the same IndexedDB as the service worker
+    const store = await openBlobChunkStore();
+    let arrayBuffer = await store.read(blobId);
+    store.close();
+    if (!arrayBuffer || !(arrayBuffer instanceof ArrayBuffer)) {
+      throw new Error(`Blob not found in IndexedDB. Blob ID: ${blobId}`);
+    }
 
     const actualSize = arrayBuffer.byteLength;
     const sizeMB = Math.round(actualSize / 1024 / 1024);
@@ -369,60 +433,435 @@ async function getFFmpeg() {
   return ffmpegLoadPromise;
 }
 
+/**
+ * Drop the FFmpeg instance, stopping whatever it runs (its pending calls reject)
+ * The next getFFmpeg loads a fresh one.
+ */
+function resetFFmpeg() {
+  const instance = ffmpegInstance;
+  ffmpegInstance = null;
+  ffmpegLoadPromise = null;
+  if (instance) {
+    try {
+      instance.terminate();
+    } catch (e) {
+      console.warn("FFmpeg terminate failed:", e);
+    }
+  }
+}
+
 /** Ensure FFmpeg is loaded and ready (used by checkFFmpeg and before convert). */
 async function ensureFFmpegReady() {
   await getFFmpeg();
 }
 
-async function handleConvertToMp4(blobId, downloadId, onProgress) {
-  const db = await new Promise((resolve, reject) => {
-    const request = indexedDB.open("DailymotionDownloaderDB", 1);
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    request.onupgradeneeded = (event) => {
-      const d = event.target.result;
-      if (!d.objectStoreNames.contains("blobs")) {
-        d.createObjectStore("blobs");
-      }
-    };
-  });
+/**
+ * Read an ArrayBuffer from the shared IndexedDB blob store
+ * @param {string} blobId - Key of the stored buffer
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readBufferFromIDB(blobId) {
+  const store = await openBlobChunkStore();
+  try {
+    const data = await store.read(blobId);
+    if (!data || !(data instanceof ArrayBuffer)) {
+      throw new Error(`Blob not found: ${blobId}`);
+    }
+    return data;
+  } finally {
+    store.close();
+  }
+}
 
-  const arrayBuffer = await new Promise((resolve, reject) => {
-    const tx = db.transaction(["blobs"], "readonly");
-    const store = tx.objectStore("blobs");
-    const req = store.get(blobId);
-    req.onsuccess = () => {
-      const data = req.result;
-      if (!data || !(data instanceof ArrayBuffer)) {
-        reject(new Error(`Blob not found: ${blobId}`));
-      } else {
-        resolve(data);
-      }
-    };
-    req.onerror = () => reject(req.error || new Error("IDB read error"));
-  });
-  db.close();
+// ISO 639-1 → ISO 639-2 for the languages Dailymotion commonly serves.
+// The MP4 muxer only understands three-letter codes and writes "und" otherwise.
+const ISO_639_1_TO_2 = {
+  ar: "ara", bn: "ben", cs: "ces", da: "dan", de: "deu", el: "ell",
+  en: "eng", es: "spa", fa: "fas", fi: "fin", fr: "fra", he: "heb",
+  hi: "hin", hu: "hun", id: "ind", it: "ita", ja: "jpn", ko: "kor",
+  ms: "msa", nl: "nld", no: "nor", pl: "pol", pt: "por", ro: "ron",
+  ru: "rus", sv: "swe", th: "tha", tr: "tur", uk: "ukr", ur: "urd",
+  vi: "vie", zh: "zho",
+};
 
-  const ffmpeg = await getFFmpeg();
+/**
+ * Convert an HLS LANGUAGE attribute (BCP 47, e.g. "en-US") to an ISO 639-2 code
+ * @param {string|null} language - Language tag from the playlist
+ * @returns {string|null} Three-letter code, or null if unknown
+ */
+function toIso639_2(language) {
+  if (!language) return null;
+  const primary = language.toLowerCase().split(/[-_]/)[0];
+  if (primary.length === 3) return primary;
+  return ISO_639_1_TO_2[primary] || null;
+}
 
-  ffmpeg.on("progress", ({ progress }) => {
-    if (typeof onProgress === "function") {
-      try {
-        onProgress(Math.min(1, Math.max(0, progress)));
-      } catch (e) {}
+/** Output formats that can carry cover art (MP4 covr, ID3 APIC) */
+const COVER_ART_EXTENSIONS = ["mp4", "m4a", "mp3"];
+
+/**
+ * FFmpeg arguments that re-encode the output with a transcoding preset
+ * Only the first video stream is encoded (a cover art stream after it stays a copy); every
+ * audio stream becomes AAC. x264 runs at "veryfast" since FFmpeg.wasm is single-threaded.
+ * @param {Object} preset - {maxHeight, crf, audioBitrate, constantFrameRate, allIntra}
+ *   (see normalizeTranscodePreset)
+ * @returns {Array<string>}
+ */
+function getTranscodeArgs(preset) {
+  const args = [
+    "-c:v:0",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-crf",
+    String(preset.crf),
+    "-pix_fmt:v:0",
+    "yuv420p",
+  ];
+  if (preset.maxHeight) {
+    // Never scale up; -2 keeps the width even, as H.264 needs
+    args.push("-filter:v:0", `scale=-2:'min(ih,${preset.maxHeight})'`);
+  }
+  if (preset.constantFrameRate) {
+    args.push("-fps_mode:v:0", "cfr");
+  }
+  if (preset.allIntra) {
+    args.push("-g", "1");
+  }
+  args.push("-c:a", "aac", "-b:a", `${preset.audioBitrate}k`);
+  return args;
+}
+
+/** Re-encode for clips that must start on the exact frame (stream copy cuts on keyframes) */
+const FRAME_ACCURATE_CLIP_ARGS = [
+  "-c:v",
+  "libx264",
+  "-preset",
+  "veryfast",
+  "-crf",
+  "18",
+  "-c:a",
+  "aac",
+  "-b:a",
+  "192k",
+];
+
+/**
+ * FFmpeg arguments that render the video as an animated GIF or WebM (no audio)
+ * A GIF gets a palette generated from the clip itself (palettegen / paletteuse), which
+ * looks far better than the default 256-color one.
+ * @param {Object} animation - {codec, width, fps}; codec null for GIF, otherwise libvpx
+ *   (VP8) or libvpx-vp9
+ * @returns {Array<string>}
+ */
+function getAnimationArgs(animation) {
+  const resize = `fps=${animation.fps},scale=${animation.width}:-2:flags=lanczos`;
+  if (!animation.codec) {
+    return [
+      "-filter:v",
+      `${resize},split[frames][source];[source]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`,
+      "-loop",
+      "0",
+    ];
+  }
+  // VP9 runs in constant quality mode (-b:v 0); VP8's CRF needs a bitrate ceiling
+  const rateArgs =
+    animation.codec === "libvpx-vp9"
+      ? ["-crf", "32", "-b:v", "0", "-row-mt", "1"]
+      : ["-crf", "10", "-b:v", "2M"];
+  return [
+    "-filter:v",
+    resize,
+    "-c:v",
+    animation.codec,
+    ...rateArgs,
+    "-deadline",
+    "good",
+    "-cpu-used",
+    "4",
+    "-pix_fmt",
+    "yuv420p",
+  ];
+}
+
+/**
+ * FFmpeg arguments that label the separate audio tracks of the output
+ * @param {Array} audioTracks - [{language, name, isDefault}], in output order
+ * @returns {Array<string>}
+ */
+function getAudioTrackArgs(audioTracks) {
+  const args = [];
+  audioTracks.forEach((track, i) => {
+    const language = toIso639_2(track.language);
+    if (language) {
+      args.push(`-metadata:s:a:${i}`, `language=${language}`);
     }
+    if (track.name) {
+      args.push(`-metadata:s:a:${i}`, `title=${track.name}`);
+    }
+    args.push(`-disposition:a:${i}`, track.isDefault ? "default" : "0");
   });
+  return args;
+}
+
+/**
+ * FFmpeg arguments that store the subtitle tracks as mov_text and label them
+ * @param {Array} subtitles - [{language, name, isDefault, forced}], in output order
+ * @returns {Array<string>}
+ */
+function getSubtitleTrackArgs(subtitles) {
+  if (subtitles.length === 0) return [];
+  const args = ["-c:s", "mov_text"];
+  subtitles.forEach((track, i) => {
+    const language = toIso639_2(track.language);
+    if (language) {
+      args.push(`-metadata:s:s:${i}`, `language=${language}`);
+    }
+    if (track.name) {
+      args.push(`-metadata:s:s:${i}`, `title=${track.name}`);
+    }
+    const flags = [
+      track.isDefault ? "default" : null,
+      track.forced ? "forced" : null,
+    ].filter(Boolean);
+    args.push(`-disposition:s:${i}`, flags.length ? flags.join("+") : "0");
+  });
+  return args;
+}
+
+/**
+ * FFmpeg arguments that tag the output file
+ * The MP4 muxer writes title, artist, date, comment and description as ©nam, ©ART,
+ * ©day, ©cmt and desc; MP3 and Opus output get the same keys as ID3 / Vorbis tags.
+ * @param {Object|null} metadata - {title, artist, date, comment, description}
+ * @returns {Array<string>} -metadata key=value pairs for the set values
+ */
+function getMetadataArgs(metadata) {
+  if (!metadata) return [];
+  return Object.keys(MP4_METADATA_ITEMS)
+    .filter((key) => typeof metadata[key] === "string" && metadata[key].trim())
+    .flatMap((key) => ["-metadata", `${key}=${metadata[key].trim()}`]);
+}
+
+/**
+ * Remux (or convert) a stored download to MP4 with FFmpeg
+ * Runs as a job of the FFmpeg queue (ffmpegJobQueue.js), so it waits for conversions of
+ * other downloads and can be cancelled while waiting or running.
+ * @param {string} blobId - IDB key of the merged video (MPEG-TS or fMP4)
+ * @param {string} downloadId - The download ID (jobs are cancelled by download)
+ * @param {Function} onProgress - Called with progress in [0, 1]
+ * @param {Object} [options] - Conversion options (see convertWithFFmpeg), and for the queue:
+ * @param {string} [options.jobId] - Job ID
+ * @param {number} [options.priority] - Higher runs first
+ * @param {number} [options.timeoutMs] - Cancel the job if it runs longer than this
+ * @returns {Promise<Object>} {success, outputBlobId, extension, mimeType}
+ */
+async function handleConvertToMp4(blobId, downloadId, onProgress, options = {}) {
+  return runFFmpegJob(
+    {
+      jobId: options.jobId,
+      downloadId,
+      priority: options.priority,
+      timeoutMs: options.timeoutMs,
+      onProgress,
+    },
+    (ffmpeg) => convertWithFFmpeg(ffmpeg, blobId, options),
+  );
+}
+
+/**
+ * Run the FFmpeg conversion of a stored download
+ * @param {Object} ffmpeg - The FFmpeg instance (given by the job queue)
+ * @param {string} blobId - IDB key of the merged video (MPEG-TS or fMP4)
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.inputExtension] - Extension the input is given to FFmpeg with
+ *   (default "ts"; an MPEG-TS or fMP4 input is recognized either way)
+ * @param {Array} [options.audioTracks] - Separate audio tracks to mux in:
+ *   [{blobId, extension, language, name, isDefault, startOffset}]
+ * @param {Array} [options.subtitles] - WebVTT tracks to embed as mov_text (not for audio only):
+ *   [{blobId, language, name, isDefault, forced, startOffset}], startOffset being the
+ *   first cue's time
+ * @param {Object} [options.clip] - Trim to a time range: {start, end, frameAccurate, videoOffset}.
+ *   start/end are on the source timeline; videoOffset (and each track's startOffset) is
+ *   where that input's first downloaded segment begins on the same timeline.
+ * @param {Object} [options.transcode] - Re-encode with this preset (see getTranscodeArgs)
+ *   instead of copying the streams; ignored for audio only
+ * @param {Object} [options.animation] - Render the video alone as an animated GIF or WebM:
+ *   {codec, width, fps, label, extension, mimeType} (see getAnimationArgs); audio, subtitles,
+ *   transcoding and cover art don't apply
+ * @param {Object} [options.audioOnly] - Keep only the first audio stream:
+ *   {codec, bitrate, extension, mimeType}; codec null copies the stream (M4A), otherwise it
+ *   is an FFmpeg encoder (libmp3lame, libopus) run at bitrate kbps
+ * @param {Object} [options.metadata] - Tags for the output file:
+ *   {title, artist, date, comment, description, coverUrl}; the thumbnail at coverUrl is
+ *   attached as cover art to MP4, M4A and MP3 output
+ * @returns {Promise<Object>} {success, outputBlobId, extension, mimeType}
+ */
+async function convertWithFFmpeg(ffmpeg, blobId, options = {}) {
+  const audioTracks = Array.isArray(options.audioTracks)
+    ? options.audioTracks
+    : [];
+  const clip = options.clip || null;
+  const animation = options.animation || null;
+  const audioOnly = animation ? null : options.audioOnly || null;
+  const transcode = audioOnly || animation ? null : options.transcode || null;
+  const output = animation || audioOnly || { extension: "mp4", mimeType: "video/mp4" };
+  const outputFile = `output.${output.extension}`;
+  // Input-side seek for each file, relative to where that file starts on the source timeline
+  const seekArgs = (inputOffset) =>
+    clip
+      ? ["-ss", Math.max(0, clip.start - (inputOffset || 0)).toFixed(3)]
+      : [];
+  const arrayBuffer = await readBufferFromIDB(blobId);
 
   // Pass a single Uint8Array view so FFmpeg can transfer the buffer to the worker (no copy).
   // The library uses postMessage(..., [data.buffer]) so the buffer is moved, not copied.
   const inputData = new Uint8Array(arrayBuffer);
-  await ffmpeg.writeFile("input.ts", inputData);
-  await ffmpeg.exec(["-i", "input.ts", "-c", "copy", "output.mp4"]);
-  const data = await ffmpeg.readFile("output.mp4");
+  const inputFile = `input.${options.inputExtension || "ts"}`;
+  await ffmpeg.writeFile(inputFile, inputData);
+  const inputFiles = [inputFile];
+  const args = [...seekArgs(clip?.videoOffset), "-i", inputFile];
+  // Explicit -map arguments (with none, FFmpeg picks one video and one audio stream)
+  const mapArgs = [];
+
+  if (audioTracks.length > 0) {
+    for (let i = 0; i < audioTracks.length; i++) {
+      const audioFile = `audio_${i}.${audioTracks[i].extension || "bin"}`;
+      await ffmpeg.writeFile(
+        audioFile,
+        new Uint8Array(await readBufferFromIDB(audioTracks[i].blobId)),
+      );
+      inputFiles.push(audioFile);
+      args.push(...seekArgs(audioTracks[i].startOffset), "-i", audioFile);
+    }
+    // Video from the variant, audio only from the separate renditions
+    mapArgs.push("-map", "0:v:0");
+    audioTracks.forEach((track, i) => {
+      mapArgs.push("-map", `${i + 1}:a:0`);
+    });
+  }
+
+  // Subtitles become mov_text tracks. Their WebVTT is timed from the start of the video
+  // (its first segment), so they are seeked like an input starting at 0. FFmpeg moves
+  // every input to start at 0, which for a subtitle file is its first cue; -itsoffset
+  // puts that cue back where it belongs.
+  const subtitles =
+    !audioOnly && !animation && Array.isArray(options.subtitles)
+      ? options.subtitles
+      : [];
+  if (subtitles.length > 0) {
+    if (mapArgs.length === 0) mapArgs.push("-map", "0:v:0", "-map", "0:a:0?");
+    for (let i = 0; i < subtitles.length; i++) {
+      const subtitleFile = `subtitle_${i}.vtt`;
+      await ffmpeg.writeFile(
+        subtitleFile,
+        new Uint8Array(await readBufferFromIDB(subtitles[i].blobId)),
+      );
+      inputFiles.push(subtitleFile);
+      args.push(
+        "-itsoffset",
+        (subtitles[i].startOffset || 0).toFixed(3),
+        ...seekArgs(0),
+        "-i",
+        subtitleFile,
+      );
+      mapArgs.push("-map", `${inputFiles.length - 1}:s:0`);
+    }
+  }
+
+  // The thumbnail goes in as one more input, stored as an attached picture (cover art)
+  const cover = COVER_ART_EXTENSIONS.includes(output.extension)
+    ? await fetchCoverArt(options.metadata?.coverUrl)
+    : null;
+  const coverFile = cover ? `cover.${cover.format === "png" ? "png" : "jpg"}` : null;
+  if (cover) {
+    await ffmpeg.writeFile(coverFile, cover.data);
+    inputFiles.push(coverFile);
+  }
+
+  const outputArgs = getAudioTrackArgs(audioTracks);
+  if (clip) {
+    // Timestamps restart at 0 after the input seek, so -to is the clip length
+    outputArgs.push("-to", (clip.end - clip.start).toFixed(3));
+  }
+  if (animation) {
+    // Encoding anyway, so the clip starts on the exact frame
+    mapArgs.push("-map", "0:v:0");
+    outputArgs.push(...getAnimationArgs(animation));
+  } else if (audioOnly) {
+    // Only the audio (and the cover); audio cuts don't depend on keyframes, so
+    // frameAccurate doesn't apply
+    mapArgs.push("-map", "0:a:0");
+    if (clip) {
+      outputArgs.push("-avoid_negative_ts", "make_zero");
+    }
+    if (audioOnly.codec) {
+      outputArgs.push("-c:a", audioOnly.codec, "-b:a", `${audioOnly.bitrate}k`);
+    } else {
+      outputArgs.push("-c:a", "copy");
+    }
+  } else if (transcode) {
+    // Re-encoding starts the clip (if any) on the exact frame as well
+    outputArgs.push(...getTranscodeArgs(transcode));
+  } else if (clip && clip.frameAccurate) {
+    // Stream copy can only cut on keyframes; re-encode so the clip starts on the exact frame
+    outputArgs.push(...FRAME_ACCURATE_CLIP_ARGS);
+  } else {
+    if (clip) {
+      outputArgs.push("-avoid_negative_ts", "make_zero");
+    }
+    outputArgs.push("-c", "copy");
+  }
+  outputArgs.push(...getSubtitleTrackArgs(subtitles));
+
+  const buildArgs = (withCover) => {
+    if (!withCover) {
+      return [
+        ...args,
+        ...mapArgs,
+        ...(audioOnly ? ["-vn"] : []),
+        ...outputArgs,
+        ...getMetadataArgs(options.metadata),
+        outputFile,
+      ];
+    }
+    // The picture follows the video (or is the only video stream of audio-only output)
+    const coverStream = audioOnly ? "v:0" : "v:1";
+    return [
+      ...args,
+      "-i",
+      coverFile,
+      ...(mapArgs.length ? mapArgs : ["-map", "0:v:0", "-map", "0:a:0?"]),
+      "-map",
+      `${inputFiles.length - 1}:v:0`,
+      ...outputArgs,
+      `-c:${coverStream}`,
+      "copy",
+      `-disposition:${coverStream}`,
+      "attached_pic",
+      ...(audioOnly?.extension === "mp3" ? ["-id3v2_version", "3"] : []),
+      ...getMetadataArgs(options.metadata),
+      outputFile,
+    ];
+  };
+
+  let exitCode = await ffmpeg.exec(buildArgs(!!cover));
+  if (cover && exitCode !== 0) {
+    // A picture the build can't handle shouldn't cost the conversion
+    console.warn("FFmpeg failed with cover art, converting without it");
+    await ffmpeg.deleteFile(outputFile).catch(() => {});
+    exitCode = await ffmpeg.exec(buildArgs(false));
+  }
+  if (exitCode !== 0) {
+    throw new Error(`FFmpeg failed (exit code ${exitCode})`);
+  }
+  const data = await ffmpeg.readFile(outputFile);
   try {
     if (typeof ffmpeg.deleteFile === "function") {
-      await ffmpeg.deleteFile("input.ts");
-      await ffmpeg.deleteFile("output.mp4");
+      for (const file of inputFiles) {
+        await ffmpeg.deleteFile(file);
+      }
+      await ffmpeg.deleteFile(outputFile);
     }
   } catch (e) {}
 
@@ -436,26 +875,425 @@ async function handleConvertToMp4(blobId, downloadId, onProgress) {
 
   const outputBlobId =
     "convert_" + Date.now() + "_" + Math.random().toString(36).slice(2, 11);
-  await new Promise((resolve, reject) => {
-    const req = indexedDB.open("DailymotionDownloaderDB", 1);
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => {
-      const database = req.result;
-      const tx = database.transaction(["blobs"], "readwrite");
-      const store = tx.objectStore("blobs");
-      store.put(outputBuffer, outputBlobId);
-      tx.oncomplete = () => {
-        database.close();
-        resolve();
-      };
-      tx.onerror = () => reject(tx.error);
-    };
-  });
+  const store = await openBlobChunkStore();
+  try {
+    await store.write(outputBlobId, outputBuffer);
+  } finally {
+    store.close();
+  }
 
   return {
     success: true,
     outputBlobId,
-    extension: "mp4",
-    mimeType: "video/mp4",
+    extension: output.extension,
+    mimeType: output.mimeType,
   };
 }
+
+/**
+ * Open the shared IndexedDB blob store (stored buffers, and chunks `${prefix}_chunk_${i}`)
+ * @returns {Promise<Object>} {read(key), write(key, value), delete(key),
+ *   deleteChunks(prefix, count), close()}
+ */
+async function openBlobChunkStore() {
+  const db = await openDownloaderDB();
+  const readwrite = (use) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      use(tx.objectStore("blobs"));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  return {
+    read: (key) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(["blobs"], "readonly");
+        const req = tx.objectStore("blobs").get(key);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }),
+    write: (key, value) => readwrite((store) => store.put(value, key)),
+    delete: (key) => readwrite((store) => store.delete(key)),
+    deleteChunks: (prefix, count) =>
+      readwrite((store) => {
+        for (let i = 0; i < count; i++) store.delete(`${prefix}_chunk_${i}`);
+      }),
+    close: () => db.close(),
+  };
+}
+
+/** Remuxer output is stored in chunks of about this size */
+const REMUX_OUTPUT_CHUNK_SIZE = 32 * 1024 * 1024;
+
+/**
+ * Rewrap stored MPEG-TS chunks as MP4 with the streaming remuxer (tsRemuxer.js)
+ * Runs as a job of the FFmpeg queue without the instance, so it takes its turn with the
+ * conversions and a cancel (cancelFFmpegJob) stops it between chunks.
+ * @param {string} blobId - Key prefix of the input chunks (`${blobId}_chunk_${i}`)
+ * @param {number} chunkCount - Number of input chunks
+ * @param {string} downloadId - The download ID (jobs are cancelled by download)
+ * @param {Function} onProgress - Called with progress in [0, 1]
+ * @param {Object} [options] - Remux options (see remuxStoredTsChunks), and for the queue:
+ *   jobId, priority (see handleConvertToMp4)
+ * @returns {Promise<Object>} {success, outputBlobId, chunkCount, totalSize, info}
+ */
+async function handleRemuxTsToMp4(blobId, chunkCount, downloadId, onProgress, options = {}) {
+  if (!blobId || !chunkCount) throw new Error("Missing blobId or chunkCount");
+  return runFFmpegJob(
+    {
+      jobId: options.jobId,
+      downloadId,
+      priority: options.priority,
+      usesFFmpeg: false,
+    },
+    (ffmpeg, isCancelled) =>
+      remuxStoredTsChunks(blobId, chunkCount, onProgress, options, isCancelled),
+  );
+}
+
+/**
+ * Remux stored MPEG-TS chunks a chunk at a time
+ * Input chunks are read one at a time and the output is stored as Blob chunks as it is
+ * produced, so neither is ever held whole. Output chunk 0 holds what goes in front of the
+ * sample data and is written last. The input chunks are deleted only once the output is
+ * complete; on failure or cancel they are left for the FFmpeg / .ts fallback.
+ * @param {string} blobId - Key prefix of the input chunks
+ * @param {number} chunkCount - Number of input chunks
+ * @param {Function} onProgress - Called with progress in [0, 1]
+ * @param {Object} options
+ * @param {boolean} [options.fragmented] - Write fragmented MP4
+ * @param {Object} [options.metadata] - Tags to write (see buildMp4MetadataUdta), and
+ *   coverUrl for the cover art
+ * @param {Function} isCancelled - Checked before each chunk
+ * @returns {Promise<Object>} {success, outputBlobId, chunkCount, totalSize, info}
+ */
+async function remuxStoredTsChunks(blobId, chunkCount, onProgress, options, isCancelled) {
+  const outputBlobId = `${blobId}_mp4`;
+  const store = await openBlobChunkStore();
+
+  const remuxer = createTsToMp4Remuxer({
+    fragmented: options.fragmented,
+    metadata: options.metadata,
+    cover: await fetchCoverArt(options.metadata?.coverUrl),
+  });
+  let outputCount = 1;
+  let buffered = [];
+  let bufferedSize = 0;
+  let totalSize = 0;
+  const flushOutput = async () => {
+    if (buffered.length === 0) return;
+    await store.write(`${outputBlobId}_chunk_${outputCount}`, new Blob(buffered));
+    outputCount++;
+    buffered = [];
+    bufferedSize = 0;
+  };
+  const addOutput = async (pieces) => {
+    for (const piece of pieces) {
+      buffered.push(piece);
+      bufferedSize += piece.length;
+      totalSize += piece.length;
+    }
+    if (bufferedSize >= REMUX_OUTPUT_CHUNK_SIZE) await flushOutput();
+  };
+
+  try {
+    for (let i = 0; i < chunkCount; i++) {
+      if (isCancelled()) throw new FFmpegJobCancelledError();
+      const chunk = await store.read(`${blobId}_chunk_${i}`);
+      if (!(chunk instanceof ArrayBuffer)) {
+        throw new Error(`Missing or invalid chunk ${i}`);
+      }
+      await addOutput(remuxer.push(new Uint8Array(chunk)));
+      onProgress((i + 1) / chunkCount);
+    }
+    const result = remuxer.finish();
+    await addOutput(result.pieces);
+    if (result.trailer) await addOutput([result.trailer]);
+    await flushOutput();
+    await store.write(`${outputBlobId}_chunk_0`, new Blob([result.header]));
+    totalSize += result.header.length;
+    await store.deleteChunks(blobId, chunkCount);
+    console.log(
+      `Remuxed ${chunkCount} chunks to MP4 (${Math.round(totalSize / 1024 / 1024)}MB)`,
+      result.info,
+    );
+    return {
+      success: true,
+      outputBlobId,
+      chunkCount: outputCount,
+      totalSize,
+      info: result.info,
+    };
+  } catch (err) {
+    await store.deleteChunks(outputBlobId, outputCount).catch(() => {});
+    throw err;
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * Convert stored MPEG-TS or fMP4 chunks with FFmpeg a chunk at a time, for downloads too
+ * large to assemble into a single input (assembleChunksForConvert)
+ * Runs as a job of the FFmpeg queue, like handleConvertToMp4.
+ * @param {string} blobId - Key prefix of the input chunks (`${blobId}_chunk_${i}`)
+ * @param {number} chunkCount - Number of input chunks
+ * @param {string} downloadId - The download ID (jobs are cancelled by download)
+ * @param {Function} onProgress - Called with progress in [0, 1]
+ * @param {Object} [options] - Conversion options (see convertChunksWithFFmpeg), and for the
+ *   queue: jobId, priority, timeoutMs (see handleConvertToMp4)
+ * @returns {Promise<Object>} See convertChunksWithFFmpeg
+ */
+async function handleConvertChunksToMp4(blobId, chunkCount, downloadId, onProgress, options = {}) {
+  if (!blobId || !chunkCount) throw new Error("Missing blobId or chunkCount");
+  // Part of the whole job the running FFmpeg command covers
+  const stage = { start: 0, end: 1 };
+  return runFFmpegJob(
+    {
+      jobId: options.jobId,
+      downloadId,
+      priority: options.priority,
+      timeoutMs: options.timeoutMs,
+      onProgress: (progress) =>
+        onProgress(stage.start + (stage.end - stage.start) * progress),
+    },
+    (ffmpeg) => convertChunksWithFFmpeg(ffmpeg, blobId, chunkCount, stage, options),
+  );
+}
+
+/** Share of the progress bar for extracting the audio of each chunk; encoding it takes the rest */
+const AUDIO_PARTS_PROGRESS_SHARE = 0.8;
+
+/**
+ * Convert each stored chunk to a part and join the parts
+ * The chunks come from the large-file path of downloadAndMergeM3U8, which cuts them on
+ * segment boundaries, so each MPEG-TS chunk is playable on its own. An fMP4 download's
+ * first chunk is its init section, which is put in front of every later chunk instead.
+ * Each chunk is mounted with WORKERFS, so FFmpeg reads it from its Blob rather than from a
+ * copy in its own memory. The separate audio tracks and subtitles are mounted the same way
+ * once, and every part seeks them to its chunk's time range (chunkRanges). A clip converts
+ * only the chunks it overlaps, each trimmed to its share of the range.
+ * Parts are written as fragmented MP4 and joined at the fragment level as they come
+ * (createMp4PartJoiner), each stored as one output Blob chunk right away, so memory peaks
+ * at one chunk, its part and the output being written. Copies carry the source's codec
+ * setup and transcoded parts all come from the same encoder settings, so the first part's
+ * moov describes every part; an AAC encoder's priming (about 20 ms) is heard where two
+ * transcoded parts meet.
+ * Audio-only output takes each part's audio as ADTS, which joins by appending; the joined
+ * audio, small next to the video, then goes through convertWithFFmpeg for its codec, cover
+ * art and tags.
+ * The input chunks are deleted only once the output is complete; on failure they are left
+ * for the .ts fallback.
+ * @param {Object} ffmpeg - The FFmpeg instance (given by the job queue)
+ * @param {string} blobId - Key prefix of the input chunks
+ * @param {number} chunkCount - Number of input chunks
+ * @param {Object} stage - {start, end}, updated with the progress range of each command
+ * @param {Object} [options]
+ * @param {Array} [options.chunkRanges] - {start, end} of each chunk on the source timeline
+ *   (null for an fMP4 init chunk); needed with audio tracks, subtitles or a clip
+ * @param {Array} [options.audioTracks] - Separate audio tracks (see convertWithFFmpeg)
+ * @param {Array} [options.subtitles] - WebVTT tracks to embed (see convertWithFFmpeg)
+ * @param {Object} [options.clip] - Trim to {start, end, frameAccurate} on the source timeline
+ * @param {Object} [options.audioOnly] - Keep only the audio (see convertWithFFmpeg)
+ * @param {Object} [options.transcode] - Re-encode with this preset (see getTranscodeArgs)
+ *   instead of copying the streams
+ * @param {Object} [options.metadata] - Tags for the output file (cover art is attached to
+ *   audio-only output only)
+ * @returns {Promise<Object>} {success, outputBlobId, extension, mimeType}; MP4 output is
+ *   stored in chunks and also has chunkCount and totalSize
+ */
+async function convertChunksWithFFmpeg(ffmpeg, blobId, chunkCount, stage, options = {}) {
+  const outputBlobId = `${blobId}_mp4`;
+  const audioOnly = options.audioOnly || null;
+  const transcode = audioOnly ? null : options.transcode || null;
+  const clip = options.clip || null;
+  const audioTracks =
+    !audioOnly && Array.isArray(options.audioTracks) ? options.audioTracks : [];
+  const subtitles =
+    !audioOnly && Array.isArray(options.subtitles) ? options.subtitles : [];
+  const ranges = Array.isArray(options.chunkRanges) ? options.chunkRanges : [];
+  const needsRanges = !!clip || audioTracks.length > 0 || subtitles.length > 0;
+  const codecArgs = transcode
+    ? [
+        ...getTranscodeArgs(transcode),
+        // Keep the source frame timing; a constant frame rate pads the start of every part
+        ...(transcode.constantFrameRate ? [] : ["-fps_mode:v:0", "passthrough"]),
+      ]
+    : clip && clip.frameAccurate
+      ? [...FRAME_ACCURATE_CLIP_ARGS, "-fps_mode:v:0", "passthrough"]
+      : [...(clip ? ["-avoid_negative_ts", "make_zero"] : []), "-c", "copy"];
+  const trackFiles = [
+    ...audioTracks.map((track, i) => ({
+      name: `audio_${i}.${track.extension || "bin"}`,
+      blobId: track.blobId,
+    })),
+    ...subtitles.map((track, i) => ({ name: `subtitle_${i}.vtt`, blobId: track.blobId })),
+  ];
+  const joiner = audioOnly ? null : createMp4PartJoiner();
+  const partsShare = audioOnly ? AUDIO_PARTS_PROGRESS_SHARE : 1;
+  const store = await openBlobChunkStore();
+  // fMP4 init section (ftyp + moov) the fragments of every chunk need
+  let init = null;
+  let audioPieces = [];
+  let outputCount = 0;
+  let totalSize = 0;
+  try {
+    if (trackFiles.length > 0) {
+      const blobs = [];
+      for (const file of trackFiles) {
+        const data = await store.read(file.blobId);
+        if (!(data instanceof ArrayBuffer)) throw new Error(`Blob not found: ${file.blobId}`);
+        blobs.push({ name: file.name, data: new Blob([data]) });
+      }
+      await ffmpeg.createDir("/tracks");
+      await ffmpeg.mount("WORKERFS", { blobs }, "/tracks");
+    }
+    await ffmpeg.createDir("/part");
+
+    for (let i = 0; i < chunkCount; i++) {
+      const range = ranges[i] || null;
+      if (clip && range && (range.end <= clip.start || range.start >= clip.end)) continue;
+      stage.start = (i / chunkCount) * partsShare;
+      stage.end = ((i + 1) / chunkCount) * partsShare;
+      const chunk = await store.read(`${blobId}_chunk_${i}`);
+      if (!(chunk instanceof ArrayBuffer)) {
+        throw new Error(`Missing or invalid chunk ${i}`);
+      }
+      const input = [chunk];
+      if (i === 0 && new Uint8Array(chunk)[0] !== 0x47) {
+        const { initEnd, error } = findInitSectionEnd(new Uint8Array(chunk));
+        if (initEnd === null) throw new Error(`No init section in chunk 0 (${error})`);
+        init = new Uint8Array(chunk.slice(0, initEnd));
+        if (initEnd === chunk.byteLength) continue;
+      } else if (init) {
+        input.unshift(init);
+      }
+      if (needsRanges && !range) throw new Error(`No time range for chunk ${i}`);
+
+      // The part covers [from, from + length) of the source timeline
+      const from = range ? (clip ? Math.max(range.start, clip.start) : range.start) : 0;
+      const length = range ? (clip ? Math.min(range.end, clip.end) : range.end) - from : null;
+      const inputName = init ? "input.mp4" : "input.ts";
+      await ffmpeg.mount("WORKERFS", { blobs: [{ name: inputName, data: new Blob(input) }] }, "/part");
+      const args = [
+        ...(range && from > range.start ? ["-ss", (from - range.start).toFixed(3)] : []),
+        "-i",
+        `/part/${inputName}`,
+      ];
+      audioTracks.forEach((track, t) => {
+        args.push(
+          "-ss",
+          Math.max(0, from - (track.startOffset || 0)).toFixed(3),
+          "-i",
+          `/tracks/${trackFiles[t].name}`,
+        );
+      });
+      // Subtitle inputs are seeked as in convertWithFFmpeg (timed from the video's start)
+      subtitles.forEach((track, t) => {
+        args.push(
+          "-itsoffset",
+          (track.startOffset || 0).toFixed(3),
+          "-ss",
+          from.toFixed(3),
+          "-i",
+          `/tracks/${trackFiles[audioTracks.length + t].name}`,
+        );
+      });
+      const lengthArgs = needsRanges ? ["-t", length.toFixed(3)] : [];
+
+      let partFile;
+      if (audioOnly) {
+        partFile = "part.aac";
+        args.push("-map", "0:a:0", ...lengthArgs, "-c:a", "copy", "-f", "adts", partFile);
+      } else {
+        partFile = "part.mp4";
+        args.push("-map", "0:v:0");
+        if (audioTracks.length > 0) {
+          audioTracks.forEach((track, t) => args.push("-map", `${t + 1}:a:0`));
+        } else {
+          args.push("-map", "0:a:0?");
+        }
+        subtitles.forEach((track, t) => {
+          args.push("-map", `${audioTracks.length + t + 1}:s:0`);
+        });
+        // Every part needs the same streams; joined parts keep only the first part's moov
+        // (and tags)
+        args.push(
+          ...lengthArgs,
+          ...codecArgs,
+          ...getAudioTrackArgs(audioTracks),
+          ...getSubtitleTrackArgs(subtitles),
+          ...(outputCount === 0 ? getMetadataArgs(options.metadata) : []),
+          "-f",
+          "mp4",
+          "-movflags",
+          "frag_keyframe+empty_moov+default_base_moof",
+          "-use_editlist",
+          "0",
+          partFile,
+        );
+      }
+      const exitCode = await ffmpeg.exec(args);
+      await ffmpeg.unmount("/part");
+      if (exitCode !== 0) {
+        throw new Error(`FFmpeg failed on chunk ${i + 1}/${chunkCount} (exit code ${exitCode})`);
+      }
+      const part = await ffmpeg.readFile(partFile);
+      await ffmpeg.deleteFile(partFile);
+      if (joiner) {
+        const pieces = joiner.push(part);
+        await store.write(`${outputBlobId}_chunk_${outputCount}`, new Blob(pieces));
+        outputCount++;
+        totalSize += pieces.reduce((sum, piece) => sum + piece.length, 0);
+      } else {
+        audioPieces.push(part);
+      }
+    }
+    await ffmpeg.deleteDir("/part");
+    if (trackFiles.length > 0) {
+      await ffmpeg.unmount("/tracks");
+      await ffmpeg.deleteDir("/tracks");
+    }
+
+    if (audioOnly) {
+      if (audioPieces.length === 0) throw new Error("No chunk had audio to convert");
+      stage.start = AUDIO_PARTS_PROGRESS_SHARE;
+      stage.end = 1;
+      const audioBlobId = `${blobId}_audio`;
+      await store.write(audioBlobId, await new Blob(audioPieces).arrayBuffer());
+      audioPieces = null;
+      try {
+        const result = await convertWithFFmpeg(ffmpeg, audioBlobId, {
+          audioOnly,
+          metadata: options.metadata,
+          inputExtension: "aac",
+        });
+        await store.deleteChunks(blobId, chunkCount);
+        console.log(`Extracted the audio of ${chunkCount} chunks with FFmpeg`);
+        return result;
+      } finally {
+        await store.delete(audioBlobId).catch(() => {});
+      }
+    }
+
+    if (outputCount === 0) throw new Error("No chunk was converted");
+    await store.deleteChunks(blobId, chunkCount);
+    console.log(
+      `Converted ${chunkCount} chunks to MP4 with FFmpeg (${Math.round(totalSize / 1024 / 1024)}MB)`,
+    );
+    return {
+      success: true,
+      outputBlobId,
+      chunkCount: outputCount,
+      totalSize,
+      extension: "mp4",
+      mimeType: "video/mp4",
+    };
+  } catch (err) {
+    // The queue resets FFmpeg after a failure or cancel, which drops its files and mounts
+    await store.deleteChunks(outputBlobId, outputCount).catch(() => {});
+    throw err;
+  } finally {
+    store.close();
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Download pause functionality
+ * Pausing aborts a running download like a cancel does, but keeps the data received
+ * so far (HLS segment checkpoints or the partial MP4 file) and frees its concurrency
+ * slot. Resuming goes through handleResumeDownloadAction under the same download ID.
+ */
+
+/** Status shown while a download is paused */
+const PAUSED_DOWNLOAD_STATUS = "Download paused";
+/** Error message a paused download ends with (lets callers tell it from a failure) */
+const DOWNLOAD_PAUSED_MESSAGE = "Download paused by user";
+
+/**
+ * Check if a download has been paused
+ * @param {string} downloadId - The download ID to check
+ * @returns {Promise<boolean>}
+ */
+async function isDownloadPaused(downloadId) {
+  const items = await chrome.storage.local.get([`downloadPaused_${downloadId}`]);
+  return !!items[`downloadPaused_${downloadId}`];
+}
+
+/**
+ * Check if an error is the one a paused download ends with
+ * @param {Error} error - Error thrown by the download
+ * @returns {boolean}
+ */
+function isDownloadPausedError(error) {
+  return !!error && error.message === DOWNLOAD_PAUSED_MESSAGE;
+}
+
+/**
+ * Pause a running download
+ * The pause flag is stored before aborting, so the download's abort handling sees a
+ * pause rather than a cancel and keeps its data. Only the fetching phase can be paused;
+ * downloads set canPause = false on their controller entry once they start merging.
+ * @param {string} downloadId - The download ID to pause
+ * @param {Map} downloadControllers - Map of download controllers
+ * @returns {Promise<void>}
+ */
+async function pauseDownload(downloadId, downloadControllers) {
+  const controllerInfo = downloadControllers.get(downloadId);
+  if (!controllerInfo?.controller || controllerInfo.controller.signal.aborted) {
+    throw new Error("This download is not running.");
+  }
+  if (controllerInfo.canPause === false) {
+    throw new Error(
+      "This download has finished fetching and can no longer be paused.",
+    );
+  }
+
+  await chrome.storage.local.set({
+    [`downloadPaused_${downloadId}`]: true,
+    [`downloadStatus_${downloadId}`]: "Pausing...",
+  });
+  controllerInfo.controller.abort();
+  console.log("Download paused:", downloadId);
+}
+
+/**
+ * Clear a download's pause flag (before resuming, or when it is discarded)
+ * @param {string} downloadId - The download ID
+ * @returns {Promise<void>}
+ */
+async function clearDownloadPause(downloadId) {
+  await chrome.storage.local.remove([`downloadPaused_${downloadId}`]);
+}
+
+/**
+ * List running downloads for the popup's download list
+ * @param {Map} downloadControllers - Map of download controllers (running downloads)
+ * @param {Map} downloadInfo - Map of download info
+ * @returns {Promise<Array>} [{downloadId, filename, qualityLabel, progress, status, canPause,
+ *   live}]; live downloads are stopped rather than paused
+ */
+async function getRunningDownloads(downloadControllers, downloadInfo) {
+  const ids = [...downloadControllers.keys()];
+  if (ids.length === 0) return [];
+  const items = await chrome.storage.local.get(
+    ids.flatMap((id) => [`downloadProgress_${id}`, `downloadStatus_${id}`]),
+  );
+  return ids.map((id) => {
+    const info = downloadInfo.get(id) || {};
+    return {
+      downloadId: id,
+      filename: info.filename || "",
+      qualityLabel: info.qualityLabel || "",
+      progress: items[`downloadProgress_${id}`] || 0,
+      status: items[`downloadStatus_${id}`] || "",
+      canPause: downloadControllers.get(id).canPause !== false,
+      live: !!downloadControllers.get(id).live,
+    };
+  });
+}
@@ -0,0 +1,764 @@
+/**
+ * Resumable download functionality
+ * Checkpoints every downloaded HLS segment into IndexedDB together with a manifest of
+ * finished indices, so a download interrupted by a service worker restart or a
+ * browser crash can fetch only the missing segments and finish the merge.
+ * Paused MP4 downloads store the bytes received so far and continue with a Range request.
+ */
+
+/** Checkpoints older than this are discarded when the service worker starts */
+const HLS_CHECKPOINT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+/** A checkpoint's manifest is rewritten at most this often while its segments are stored */
+const HLS_CHECKPOINT_MANIFEST_INTERVAL_MS = 5000;
+/** Status shown for downloads that stopped with a checkpoint left behind */
+const INTERRUPTED_DOWNLOAD_STATUS = "Download interrupted - resume available";
+
+/**
+ * Get the IDB key of a download's checkpoint manifest
+ * @param {string} downloadId - The download ID
+ * @returns {string} IDB key
+ */
+function getCheckpointManifestKey(downloadId) {
+  return `hlsmanifest_${downloadId}`;
+}
+
+/**
+ * Get the IDB key of one checkpointed segment
+ * @param {string} downloadId - The download ID
+ * @param {number} index - Segment index in the (clipped) playlist
+ * @returns {string} IDB key
+ */
+function getCheckpointSegmentKey(downloadId, index) {
+  return `hlsseg_${downloadId}_${index}`;
+}
+
+/**
+ * Identify a segment list so a checkpoint is only reused for the same playlist
+ * Segment URLs carry expiring tokens, so count and total duration are compared instead.
+ * @param {Array} segments - Parsed (and clipped) segments
+ * @returns {string} Fingerprint
+ */
+function getSegmentListFingerprint(segments) {
+  const totalMs = Math.round(
+    segments.reduce((sum, seg) => sum + (seg.duration || 0), 0) * 1000,
+  );
+  return `${segments.length}:${totalMs}`;
+}
+
+/**
+ * Whether two checkpoint variants are the same rendition of the master playlist
+ * Variant URLs carry expiring tokens, so resolution and bandwidth are compared.
+ * @param {Object|null} a - {url, resolution, bandwidth}, or null for a media playlist
+ * @param {Object|null} b - Same
+ * @returns {boolean}
+ */
+function isSameCheckpointVariant(a, b) {
+  if (!a || !b) return !a && !b;
+  return (
+    (a.resolution || null) === (b.resolution || null) &&
+    (a.bandwidth || null) === (b.bandwidth || null)
+  );
+}
+
+/**
+ * Find the variant a checkpoint was written for in a freshly fetched master playlist
+ * @param {Array} variants - Variants from parseMasterPlaylist
+ * @param {Object|null} saved - The checkpoint's variant {url, resolution, bandwidth}
+ * @returns {Object|null} The matching variant, or null if the playlist no longer has it
+ */
+function findCheckpointVariant(variants, saved) {
+  if (!saved) return null;
+  const withoutQuery = (url) => String(url || "").split("?")[0];
+  return (
+    variants.find((variant) => variant.url === saved.url) ||
+    variants.find(
+      (variant) =>
+        withoutQuery(variant.url) === withoutQuery(saved.url) &&
+        isSameCheckpointVariant(variant, saved),
+    ) ||
+    variants.find((variant) => isSameCheckpointVariant(variant, saved)) ||
+    null
+  );
+}
+
+/**
+ * Read a download's checkpoint manifest
+ * @param {string} downloadId - The download ID
+ * @returns {Promise<Object|null>} Manifest, or null if there is no checkpoint
+ */
+async function loadHlsCheckpoint(downloadId) {
+  const db = await openDownloaderDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readonly");
+      const req = tx
+        .objectStore("blobs")
+        .get(getCheckpointManifestKey(downloadId));
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Start (or pick up) the checkpoint for an HLS download
+ * An existing manifest is reused when it describes the same segment list of the same
+ * variant (variants of one video usually share segment boundaries, so the fingerprint alone
+ * can't tell them apart); otherwise its segments are dropped and a fresh manifest is written.
+ * @param {string} downloadId - The download ID
+ * @param {Object} details - What is needed to restart the download:
+ *   {url, filename, type, tabId, clip, audioOnly, animation, subtitles, transcode, metadata,
+ *   variant, variantPolicy}; variant is {url, resolution, bandwidth} of the variant picked
+ *   from the master playlist at url (null for a media playlist)
+ * @param {Array} segments - Parsed (and clipped) segments that will be downloaded
+ * @returns {Promise<Object>} Manifest {downloadId, url, filename, type, tabId, clip, audioOnly,
+ *   animation, subtitles, transcode, metadata, variant, variantPolicy, fingerprint,
+ *   segmentCount, completed, corrupt, createdAt, updatedAt}; corrupt maps segment indices
+ *   stored as is after failing validation to their {reason, cdn}
+ */
+async function openHlsCheckpoint(downloadId, details, segments) {
+  const fingerprint = getSegmentListFingerprint(segments);
+  const existing = await loadHlsCheckpoint(downloadId);
+  const variant = details.variant || null;
+  if (
+    existing &&
+    existing.fingerprint === fingerprint &&
+    isSameCheckpointVariant(existing.variant || null, variant)
+  ) {
+    console.log(
+      `♻️ Resuming from checkpoint: ${existing.completed.length}/${existing.segmentCount} segments already downloaded`,
+    );
+    return existing;
+  }
+  if (existing) {
+    console.warn(
+      "Playlist or variant changed since the checkpoint was written, starting over:",
+      downloadId,
+    );
+    await deleteHlsCheckpoint(downloadId);
+  }
+
+  const now = Date.now();
+  const manifest = {
+    downloadId,
+    url: details.url,
+    filename: details.filename,
+    type: details.type || "hls",
+    tabId: details.tabId || null,
+    clip: details.clip || null,
+    audioOnly: details.audioOnly || null,
+    animation: details.animation || null,
+    subtitles: details.subtitles || null,
+    transcode: details.transcode || null,
+    metadata: details.metadata || null,
+    variant,
+    variantPolicy: details.variantPolicy || null,
+    fingerprint,
+    segmentCount: segments.length,
+    completed: [],
+    corrupt: {},
+    createdAt: now,
+    updatedAt: now,
+  };
+  const db = await openDownloaderDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      tx.objectStore("blobs").put(
+        manifest,
+        getCheckpointManifestKey(downloadId),
+      );
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+  return manifest;
+}
+
+/**
+ * Keep a download's checkpoint open while its segments arrive
+ * One connection serves the whole download. Each segment is stored under its own key, which
+ * is what marks it done: loadHlsCheckpointSegments finds the stored segments with a key range
+ * scan. The manifest (whose completed list only feeds progress counts) is rewritten with a
+ * segment at most every HLS_CHECKPOINT_MANIFEST_INTERVAL_MS, and on close, so a long
+ * download doesn't rewrite its growing manifest for every segment.
+ * @param {Object} manifest - Manifest from openHlsCheckpoint (updated in place)
+ * @returns {Promise<Object>} {save(index, data, corrupt), close({discard})}: save stores a
+ *   decrypted segment, corrupt being {reason, cdn} if the data stayed corrupt after every
+ *   attempt (kept in manifest.corrupt so a resumed download still reports it); close writes
+ *   the manifest (unless discard) and closes the connection
+ */
+async function openHlsCheckpointWriter(manifest) {
+  const db = await openDownloaderDB();
+  const manifestKey = getCheckpointManifestKey(manifest.downloadId);
+  const done = new Set(manifest.completed);
+  let manifestWrittenAt = Date.now();
+  let closed = false;
+
+  const put = (entries) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      const store = tx.objectStore("blobs");
+      entries.forEach(([key, value]) => store.put(value, key));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  const manifestEntry = () => {
+    manifest.updatedAt = Date.now();
+    manifestWrittenAt = manifest.updatedAt;
+    return [manifestKey, manifest];
+  };
+
+  return {
+    save: async (index, data, corrupt = null) => {
+      if (closed) throw new Error("Checkpoint is closed");
+      if (!done.has(index)) {
+        done.add(index);
+        manifest.completed.push(index);
+      }
+      manifest.corrupt = manifest.corrupt || {};
+      const flagChanged = !!corrupt || !!manifest.corrupt[index];
+      if (corrupt) manifest.corrupt[index] = corrupt;
+      else delete manifest.corrupt[index];
+      const entries = [[getCheckpointSegmentKey(manifest.downloadId, index), data]];
+      // A corrupt flag goes in with its segment, so a resume never takes the data as good
+      if (
+        flagChanged ||
+        Date.now() - manifestWrittenAt >= HLS_CHECKPOINT_MANIFEST_INTERVAL_MS
+      ) {
+        entries.push(manifestEntry());
+      }
+      await put(entries);
+    },
+    close: async ({ discard = false } = {}) => {
+      if (closed) return;
+      closed = true;
+      try {
+        if (!discard) await put([manifestEntry()]);
+      } finally {
+        db.close();
+      }
+    },
+  };
+}
+
+/**
+ * Load the checkpointed segments of a manifest
+ * Stored segments are found by key, so those written after the manifest was last saved are
+ * picked up too. The manifest's completed list (and manifest.corrupt) is reset to what was
+ * found, so missing segments are fetched again. A live recording only keeps segments whose
+ * playlist entry made it into liveSegments.
+ * @param {Object} manifest - Manifest from openHlsCheckpoint
+ * @returns {Promise<Array>} [{success: true, index, data}] in index order
+ */
+async function loadHlsCheckpointSegments(manifest) {
+  const prefix = getCheckpointSegmentKey(manifest.downloadId, "");
+  const isKnown = (index) =>
+    manifest.live ? !!manifest.liveSegments[index] : index < manifest.segmentCount;
+  const db = await openDownloaderDB();
+  try {
+    const loaded = await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readonly");
+      const results = [];
+      const req = tx
+        .objectStore("blobs")
+        .openCursor(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        // The range also matches IDs that merely start with this one; their suffix isn't a number
+        const suffix = String(cursor.key).slice(prefix.length);
+        const index = Number(suffix);
+        if (
+          /^\d+$/.test(suffix) &&
+          isKnown(index) &&
+          cursor.value instanceof ArrayBuffer
+        ) {
+          results.push({ success: true, index, data: cursor.value });
+        }
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(results);
+      tx.onerror = () => reject(tx.error);
+    });
+    loaded.sort((a, b) => a.index - b.index);
+    manifest.completed = loaded.map((s) => s.index);
+    manifest.corrupt = Object.fromEntries(
+      loaded
+        .filter((s) => manifest.corrupt?.[s.index])
+        .map((s) => [s.index, manifest.corrupt[s.index]]),
+    );
+    return loaded;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Delete a download's manifest and all of its checkpointed segments
+ * @param {string} downloadId - The download ID
+ * @returns {Promise<void>}
+ */
+async function deleteHlsCheckpoint(downloadId) {
+  const db = await openDownloaderDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      const store = tx.objectStore("blobs");
+      const segmentPrefix = getCheckpointSegmentKey(downloadId, "");
+      store.delete(IDBKeyRange.bound(segmentPrefix, `${segmentPrefix}\uffff`));
+      store.delete(getCheckpointManifestKey(downloadId));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Get the IDB key of a paused MP4 download's manifest
+ * @param {string} downloadId - The download ID
+ * @returns {string} IDB key
+ */
+function getMp4CheckpointManifestKey(downloadId) {
+  return `mp4manifest_${downloadId}`;
+}
+
+/**
+ * Get the IDB key of one stored part of a paused MP4 download
+ * @param {string} downloadId - The download ID
+ * @param {number} part - Part number (one part is written per pause)
+ * @returns {string} IDB key
+ */
+function getMp4CheckpointPartKey(downloadId, part) {
+  return `mp4part_${downloadId}_${part}`;
+}
+
+/**
+ * Read a paused MP4 download's manifest
+ * @param {string} downloadId - The download ID
+ * @returns {Promise<Object|null>} Manifest, or null if nothing is stored
+ */
+async function loadMp4Checkpoint(downloadId) {
+  const db = await openDownloaderDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readonly");
+      const req = tx
+        .objectStore("blobs")
+        .get(getMp4CheckpointManifestKey(downloadId));
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Append the bytes received since the last pause to an MP4 download's checkpoint
+ * The part and the updated manifest share a transaction, so receivedBytes always
+ * matches the stored parts.
+ * @param {string} downloadId - The download ID
+ * @param {Object} details - {url, filename, type, totalSize, validator}; validator is
+ *   the ETag or Last-Modified value sent back as If-Range
+ * @param {Object|null} manifest - Manifest from loadMp4Checkpoint, or null to start one
+ * @param {Uint8Array} data - Bytes received since the manifest was last written
+ * @returns {Promise<Object>} Manifest {downloadId, url, filename, type, totalSize,
+ *   validator, receivedBytes, partCount, createdAt, updatedAt}
+ */
+async function saveMp4Checkpoint(downloadId, details, manifest, data) {
+  const now = Date.now();
+  const next = manifest
+    ? { ...manifest }
+    : {
+        downloadId,
+        url: details.url,
+        filename: details.filename,
+        type: details.type || "mp4-full",
+        totalSize: details.totalSize || null,
+        validator: details.validator || null,
+        receivedBytes: 0,
+        partCount: 0,
+        createdAt: now,
+      };
+  next.updatedAt = now;
+
+  const db = await openDownloaderDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      const store = tx.objectStore("blobs");
+      if (data && data.byteLength > 0) {
+        store.put(
+          data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+          getMp4CheckpointPartKey(downloadId, next.partCount),
+        );
+        next.partCount++;
+        next.receivedBytes += data.byteLength;
+      }
+      store.put(next, getMp4CheckpointManifestKey(downloadId));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+  return next;
+}
+
+/**
+ * Load the stored parts of a paused MP4 download
+ * @param {Object} manifest - Manifest from loadMp4Checkpoint
+ * @returns {Promise<Array<ArrayBuffer>|null>} Parts in order, or null if any part is missing
+ */
+async function loadMp4CheckpointParts(manifest) {
+  const db = await openDownloaderDB();
+  try {
+    const parts = await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readonly");
+      const store = tx.objectStore("blobs");
+      const results = new Array(manifest.partCount).fill(null);
+      for (let part = 0; part < manifest.partCount; part++) {
+        const req = store.get(
+          getMp4CheckpointPartKey(manifest.downloadId, part),
+        );
+        req.onsuccess = () => {
+          if (req.result instanceof ArrayBuffer) results[part] = req.result;
+        };
+      }
+      tx.oncomplete = () => resolve(results);
+      tx.onerror = () => reject(tx.error);
+    });
+    if (parts.some((part) => part === null)) return null;
+    const total = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    return total === manifest.receivedBytes ? parts : null;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Delete a paused MP4 download's manifest and stored parts
+ * @param {string} downloadId - The download ID
+ * @returns {Promise<void>}
+ */
+async function deleteMp4Checkpoint(downloadId) {
+  const db = await openDownloaderDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readwrite");
+      const store = tx.objectStore("blobs");
+      const partPrefix = getMp4CheckpointPartKey(downloadId, "");
+      store.delete(IDBKeyRange.bound(partPrefix, `${partPrefix}\uffff`));
+      store.delete(getMp4CheckpointManifestKey(downloadId));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * List all paused MP4 download manifests
+ * @returns {Promise<Array>} Manifests, most recently updated first
+ */
+async function listMp4Checkpoints() {
+  const db = await openDownloaderDB();
+  try {
+    const manifests = await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readonly");
+      const req = tx
+        .objectStore("blobs")
+        .getAll(IDBKeyRange.bound("mp4manifest_", "mp4manifest_\uffff"));
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+    return manifests.sort((a, b) => b.updatedAt - a.updatedAt);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * List all checkpoint manifests
+ * @returns {Promise<Array>} Manifests, most recently updated first
+ */
+async function listHlsCheckpoints() {
+  const db = await openDownloaderDB();
+  try {
+    const manifests = await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], "readonly");
+      const req = tx
+        .objectStore("blobs")
+        .getAll(IDBKeyRange.bound("hlsmanifest_", "hlsmanifest_\uffff"));
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+    return manifests.sort((a, b) => b.updatedAt - a.updatedAt);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * List paused and checkpointed downloads that are not currently running
+ * Paused downloads without stored data (paused before anything was received) are
+ * included from their storage keys; resuming them starts over.
+ * @param {Map} downloadControllers - Map of download controllers (running downloads)
+ * @returns {Promise<Array>} [{downloadId, filename, url, clip, paused, completedCount,
+ *   segmentCount, receivedBytes, totalSize, updatedAt}]; HLS entries count segments,
+ *   MP4 entries count bytes
+ */
+async function getInterruptedDownloads(downloadControllers) {
+  const [hlsManifests, mp4Manifests, items] = await Promise.all([
+    listHlsCheckpoints(),
+    listMp4Checkpoints(),
+    chrome.storage.local.get(null),
+  ]);
+  const isPaused = (downloadId) => !!items[`downloadPaused_${downloadId}`];
+
+  const downloads = [
+    ...hlsManifests.map((manifest) => ({
+      downloadId: manifest.downloadId,
+      filename: manifest.filename,
+      url: manifest.url,
+      clip: manifest.clip,
+      paused: isPaused(manifest.downloadId),
+      completedCount: manifest.completed.length,
+      segmentCount: manifest.segmentCount,
+      updatedAt: manifest.updatedAt,
+    })),
+    ...mp4Manifests.map((manifest) => ({
+      downloadId: manifest.downloadId,
+      filename: manifest.filename,
+      url: manifest.url,
+      clip: null,
+      paused: isPaused(manifest.downloadId),
+      receivedBytes: manifest.receivedBytes,
+      totalSize: manifest.totalSize,
+      updatedAt: manifest.updatedAt,
+    })),
+  ];
+
+  const listed = new Set(downloads.map((d) => d.downloadId));
+  Object.keys(items)
+    .filter((key) => key.startsWith("downloadPaused_"))
+    .map((key) => key.replace("downloadPaused_", ""))
+    .filter((downloadId) => !listed.has(downloadId))
+    .forEach((downloadId) => {
+      let info = {};
+      try {
+        info = JSON.parse(items[`downloadInfo_${downloadId}`] || "{}");
+      } catch (e) {
+        // ignore
+      }
+      if (!info.url) return;
+      downloads.push({
+        downloadId,
+        filename: info.filename,
+        url: info.url,
+        clip: info.clip || null,
+        paused: true,
+        updatedAt: info.startTime || 0,
+      });
+    });
+
+  return downloads
+    .filter((download) => !downloadControllers.has(download.downloadId))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Mark checkpointed downloads as interrupted after a service worker start
+ * Nothing can be running in a freshly started worker, so every checkpoint belongs to
+ * a download that was cut off. Its slot is released, and its status is set so page
+ * notifications offer "Resume". Checkpoints older than HLS_CHECKPOINT_MAX_AGE_MS are deleted.
+ * @returns {Promise<void>}
+ */
+async function markInterruptedHlsDownloads() {
+  // Paused MP4 downloads keep their status; only stale ones are dropped
+  for (const manifest of await listMp4Checkpoints()) {
+    if (Date.now() - manifest.updatedAt > HLS_CHECKPOINT_MAX_AGE_MS) {
+      console.log("Discarding stale paused download:", manifest.downloadId);
+      await deleteMp4Checkpoint(manifest.downloadId);
+      await clearDownloadPause(manifest.downloadId);
+    }
+  }
+
+  const manifests = await listHlsCheckpoints();
+  if (manifests.length === 0) return;
+
+  const storage = await chrome.storage.local.get(["activeDownloadIds"]);
+  let activeIds = storage.activeDownloadIds || [];
+
+  for (const manifest of manifests) {
+    const downloadId = manifest.downloadId;
+    if (Date.now() - manifest.updatedAt > HLS_CHECKPOINT_MAX_AGE_MS) {
+      console.log("Discarding stale download checkpoint:", downloadId);
+      await deleteHlsCheckpoint(downloadId);
+      await clearDownloadPause(downloadId);
+      continue;
+    }
+
+    activeIds = activeIds.filter((id) => id !== downloadId);
+    const keys = await chrome.storage.local.get([
+      `downloadProgress_${downloadId}`,
+      `downloadInfo_${downloadId}`,
+      `downloadPaused_${downloadId}`,
+    ]);
+    // A paused download stopped on purpose; it stays "paused" rather than "interrupted"
+    const updates = {
+      [`downloadStatus_${downloadId}`]: keys[`downloadPaused_${downloadId}`]
+        ? PAUSED_DOWNLOAD_STATUS
+        : INTERRUPTED_DOWNLOAD_STATUS,
+    };
+    if (keys[`downloadProgress_${downloadId}`] === undefined) {
+      updates[`downloadProgress_${downloadId}`] = Math.min(
+        84,
+        Math.round((manifest.completed.length / manifest.segmentCount) * 85),
+      );
+    }
+    if (!keys[`downloadInfo_${downloadId}`]) {
+      updates[`downloadInfo_${downloadId}`] = JSON.stringify({
+        url: manifest.url,
+        normalizedUrl: normalizeUrlForDownload(manifest.url),
+        filename: manifest.filename,
+        tabId: manifest.tabId,
+        videoId: null,
+        qualityLabel: "",
+        clip: manifest.clip,
+        audioOnly: manifest.audioOnly || null,
+        animation: manifest.animation || null,
+        subtitles: manifest.subtitles || null,
+        transcode: manifest.transcode || null,
+        metadata: manifest.metadata || null,
+        variantPolicy: manifest.variantPolicy || null,
+        startTime: manifest.createdAt,
+      });
+    }
+    await chrome.storage.local.set(updates);
+    console.log(
+      `Interrupted download can be resumed: ${manifest.filename} (${manifest.completed.length}/${manifest.segmentCount} segments)`,
+    );
+  }
+
+  await chrome.storage.local.set({ activeDownloadIds: activeIds });
+}
+
+/**
+ * Handle the resumeDownload action: restart a paused or checkpointed download under its old ID
+ * The download goes through handleDownloadAction again (concurrency limits, notifications),
+ * and downloadAndMergeM3U8 / downloadFullVideoFile pick up the stored data for that ID.
+ * A paused download with nothing stored yet starts over from its saved request.
+ * @param {Object} request - {downloadId, tabId}
+ * @param {Object} sender - The message sender
+ * @param {Function} sendResponse - Response callback
+ * @param {Map} activeDownloads - Map of active downloads
+ * @param {Map} downloadInfo - Map of download info
+ * @param {Map} downloadControllers - Map of download controllers
+ * @param {Object} videoData - Video data object
+ * @returns {boolean} - Whether to keep channel open
+ */
+function handleResumeDownloadAction(
+  request,
+  sender,
+  sendResponse,
+  activeDownloads,
+  downloadInfo,
+  downloadControllers,
+  videoData,
+  activeChromeDownloads,
+  cleanupIndexedDBBlob,
+  setupOffscreenDocument,
+  blobToDataUrl,
+) {
+  const downloadId = request.downloadId;
+  if (!downloadId) {
+    sendResponse({ success: false, error: "No downloadId provided" });
+    return true;
+  }
+  if (downloadControllers.has(downloadId)) {
+    sendResponse({ success: false, error: "This download is already running." });
+    return true;
+  }
+
+  (async () => {
+    // Labels from the original request, if they are still stored
+    const stored = await chrome.storage.local.get([
+      `downloadInfo_${downloadId}`,
+      `downloadPaused_${downloadId}`,
+    ]);
+    let info = {};
+    try {
+      info = JSON.parse(stored[`downloadInfo_${downloadId}`] || "{}");
+    } catch (e) {
+      // ignore
+    }
+
+    const manifest =
+      (await loadHlsCheckpoint(downloadId)) ||
+      (await loadMp4Checkpoint(downloadId)) ||
+      (stored[`downloadPaused_${downloadId}`] && info.url
+        ? {
+            url: info.url,
+            filename: info.filename,
+            type: info.type,
+            clip: info.clip || null,
+            audioOnly: info.audioOnly || null,
+            tabId: info.tabId,
+          }
+        : null);
+    if (!manifest) {
+      sendResponse({
+        success: false,
+        error: "No resumable data found for this download.",
+      });
+      return;
+    }
+
+    // The pause flag is cleared once the download actually restarts (runDownloadWithId),
+    // so a resume blocked by the concurrency limit leaves the download paused
+    await chrome.storage.local.remove([`downloadCancelled_${downloadId}`]);
+
+    handleDownloadAction(
+      {
+        action: "download",
+        url: manifest.url,
+        filename: manifest.filename,
+        type: manifest.type,
+        qualityLabel: info.qualityLabel || "",
+        videoId: info.videoId || undefined,
+        clip: manifest.clip || null,
+        variantPolicy: info.variantPolicy || manifest.variantPolicy || null,
+        audioOnly: manifest.audioOnly || info.audioOnly || null,
+        animation: manifest.animation || info.animation || null,
+        subtitles: info.subtitles || manifest.subtitles || null,
+        transcode: info.transcode || manifest.transcode || null,
+        metadata: info.metadata || manifest.metadata || null,
+        tabId: request.tabId || sender?.tab?.id || manifest.tabId || info.tabId,
+        resumeDownloadId: downloadId,
+      },
+      sender,
+      sendResponse,
+      activeDownloads,
+      downloadInfo,
+      downloadControllers,
+      videoData,
+      activeChromeDownloads,
+      cleanupIndexedDBBlob,
+      setupOffscreenDocument,
+      blobToDataUrl,
+    );
+  })().catch((error) => {
+    console.error("Failed to resume download:", error);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
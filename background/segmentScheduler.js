@@ -0,0 +1,251 @@
+/**
+ * Adaptive segment scheduling
+ * Downloads HLS segments through a sliding window: a new segment starts as soon as
+ * one finishes, and the window size follows observed throughput, latency and
+ * 429/503 pushback from the server (additive increase, multiplicative decrease).
+ */
+
+/** Window size limits for segment downloads */
+const SEGMENT_WINDOW_MIN = 2;
+const SEGMENT_WINDOW_MAX = 16;
+/** Throughput is measured over this trailing time span */
+const THROUGHPUT_SAMPLE_WINDOW_MS = 5000;
+/** After a 429/503, no window increase for this long */
+const THROTTLE_COOLDOWN_MS = 10000;
+/** Pause new requests for this long after a 429/503 without Retry-After */
+const THROTTLE_DEFAULT_PAUSE_MS = 2000;
+
+/**
+ * Create the rate controller that decides how many segments may be in flight
+ * @param {Object} [options]
+ * @param {number} [options.initial] - Starting window size
+ * @param {number} [options.min] - Smallest window size
+ * @param {number} [options.max] - Largest window size
+ * @returns {Object} Controller state {concurrency, min, max, pauseUntil, ...}; update it
+ *   with recordSegmentSuccess / recordSegmentThrottle / recordSegmentError
+ */
+function createSegmentRateController(options = {}) {
+  const min = options.min || SEGMENT_WINDOW_MIN;
+  const max = options.max || SEGMENT_WINDOW_MAX;
+  return {
+    concurrency: Math.min(max, Math.max(min, options.initial || 6)),
+    min,
+    max,
+    // Requests must not start before this time (server asked us to back off)
+    pauseUntil: 0,
+    // No increases before this time
+    cooldownUntil: 0,
+    // Recent completions: [{time, bytes}]
+    samples: [],
+    // Lowest latency seen (ms), used as the "idle link" baseline
+    baselineLatency: null,
+    // Smoothed latency (ms)
+    averageLatency: null,
+    // Throughput (bytes/s) when the window was last changed
+    lastThroughput: 0,
+    // Successes since the window was last evaluated
+    successesSinceAdjust: 0,
+    throttleCount: 0,
+  };
+}
+
+/**
+ * Current throughput over the trailing sample window
+ * @param {Object} controller - Rate controller
+ * @returns {number} Bytes per second
+ */
+function getSegmentThroughput(controller) {
+  const now = Date.now();
+  controller.samples = controller.samples.filter(
+    (s) => now - s.time <= THROUGHPUT_SAMPLE_WINDOW_MS,
+  );
+  if (controller.samples.length < 2) return 0;
+  const bytes = controller.samples.reduce((sum, s) => sum + s.bytes, 0);
+  const elapsed = Math.max(1, now - controller.samples[0].time);
+  return (bytes * 1000) / elapsed;
+}
+
+/**
+ * Record a finished segment and grow or shrink the window
+ * Evaluated once per "round" (as many successes as the window size): grow by one
+ * while throughput still improves or latency stays near the idle baseline; shrink
+ * by one when latency has ballooned without a throughput gain (queueing).
+ * @param {Object} controller - Rate controller
+ * @param {number} bytes - Segment size
+ * @param {number} latencyMs - Time from request to last byte
+ */
+function recordSegmentSuccess(controller, bytes, latencyMs) {
+  const now = Date.now();
+  controller.samples.push({ time: now, bytes });
+  controller.baselineLatency =
+    controller.baselineLatency === null
+      ? latencyMs
+      : Math.min(controller.baselineLatency, latencyMs);
+  controller.averageLatency =
+    controller.averageLatency === null
+      ? latencyMs
+      : controller.averageLatency * 0.8 + latencyMs * 0.2;
+
+  controller.successesSinceAdjust++;
+  if (controller.successesSinceAdjust < controller.concurrency) return;
+  controller.successesSinceAdjust = 0;
+
+  const throughput = getSegmentThroughput(controller);
+  const latencyRatio =
+    controller.baselineLatency > 0
+      ? controller.averageLatency / controller.baselineLatency
+      : 1;
+  const improved = throughput > controller.lastThroughput * 1.05;
+
+  if (latencyRatio > 3 && !improved && controller.concurrency > controller.min) {
+    controller.concurrency--;
+  } else if (
+    now >= controller.cooldownUntil &&
+    (improved || latencyRatio < 1.5) &&
+    controller.concurrency < controller.max
+  ) {
+    controller.concurrency++;
+  }
+  controller.lastThroughput = throughput;
+}
+
+/**
+ * Record a 429/503 response: halve the window and pause new requests
+ * @param {Object} controller - Rate controller
+ * @param {number|null} retryAfterMs - Server's Retry-After, if any
+ */
+function recordSegmentThrottle(controller, retryAfterMs = null) {
+  const now = Date.now();
+  controller.throttleCount++;
+  // Several in-flight requests often get throttled together; halve once per pause
+  if (now >= controller.pauseUntil) {
+    controller.concurrency = Math.max(
+      controller.min,
+      Math.floor(controller.concurrency / 2),
+    );
+  }
+  const pauseMs = Math.min(
+    30000,
+    retryAfterMs || THROTTLE_DEFAULT_PAUSE_MS * Math.min(8, controller.throttleCount),
+  );
+  controller.pauseUntil = Math.max(controller.pauseUntil, now + pauseMs);
+  controller.cooldownUntil = now + THROTTLE_COOLDOWN_MS;
+  controller.successesSinceAdjust = 0;
+}
+
+/**
+ * Record a non-throttling failure (network error, 5xx): shrink the window by one
+ * @param {Object} controller - Rate controller
+ */
+function recordSegmentError(controller) {
+  if (controller.concurrency > controller.min) {
+    controller.concurrency--;
+  }
+  controller.successesSinceAdjust = 0;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Download segments through a sliding window sized by the rate controller
+ * A slow segment only holds its own slot; every other slot keeps pulling from the queue.
+ * @param {Array<number>} indices - Segment indices to download, in playlist order
+ * @param {Function} downloadOne - (index) => Promise<{success, index, data?, error?}>
+ * @param {Object} controller - Rate controller from createSegmentRateController
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.shouldStop] - () => boolean; stops with an AbortError when true
+ * @param {Function} [hooks.onResult] - Called with each result as it completes
+ * @returns {Promise<Array>} Results sorted by segment index
+ */
+function runSegmentWindow(indices, downloadOne, controller, hooks = {}) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    let nextPosition = 0;
+    let inFlight = 0;
+    let finished = false;
+    let pauseTimer = null;
+
+    const fail = (error) => {
+      if (finished) return;
+      finished = true;
+      if (pauseTimer) clearTimeout(pauseTimer);
+      reject(error);
+    };
+
+    // A throwing hook must not turn a recorded result into a second, failed one
+    const record = (result) => {
+      results.push(result);
+      if (typeof hooks.onResult !== "function") return;
+      try {
+        hooks.onResult(result);
+      } catch (e) {
+        console.warn(`onResult hook failed for segment ${result.index}:`, e);
+      }
+    };
+
+    const pump = () => {
+      if (finished) return;
+      if (typeof hooks.shouldStop === "function" && hooks.shouldStop()) {
+        fail(new DOMException("Download cancelled", "AbortError"));
+        return;
+      }
+      if (nextPosition >= indices.length && inFlight === 0) {
+        finished = true;
+        resolve(results.sort((a, b) => a.index - b.index));
+        return;
+      }
+
+      // Honour server pushback before starting anything new
+      const waitMs = controller.pauseUntil - Date.now();
+      if (waitMs > 0) {
+        if (!pauseTimer) {
+          pauseTimer = setTimeout(() => {
+            pauseTimer = null;
+            pump();
+          }, waitMs);
+        }
+        return;
+      }
+
+      while (
+        inFlight < controller.concurrency &&
+        nextPosition < indices.length
+      ) {
+        const index = indices[nextPosition++];
+        inFlight++;
+        downloadOne(index)
+          .then(
+            (result) => record(result),
+            (error) => {
+              if (error && error.name === "AbortError") {
+                fail(error);
+                return;
+              }
+              record({
+                success: false,
+                index,
+                error: (error && error.message) || "Unknown error",
+              });
+            },
+          )
+          .finally(() => {
+            inFlight--;
+            pump();
+          });
+      }
+    };
+
+    pump();
+  });
+}
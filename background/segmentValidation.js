@@ -0,0 +1,274 @@
+/**
+ * Segment integrity validation
+ * A segment is checked as soon as it has been fetched (and decrypted), so a truncated or
+ * garbled CDN response is re-fetched instead of ending up in the merged file.
+ * MPEG-TS: 188-byte packets, sync bytes, PAT/PMT and continuity counters.
+ * fMP4: complete top-level boxes, moof/mdat pairs and sample data inside the mdat
+ * (boxes are read with isoBmff.js).
+ */
+
+/** MPEG-TS packet size */
+const TS_PACKET_SIZE = 188;
+/** MPEG-TS sync byte */
+const TS_SYNC_BYTE = 0x47;
+/** Null packets (stuffing) carry no continuity counter */
+const TS_NULL_PID = 0x1fff;
+/** Top-level boxes a media segment may start with */
+const FMP4_SEGMENT_BOXES = ["styp", "sidx", "emsg", "prft", "moof", "free"];
+
+/**
+ * Validate a fetched media segment
+ * The format is sniffed from the data; when the data is unrecognizable, the playlist's
+ * format decides (a TS playlist segment that doesn't start with a sync byte is corrupt).
+ * @param {ArrayBuffer} data - Segment data (decrypted)
+ * @param {Object} [context]
+ * @param {string|null} [context.format] - "ts" or "fmp4" as detected from the playlist
+ * @param {boolean} [context.hasMap] - Segment has an #EXT-X-MAP, so its PAT/PMT may live there
+ * @param {Object|null} [context.byteRange] - The segment's #EXT-X-BYTERANGE {length, offset};
+ *   only the first sub-range of a resource (offset 0) is expected to carry the PAT/PMT
+ * @returns {{valid: boolean, format: string|null, reason: string|null}}
+ */
+function validateSegmentData(data, context = {}) {
+  const bytes = new Uint8Array(data);
+  if (bytes.length === 0) {
+    return {
+      valid: false,
+      format: context.format || null,
+      reason: "empty response",
+    };
+  }
+
+  let format = null;
+  if (bytes[0] === TS_SYNC_BYTE) {
+    format = "ts";
+  } else if (
+    bytes.length >= 8 &&
+    FMP4_SEGMENT_BOXES.includes(readBoxType(bytes, 4))
+  ) {
+    format = "fmp4";
+  } else {
+    format = context.format || null;
+  }
+
+  let reason = null;
+  if (format === "ts") {
+    reason = validateTsSegment(bytes, {
+      requireTables: !context.hasMap && !(context.byteRange?.offset > 0),
+    });
+  } else if (format === "fmp4") {
+    reason = validateFmp4Segment(bytes);
+  }
+  return { valid: reason === null, format, reason };
+}
+
+/**
+ * Check an MPEG-TS segment
+ * @param {Uint8Array} bytes - Segment data
+ * @param {Object} [options]
+ * @param {boolean} [options.requireTables] - The segment must carry a PAT and its PMT
+ * @returns {string|null} Why the segment is corrupt, or null if it looks intact
+ */
+function validateTsSegment(bytes, options = {}) {
+  if (bytes.length % TS_PACKET_SIZE !== 0) {
+    return `truncated: ${bytes.length} bytes is not a whole number of ${TS_PACKET_SIZE}-byte packets`;
+  }
+
+  const packetCount = bytes.length / TS_PACKET_SIZE;
+  const continuity = new Map(); // PID -> last continuity counter
+  const pmtPids = new Set();
+  let hasPat = false;
+  let hasPmt = false;
+
+  for (let packet = 0; packet < packetCount; packet++) {
+    const offset = packet * TS_PACKET_SIZE;
+    if (bytes[offset] !== TS_SYNC_BYTE) {
+      return `lost sync at packet ${packet + 1}/${packetCount}`;
+    }
+    if (bytes[offset + 1] & 0x80) {
+      return `transport error flagged at packet ${packet + 1}/${packetCount}`;
+    }
+
+    const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+    const payloadStart = (bytes[offset + 1] & 0x40) !== 0;
+    const adaptationControl = (bytes[offset + 3] >> 4) & 0x03;
+    const counter = bytes[offset + 3] & 0x0f;
+    const hasAdaptation = (adaptationControl & 0x02) !== 0;
+    const hasPayload = (adaptationControl & 0x01) !== 0;
+    const adaptationLength = hasAdaptation ? bytes[offset + 4] : 0;
+    const discontinuity =
+      hasAdaptation && adaptationLength > 0 && (bytes[offset + 5] & 0x80) !== 0;
+
+    // The counter only advances on packets with payload; one repeat is allowed (duplicate packet)
+    if (hasPayload && pid !== TS_NULL_PID) {
+      const previous = continuity.get(pid);
+      if (
+        previous !== undefined &&
+        !discontinuity &&
+        counter !== previous &&
+        counter !== ((previous + 1) & 0x0f)
+      ) {
+        return `continuity counter jump on PID 0x${pid.toString(16)} at packet ${packet + 1}/${packetCount} (${previous} -> ${counter})`;
+      }
+      continuity.set(pid, counter);
+    }
+
+    if (!hasPayload || !payloadStart) continue;
+    const payloadOffset =
+      offset + 4 + (hasAdaptation ? 1 + adaptationLength : 0);
+    if (pid === 0) {
+      hasPat = true;
+      readPatProgramPids(bytes, payloadOffset, offset + TS_PACKET_SIZE).forEach(
+        (pmtPid) => pmtPids.add(pmtPid),
+      );
+    } else if (pmtPids.has(pid)) {
+      hasPmt = true;
+    }
+  }
+
+  if (options.requireTables) {
+    if (!hasPat) return "no PAT (program association table)";
+    if (!hasPmt) return "no PMT (program map table)";
+  }
+  return null;
+}
+
+/**
+ * Read the PMT PIDs listed in a PAT section
+ * @param {Uint8Array} bytes - Segment data
+ * @param {number} payloadOffset - Start of the packet payload (pointer field)
+ * @param {number} packetEnd - End of the packet
+ * @returns {Array<number>} PMT PIDs
+ */
+function readPatProgramPids(bytes, payloadOffset, packetEnd) {
+  const sectionStart = payloadOffset + 1 + bytes[payloadOffset];
+  if (sectionStart + 8 > packetEnd || bytes[sectionStart] !== 0x00) return [];
+  const sectionLength =
+    ((bytes[sectionStart + 1] & 0x0f) << 8) | bytes[sectionStart + 2];
+  // Program loop: after the 8-byte header, up to the 4-byte CRC
+  const loopEnd = Math.min(sectionStart + 3 + sectionLength - 4, packetEnd);
+  const pids = [];
+  for (let entry = sectionStart + 8; entry + 4 <= loopEnd; entry += 4) {
+    const programNumber = (bytes[entry] << 8) | bytes[entry + 1];
+    if (programNumber === 0) continue; // network PID
+    pids.push(((bytes[entry + 2] & 0x1f) << 8) | bytes[entry + 3]);
+  }
+  return pids;
+}
+
+/**
+ * Check a fragmented MP4 media segment
+ * @param {Uint8Array} bytes - Segment data
+ * @returns {string|null} Why the segment is corrupt, or null if it looks intact
+ */
+function validateFmp4Segment(bytes) {
+  const { boxes, error } = readBoxes(bytes, 0, bytes.length);
+  if (error) return error;
+
+  let fragments = 0;
+  for (let i = 0; i < boxes.length; i++) {
+    if (boxes[i].type !== "moof") continue;
+    const moof = boxes[i];
+    const mdat = boxes.slice(i + 1).find((box) => box.type === "mdat");
+    if (!mdat) return "moof without a following mdat";
+
+    const moofChildren = readBoxes(
+      bytes,
+      moof.start + moof.headerSize,
+      moof.end,
+    );
+    if (moofChildren.error) return `moof: ${moofChildren.error}`;
+    if (!moofChildren.boxes.some((box) => box.type === "mfhd")) {
+      return "moof without mfhd";
+    }
+    const trafs = moofChildren.boxes.filter((box) => box.type === "traf");
+    if (trafs.length === 0) return "moof without traf";
+
+    for (const [trafIndex, traf] of trafs.entries()) {
+      const trafError = validateTrafSampleData(
+        bytes,
+        traf,
+        moof,
+        mdat,
+        trafIndex === 0,
+      );
+      if (trafError) return trafError;
+    }
+    fragments++;
+  }
+  if (fragments === 0) return "no moof/mdat fragment";
+  return null;
+}
+
+/**
+ * Check that a track fragment's samples lie inside the fragment's mdat
+ * Only the common layout is checked: offsets relative to the moof and sample sizes in
+ * the trun or as a tfhd default; anything else is accepted as is. Without
+ * default-base-is-moof, a later traf's offsets count from the end of the previous
+ * traf's data, so only the first traf is checked then.
+ * @param {Uint8Array} bytes - Segment data
+ * @param {Object} traf - traf box
+ * @param {Object} moof - Enclosing moof box
+ * @param {Object} mdat - mdat box following the moof
+ * @param {boolean} firstTraf - Whether this is the moof's first traf
+ * @returns {string|null} Why the samples don't fit, or null
+ */
+function validateTrafSampleData(bytes, traf, moof, mdat, firstTraf) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const children = readBoxes(bytes, traf.start + traf.headerSize, traf.end);
+  if (children.error) return `traf: ${children.error}`;
+
+  const tfhd = children.boxes.find((box) => box.type === "tfhd");
+  if (!tfhd) return "traf without tfhd";
+  const tfhdFlags = view.getUint32(tfhd.start + tfhd.headerSize) & 0xffffff;
+  if (tfhdFlags & 0x01) return null; // explicit base-data-offset
+  if (!firstTraf && !(tfhdFlags & 0x020000)) return null; // base is the previous traf's data end
+  let defaultSampleSize = null;
+  if (tfhdFlags & 0x10) {
+    let field = tfhd.start + tfhd.headerSize + 8; // version/flags, track_ID
+    if (tfhdFlags & 0x02) field += 4; // sample-description-index
+    if (tfhdFlags & 0x08) field += 4; // default-sample-duration
+    if (field + 4 <= tfhd.end) defaultSampleSize = view.getUint32(field);
+  }
+
+  for (const trun of children.boxes.filter((box) => box.type === "trun")) {
+    const body = trun.start + trun.headerSize;
+    if (body + 8 > trun.end) return "trun box cut off";
+    const flags = view.getUint32(body) & 0xffffff;
+    const sampleCount = view.getUint32(body + 4);
+    if (!(flags & 0x001)) continue; // no data offset
+    const dataOffset = view.getInt32(body + 8);
+    let field = body + 12;
+    if (flags & 0x004) field += 4; // first-sample-flags
+
+    const fieldsPerSample =
+      ((flags & 0x100) !== 0) +
+      ((flags & 0x200) !== 0) +
+      ((flags & 0x400) !== 0) +
+      ((flags & 0x800) !== 0);
+    if (field + sampleCount * fieldsPerSample * 4 > trun.end) {
+      return `trun lists ${sampleCount} samples but is cut off`;
+    }
+    let dataSize = 0;
+    if (flags & 0x200) {
+      const sizeOffset = (flags & 0x100) !== 0 ? 4 : 0;
+      for (let sample = 0; sample < sampleCount; sample++) {
+        dataSize += view.getUint32(
+          field + sample * fieldsPerSample * 4 + sizeOffset,
+        );
+      }
+    } else if (defaultSampleSize !== null) {
+      dataSize = defaultSampleSize * sampleCount;
+    } else {
+      continue;
+    }
+
+    const dataStart = moof.start + dataOffset;
+    if (
+      dataStart < mdat.start + mdat.headerSize ||
+      dataStart + dataSize > mdat.end
+    ) {
+      return `sample data (${dataSize} bytes at offset ${dataOffset}) runs past the mdat`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,191 @@
+/**
+ * Size and duration estimates for HLS variants
+ * HLS qualities have no Content-Length, so the popup and the page dropdown ask for an
+ * estimate when they open. The variant playlist is fetched once and its #EXTINF durations
+ * summed; the size then comes from, in order of preference:
+ * - #EXT-X-BYTERANGE lengths (exact, every segment carries its size),
+ * - AVERAGE-BANDWIDTH (or BANDWIDTH, a peak) from the master playlist times the duration,
+ * - HEAD requests on a few segments spread over the playlist, extrapolated.
+ * The same fetch also describes the playlist's layout (segments, target duration,
+ * container and encryption) for the popup's variant inspector.
+ */
+
+/** Segments sampled with HEAD requests when the playlist has no bandwidth */
+const ESTIMATE_SAMPLE_SEGMENTS = 3;
+/** Estimates are kept this long (the same video's playlists don't change) */
+const ESTIMATE_CACHE_MS = 30 * 60 * 1000;
+
+/** Estimates (or the requests computing them) by variant URL: {promise, time} */
+const hlsEstimateCache = new Map();
+
+/**
+ * Sum the Content-Length of a few segments and extrapolate to the whole playlist
+ * @param {Array} segments - Segments from parseM3U8
+ * @param {Object} fetchOptions - Fetch options (headers) for the requests
+ * @returns {Promise<number|null>} Estimated bytes, or null if no segment reported a size
+ */
+async function estimateSizeFromSegmentSample(segments, fetchOptions) {
+  const sampled = [];
+  const step = Math.max(1, Math.floor(segments.length / ESTIMATE_SAMPLE_SEGMENTS));
+  for (let i = 0; i < segments.length && sampled.length < ESTIMATE_SAMPLE_SEGMENTS; i += step) {
+    sampled.push(segments[i]);
+  }
+
+  let sampledBytes = 0;
+  let sampledDuration = 0;
+  for (const segment of sampled) {
+    try {
+      const response = await fetch(segment.uri, { ...fetchOptions, method: "HEAD" });
+      const length = parseInt(response.headers.get("content-length"), 10);
+      if (!response.ok || !(length > 0)) continue;
+      sampledBytes += length;
+      sampledDuration += segment.duration;
+    } catch (e) {
+      // A failed sample only makes the estimate rougher
+    }
+  }
+  if (!sampledBytes || !sampledDuration) return null;
+
+  const totalDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+  return Math.round((sampledBytes / sampledDuration) * totalDuration);
+}
+
+/**
+ * Describe how a media playlist is laid out
+ * @param {Object} playlist - Parsed playlist from parseM3U8
+ * @returns {Object} {segmentCount, targetDuration, container ("fMP4", "TS", "AAC", ...),
+ *   encryption (e.g. ["AES-128"], empty when unencrypted)}
+ */
+function describePlaylistLayout(playlist) {
+  let container = null;
+  if (playlist.initSegmentUrl) {
+    container = "fMP4";
+  } else {
+    // Without #EXT-X-MAP the segment extension is the only hint
+    const path = (playlist.segments[0]?.uri || "").split(/[?#]/)[0].toLowerCase();
+    const extension = path.substring(path.lastIndexOf(".") + 1);
+    container =
+      { ts: "TS", m4s: "fMP4", mp4: "fMP4", aac: "AAC", mp3: "MP3", vtt: "WebVTT" }[
+        extension
+      ] || "TS";
+  }
+  const encryption = [
+    ...new Set(
+      playlist.segments
+        .filter((segment) => segment.key)
+        .map((segment) => segment.key.method),
+    ),
+  ];
+  return {
+    segmentCount: playlist.segments.length,
+    targetDuration: playlist.targetDuration,
+    container,
+    encryption,
+  };
+}
+
+/**
+ * Work out the duration and size of one HLS variant
+ * @param {string} url - Variant (media) playlist URL
+ * @param {Object|null} hlsInfo - Master playlist details stored with the variant
+ *   ({bandwidth, averageBandwidth, audioRenditions, ...})
+ * @param {number|null} tabId - Tab for cookies
+ * @returns {Promise<Object>} {durationSeconds, sizeBytes, live, source, layout}
+ *   (source: "byterange", "bandwidth", "segments" or null; layout from describePlaylistLayout)
+ */
+async function estimateHlsVariant(url, hlsInfo, tabId) {
+  const fetchOptions = await getFetchOptionsWithHeaders(url, tabId);
+  const response = await fetch(url, fetchOptions);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch playlist: ${response.status}`);
+  }
+  const playlist = parseM3U8(
+    await response.text(),
+    url.substring(0, url.lastIndexOf("/") + 1),
+  );
+  if (!playlist.segments.length) {
+    throw new Error("Playlist has no segments");
+  }
+
+  const layout = describePlaylistLayout(playlist);
+
+  // A live playlist only lists its current window, so no total can be given
+  if (isLivePlaylist(playlist)) {
+    return { durationSeconds: null, sizeBytes: null, live: true, source: null, layout };
+  }
+
+  const segments = playlist.segments.filter((segment) => !segment.gap);
+  const durationSeconds = playlist.totalDuration;
+  const estimate = {
+    durationSeconds,
+    sizeBytes: null,
+    live: false,
+    source: null,
+    layout,
+  };
+
+  // Separate audio isn't in the variant's own byte ranges, so only use them without it
+  const hasSeparateAudio = (hlsInfo?.audioRenditions || []).some((r) => r.uri);
+  if (!hasSeparateAudio && segments.every((segment) => segment.byteRange)) {
+    estimate.sizeBytes = segments.reduce(
+      (sum, segment) => sum + segment.byteRange.length,
+      0,
+    );
+    estimate.source = "byterange";
+    return estimate;
+  }
+
+  // BANDWIDTH covers every rendition the variant plays with, audio included
+  const bandwidth = hlsInfo?.averageBandwidth || hlsInfo?.bandwidth;
+  if (bandwidth > 0) {
+    estimate.sizeBytes = Math.round((bandwidth / 8) * durationSeconds);
+    estimate.source = "bandwidth";
+    return estimate;
+  }
+
+  const sampledSize = await estimateSizeFromSegmentSample(segments, fetchOptions);
+  if (sampledSize) {
+    estimate.sizeBytes = sampledSize;
+    estimate.source = "segments";
+  }
+  return estimate;
+}
+
+/**
+ * Get estimates for stored HLS variants, fetching each variant playlist at most once
+ * The estimate is also kept on the stored entry so getVideoData returns it next time.
+ * @param {number} tabId - Tab the variants were detected in
+ * @param {Array<string>} urls - Variant URLs to estimate
+ * @param {Object} videoData - Detected videos by tab
+ * @returns {Promise<Object>} Estimates by URL (failed ones are left out)
+ */
+async function getHlsEstimates(tabId, urls, videoData) {
+  const entries = videoData[tabId]?.urls || [];
+  const estimates = {};
+
+  await Promise.all(
+    urls.map(async (url) => {
+      const entry = entries.find((v) => v.url === url);
+      if (!entry || !isHLS(entry.type)) return;
+
+      let cached = hlsEstimateCache.get(url);
+      if (!cached || Date.now() - cached.time > ESTIMATE_CACHE_MS) {
+        cached = {
+          promise: estimateHlsVariant(url, entry.hlsInfo, tabId),
+          time: Date.now(),
+        };
+        hlsEstimateCache.set(url, cached);
+      }
+      try {
+        const estimate = await cached.promise;
+        entry.estimate = estimate;
+        estimates[url] = estimate;
+      } catch (error) {
+        // Let the next popup try again
+        hlsEstimateCache.delete(url);
+        console.warn("Could not estimate HLS variant size:", error.message);
+      }
+    }),
+  );
+  return estimates;
+}
@@ -10,7 +10,8 @@ const MAX_SEGMENTS_FOR_CONCURRENT = 1000;
 
 /**
  * Handle download action from message listener
- * @param {Object} request - The download request
+ * @param {Object} request - The download request (resumeDownloadId reuses an interrupted
+ *   download's ID so its segment checkpoint is picked up)
  * @param {Object} sender - The message sender
  * @param {Function} sendResponse - Response callback
  * @param {Map} activeDownloads - Map of active downloads
@@ -32,8 +33,10 @@ function handleDownloadAction(
   setupOffscreenDocument,
   blobToDataUrl,
 ) {
-  // Normalize URL for duplicate checking (using utility function)
-  const normalizedUrl = normalizeUrlForDownload(request.url);
+  // Normalize URL for duplicate checking (using utility function); an audio-only
+  // download of a stream may run next to the video download of the same stream
+  const normalizedUrl =
+    normalizeUrlForDownload(request.url) + (request.audioOnly ? "#audio" : "");
 
   // Check if this URL is already being downloaded
   // But verify the download is actually still active (not stale) - including storage (handles hung promises)
@@ -240,6 +243,13 @@ function handleDownloadAction(
     }
 
     function proceedWithCountCheck(stillActive, segmentCounts) {
+      // A resumed download takes its old slot back rather than counting against the limit twice
+      if (request.resumeDownloadId) {
+        stillActive = stillActive.filter((id) => id !== request.resumeDownloadId);
+        segmentCounts = segmentCounts.filter(
+          (s) => s.id !== request.resumeDownloadId,
+        );
+      }
       // If any active download has > 500 segments (large HLS file), block new downloads
       const hasLargeFile =
         segmentCounts &&
@@ -260,7 +270,7 @@ function handleDownloadAction(
         });
         return;
       }
-      const downloadId = generateDownloadId();
+      const downloadId = request.resumeDownloadId || generateDownloadId();
       const newActiveIds = [...stillActive, downloadId];
       chrome.storage.local.set({ activeDownloadIds: newActiveIds }, () => {
         if (chrome.runtime.lastError) {
@@ -323,9 +333,21 @@ function handleDownloadAction(
       url: request.url,
       normalizedUrl: normalizedUrl,
       filename: request.filename,
+      type: request.type || "",
       tabId: tabId,
       videoId: videoId,
       qualityLabel: request.qualityLabel || "",
+      clip: request.clip || null,
+      variantPolicy: request.variantPolicy || null,
+      audioOnly: request.audioOnly || null,
+      // Animated GIF / WebM export of the clip
+      animation: request.animation || null,
+      // Subtitles to embed; null leaves the pick to the stored default languages
+      subtitles: Array.isArray(request.subtitles) ? request.subtitles : null,
+      // Transcoding preset picked for this download (null keeps the streams as they are)
+      transcode: normalizeTranscodePreset(request.transcode),
+      // Tags for the output file; a resumed download brings its own (videoData may be gone)
+      metadata: request.metadata || getVideoMetadata(videoData, tabId, videoId),
       startTime: Date.now(),
     };
     downloadInfo.set(downloadId, info);
@@ -345,6 +367,15 @@ function handleDownloadAction(
       },
     );
 
+    // "Ask where to save" opens the save page now, so the file is picked while the video downloads
+    getSaveLocationSettings()
+      .then((settings) => {
+        if (settings.mode === "ask") {
+          return promptForSaveFile(downloadId, request.filename);
+        }
+      })
+      .catch((e) => console.warn("Could not open the save page:", e));
+
     console.log(
       "📥 [DOWNLOAD] Starting download for URL:",
       normalizedUrl,
@@ -393,6 +424,11 @@ function handleDownloadAction(
       });
     }
 
+    // A resumed download is running again, so it is no longer paused
+    if (request.resumeDownloadId) {
+      clearDownloadPause(downloadId).catch(() => {});
+    }
+
     // Handle download with merging if needed
     handleDownload(
       request.url,
@@ -405,6 +441,15 @@ function handleDownloadAction(
       cleanupIndexedDBBlob,
       setupOffscreenDocument,
       blobToDataUrl,
+      {
+        clip: request.clip || null,
+        variantPolicy: request.variantPolicy || null,
+        audioOnly: request.audioOnly || null,
+        animation: info.animation,
+        subtitles: info.subtitles,
+        transcode: info.transcode,
+        metadata: info.metadata,
+      },
     )
       .then(() => {
         // Remove from active downloads on success
@@ -453,6 +498,8 @@ function handleDownloadAction(
               `downloadStatus_${downloadId}`,
               `downloadProgress_${downloadId}`,
               `downloadSegments_${downloadId}`,
+              `downloadPaused_${downloadId}`,
+              `downloadLiveStop_${downloadId}`,
               `blobReady_${downloadId}`, // Also clean up blob ready flag if it exists
             ],
             () => {
@@ -479,6 +526,17 @@ function handleDownloadAction(
         activeDownloads.delete(normalizedUrl);
         removeFromActiveDownloadIds(downloadId);
 
+        // A paused download keeps its info, progress and status for the resume;
+        // only its concurrency slot and URL entry are released
+        if (isDownloadPausedError(err)) {
+          console.log(
+            "Download paused, released its download slot:",
+            normalizedUrl,
+          );
+          sendResponse({ success: false, paused: true, error: err.message });
+          return;
+        }
+
         // Check if error is due to cancellation
         const isCancelled = err.message && err.message.includes("cancelled");
 
@@ -494,6 +552,8 @@ function handleDownloadAction(
                 `downloadStatus_${downloadId}`,
                 `downloadProgress_${downloadId}`,
                 `downloadSegments_${downloadId}`,
+                `downloadPaused_${downloadId}`,
+                `downloadLiveStop_${downloadId}`,
                 `blobReady_${downloadId}`, // Also clean up blob ready flag if it exists
               ],
               () => {
@@ -539,6 +599,18 @@ function handleDownloadAction(
  * @param {string} downloadId - The download ID
  * @param {Map} downloadControllers - Map of download controllers
  * @param {Object} videoData - Video data object
+ * @param {Object} [downloadOptions] - Per-request options
+ * @param {Object} [downloadOptions.clip] - Time range {start, end, frameAccurate} in seconds (HLS only)
+ * @param {Object} [downloadOptions.variantPolicy] - Variant selection for master playlists
+ *   {mode, height, maxBandwidth, codec} (see selectVariantByPolicy)
+ * @param {Object} [downloadOptions.audioOnly] - Save only the audio {format, bitrate} (HLS only)
+ * @param {Object} [downloadOptions.animation] - Export the clip as a GIF or WebM
+ *   {format, width, fps} (HLS only)
+ * @param {Array|null} [downloadOptions.subtitles] - Subtitle renditions to embed (HLS only);
+ *   null embeds the stored default languages
+ * @param {Object} [downloadOptions.transcode] - Transcoding preset to re-encode with (HLS only)
+ * @param {Object} [downloadOptions.metadata] - Tags for the output file
+ *   {title, artist, date, comment, description} (see getVideoMetadata)
  * @returns {Promise<void>}
  */
 async function handleDownload(
@@ -552,6 +624,7 @@ async function handleDownload(
   cleanupIndexedDBBlob,
   setupOffscreenDocument,
   blobToDataUrl,
+  downloadOptions = {},
 ) {
   // Check if already cancelled before starting
   if (await isDownloadCancelled(downloadId)) {
@@ -563,6 +636,8 @@ async function handleDownload(
   downloadControllers.set(downloadId, {
     controller: abortController,
     chromeDownloadId: null,
+    // Cleared once the download has fetched everything (see pauseDownload)
+    canPause: true,
   });
 
   try {
@@ -572,11 +647,26 @@ async function handleDownload(
       [`downloadStatus_${downloadId}`]: "Preparing download...",
     });
 
-    // Check if it's an m3u8 playlist or range-based URL
-    if (
+    // Mirrors the routing below: full MP4 files take precedence over HLS
+    const isFullMp4Download =
       type?.includes("mp4-full") ||
-      (url.includes(".mp4") && !isChunkedRangeUrl(url))
-    ) {
+      (url.includes(".mp4") && !isChunkedRangeUrl(url));
+    const isHlsDownload =
+      !isFullMp4Download &&
+      (url.includes(".m3u8") || type?.includes("m3u8") || type?.includes("hls"));
+    if (downloadOptions.clip && !isHlsDownload) {
+      throw new Error(
+        "Time-range clips are only supported for HLS streams. Choose an HLS quality to download a clip.",
+      );
+    }
+    if (downloadOptions.audioOnly && !isHlsDownload) {
+      throw new Error(
+        "Audio-only downloads are only supported for HLS streams.",
+      );
+    }
+
+    // Check if it's an m3u8 playlist or range-based URL
+    if (isFullMp4Download) {
       console.log("Downloading full MP4 file...");
       await downloadFullVideoFile(
         url,
@@ -588,29 +678,36 @@ async function handleDownload(
         cleanupIndexedDBBlob,
         setupOffscreenDocument,
         blobToDataUrl,
+        { metadata: downloadOptions.metadata || null },
       );
-    } else if (
-      url.includes(".m3u8") ||
-      type?.includes("m3u8") ||
-      type?.includes("hls")
-    ) {
+    } else if (isHlsDownload) {
       console.log("Detected m3u8, merging segments...");
-      // Get tabId from videoData if available
+      // Get tabId (and stored variant details) from videoData if available
       let tabIdForDownload = null;
+      let storedEntry = null;
       for (const [tid, data] of Object.entries(videoData)) {
-        if (
+        const match =
           data.urls &&
-          data.urls.some(
+          data.urls.find(
             (v) =>
               v.url === url || fixUrlEncoding(v.url) === fixUrlEncoding(url),
-          )
-        ) {
+          );
+        if (match) {
           tabIdForDownload = parseInt(tid);
+          storedEntry = match;
           break;
         }
       }
+      // Audio only starts from the master playlist so its audio rendition can be picked;
+      // without one, a variant's separate audio rendition is fetched directly
+      const audioOnly = downloadOptions.audioOnly || null;
+      const playlistUrl = audioOnly
+        ? storedEntry?.hlsInfo?.masterUrl ||
+          storedEntry?.hlsInfo?.audioRenditions?.[0]?.uri ||
+          url
+        : url;
       await downloadAndMergeM3U8(
-        url,
+        playlistUrl,
         filename,
         downloadId,
         abortController,
@@ -620,6 +717,25 @@ async function handleDownload(
         cleanupIndexedDBBlob,
         setupOffscreenDocument,
         blobToDataUrl,
+        {
+          audioRenditions: storedEntry?.hlsInfo?.audioRenditions || [],
+          subtitles: Array.isArray(downloadOptions.subtitles)
+            ? downloadOptions.subtitles
+            : null,
+          subtitleRenditions: storedEntry?.hlsInfo?.subtitleRenditions || [],
+          transcode: downloadOptions.transcode || null,
+          clip: downloadOptions.clip || null,
+          variantPolicy: downloadOptions.variantPolicy || null,
+          audioOnly,
+          animation: downloadOptions.animation || null,
+          metadata: downloadOptions.metadata || null,
+          // Same stream on the video's other CDNs, to fall back to (matched by video
+          // height, so not for audio only)
+          cdnFailover:
+            storedEntry && !audioOnly
+              ? getCdnFailoverOptions(videoData[tabIdForDownload], storedEntry, url)
+              : null,
+        },
       );
     } else if (isChunkedRangeUrl(url)) {
       // COMMENTED OUT: Range URLs are filtered out during storage and never shown in popup
@@ -640,6 +756,7 @@ async function handleDownload(
         cleanupIndexedDBBlob,
         setupOffscreenDocument,
         blobToDataUrl,
+        { metadata: downloadOptions.metadata || null },
       );
       // Original code (commented out):
       // console.log('Detected range-based URL, fetching full video...');
@@ -658,6 +775,7 @@ async function handleDownload(
           cleanupIndexedDBBlob,
           setupOffscreenDocument,
           blobToDataUrl,
+          { metadata: downloadOptions.metadata || null },
         );
       } else {
         // Direct download for other file types
@@ -665,6 +783,17 @@ async function handleDownload(
       }
     }
   } catch (error) {
+    // A pause aborts the controller too; it ends with its own error and keeps its progress
+    if (
+      isDownloadPausedError(error) ||
+      (abortController.signal.aborted && (await isDownloadPaused(downloadId)))
+    ) {
+      console.log("Download was paused:", downloadId);
+      await chrome.storage.local.set({
+        [`downloadStatus_${downloadId}`]: PAUSED_DOWNLOAD_STATUS,
+      });
+      throw new Error(DOWNLOAD_PAUSED_MESSAGE);
+    }
     // Check if error is due to cancellation
     if (error.name === "AbortError" || abortController.signal.aborted) {
       console.log("Download was cancelled:", downloadId);
@@ -0,0 +1,1042 @@
+/**
+ * Streaming MPEG-TS to MP4 remuxer
+ * Rewraps H.264/AAC transport streams as MP4 without FFmpeg and without holding the
+ * whole file: input is pushed a chunk at a time and the output comes back as pieces to
+ * store as they are produced. What depends on the whole stream (the mdat size and the
+ * sample tables, or the init segment for fragmented output) is returned at the end and
+ * written in front of the pieces.
+ * Loaded by the offscreen document (handleRemuxTsToMp4) and the service worker (HLS
+ * downloads written to a chosen file as they download, see createHlsFileSaveStream).
+ */
+
+/** MPEG-TS packet size */
+const REMUX_PACKET_SIZE = 188;
+/** PES timestamps are in 90 kHz units */
+const REMUX_PES_TIMESCALE = 90000;
+/** Movie (mvhd / tkhd / elst) timescale */
+const REMUX_MOVIE_TIMESCALE = 1000;
+/** A PES timestamp that goes back more than this (1s) starts a new timeline */
+const REMUX_BACKWARD_JUMP = 90000;
+/** Fragmented output: minimum fragment length (2s), cut at the next video keyframe */
+const REMUX_FRAGMENT_DURATION = 180000;
+/** AAC frames carry 1024 samples */
+const REMUX_AAC_FRAME_SAMPLES = 1024;
+/** ADTS sampling frequency index -> sample rate */
+const REMUX_AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025,
+  8000, 7350,
+];
+/** PMT stream types the remuxer can't carry over, by name (FFmpeg handles them) */
+const REMUX_UNSUPPORTED_STREAMS = {
+  0x01: "MPEG-1 video",
+  0x02: "MPEG-2 video",
+  0x03: "MP3 audio",
+  0x04: "MP3 audio",
+  0x10: "MPEG-4 video",
+  0x11: "LATM AAC audio",
+  0x24: "HEVC video",
+  0x81: "AC-3 audio",
+  0x87: "E-AC-3 audio",
+};
+
+/**
+ * Error for input the remuxer can't handle (codec, missing streams); callers fall back to FFmpeg
+ */
+class RemuxUnsupportedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RemuxUnsupportedError";
+  }
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts - Parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+  if (parts.length === 1) return parts[0];
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Read a 33-bit PES timestamp (PTS or DTS)
+ * @param {Uint8Array} data - PES packet
+ * @param {number} offset - Offset of the 5-byte field
+ * @returns {number}
+ */
+function readPesTimestamp(data, offset) {
+  return (
+    ((data[offset] >> 1) & 0x07) * 1073741824 +
+    ((data[offset + 1] << 7) | (data[offset + 2] >> 1)) * 32768 +
+    ((data[offset + 3] << 7) | (data[offset + 4] >> 1))
+  );
+}
+
+/**
+ * Create a streaming MPEG-TS demuxer for the first program's H.264 and AAC streams
+ * @param {Function} onPes - Called with {kind: "video"|"audio", pts, dts, data} per PES packet
+ * @returns {Object} {push(bytes), flush()}
+ */
+function createTsDemuxer(onPes) {
+  let leftover = null; // partial packet from the previous push
+  let pmtPid = null;
+  const streams = new Map(); // PID -> {kind, parts}
+
+  const parsePat = (payload) => {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+    for (let i = 8; i + 4 <= 3 + sectionLength - 4; i += 4) {
+      const programNumber = (section[i] << 8) | section[i + 1];
+      if (programNumber !== 0) {
+        pmtPid = ((section[i + 2] & 0x1f) << 8) | section[i + 3];
+        return;
+      }
+    }
+  };
+
+  const parsePmt = (payload) => {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+    const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+    const end = 3 + sectionLength - 4;
+    for (let i = 12 + programInfoLength; i + 5 <= end; ) {
+      const streamType = section[i];
+      const pid = ((section[i + 1] & 0x1f) << 8) | section[i + 2];
+      const infoLength = ((section[i + 3] & 0x0f) << 8) | section[i + 4];
+      i += 5 + infoLength;
+      if (streams.has(pid)) continue;
+      if (streamType === 0x1b) {
+        streams.set(pid, { kind: "video", parts: [] });
+      } else if (streamType === 0x0f) {
+        streams.set(pid, { kind: "audio", parts: [] });
+      } else if (REMUX_UNSUPPORTED_STREAMS[streamType]) {
+        throw new RemuxUnsupportedError(
+          `${REMUX_UNSUPPORTED_STREAMS[streamType]} can't be remuxed without FFmpeg`,
+        );
+      }
+      // Anything else (ID3 timed metadata, private data) is dropped
+    }
+  };
+
+  const flushPes = (stream) => {
+    if (stream.parts.length === 0) return;
+    const data = concatBytes(stream.parts);
+    stream.parts = [];
+    if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) {
+      return; // lost the start of this PES (e.g. missing segment)
+    }
+    const flags = data[7] >> 6;
+    const headerEnd = 9 + data[8];
+    let pts = null;
+    let dts = null;
+    if (flags & 0x02) {
+      pts = readPesTimestamp(data, 9);
+      dts = flags === 0x03 ? readPesTimestamp(data, 14) : pts;
+    }
+    onPes({ kind: stream.kind, pts, dts, data: data.subarray(headerEnd) });
+  };
+
+  const parsePacket = (packet) => {
+    const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+    const payloadStart = (packet[1] & 0x40) !== 0;
+    const adaptationControl = (packet[3] >> 4) & 0x03;
+    if (!(adaptationControl & 0x01)) return;
+    const payloadOffset = adaptationControl & 0x02 ? 5 + packet[4] : 4;
+    if (payloadOffset >= REMUX_PACKET_SIZE) return;
+    const payload = packet.subarray(payloadOffset);
+
+    if (pid === 0) {
+      if (payloadStart && pmtPid === null) parsePat(payload);
+    } else if (pid === pmtPid) {
+      if (payloadStart) parsePmt(payload);
+    } else {
+      const stream = streams.get(pid);
+      if (!stream) return;
+      if (payloadStart) flushPes(stream);
+      stream.parts.push(payload);
+    }
+  };
+
+  return {
+    /**
+     * Demux the next piece of the stream (any size; packets may span pushes)
+     * @param {Uint8Array} bytes - Stream data
+     */
+    push(bytes) {
+      let data = bytes;
+      if (leftover) {
+        data = concatBytes([leftover, bytes]);
+        leftover = null;
+      }
+      let offset = 0;
+      while (offset + REMUX_PACKET_SIZE <= data.length) {
+        if (data[offset] !== 0x47) {
+          offset++; // resync on the next sync byte
+          continue;
+        }
+        parsePacket(data.subarray(offset, offset + REMUX_PACKET_SIZE));
+        offset += REMUX_PACKET_SIZE;
+      }
+      if (offset < data.length) leftover = data.slice(offset);
+    },
+    /** Emit the PES packets still being assembled */
+    flush() {
+      streams.forEach(flushPes);
+    },
+  };
+}
+
+/**
+ * Split Annex B H.264 data into NAL units
+ * @param {Uint8Array} data - Access unit data with start codes
+ * @returns {Array<Uint8Array>} NAL units without start codes
+ */
+function splitNalUnits(data) {
+  const units = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      if (start >= 0) {
+        // A 4-byte start code leaves a trailing zero on the previous unit
+        let end = i;
+        while (end > start && data[end - 1] === 0) end--;
+        units.push(data.subarray(start, end));
+      }
+      start = i + 3;
+      i += 3;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < data.length) units.push(data.subarray(start));
+  return units;
+}
+
+/**
+ * Read the picture size from an H.264 sequence parameter set
+ * @param {Uint8Array} sps - SPS NAL unit (with its header byte)
+ * @returns {{width: number, height: number}}
+ */
+function parseSpsDimensions(sps) {
+  // Drop emulation prevention bytes (00 00 03 -> 00 00)
+  const rbsp = [];
+  for (let i = 1; i < sps.length; i++) {
+    if (i >= 3 && sps[i] === 3 && sps[i - 1] === 0 && sps[i - 2] === 0) continue;
+    rbsp.push(sps[i]);
+  }
+  let bit = 0;
+  const readBit = () => {
+    const value = (rbsp[bit >> 3] >> (7 - (bit & 7))) & 1;
+    bit++;
+    return value;
+  };
+  const readBits = (count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++) value = value * 2 + readBit();
+    return value;
+  };
+  const readUe = () => {
+    let zeros = 0;
+    while (readBit() === 0 && zeros < 32) zeros++;
+    return readBits(zeros) + Math.pow(2, zeros) - 1;
+  };
+  const readSe = () => {
+    const value = readUe();
+    return value & 1 ? (value + 1) / 2 : -value / 2;
+  };
+
+  const profileIdc = readBits(8);
+  readBits(16); // constraint flags, level_idc
+  readUe(); // seq_parameter_set_id
+  let chromaFormatIdc = 1;
+  if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profileIdc)) {
+    chromaFormatIdc = readUe();
+    if (chromaFormatIdc === 3) readBit(); // separate_colour_plane_flag
+    readUe(); // bit_depth_luma_minus8
+    readUe(); // bit_depth_chroma_minus8
+    readBit(); // qpprime_y_zero_transform_bypass_flag
+    if (readBit()) {
+      // seq_scaling_matrix_present_flag
+      const listCount = chromaFormatIdc !== 3 ? 8 : 12;
+      for (let list = 0; list < listCount; list++) {
+        if (!readBit()) continue;
+        const size = list < 6 ? 16 : 64;
+        let last = 8;
+        let next = 8;
+        for (let j = 0; j < size && next !== 0; j++) {
+          next = (last + readSe() + 256) % 256;
+          last = next === 0 ? last : next;
+        }
+      }
+    }
+  }
+  readUe(); // log2_max_frame_num_minus4
+  const picOrderCntType = readUe();
+  if (picOrderCntType === 0) {
+    readUe(); // log2_max_pic_order_cnt_lsb_minus4
+  } else if (picOrderCntType === 1) {
+    readBit(); // delta_pic_order_always_zero_flag
+    readSe(); // offset_for_non_ref_pic
+    readSe(); // offset_for_top_to_bottom_field
+    const cycleLength = readUe();
+    for (let i = 0; i < cycleLength; i++) readSe();
+  }
+  readUe(); // max_num_ref_frames
+  readBit(); // gaps_in_frame_num_value_allowed_flag
+  const widthInMbs = readUe() + 1;
+  const heightInMapUnits = readUe() + 1;
+  const frameMbsOnly = readBit();
+  if (!frameMbsOnly) readBit(); // mb_adaptive_frame_field_flag
+  readBit(); // direct_8x8_inference_flag
+  let cropLeft = 0;
+  let cropRight = 0;
+  let cropTop = 0;
+  let cropBottom = 0;
+  if (readBit()) {
+    cropLeft = readUe();
+    cropRight = readUe();
+    cropTop = readUe();
+    cropBottom = readUe();
+  }
+  const cropUnitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+  const cropUnitY =
+    (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+  return {
+    width: widthInMbs * 16 - (cropLeft + cropRight) * cropUnitX,
+    height:
+      (2 - frameMbsOnly) * heightInMapUnits * 16 -
+      (cropTop + cropBottom) * cropUnitY,
+  };
+}
+
+/**
+ * Build an MP4 box
+ * @param {string} type - Four-character box type
+ * @param {...(Uint8Array|Array<number>)} payloads - Box contents
+ * @returns {Uint8Array}
+ */
+function mp4Box(type, ...payloads) {
+  const parts = payloads.map((payload) =>
+    payload instanceof Uint8Array ? payload : Uint8Array.from(payload),
+  );
+  const size = 8 + parts.reduce((sum, part) => sum + part.length, 0);
+  const box = new Uint8Array(size);
+  new DataView(box.buffer).setUint32(0, size);
+  for (let i = 0; i < 4; i++) box[4 + i] = type.charCodeAt(i);
+  let offset = 8;
+  for (const part of parts) {
+    box.set(part, offset);
+    offset += part.length;
+  }
+  return box;
+}
+
+/**
+ * Build an MP4 full box (version and flags first)
+ * @param {string} type - Four-character box type
+ * @param {number} version - Box version
+ * @param {number} flags - 24-bit flags
+ * @param {...(Uint8Array|Array<number>)} payloads - Box contents
+ * @returns {Uint8Array}
+ */
+function mp4FullBox(type, version, flags, ...payloads) {
+  return mp4Box(
+    type,
+    [version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff],
+    ...payloads,
+  );
+}
+
+/** Big-endian 16-bit bytes */
+function u16(value) {
+  return [(value >> 8) & 0xff, value & 0xff];
+}
+
+/** Big-endian 32-bit bytes */
+function u32(value) {
+  return [
+    (value >>> 24) & 0xff,
+    (value >>> 16) & 0xff,
+    (value >>> 8) & 0xff,
+    value & 0xff,
+  ];
+}
+
+/** Big-endian 64-bit bytes (exact up to 2^53) */
+function u64(value) {
+  return [...u32(Math.floor(value / 4294967296)), ...u32(value >>> 0)];
+}
+
+/** Character codes of a four-character code (or any ASCII string) */
+function fourCC(text) {
+  return [...text].map((c) => c.charCodeAt(0));
+}
+
+/** Identity transformation matrix (mvhd / tkhd) */
+const REMUX_MATRIX = [
+  ...u32(0x00010000), ...u32(0), ...u32(0),
+  ...u32(0), ...u32(0x00010000), ...u32(0),
+  ...u32(0), ...u32(0), ...u32(0x40000000),
+];
+
+/**
+ * Build a 32-bit-per-entry table box (stsz, stss, ...)
+ * @param {Array<number>} values - Entries
+ * @returns {Uint8Array}
+ */
+function u32Table(values) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setUint32(i * 4, value >>> 0));
+  return bytes;
+}
+
+/**
+ * Build a 64-bit-per-entry table box payload (co64)
+ * @param {Array<number>} values - Entries
+ * @returns {Uint8Array}
+ */
+function u64Table(values) {
+  const bytes = new Uint8Array(values.length * 8);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => {
+    view.setUint32(i * 8, Math.floor(value / 4294967296));
+    view.setUint32(i * 8 + 4, value >>> 0);
+  });
+  return bytes;
+}
+
+/**
+ * Build a run-length table payload: entry count, then (count, value) pairs (stts, ctts)
+ * @param {Array<number>} values - Per-sample values
+ * @returns {Uint8Array}
+ */
+function runLengthTable(values) {
+  const runs = [];
+  for (const value of values) {
+    if (runs.length > 0 && runs[runs.length - 1] === value) {
+      runs[runs.length - 2]++;
+    } else {
+      runs.push(1, value);
+    }
+  }
+  return concatBytes([new Uint8Array(u32(runs.length / 2)), u32Table(runs)]);
+}
+
+/**
+ * Create a track being remuxed
+ * @param {number} id - Track ID
+ * @param {string} kind - "video" or "audio"
+ * @returns {Object} Track
+ */
+function createRemuxTrack(id, kind) {
+  return {
+    id,
+    kind,
+    timescale: REMUX_PES_TIMESCALE,
+    // Samples whose duration is known once the next one arrives
+    pending: [],
+    firstTime: null, // first presentation (audio) / decode (video) time, 90 kHz
+    firstPts: null,
+    lastTime: null,
+    lastDuration: 0,
+    firstCompositionOffset: null,
+    shift: 0, // added to timestamps after a timeline reset
+    // Sample tables (regular MP4) / counters (fragmented)
+    sizes: [],
+    durations: [],
+    compositionOffsets: [],
+    syncSamples: [],
+    offsets: [],
+    sampleCount: 0,
+    mediaDuration: 0,
+    // Codec configuration
+    sps: null,
+    pps: null,
+    width: 0,
+    height: 0,
+    audioObjectType: 2,
+    sampleRateIndex: null,
+    channelConfig: 2,
+    sampleRate: null,
+    adtsRemainder: null,
+    nextAudioPts: null,
+  };
+}
+
+/**
+ * Create a streaming TS -> MP4 remuxer
+ * Output layout: finish().header, then every piece returned by push() and finish(), then
+ * finish().trailer (if any).
+ * - Regular MP4: header is ftyp + a 64-bit mdat header, pieces are the sample data and
+ *   the trailer is the moov.
+ * - Fragmented MP4: header is ftyp + moov (init segment), pieces are moof/mdat fragments.
+ * @param {Object} [options]
+ * @param {boolean} [options.fragmented] - Write fragmented MP4
+ * @param {Object} [options.metadata] - Tags for the moov (see buildMp4MetadataUdta)
+ * @param {Object} [options.cover] - Cover art for the moov (see fetchCoverArt)
+ * @returns {Object} {push(bytes): Array<Uint8Array>, finish(): {pieces, header, trailer, info},
+ *   headerSize}
+ */
+function createTsToMp4Remuxer(options = {}) {
+  const fragmented = !!options.fragmented;
+  const metadataUdta = buildMp4MetadataUdta(
+    options.metadata || null,
+    options.cover || null,
+  );
+  const video = createRemuxTrack(1, "video");
+  const audio = createRemuxTrack(2, "audio");
+  let timeReference = null;
+  let bodyBytes = 0;
+  let fragmentSequence = 0;
+  // Sample data starts right after ftyp + 16-byte mdat header (regular MP4)
+  const ftyp = fragmented
+    ? mp4Box("ftyp", fourCC("iso6"), u32(1), fourCC("iso6isomavc1mp41"))
+    : mp4Box("ftyp", fourCC("isom"), u32(512), fourCC("isomiso2avc1mp41"));
+  const dataStart = ftyp.length + 16;
+
+  // Bring a 33-bit timestamp next to the last one seen, and apply timeline resets
+  const toTimeline = (track, timestamp) => {
+    const reference = track.lastTime ?? timeReference ?? timestamp;
+    let value = timestamp + track.shift;
+    while (value - reference > 4294967296) value -= 8589934592;
+    while (reference - value > 4294967296) value += 8589934592;
+    if (track.lastTime !== null && value < track.lastTime - REMUX_BACKWARD_JUMP) {
+      // Timestamps restarted (discontinuity): continue one frame after the last sample
+      const frame =
+        track.kind === "video"
+          ? 3000
+          : (REMUX_AAC_FRAME_SAMPLES * REMUX_PES_TIMESCALE) / track.sampleRate;
+      const delta = track.lastTime + frame - value;
+      track.shift += delta;
+      value += delta;
+    }
+    if (timeReference === null) timeReference = value;
+    return value;
+  };
+
+  const addSample = (track, sample) => {
+    if (track.firstTime === null) {
+      track.firstTime = sample.time;
+      track.firstPts = sample.pts;
+    }
+    track.lastTime = sample.time;
+    track.pending.push(sample);
+  };
+
+  const onVideoPes = (pes) => {
+    const units = splitNalUnits(pes.data);
+    const kept = [];
+    let key = false;
+    for (const unit of units) {
+      const type = unit[0] & 0x1f;
+      if (type === 7) {
+        if (!video.sps) {
+          video.sps = unit.slice();
+          Object.assign(video, parseSpsDimensions(video.sps));
+        }
+        continue;
+      }
+      if (type === 8) {
+        if (!video.pps) video.pps = unit.slice();
+        continue;
+      }
+      if (type === 9) continue; // access unit delimiter
+      if (type === 5) key = true;
+      kept.push(unit);
+    }
+    if (kept.length === 0) return;
+    const data = new Uint8Array(kept.reduce((sum, unit) => sum + 4 + unit.length, 0));
+    const view = new DataView(data.buffer);
+    let offset = 0;
+    for (const unit of kept) {
+      view.setUint32(offset, unit.length);
+      data.set(unit, offset + 4);
+      offset += 4 + unit.length;
+    }
+
+    const last = video.pending[video.pending.length - 1];
+    if (pes.pts === null) {
+      // No timestamp: part of the previous access unit
+      if (last) {
+        last.data = concatBytes([last.data, data]);
+        last.key = last.key || key;
+      }
+      return;
+    }
+    if (!last && video.sampleCount === 0 && !key) return; // start on a keyframe
+    const time = toTimeline(video, pes.dts);
+    addSample(video, {
+      time,
+      pts: time + (pes.pts - pes.dts),
+      data,
+      key,
+    });
+  };
+
+  const onAudioPes = (pes) => {
+    let data = pes.data;
+    let frameTime;
+    if (audio.adtsRemainder) {
+      data = concatBytes([audio.adtsRemainder, data]);
+      audio.adtsRemainder = null;
+      frameTime = audio.nextAudioPts;
+    } else if (pes.pts !== null) {
+      frameTime = toTimeline(audio, pes.pts);
+    } else {
+      frameTime = audio.nextAudioPts;
+    }
+    if (frameTime === null) return;
+
+    let offset = 0;
+    while (offset + 7 <= data.length) {
+      if (data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) {
+        offset++; // resync on the next ADTS header
+        continue;
+      }
+      const headerLength = data[offset + 1] & 0x01 ? 7 : 9;
+      const frameLength =
+        ((data[offset + 3] & 0x03) << 11) |
+        (data[offset + 4] << 3) |
+        (data[offset + 5] >> 5);
+      if (frameLength < headerLength) {
+        offset++;
+        continue;
+      }
+      if (offset + frameLength > data.length) break;
+      if (audio.sampleRateIndex === null) {
+        audio.audioObjectType = (data[offset + 2] >> 6) + 1;
+        audio.sampleRateIndex = (data[offset + 2] >> 2) & 0x0f;
+        audio.channelConfig =
+          ((data[offset + 2] & 0x01) << 2) | (data[offset + 3] >> 6);
+        audio.sampleRate = REMUX_AAC_SAMPLE_RATES[audio.sampleRateIndex];
+        if (!audio.sampleRate) {
+          throw new RemuxUnsupportedError("Unknown AAC sample rate");
+        }
+        audio.timescale = audio.sampleRate;
+      }
+      addSample(audio, {
+        time: frameTime,
+        pts: frameTime,
+        data: data.slice(offset + headerLength, offset + frameLength),
+        key: true,
+      });
+      frameTime +=
+        (REMUX_AAC_FRAME_SAMPLES * REMUX_PES_TIMESCALE) / audio.sampleRate;
+      offset += frameLength;
+    }
+    audio.nextAudioPts = frameTime;
+    if (offset < data.length) audio.adtsRemainder = data.slice(offset);
+  };
+
+  const demuxer = createTsDemuxer((pes) => {
+    if (pes.kind === "video") onVideoPes(pes);
+    else onAudioPes(pes);
+  });
+
+  // Media time of a sample in the track's timescale, from the track's first sample
+  const mediaTime = (track, time) =>
+    Math.round(((time - track.firstTime) * track.timescale) / REMUX_PES_TIMESCALE);
+
+  // Take the samples whose duration is known (all of them at the end), up to a cut time
+  const takeReady = (track, all, before = Infinity) => {
+    let count = all ? track.pending.length : track.pending.length - 1;
+    while (count > 0 && track.pending[count - 1].time >= before) count--;
+    if (count <= 0) return [];
+    const ready = track.pending.splice(0, count);
+    ready.forEach((sample, i) => {
+      const next = ready[i + 1] || track.pending[0];
+      const start = mediaTime(track, sample.time);
+      // The last sample lasts as long as the one before it
+      let duration = next
+        ? mediaTime(track, next.time) - start
+        : track.lastDuration ||
+          (track.kind === "video" ? 3000 : REMUX_AAC_FRAME_SAMPLES);
+      if (!(duration > 0)) duration = 1;
+      sample.duration = duration;
+      sample.compositionOffset = Math.round(
+        ((sample.pts - sample.time) * track.timescale) / REMUX_PES_TIMESCALE,
+      );
+      if (track.firstCompositionOffset === null) {
+        track.firstCompositionOffset = sample.compositionOffset;
+      }
+      track.lastDuration = duration;
+    });
+    return ready;
+  };
+
+  // Regular MP4: append sample data (both tracks interleaved by time) and index it
+  const writeSamples = (ready) => {
+    const pieces = [];
+    for (const { track, sample } of ready) {
+      track.sizes.push(sample.data.length);
+      track.durations.push(sample.duration);
+      track.compositionOffsets.push(sample.compositionOffset);
+      track.offsets.push(dataStart + bodyBytes);
+      track.sampleCount++;
+      if (sample.key) track.syncSamples.push(track.sampleCount);
+      track.mediaDuration += sample.duration;
+      pieces.push(sample.data);
+      bodyBytes += sample.data.length;
+    }
+    return pieces;
+  };
+
+  // Fragmented MP4: one moof/mdat with a traf per track
+  const writeFragment = (readyByTrack) => {
+    const tracks = readyByTrack.filter(({ samples }) => samples.length > 0);
+    if (tracks.length === 0) return [];
+    fragmentSequence++;
+    const buildMoof = (dataOffsets) =>
+      mp4Box(
+        "moof",
+        mp4FullBox("mfhd", 0, 0, u32(fragmentSequence)),
+        ...tracks.map(({ track, samples }, i) => {
+          const trunEntries = new Uint8Array(samples.length * 16);
+          const view = new DataView(trunEntries.buffer);
+          samples.forEach((sample, s) => {
+            view.setUint32(s * 16, sample.duration);
+            view.setUint32(s * 16 + 4, sample.data.length);
+            // sample_flags: sync samples depend on nothing, others are non-sync
+            view.setUint32(s * 16 + 8, sample.key ? 0x02000000 : 0x01010000);
+            view.setInt32(s * 16 + 12, sample.compositionOffset);
+          });
+          return mp4Box(
+            "traf",
+            mp4FullBox("tfhd", 0, 0x020000, u32(track.id)),
+            mp4FullBox("tfdt", 1, 0, u64(track.mediaDuration)),
+            mp4FullBox(
+              "trun",
+              1,
+              0x000f01,
+              u32(samples.length),
+              u32(dataOffsets[i]),
+              trunEntries,
+            ),
+          );
+        }),
+      );
+
+    // The data offsets depend on the moof size, which doesn't depend on their values
+    const moofSize = buildMoof(tracks.map(() => 0)).length;
+    const dataOffsets = [];
+    let offset = moofSize + 8;
+    for (const { samples } of tracks) {
+      dataOffsets.push(offset);
+      offset += samples.reduce((sum, sample) => sum + sample.data.length, 0);
+    }
+    const pieces = [
+      buildMoof(dataOffsets),
+      new Uint8Array([...u32(offset - moofSize), ...fourCC("mdat")]),
+    ];
+    for (const { track, samples } of tracks) {
+      for (const sample of samples) {
+        pieces.push(sample.data);
+        track.sampleCount++;
+        track.mediaDuration += sample.duration;
+      }
+    }
+    bodyBytes += offset;
+    return pieces;
+  };
+
+  // Fragmented MP4: where the next fragment ends, or null while it is still too short
+  const fragmentCut = () => {
+    const lead = video.firstTime !== null ? video : audio;
+    const { pending } = lead;
+    for (let i = 1; i < pending.length; i++) {
+      if (
+        pending[i].time - pending[0].time < REMUX_FRAGMENT_DURATION ||
+        (lead === video && !pending[i].key)
+      ) {
+        continue;
+      }
+      const cut = pending[i].time;
+      // Wait for the audio to catch up, unless it has stopped
+      const audioBehind =
+        lead === video && audio.firstTime !== null && audio.lastTime < cut;
+      if (audioBehind && video.lastTime - cut < REMUX_FRAGMENT_DURATION) {
+        return null;
+      }
+      return cut;
+    }
+    return null;
+  };
+
+  const drain = (all) => {
+    if (fragmented) {
+      const pieces = [];
+      let cut;
+      while ((cut = all ? Infinity : fragmentCut()) !== null) {
+        const tracks = [
+          { track: video, samples: takeReady(video, all, cut) },
+          { track: audio, samples: takeReady(audio, all, cut) },
+        ];
+        pieces.push(...writeFragment(tracks));
+        if (all) break;
+      }
+      return pieces;
+    }
+    const videoReady = takeReady(video, all);
+    const audioReady = takeReady(audio, all);
+    // Interleave by time so a player reading the file in order finds both tracks close together
+    const merged = [];
+    let v = 0;
+    let a = 0;
+    while (v < videoReady.length || a < audioReady.length) {
+      if (
+        a >= audioReady.length ||
+        (v < videoReady.length && videoReady[v].time <= audioReady[a].time)
+      ) {
+        merged.push({ track: video, sample: videoReady[v++] });
+      } else {
+        merged.push({ track: audio, sample: audioReady[a++] });
+      }
+    }
+    return writeSamples(merged);
+  };
+
+  const sampleEntry = (track) => {
+    if (track.kind === "video") {
+      const avcC = mp4Box(
+        "avcC",
+        [1, track.sps[1], track.sps[2], track.sps[3], 0xff, 0xe1],
+        u16(track.sps.length),
+        track.sps,
+        [1],
+        u16(track.pps.length),
+        track.pps,
+      );
+      const compressorName = new Array(32).fill(0);
+      return mp4Box(
+        "avc1",
+        [0, 0, 0, 0, 0, 0], u16(1), // reserved, data_reference_index
+        new Array(16).fill(0), // pre_defined / reserved
+        u16(track.width), u16(track.height),
+        u32(0x00480000), u32(0x00480000), // 72 dpi
+        u32(0), u16(1), // reserved, frame_count
+        compressorName,
+        u16(0x0018), u16(0xffff), // depth, pre_defined
+        avcC,
+      );
+    }
+    const audioSpecificConfig = u16(
+      (track.audioObjectType << 11) |
+        (track.sampleRateIndex << 7) |
+        (track.channelConfig << 3),
+    );
+    const descriptor = (tag, ...payloads) => {
+      const body = payloads.flat();
+      return [tag, body.length, ...body];
+    };
+    const esds = mp4FullBox(
+      "esds",
+      0,
+      0,
+      descriptor(
+        0x03,
+        u16(track.id),
+        [0],
+        descriptor(
+          0x04,
+          [0x40, 0x15, 0, 0, 0], // AAC, audio stream, buffer size
+          u32(0), // max bitrate
+          u32(0), // average bitrate
+          descriptor(0x05, audioSpecificConfig),
+        ),
+        descriptor(0x06, [0x02]),
+      ),
+    );
+    return mp4Box(
+      "mp4a",
+      [0, 0, 0, 0, 0, 0], u16(1),
+      u32(0), u32(0),
+      u16(track.channelConfig || 2), u16(16),
+      u16(0), u16(0),
+      // 16.16 sample rate; rates above 65535 Hz don't fit and are taken from the esds
+      u16(track.sampleRate > 0xffff ? 0 : track.sampleRate), u16(0),
+      esds,
+    );
+  };
+
+  // Returns {trak, duration} with the duration in the movie timescale
+  const buildTrak = (track, presentationStart) => {
+    const isVideo = track.kind === "video";
+    const toMovie = (value, timescale) =>
+      Math.round((value * REMUX_MOVIE_TIMESCALE) / timescale);
+    const compositionStart = track.firstCompositionOffset || 0;
+    const presentedDuration = Math.max(0, track.mediaDuration - compositionStart);
+    // Start each track where it starts in the source, and skip the video's initial B-frame delay
+    const emptyDuration = toMovie(track.firstPts - presentationStart, REMUX_PES_TIMESCALE);
+    const edits = [];
+    if (emptyDuration > 0) edits.push([emptyDuration, -1]);
+    edits.push([toMovie(presentedDuration, track.timescale), compositionStart]);
+    const trackDuration = edits.reduce((sum, edit) => sum + edit[0], 0);
+
+    const mdhdVersion = track.mediaDuration > 0xffffffff ? 1 : 0;
+    const stbl = fragmented
+      ? mp4Box(
+          "stbl",
+          mp4FullBox("stsd", 0, 0, u32(1), sampleEntry(track)),
+          mp4FullBox("stts", 0, 0, u32(0)),
+          mp4FullBox("stsc", 0, 0, u32(0)),
+          mp4FullBox("stsz", 0, 0, u32(0), u32(0)),
+          mp4FullBox("stco", 0, 0, u32(0)),
+        )
+      : mp4Box(
+          "stbl",
+          mp4FullBox("stsd", 0, 0, u32(1), sampleEntry(track)),
+          mp4FullBox("stts", 0, 0, runLengthTable(track.durations)),
+          ...(isVideo && track.compositionOffsets.some((value) => value !== 0)
+            ? [mp4FullBox("ctts", 1, 0, runLengthTable(track.compositionOffsets))]
+            : []),
+          ...(isVideo
+            ? [mp4FullBox("stss", 0, 0, u32(track.syncSamples.length), u32Table(track.syncSamples))]
+            : []),
+          // One sample per chunk, so every sample can sit anywhere in the mdat
+          mp4FullBox("stsc", 0, 0, u32(1), u32(1), u32(1), u32(1)),
+          mp4FullBox("stsz", 0, 0, u32(0), u32(track.sizes.length), u32Table(track.sizes)),
+          mp4FullBox("co64", 0, 0, u32(track.offsets.length), u64Table(track.offsets)),
+        );
+
+    const trak = mp4Box(
+      "trak",
+      mp4FullBox(
+        "tkhd", 0, 0x000003,
+        u32(0), u32(0), u32(track.id), u32(0), u32(trackDuration),
+        u32(0), u32(0), // reserved
+        u16(0), u16(isVideo ? 0 : 1), // layer, alternate_group
+        u16(isVideo ? 0 : 0x0100), u16(0), // volume, reserved
+        REMUX_MATRIX,
+        u32(isVideo ? track.width * 65536 : 0),
+        u32(isVideo ? track.height * 65536 : 0),
+      ),
+      mp4Box(
+        "edts",
+        mp4FullBox(
+          "elst", 0, 0,
+          u32(edits.length),
+          ...edits.map(([duration, mediaTimeValue]) => [
+            ...u32(duration), ...u32(mediaTimeValue), ...u32(0x00010000),
+          ]),
+        ),
+      ),
+      mp4Box(
+        "mdia",
+        mp4FullBox(
+          "mdhd", mdhdVersion, 0,
+          ...(mdhdVersion
+            ? [u64(0), u64(0), u32(track.timescale), u64(track.mediaDuration)]
+            : [u32(0), u32(0), u32(track.timescale), u32(track.mediaDuration)]),
+          u16(0x55c4), u16(0), // language "und", pre_defined
+        ),
+        mp4FullBox(
+          "hdlr", 0, 0,
+          u32(0),
+          [...(isVideo ? "vide" : "soun")].map((c) => c.charCodeAt(0)),
+          u32(0), u32(0), u32(0),
+          [...(isVideo ? "VideoHandler" : "SoundHandler")].map((c) => c.charCodeAt(0)),
+          [0],
+        ),
+        mp4Box(
+          "minf",
+          isVideo
+            ? mp4FullBox("vmhd", 0, 1, u16(0), u16(0), u16(0), u16(0))
+            : mp4FullBox("smhd", 0, 0, u16(0), u16(0)),
+          mp4Box("dinf", mp4FullBox("dref", 0, 0, u32(1), mp4FullBox("url ", 0, 1))),
+          stbl,
+        ),
+      ),
+    );
+    return { trak, duration: trackDuration };
+  };
+
+  const buildMoov = (tracks) => {
+    const presentationStart = Math.min(...tracks.map((track) => track.firstPts));
+    const traks = tracks.map((track) => buildTrak(track, presentationStart));
+    // mvhd duration: the longest track, edits included
+    const movieDuration = Math.max(...traks.map(({ duration }) => duration));
+    return mp4Box(
+      "moov",
+      mp4FullBox(
+        "mvhd", 0, 0,
+        u32(0), u32(0), u32(REMUX_MOVIE_TIMESCALE), u32(movieDuration),
+        u32(0x00010000), u16(0x0100), u16(0), u32(0), u32(0), // rate, volume, reserved
+        REMUX_MATRIX,
+        new Array(24).fill(0), // pre_defined
+        u32(tracks[tracks.length - 1].id + 1),
+      ),
+      ...traks.map(({ trak }) => trak),
+      ...(fragmented
+        ? [mp4Box(
+            "mvex",
+            ...tracks.map((track) =>
+              mp4FullBox("trex", 0, 0, u32(track.id), u32(1), u32(0), u32(0), u32(0)),
+            ),
+          )]
+        : []),
+      ...(metadataUdta ? [metadataUdta] : []),
+    );
+  };
+
+  return {
+    /** Size of finish().header: fixed from the start for regular MP4, null for fragmented */
+    headerSize: fragmented ? null : dataStart,
+
+    /**
+     * Remux the next piece of the transport stream
+     * @param {Uint8Array} bytes - TS data (packets may be split across pushes)
+     * @returns {Array<Uint8Array>} Output pieces, in order
+     */
+    push(bytes) {
+      demuxer.push(bytes);
+      return drain(false);
+    },
+
+    /**
+     * Finish the stream
+     * @returns {Object} {pieces, header, trailer, info}: the last output pieces, the bytes
+     *   that go before all pieces and the bytes that go after them (or null)
+     */
+    finish() {
+      demuxer.flush();
+      const pieces = drain(true);
+      const tracks = [video, audio].filter((track) => track.sampleCount > 0);
+      if (tracks.length === 0) {
+        throw new RemuxUnsupportedError("No H.264 or AAC stream found");
+      }
+      if (video.sampleCount > 0 && (!video.sps || !video.pps)) {
+        throw new RemuxUnsupportedError("H.264 stream has no SPS/PPS");
+      }
+      const moov = buildMoov(tracks);
+      const info = {
+        duration: Math.max(
+          ...tracks.map((track) => track.mediaDuration / track.timescale),
+        ),
+        width: video.width || null,
+        height: video.height || null,
+        videoSamples: video.sampleCount,
+        audioSamples: audio.sampleCount,
+      };
+      if (fragmented) {
+        return { pieces, header: concatBytes([ftyp, moov]), trailer: null, info };
+      }
+      const mdatHeader = new Uint8Array(16);
+      const view = new DataView(mdatHeader.buffer);
+      view.setUint32(0, 1); // 64-bit size follows
+      mdatHeader.set([0x6d, 0x64, 0x61, 0x74], 4);
+      view.setUint32(8, Math.floor((16 + bodyBytes) / 4294967296));
+      view.setUint32(12, (16 + bodyBytes) >>> 0);
+      return { pieces, header: concatBytes([ftyp, mdatHeader]), trailer: moov, info };
+    },
+  };
+}
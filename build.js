@@ -15,6 +15,7 @@ const jsFiles = [
   { src: 'background/background.js', dest: 'background/background.js' },
   { src: 'content/content.js', dest: 'content/content.js' },
   { src: 'popup/popup.js', dest: 'popup/popup.js' },
+  { src: 'popup/saveLocation.js', dest: 'popup/saveLocation.js' },
   { src: 'background/offscreen.js', dest: 'background/offscreen.js' }
 ];
 
@@ -23,6 +24,7 @@ const copyFiles = [
   { src: 'manifest.json', dest: 'manifest.json' },
   { src: 'popup/popup.html', dest: 'popup/popup.html' },
   { src: 'popup/popup.css', dest: 'popup/popup.css' },
+  { src: 'popup/saveLocation.html', dest: 'popup/saveLocation.html' },
   { src: 'background/offscreen.html', dest: 'background/offscreen.html' },
   { src: 'icons/icon16.png', dest: 'icons/icon16.png' },
   { src: 'icons/icon48.png', dest: 'icons/icon48.png' },
@@ -201,11 +203,27 @@ async function build() {
     // Files needed by background.js importScripts
     const backgroundFiles = [
       'cancelDownload.js',
+      'pauseDownload.js',
       'startDownload.js',
       'downloadBlob.js',
       'downloadM3U8.js',
+      'fileSystemSave.js',
+      'segmentScheduler.js',
+      'isoBmff.js',
+      'mp4Metadata.js',
+      'segmentValidation.js',
+      'liveRecording.js',
+      'cdnFailover.js',
+      'downloadReport.js',
+      'sizeEstimate.js',
+      'downloadSubtitles.js',
+      'resumeDownload.js',
       'configParser.js',
       'background.js',
+      'tsRemuxer.js',
+      'fileSystemWriter.js',
+      'ffmpegJobQueue.js',
+      'mp4PartJoiner.js',
       'offscreen.js',
       'offscreen.html'
     ];
@@ -3,6 +3,49 @@
  * Handles injecting download button into Dailymotion pages and quality menu management
  */
 
+// Quality preference saved in the popup (see selectVariantByPolicy); null until loaded
+let buttonQualityPreference = null;
+// Audio-only format and bitrate saved in the popup (see normalizeAudioOnlyOptions)
+let buttonAudioOnlyPreference = normalizeAudioOnlyOptions(null);
+
+if (isExtensionContextValid()) {
+  safeStorageGet(['qualityPreference', 'audioOnlyPreference'], (result) => {
+    buttonQualityPreference = result.qualityPreference ? normalizeQualityPolicy(result.qualityPreference) : null;
+    buttonAudioOnlyPreference = normalizeAudioOnlyOptions(result.audioOnlyPreference);
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.qualityPreference) {
+      const value = changes.qualityPreference.newValue;
+      buttonQualityPreference = value ? normalizeQualityPolicy(value) : null;
+    }
+    if (areaName === 'local' && changes.audioOnlyPreference) {
+      buttonAudioOnlyPreference = normalizeAudioOnlyOptions(changes.audioOnlyPreference.newValue);
+    }
+  });
+}
+
+/**
+ * Pick the quality the button should default to, following the stored preference
+ * An MP4 entry of the chosen height is preferred over HLS, as in the menu's own ordering.
+ * @param {Array} qualities - Deduplicated menu entries ({url, type, ...})
+ * @returns {number} Index into qualities (0 when no preference is stored)
+ */
+function getPreferredQualityIndex(qualities) {
+  if (!buttonQualityPreference || qualities.length === 0) return 0;
+  const heightOf = (video) => extractQuality(video.type, video.url);
+  // Master playlists carry no height of their own; leave them to the background
+  const candidates = qualities.filter(video => video && video.url && heightOf(video));
+  const chosen = selectVariantByPolicy(candidates, buttonQualityPreference, (video) => ({
+    height: heightOf(video),
+    bandwidth: null,
+    codecs: null
+  }));
+  if (!chosen) return 0;
+  const height = heightOf(chosen);
+  const mp4Index = qualities.findIndex(video => video && isMP4(video.type) && heightOf(video) === height);
+  return mp4Index >= 0 ? mp4Index : qualities.indexOf(chosen);
+}
+
 /**
  * Completely destroy button and all associated elements and data
  * This ensures no stale data persists when navigating between videos
@@ -18,6 +61,7 @@ function destroyDownloadButton() {
       downloadBtn.removeAttribute('data-quality-label');
       downloadBtn.removeAttribute('data-video-title');
       downloadBtn.removeAttribute('data-video-id');
+      downloadBtn.removeAttribute('data-audio-only');
     }
     
     // Clear quality menu data
@@ -62,6 +106,11 @@ function destroyDownloadButton() {
     btn.remove();
   });
   
+  // Remove any orphaned clip buttons and panels
+  document.querySelectorAll('.vimeo-downloader-clip-btn, .vimeo-downloader-clip-panel').forEach(el => {
+    el.remove();
+  });
+  
   // Remove any orphaned button groups
   document.querySelectorAll('.vimeo-downloader-button-group').forEach(group => {
     group.remove();
@@ -415,6 +464,101 @@ function injectButtonElement(buttonContainer) {
       .vimeo-downloader-quality-item.selected:hover {
         background-color: rgb(20, 24, 28);
       }
+      
+      .vimeo-downloader-quality-estimate {
+        margin-left: 8px;
+        font-size: 11px;
+        font-weight: normal;
+        opacity: 0.7;
+      }
+      
+      .vimeo-downloader-quality-estimate:empty {
+        display: none;
+      }
+      
+      .vimeo-downloader-clip-btn {
+        flex: 0 0 auto;
+        width: 32px;
+        padding: 6px 8px;
+        background: rgb(14, 18, 22);
+        color: white;
+        border: none;
+        border-left: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 0;
+        cursor: pointer;
+        font-size: 13px;
+        transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      }
+      
+      .vimeo-downloader-clip-btn:hover,
+      .vimeo-downloader-clip-btn.active {
+        background: rgb(20, 24, 28);
+      }
+      
+      .vimeo-downloader-clip-panel {
+        position: absolute;
+        top: calc(100% + 4px);
+        left: 0;
+        min-width: 220px;
+        background: white;
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        padding: 10px 12px;
+        z-index: 999999 !important;
+        display: none;
+        box-sizing: border-box;
+        font-size: 12px;
+        color: #333;
+      }
+      
+      .vimeo-downloader-clip-panel.show {
+        display: block;
+      }
+      
+      .vimeo-downloader-clip-panel .clip-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+      
+      .vimeo-downloader-clip-panel input[type="text"] {
+        flex: 1;
+        min-width: 0;
+        padding: 5px 8px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        font-size: 12px;
+        color: #333;
+        background: white;
+      }
+      
+      .vimeo-downloader-clip-panel label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-top: 8px;
+        cursor: pointer;
+      }
+      
+      .vimeo-downloader-clip-panel .clip-error {
+        color: #c62828;
+        margin-top: 6px;
+        display: none;
+      }
+      
+      .vimeo-downloader-clip-panel .clip-submit {
+        width: 100%;
+        margin-top: 8px;
+        padding: 6px 12px;
+        background: rgb(14, 18, 22);
+        color: white;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 12px;
+        font-weight: 500;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -452,6 +596,28 @@ function injectButtonElement(buttonContainer) {
   const qualityMenu = document.createElement('div');
   qualityMenu.className = 'vimeo-downloader-quality-menu';
   
+  // Create clip (time range) button and panel - clips are HLS only
+  const clipBtn = document.createElement('button');
+  clipBtn.className = 'vimeo-downloader-clip-btn';
+  clipBtn.setAttribute('aria-label', 'Download a clip');
+  clipBtn.title = 'Download a clip (time range)';
+  clipBtn.textContent = '✂️';
+  
+  const clipPanel = document.createElement('div');
+  clipPanel.className = 'vimeo-downloader-clip-panel';
+  clipPanel.innerHTML = `
+    <div class="clip-row">
+      <input type="text" class="clip-start" placeholder="Start (0:00)" aria-label="Clip start">
+      <span>→</span>
+      <input type="text" class="clip-end" placeholder="End (2:00)" aria-label="Clip end">
+    </div>
+    <label><input type="checkbox" class="clip-frame-accurate"> Frame accurate (re-encodes)</label>
+    <div class="clip-error"></div>
+    <button class="clip-submit">Download clip</button>
+  `;
+  // Set by the clip panel right before it triggers the download button
+  let pendingClip = null;
+  
   
   // Function to populate quality menu - SIMPLIFIED
   // Note: getCurrentVideoId and getCurrentVideoTitle are from pageTracking.js
@@ -760,6 +926,9 @@ function injectButtonElement(buttonContainer) {
       const currentSelectedUrl = downloadBtn.getAttribute('data-url');
       const buttonVideoId = downloadBtn.getAttribute('data-video-id');
       let selectedIndex = 0; // Default to first item
+      // "Audio only" downloads from an HLS stream (the background picks the audio rendition)
+      const audioOnlySource = deduplicatedQualities.find(v => v && v.url && (isHLS(v.type) || v.url.includes('.m3u8')));
+      let audioOnlySelected = false;
       
       // Only preserve selection if we're on the same video
       if (currentSelectedUrl && deduplicatedQualities.length > 0 && 
@@ -770,6 +939,7 @@ function injectButtonElement(buttonContainer) {
         if (matchingIndex >= 0) {
           selectedIndex = matchingIndex;
         }
+        audioOnlySelected = !!audioOnlySource && downloadBtn.getAttribute('data-audio-only') === 'true';
       } else {
         // Different video or no videoId match - reset to first item
         // Clear old button data to prevent using stale URLs
@@ -778,7 +948,8 @@ function injectButtonElement(buttonContainer) {
         downloadBtn.removeAttribute('data-quality-label');
         downloadBtn.removeAttribute('data-video-title');
         downloadBtn.removeAttribute('data-video-id');
-        selectedIndex = 0;
+        downloadBtn.removeAttribute('data-audio-only');
+        selectedIndex = getPreferredQualityIndex(deduplicatedQualities);
       }
       
       // Set button data - ALWAYS include current video ID to prevent stale data
@@ -798,12 +969,14 @@ function injectButtonElement(buttonContainer) {
           downloadBtn.removeAttribute('data-quality-label');
           downloadBtn.removeAttribute('data-video-title');
           downloadBtn.removeAttribute('data-video-id');
+          downloadBtn.removeAttribute('data-audio-only');
           return;
         }
         
-        downloadBtn.setAttribute('data-url', selectedVideo.url);
-        downloadBtn.setAttribute('data-type', selectedVideo.type || '');
-        downloadBtn.setAttribute('data-quality-label', formatQualityLabel(selectedVideo));
+        const buttonVideo = audioOnlySelected ? audioOnlySource : selectedVideo;
+        downloadBtn.setAttribute('data-url', buttonVideo.url);
+        downloadBtn.setAttribute('data-type', buttonVideo.type || '');
+        downloadBtn.setAttribute('data-quality-label', audioOnlySelected ? 'Audio' : formatQualityLabel(buttonVideo));
         downloadBtn.setAttribute('data-video-title', videoTitle);
         
         // Populate menu
@@ -811,14 +984,47 @@ function injectButtonElement(buttonContainer) {
           if (!video || !video.url) return;
           const qualityLabel = formatQualityLabel(video);
           const menuItem = document.createElement('div');
-          menuItem.className = 'vimeo-downloader-quality-item' + (idx === selectedIndex ? ' selected' : '');
+          menuItem.className = 'vimeo-downloader-quality-item' + (idx === selectedIndex && !audioOnlySelected ? ' selected' : '');
           menuItem.textContent = `${videoTitle} - ${qualityLabel}`;
+          // Known size (MP4) or the HLS estimate, filled in below when not known yet
+          const sizeSpan = document.createElement('span');
+          sizeSpan.className = 'vimeo-downloader-quality-estimate';
+          sizeSpan.setAttribute('data-url', video.url);
+          sizeSpan.textContent = isHLS(video.type)
+            ? formatSizeEstimate(video.estimate)
+            : video.fileSize ? formatFileSize(video.fileSize, 1) : '';
+          menuItem.appendChild(sizeSpan);
           menuItem.setAttribute('data-url', video.url);
           menuItem.setAttribute('data-type', video.type || '');
           menuItem.setAttribute('data-quality-label', qualityLabel);
           menuItem.setAttribute('data-video-title', videoTitle);
           qualityMenu.appendChild(menuItem);
         });
+        if (audioOnlySource) {
+          const menuItem = document.createElement('div');
+          menuItem.className = 'vimeo-downloader-quality-item' + (audioOnlySelected ? ' selected' : '');
+          menuItem.textContent = `${videoTitle} - Audio only (${describeAudioOnlyOptions(buttonAudioOnlyPreference)})`;
+          menuItem.setAttribute('data-url', audioOnlySource.url);
+          menuItem.setAttribute('data-type', audioOnlySource.type || '');
+          menuItem.setAttribute('data-quality-label', 'Audio');
+          menuItem.setAttribute('data-video-title', videoTitle);
+          menuItem.setAttribute('data-audio-only', 'true');
+          qualityMenu.appendChild(menuItem);
+        }
+
+        // HLS qualities have no Content-Length; the background fetches their playlists
+        const estimateUrls = deduplicatedQualities
+          .filter(v => v && v.url && isHLS(v.type) && !v.estimate)
+          .map(v => v.url);
+        if (estimateUrls.length > 0) {
+          safeSendMessage({ action: 'estimateHlsSizes', tabId: null, urls: estimateUrls }, (estimateResponse) => {
+            if (!estimateResponse || !estimateResponse.success) return;
+            qualityMenu.querySelectorAll('.vimeo-downloader-quality-estimate').forEach(span => {
+              const estimate = estimateResponse.estimates[span.getAttribute('data-url')];
+              if (estimate) span.textContent = formatSizeEstimate(estimate);
+            });
+          });
+        }
       }
     });
   };
@@ -984,6 +1190,7 @@ function injectButtonElement(buttonContainer) {
         downloadBtn.removeAttribute('data-quality-label');
         downloadBtn.removeAttribute('data-video-title');
         downloadBtn.removeAttribute('data-video-id');
+        downloadBtn.removeAttribute('data-audio-only');
         return;
       }
       
@@ -993,6 +1200,11 @@ function injectButtonElement(buttonContainer) {
       if (videoTitle) {
         downloadBtn.setAttribute('data-video-title', videoTitle);
       }
+      if (item.getAttribute('data-audio-only') === 'true') {
+        downloadBtn.setAttribute('data-audio-only', 'true');
+      } else {
+        downloadBtn.removeAttribute('data-audio-only');
+      }
     }
     
     // Close menu
@@ -1086,6 +1298,66 @@ function injectButtonElement(buttonContainer) {
       qualityMenu.classList.remove('show');
       qualityMenu.style.display = 'none';
     }
+    if (clipPanel.classList.contains('show') && !buttonWrapper.contains(e.target)) {
+      clipPanel.classList.remove('show');
+      clipBtn.classList.remove('active');
+    }
+  });
+  
+  // Toggle clip panel
+  clipBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    qualityMenu.classList.remove('show');
+    qualityMenu.style.display = 'none';
+    clipPanel.classList.toggle('show');
+    clipBtn.classList.toggle('active', clipPanel.classList.contains('show'));
+  });
+  
+  clipPanel.addEventListener('click', (e) => {
+    e.stopPropagation();
+  });
+  
+  // Validate the range, then start the download through the main button with the clip attached
+  clipPanel.querySelector('.clip-submit').addEventListener('click', (e) => {
+    e.preventDefault();
+    const errorEl = clipPanel.querySelector('.clip-error');
+    const showClipError = (message) => {
+      errorEl.textContent = message;
+      errorEl.style.display = 'block';
+    };
+    errorEl.style.display = 'none';
+    
+    const type = downloadBtn.getAttribute('data-type') || '';
+    const url = downloadBtn.getAttribute('data-url') || '';
+    if (url && !isHLS(type) && !url.includes('.m3u8')) {
+      showClipError('Clips need an HLS quality. Pick one from the quality menu.');
+      return;
+    }
+    
+    const start = parseTimecode(clipPanel.querySelector('.clip-start').value);
+    const end = parseTimecode(clipPanel.querySelector('.clip-end').value);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      showClipError('Use times like 90, 1:30 or 1:02:30.');
+      return;
+    }
+    if (start === null && end === null) {
+      showClipError('Enter a start and/or end time.');
+      return;
+    }
+    if (end !== null && end <= (start || 0)) {
+      showClipError('The clip end must be after the start.');
+      return;
+    }
+    
+    pendingClip = {
+      start: start || 0,
+      end: end,
+      frameAccurate: clipPanel.querySelector('.clip-frame-accurate').checked
+    };
+    clipPanel.classList.remove('show');
+    clipBtn.classList.remove('active');
+    downloadBtn.click();
   });
   
   // Handle download button click
@@ -1093,6 +1365,10 @@ function injectButtonElement(buttonContainer) {
     e.preventDefault();
     e.stopPropagation();
     
+    // Consume the clip range (if this click came from the clip panel)
+    const clip = pendingClip;
+    pendingClip = null;
+    
     const url = downloadBtn.getAttribute('data-url');
     const type = downloadBtn.getAttribute('data-type');
     const qualityLabel = downloadBtn.getAttribute('data-quality-label');
@@ -1198,11 +1474,26 @@ function injectButtonElement(buttonContainer) {
         return;
       }
       
-      const extension = url.includes('.mp4') ? 'mp4' : (url.includes('.m3u8') ? 'm3u8' : 'mp4');
+      // Audio only: the extension follows the chosen format (.m4a, .mp3 or .opus)
+      const audioOnly = downloadBtn.getAttribute('data-audio-only') === 'true' ?
+        normalizeAudioOnlyOptions(buttonAudioOnlyPreference) :
+        null;
+      const extension = audioOnly ? AUDIO_ONLY_FORMATS[audioOnly.format].extension :
+        (url.includes('.mp4') ? 'mp4' : (url.includes('.m3u8') ? 'm3u8' : 'mp4'));
       const sanitizedTitle = videoTitle.replace(/[<>:"/\\|?*]/g, '_').substring(0, 100);
+      const clipSuffix = clip ?
+        ` (clip ${Math.floor(clip.start)}s-${clip.end === null ? 'end' : `${Math.floor(clip.end)}s`})` :
+        '';
       const filename = qualityLabel ? 
-        `${sanitizedTitle} - ${qualityLabel}.${extension}` : 
-        `${sanitizedTitle}.${extension}`;
+        `${sanitizedTitle} - ${qualityLabel}${clipSuffix}.${extension}` : 
+        `${sanitizedTitle}${clipSuffix}.${extension}`;
+      
+      // A quality with a known height is taken exactly if the URL turns out to be a master
+      // playlist; otherwise the background falls back to the stored preference
+      const pickedHeight = isHLS(type) && !audioOnly ? extractQuality(type, url) : null;
+      const variantPolicy = pickedHeight ?
+        { ...normalizeQualityPolicy(buttonQualityPreference), mode: 'exact', height: pickedHeight, maxBandwidth: null } :
+        null;
       
       // Trigger download
       safeSendMessage({
@@ -1211,6 +1502,9 @@ function injectButtonElement(buttonContainer) {
         type: type,
         filename: filename,
         qualityLabel: qualityLabel,
+        clip: clip,
+        variantPolicy: variantPolicy,
+        audioOnly: audioOnly,
         // Send correct dailymotion videoId for restore filtering
         videoId: currentVideoId
       }, (downloadResponse) => {
@@ -1235,9 +1529,11 @@ function injectButtonElement(buttonContainer) {
   
   // Assemble button group
   buttonGroup.appendChild(downloadBtn);
+  buttonGroup.appendChild(clipBtn);
   buttonGroup.appendChild(dropdownBtn);
   buttonGroup.appendChild(qualityMenu);
   buttonWrapper.appendChild(buttonGroup);
+  buttonWrapper.appendChild(clipPanel);
   
   // Insert into Vimeo's button container
   buttonContainer.appendChild(buttonWrapper);
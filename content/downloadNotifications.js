@@ -523,8 +523,14 @@ function updateDownloadNotification(downloadId, filename, status, progress) {
     return;
   }
 
+  // Recording = a live stream being recorded; the status carries the recorded length
+  const isRecording =
+    status &&
+    (status.toLowerCase().includes("recording live stream") ||
+      status.toLowerCase().includes("stopping recording"));
+
   const progressBar =
-    progress !== undefined
+    progress !== undefined && !isRecording
       ? `
     <div style="margin-top: 12px; background: rgba(255, 255, 255, 0.2); border-radius: 10px; height: 6px; overflow: hidden;">
       <div style="background: white; height: 100%; width: ${progress}%; transition: width 0.3s ease; border-radius: 10px;"></div>
@@ -538,30 +544,51 @@ function updateDownloadNotification(downloadId, filename, status, progress) {
     status &&
     (status.toLowerCase().includes("failed") ||
       status.toLowerCase().includes("error"));
+  // Interrupted = the service worker stopped mid-download but segments were checkpointed
+  const isInterrupted =
+    status && status.toLowerCase().includes("interrupted");
+  // Paused = stopped by the user; received data is kept and the slot is freed
+  const isPaused = status && status.toLowerCase().includes("paused");
   const statusIcon = isCancelled
     ? "❌"
     : isFailed
       ? "⚠️"
-      : progress === 100
-        ? "✅"
-        : "⬇️";
+      : isInterrupted || isPaused
+        ? "⏸️"
+        : isRecording
+          ? "🔴"
+          : progress === 100
+            ? "✅"
+            : "⬇️";
   const statusText = isCancelled
     ? "Download Cancelled"
     : isFailed
       ? "Download Failed"
-      : progress === 100
-        ? "Download Complete"
-        : "Downloading";
-
-  // Show cancel button only if download is in progress (not complete, cancelled, or failed)
+      : isInterrupted
+        ? "Download Interrupted"
+        : isPaused
+          ? "Download Paused"
+          : isRecording
+            ? "Recording Live Stream"
+            : progress === 100
+              ? "Download Complete"
+              : "Downloading";
+
+  // Show cancel button only if download is in progress or paused (not complete, cancelled, failed or interrupted)
   const showCancelButton =
     progress !== undefined &&
     progress < 100 &&
     !isCancelled &&
     !isFailed &&
+    !isInterrupted &&
     !status.includes("complete");
-  // Show dismiss button for failed or cancelled downloads
-  const showDismissButton = isFailed || isCancelled;
+  // Show pause button while the download is running; live recordings are stopped instead
+  const showPauseButton = showCancelButton && !isPaused && !isRecording;
+  const showStopButton = showCancelButton && isRecording;
+  // Show resume button for interrupted or paused downloads
+  const showResumeButton = isInterrupted || isPaused;
+  // Show dismiss button for failed, cancelled, interrupted or paused downloads
+  const showDismissButton = isFailed || isCancelled || isInterrupted || isPaused;
 
   const cancelButton = showCancelButton
     ? `
@@ -583,6 +610,66 @@ function updateDownloadNotification(downloadId, filename, status, progress) {
   `
     : "";
 
+  const pauseButton = showPauseButton
+    ? `
+    <button id="pause-btn-${downloadId}" style="
+      margin-top: 12px;
+      padding: 8px 16px;
+      background: rgba(255, 255, 255, 0.2);
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      border-radius: 6px;
+      color: white;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s;
+      width: 100%;
+    " onmouseover="this.style.background='rgba(255, 255, 255, 0.3)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.2)'">
+      ⏸️ Pause Download
+    </button>
+  `
+    : "";
+
+  const stopButton = showStopButton
+    ? `
+    <button id="stop-btn-${downloadId}" style="
+      margin-top: 12px;
+      padding: 8px 16px;
+      background: rgba(255, 255, 255, 0.3);
+      border: 1px solid rgba(255, 255, 255, 0.4);
+      border-radius: 6px;
+      color: white;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s;
+      width: 100%;
+    " onmouseover="this.style.background='rgba(255, 255, 255, 0.4)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.3)'">
+      ⏹️ Stop Recording
+    </button>
+  `
+    : "";
+
+  const resumeButton = showResumeButton
+    ? `
+    <button id="resume-btn-${downloadId}" style="
+      margin-top: 12px;
+      padding: 8px 16px;
+      background: rgba(255, 255, 255, 0.3);
+      border: 1px solid rgba(255, 255, 255, 0.4);
+      border-radius: 6px;
+      color: white;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s;
+      width: 100%;
+    " onmouseover="this.style.background='rgba(255, 255, 255, 0.4)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.3)'">
+      ▶️ Resume Download
+    </button>
+  `
+    : "";
+
   const dismissButton = showDismissButton
     ? `
     <button id="dismiss-btn-${downloadId}" style="
@@ -613,6 +700,9 @@ function updateDownloadNotification(downloadId, filename, status, progress) {
     </div>
     <div style="font-size: 13px; opacity: 0.95; margin-top: 8px;">${status}</div>
     ${progressBar}
+    ${pauseButton}
+    ${stopButton}
+    ${resumeButton}
     ${cancelButton}
     ${dismissButton}
   `;
@@ -676,12 +766,106 @@ function updateDownloadNotification(downloadId, filename, status, progress) {
     }
   }
 
+  // Add pause button event listener if button exists
+  if (showStopButton) {
+    const stopBtn = document.getElementById(`stop-btn-${downloadId}`);
+    if (stopBtn) {
+      stopBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log("Stop recording clicked for download:", downloadId);
+        stopBtn.disabled = true;
+        stopBtn.textContent = "Stopping...";
+        // The recording so far is merged and saved; polling shows the progress
+        safeSendMessage(
+          {
+            action: "stopLiveRecording",
+            downloadId: downloadId,
+          },
+          (response) => {
+            if (response && !response.success && response.error) {
+              console.warn("Stop recording failed:", response.error);
+              stopBtn.textContent = response.error;
+            }
+          },
+        );
+      });
+    }
+  }
+
+  if (showPauseButton) {
+    const pauseBtn = document.getElementById(`pause-btn-${downloadId}`);
+    if (pauseBtn) {
+      pauseBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log("Pause button clicked for download:", downloadId);
+        pauseBtn.disabled = true;
+        pauseBtn.textContent = "Pausing...";
+        // Polling picks up the "Download paused" status and swaps in the Resume button
+        safeSendMessage(
+          {
+            action: "pauseDownload",
+            downloadId: downloadId,
+          },
+          (response) => {
+            if (response && !response.success && response.error) {
+              console.warn("Pause failed:", response.error);
+              pauseBtn.textContent = response.error;
+            }
+          },
+        );
+      });
+    }
+  }
+
+  // Add resume button event listener if button exists
+  if (showResumeButton) {
+    const resumeBtn = document.getElementById(`resume-btn-${downloadId}`);
+    if (resumeBtn) {
+      resumeBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log("Resume button clicked for download:", downloadId);
+        resumeBtn.disabled = true;
+        resumeBtn.textContent = "Resuming...";
+        // The response only arrives when the resumed download ends (or fails to start);
+        // progress is picked up by polling in the meantime
+        safeSendMessage(
+          {
+            action: "resumeDownload",
+            downloadId: downloadId,
+          },
+          (response) => {
+            // A paused response means the resumed download was paused again
+            if (
+              response &&
+              !response.success &&
+              !response.paused &&
+              response.error
+            ) {
+              console.warn("Resume failed:", response.error);
+              updateDownloadNotification(
+                downloadId,
+                filename,
+                `Resume failed: ${response.error}`,
+                progress,
+              );
+            }
+          },
+        );
+      });
+    }
+  }
+
   // Add dismiss button event listener if button exists
   if (showDismissButton) {
     const dismissBtn = document.getElementById(`dismiss-btn-${downloadId}`);
     if (dismissBtn) {
       dismissBtn.addEventListener("click", () => {
         console.log("Dismiss button clicked for download:", downloadId);
+        // Interrupted and paused downloads are still polled; stop so the notification isn't recreated
+        stopDownloadProgressPolling(downloadId);
         hideDownloadNotification(downloadId);
       });
     }
@@ -6,6 +6,12 @@ let currentVideoId = null;
 let currentUrl = null;
 let isLoading = false;
 let latestVideoData = null; // last data received from background (used by download button)
+let qualityPreference = null; // stored variant selection policy (see selectVariantByPolicy)
+let audioOnlyPreference = null; // stored audio-only format and bitrate (see normalizeAudioOnlyOptions)
+let subtitleEmbedLanguages = []; // languages whose subtitles are ticked for embedding by default
+let transcodePresets = getTranscodePresets(null); // built-in and user-defined transcoding presets
+let defaultTranscodePresetId = ""; // preset picked for new downloads ("" keeps the original)
+const requestedEstimateUrls = new Set(); // HLS variants whose size estimate was asked for
 let refreshInterval = null;
 let navigationCheckInterval = null;
 
@@ -48,6 +54,26 @@ function initializePopup(tab) {
   // Start loading video data
   loadVideoData(true);
 
+  // Default quality policy (one-click button, master playlists)
+  setupQualityPreference();
+  // Live stream recording limit and start point
+  setupLiveRecordingSettings();
+  setupAudioOnlySettings();
+  // Subtitle languages embedded in HLS downloads by default
+  setupSubtitleEmbedSettings();
+  // Transcoding presets (default for new downloads, user-defined ones)
+  setupTranscodeSettings();
+  // Regular or fragmented MP4 from the streaming remuxer
+  setupMp4LayoutSettings();
+  // Where finished downloads are written (browser downloads or a chosen file / folder)
+  setupSaveLocationSettings();
+  // Per-download CDN reports, loaded when opened
+  setupDownloadReports();
+
+  // List running downloads (with Pause) and paused / interrupted ones (with Resume)
+  loadRunningDownloads();
+  loadInterruptedDownloads();
+
   // Set up periodic refresh for lazy loading (videos that load after popup opens)
   setupPeriodicRefresh();
 
@@ -267,6 +293,182 @@ function handleRetry(expectedVideoId) {
   }, delay);
 }
 
+/**
+ * Ask the background for the size and duration of HLS variants that have no estimate yet
+ * and show them next to the qualities in the list
+ * @param {Array} videos - Displayed video entries
+ */
+function loadHlsEstimates(videos) {
+  const urls = videos
+    .filter((video) => isHLS(video.type) && !video.estimate)
+    .map((video) => video.url)
+    .filter((url) => !requestedEstimateUrls.has(url));
+  if (urls.length === 0) return;
+  urls.forEach((url) => requestedEstimateUrls.add(url));
+
+  chrome.runtime.sendMessage(
+    { action: "estimateHlsSizes", tabId: currentTabId, urls },
+    (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        // Try again on the next refresh
+        urls.forEach((url) => requestedEstimateUrls.delete(url));
+        return;
+      }
+      document.querySelectorAll(".quality-estimate").forEach((span) => {
+        const estimate = response.estimates[span.dataset.url];
+        if (estimate) span.textContent = formatSizeEstimate(estimate);
+      });
+      // Keep the estimates for re-renders until the next getVideoData
+      videos.forEach((video) => {
+        if (response.estimates[video.url]) {
+          video.estimate = response.estimates[video.url];
+        }
+      });
+    },
+  );
+}
+
+/**
+ * Describe a variant playlist's layout for the inspector
+ * @param {Object|null} estimate - Estimate from the background (carries the layout)
+ * @returns {string} e.g. "412 segments · 6s target · fMP4 · Not encrypted"
+ */
+function describeVariantLayout(estimate) {
+  const layout = estimate?.layout;
+  if (!layout) return "";
+  const parts = [`${layout.segmentCount} segments`];
+  if (layout.targetDuration) parts.push(`${layout.targetDuration}s target`);
+  parts.push(layout.container);
+  parts.push(
+    layout.encryption.length ? `🔒 ${layout.encryption.join(", ")}` : "Not encrypted",
+  );
+  if (estimate.live) parts.push("live");
+  return parts.join(" · ");
+}
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ * @param {*} text - Value to escape (converted to a string)
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Build the expandable variant inspector of one video: every HLS rendition with its
+ * codecs, frame rate, bitrates and (once loaded) playlist layout, plus the audio renditions
+ * @param {Array} videos - All detected entries of the video
+ * @returns {string} HTML, or "" when the video has no parsed HLS variants
+ */
+function buildVariantInspector(videos) {
+  const variants = [];
+  videos.forEach((video) => {
+    if (!isHLS(video.type) || !video.hlsInfo) return;
+    if (variants.some((v) => v.url === video.url)) return;
+    variants.push(video);
+  });
+  variants.sort((a, b) => (b.hlsInfo.bandwidth || 0) - (a.hlsInfo.bandwidth || 0));
+  if (variants.length === 0) return "";
+
+  let rows = "";
+  variants.forEach((video) => {
+    const info = video.hlsInfo;
+    const title = [
+      info.resolution && info.resolution !== "unknown" ? info.resolution : formatQualityLabel(video),
+      info.frameRate ? `${parseFloat(info.frameRate.toFixed(3))} fps` : null,
+      info.videoRange,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    const bitrate = [
+      info.averageBandwidth ? `${formatBitrate(info.averageBandwidth)} avg` : null,
+      info.bandwidth ? `${formatBitrate(info.bandwidth)} peak` : null,
+    ]
+      .filter(Boolean)
+      .join(" / ");
+    const extras = [
+      bitrate,
+      info.hdcpLevel ? `HDCP ${info.hdcpLevel}` : null,
+      info.audioGroup ? `audio group "${info.audioGroup}"` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    rows += `
+      <div class="variant-row">
+        <div class="variant-title">${escapeHtml(title)}</div>
+        <div class="variant-detail">${escapeHtml(info.codecs ? info.codecs.split(",").join(", ") : "Codecs not listed")}</div>
+        ${extras ? `<div class="variant-detail">${escapeHtml(extras)}</div>` : ""}
+        <div class="variant-detail variant-layout" data-url="${escapeHtml(video.url)}"${video.estimate?.layout ? ' data-loaded="true"' : ""}>${escapeHtml(describeVariantLayout(video.estimate) || "Loading playlist…")}</div>
+      </div>`;
+  });
+
+  const audioRenditions = new Map();
+  variants.forEach((video) => {
+    (video.hlsInfo.audioRenditions || []).forEach((rendition) => {
+      const key = `${rendition.groupId}|${rendition.name}|${rendition.language}`;
+      if (!audioRenditions.has(key)) audioRenditions.set(key, rendition);
+    });
+  });
+  audioRenditions.forEach((rendition) => {
+    const title = [
+      `🔊 ${rendition.name || rendition.language || "Audio"}`,
+      rendition.language,
+      rendition.channels ? `${rendition.channels} ch` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    rows += `
+      <div class="variant-row">
+        <div class="variant-title">${escapeHtml(title)}</div>
+        <div class="variant-detail">${escapeHtml(`group "${rendition.groupId}"${rendition.uri ? "" : " · muxed into the video"}${rendition.isDefault ? " · default" : ""}`)}</div>
+      </div>`;
+  });
+
+  return `
+      <details class="variant-inspector">
+        <summary>🔍 Variants (${variants.length}${audioRenditions.size ? ` + ${audioRenditions.size} audio` : ""})</summary>
+        <div class="variant-list">${rows}</div>
+      </details>`;
+}
+
+/**
+ * Load the playlist layout of every variant the first time an inspector is opened
+ * @param {HTMLElement} item - Video item containing the inspector
+ */
+function setupVariantInspector(item) {
+  const inspector = item.querySelector(".variant-inspector");
+  if (!inspector) return;
+  inspector.addEventListener("toggle", () => {
+    if (!inspector.open) return;
+    const pending = [...inspector.querySelectorAll(".variant-layout")].filter(
+      (el) => !el.dataset.loaded,
+    );
+    const urls = pending.map((el) => el.dataset.url);
+    if (urls.length === 0) return;
+    pending.forEach((el) => (el.dataset.loaded = "true"));
+    chrome.runtime.sendMessage(
+      { action: "estimateHlsSizes", tabId: currentTabId, urls },
+      (response) => {
+        const estimates =
+          !chrome.runtime.lastError && response && response.success
+            ? response.estimates
+            : {};
+        pending.forEach((el) => {
+          el.textContent =
+            describeVariantLayout(estimates[el.dataset.url]) ||
+            "Playlist could not be loaded";
+          if (!estimates[el.dataset.url]) delete el.dataset.loaded;
+        });
+      },
+    );
+  });
+}
+
 /**
  * Display videos with title fetching
  */
@@ -840,7 +1042,13 @@ function displayVideos(videoData) {
         const qualityLabel = formatQualityLabel(video);
         // Find index by URL (more reliable than object reference)
         const videoIndex = videoData.urls.findIndex((v) => v.url === video.url);
-        qualityMenuItems += `<div class="quality-menu-item" data-index="${idx}" data-url="${video.url}" data-video-index="${videoIndex >= 0 ? videoIndex : ""}">${qualityLabel}</div>`;
+        // Known size (MP4) or the HLS estimate, filled in by loadHlsEstimates
+        const sizeText = isHLS(video.type)
+          ? formatSizeEstimate(video.estimate)
+          : video.fileSize
+            ? formatFileSize(video.fileSize, 1)
+            : "";
+        qualityMenuItems += `<div class="quality-menu-item" data-index="${idx}" data-url="${video.url}" data-video-index="${videoIndex >= 0 ? videoIndex : ""}">${qualityLabel}<span class="quality-estimate" data-url="${video.url}">${sizeText}</span></div>`;
       });
 
       // Get default selected video (should exist due to check above, but add safety check)
@@ -856,6 +1064,85 @@ function displayVideos(videoData) {
           : defaultVideo.url;
       const defaultQualityLabel = formatQualityLabel(defaultVideo);
 
+      // Subtitle renditions (WebVTT) discovered in the master playlist, one row per language
+      const subtitleRenditions = new Map();
+      videoGroup.forEach((video) => {
+        (video.hlsInfo?.subtitleRenditions || []).forEach((rendition) => {
+          const key = rendition.language || rendition.name || rendition.uri;
+          if (!subtitleRenditions.has(key)) {
+            subtitleRenditions.set(key, rendition);
+          }
+        });
+      });
+      let subtitleRows = "";
+      subtitleRenditions.forEach((rendition) => {
+        // Everything here comes from the remote playlist
+        const label = escapeHtml(rendition.name || rendition.language || "Subtitles");
+        const language = escapeHtml(rendition.language || "");
+        const url = escapeHtml(rendition.uri);
+        const embedChecked = subtitleMatchesLanguages(rendition, subtitleEmbedLanguages)
+          ? "checked"
+          : "";
+        subtitleRows += `
+          <div class="subtitle-row">
+            <span class="subtitle-label">💬 ${label}${language ? ` (${language})` : ""}</span>
+            <label class="subtitle-embed-label" title="Embed in the MP4 as a subtitle track">
+              <input type="checkbox" class="subtitle-embed" data-url="${url}" data-language="${language}" data-label="${label}" data-default="${!!rendition.isDefault}" data-forced="${!!rendition.forced}" ${embedChecked}>
+              Embed
+            </label>
+            <button class="subtitle-btn" data-url="${url}" data-format="vtt" data-language="${language}" data-label="${label}">.vtt</button>
+            <button class="subtitle-btn" data-url="${url}" data-format="srt" data-language="${language}" data-label="${label}">.srt</button>
+          </div>`;
+      });
+
+      // Time-range clips are only available for HLS streams
+      const hasHlsVariant = videoGroup.some(
+        (video) => isHLS(video.type) || (video.url || "").includes(".m3u8"),
+      );
+      // "Audio only" takes the stream's audio rendition (or the smallest variant's audio)
+      const audioOnlySource = deduplicatedQualities.find(
+        (video) => video && video.url && (isHLS(video.type) || video.url.includes(".m3u8")),
+      );
+      if (audioOnlySource) {
+        const videoIndex = videoData.urls.findIndex((v) => v.url === audioOnlySource.url);
+        qualityMenuItems += `<div class="quality-menu-item" data-url="${audioOnlySource.url}" data-video-index="${videoIndex >= 0 ? videoIndex : ""}" data-audio-only="true">🎵 Audio only (${describeAudioOnlyOptions(audioOnlyPreference)})</div>`;
+      }
+      const clipOptions = hasHlsVariant
+        ? `
+      <details class="clip-options">
+        <summary>✂️ Download a clip</summary>
+        <div class="clip-row">
+          <input type="text" class="clip-start" placeholder="Start (0:00)" aria-label="Clip start">
+          <span class="clip-separator">→</span>
+          <input type="text" class="clip-end" placeholder="End (e.g. 2:00)" aria-label="Clip end">
+        </div>
+        <label class="clip-accurate">
+          <input type="checkbox" class="clip-frame-accurate">
+          Frame accurate (slower, re-encodes)
+        </label>
+        <div class="clip-export-row">
+          <select class="clip-export-format" aria-label="Export format">
+            ${Object.entries(ANIMATION_FORMATS)
+              .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+              .join("")}
+          </select>
+          <input type="number" class="clip-export-width" min="${ANIMATION_WIDTH_RANGE.min}" max="${ANIMATION_WIDTH_RANGE.max}" step="2" value="${ANIMATION_WIDTH_RANGE.default}" aria-label="Width in pixels">
+          <span class="clip-separator">px</span>
+          <input type="number" class="clip-export-fps" min="${ANIMATION_FPS_RANGE.min}" max="${ANIMATION_FPS_RANGE.max}" step="1" value="${ANIMATION_FPS_RANGE.default}" aria-label="Frame rate">
+          <span class="clip-separator">fps</span>
+          <button class="clip-export-btn">Export</button>
+        </div>
+      </details>`
+        : "";
+      // Re-encoding happens in the same FFmpeg pass as muxing, so it is HLS only too
+      const transcodeOptions = hasHlsVariant
+        ? `
+      <div class="transcode-row">
+        <label class="transcode-label">🎞️ Re-encode</label>
+        <select class="transcode-preset" aria-label="Transcoding preset"></select>
+      </div>`
+        : "";
+
       item.innerHTML = `
         <div class="video-header">
           <div>
@@ -881,9 +1168,18 @@ function displayVideos(videoData) {
             Copy
         </button>
       </div>
+      ${clipOptions}
+      ${transcodeOptions}
+      ${subtitleRows ? `<div class="subtitle-list">${subtitleRows}</div>` : ""}
+      ${buildVariantInspector(videoGroup)}
     `;
 
       container.appendChild(item);
+      setupVariantInspector(item);
+      const transcodeSelect = item.querySelector(".transcode-preset");
+      if (transcodeSelect) {
+        fillTranscodePresetSelect(transcodeSelect, defaultTranscodePresetId);
+      }
 
       // Get elements
       const videoUrlDiv = item.querySelector(".video-url");
@@ -958,7 +1254,8 @@ function displayVideos(videoData) {
             }
           }
           
-          const qualityLabel = formatQualityLabel(selectedVideo);
+          const audioOnly = menuItem.dataset.audioOnly === "true";
+          const qualityLabel = audioOnly ? "Audio" : formatQualityLabel(selectedVideo);
 
           // Update displayed URL
           const shortUrl =
@@ -976,6 +1273,11 @@ function displayVideos(videoData) {
           const videoIndex = videoData.urls.findIndex((v) => v.url === selectedVideo.url);
           downloadBtn.dataset.index = videoIndex >= 0 ? videoIndex.toString() : "";
           downloadBtn.dataset.qualityLabel = qualityLabel;
+          if (audioOnly) {
+            downloadBtn.dataset.audioOnly = "true";
+          } else {
+            delete downloadBtn.dataset.audioOnly;
+          }
           copyBtn.dataset.url = selectedVideo.url;
 
           // Update selected state in menu
@@ -1016,6 +1318,9 @@ function displayVideos(videoData) {
     renderVideos(reliableUrls);
   }
 
+  // HLS qualities have no Content-Length; fetch their playlists for an estimate
+  loadHlsEstimates(reliableUrls);
+
   // Add event listeners for all download buttons
   document.querySelectorAll(".download-btn").forEach((btn) => {
     btn.addEventListener("click", (e) => {
@@ -1035,6 +1340,23 @@ function displayVideos(videoData) {
           "Dailymotion Video";
         // Get quality label from button if available
         const qualityLabel = e.target.dataset.qualityLabel || "";
+        // Optional time range from the clip inputs of this video
+        let clip;
+        try {
+          clip = readClipRange(e.target.closest(".video-item"));
+        } catch (clipError) {
+          showNotification("Invalid Clip Range", clipError.message, "error");
+          return;
+        }
+        const audioOnly =
+          e.target.dataset.audioOnly === "true"
+            ? normalizeAudioOnlyOptions(audioOnlyPreference)
+            : null;
+        const subtitles = readEmbeddedSubtitles(e.target.closest(".video-item"));
+        // Audio only has its own format settings, so no video preset applies
+        const transcode = audioOnly
+          ? null
+          : readTranscodePreset(e.target.closest(".video-item"));
         // Find index by URL (more reliable than object reference)
         const videoIndex = videoData.urls.findIndex((v) => v.url === url);
         downloadVideo(
@@ -1043,6 +1365,10 @@ function displayVideos(videoData) {
           videoItem.type,
           videoTitle,
           qualityLabel,
+          clip,
+          audioOnly,
+          subtitles,
+          transcode,
         );
       } else {
         console.error("Video item not found for URL:", url);
@@ -1050,6 +1376,73 @@ function displayVideos(videoData) {
     });
   });
 
+  // "Export as GIF/WebM": the clip range with the quality picked on the Download button
+  document.querySelectorAll(".clip-export-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      const item = e.currentTarget.closest(".video-item");
+      const downloadBtn = item.querySelector(".download-btn");
+      const url = downloadBtn.dataset.url;
+      const videoItem = videoData.urls.find((v) => v.url === url);
+      if (!videoItem) {
+        console.error("Video item not found for URL:", url);
+        return;
+      }
+      let clip;
+      try {
+        clip = readClipRange(item);
+      } catch (clipError) {
+        showNotification("Invalid Clip Range", clipError.message, "error");
+        return;
+      }
+      if (!clip || clip.end === null) {
+        showNotification(
+          "Invalid Clip Range",
+          "Set a start and an end time to export.",
+          "error",
+        );
+        return;
+      }
+      const animation = normalizeAnimationOptions({
+        format: item.querySelector(".clip-export-format").value,
+        width: item.querySelector(".clip-export-width").value,
+        fps: item.querySelector(".clip-export-fps").value,
+      });
+      const videoIndex = videoData.urls.findIndex((v) => v.url === url);
+      downloadVideo(
+        url,
+        videoIndex >= 0 ? videoIndex : 0,
+        videoItem.type,
+        downloadBtn.dataset.displayTitle ||
+          videoItem.videoTitle ||
+          videoData.videoTitle ||
+          "Dailymotion Video",
+        downloadBtn.dataset.qualityLabel || "",
+        clip,
+        null,
+        null,
+        null,
+        animation,
+      );
+    });
+  });
+
+  document.querySelectorAll(".subtitle-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      const subtitleBtn = e.currentTarget;
+      const videoItem = subtitleBtn.closest(".video-item");
+      const videoTitle =
+        videoItem?.querySelector(".download-btn")?.dataset.displayTitle ||
+        videoData.videoTitle ||
+        "Dailymotion Video";
+      downloadSubtitles(
+        subtitleBtn.dataset.url,
+        subtitleBtn.dataset.format,
+        videoTitle,
+        subtitleBtn.dataset.language || subtitleBtn.dataset.label,
+      );
+    });
+  });
+
   document.querySelectorAll(".copy-btn").forEach((btn) => {
     btn.addEventListener("click", (e) => {
       const url = e.target.dataset.url;
@@ -1148,6 +1541,11 @@ function downloadVideo(
   type,
   videoTitle = "Dailymotion Video",
   qualityLabel = "",
+  clip = null,
+  audioOnly = null,
+  subtitles = null,
+  transcode = null,
+  animation = null,
 ) {
   // Sanitize filename: remove invalid characters, limit length
   const sanitizeFilename = (name) => {
@@ -1164,7 +1562,12 @@ function downloadVideo(
   };
 
   const sanitizedTitle = sanitizeFilename(videoTitle);
-  const extension = getExtension(url);
+  // Audio only and animated exports: the extension follows the chosen format
+  const extension = animation
+    ? ANIMATION_FORMATS[animation.format].extension
+    : audioOnly
+      ? AUDIO_ONLY_FORMATS[audioOnly.format].extension
+      : getExtension(url);
 
   // Include quality in filename if available
   let filename;
@@ -1178,6 +1581,24 @@ function downloadVideo(
   } else {
     filename = `${sanitizedTitle}.${extension}`;
   }
+  if (clip) {
+    // "Title - 720p (clip 1m00s-3m30s).mp4"
+    const clipLabel = `${formatClipLabel(clip.start)}-${clip.end === null ? "end" : formatClipLabel(clip.end)}`;
+    filename = filename.replace(/(\.[^.]+)$/, ` (clip ${clipLabel})$1`);
+  }
+
+  // An HLS quality picked from the list is taken exactly if the URL turns out to be a
+  // master playlist; the stored preference still breaks ties (codec)
+  const pickedHeight =
+    isHLS(type) && !audioOnly ? extractQuality(type, url) : null;
+  const variantPolicy = pickedHeight
+    ? {
+        ...normalizeQualityPolicy(qualityPreference),
+        mode: "exact",
+        height: pickedHeight,
+        maxBandwidth: null,
+      }
+    : null;
 
   chrome.runtime.sendMessage(
     {
@@ -1186,6 +1607,12 @@ function downloadVideo(
       filename: filename,
       type: type,
       qualityLabel: qualityLabel,
+      clip: clip,
+      variantPolicy: variantPolicy,
+      audioOnly: audioOnly,
+      subtitles: subtitles,
+      transcode: transcode,
+      animation: animation,
       tabId: currentTabId,
       // Prefer the known videoId from captured data (avoids "fmp4" / other false IDs)
       videoId:
@@ -1199,6 +1626,8 @@ function downloadVideo(
     (downloadResponse) => {
       if (downloadResponse && downloadResponse.success) {
         console.log("Download started");
+      } else if (downloadResponse && downloadResponse.paused) {
+        console.log("Download paused");
       } else if (downloadResponse && downloadResponse.error) {
         // Show user-friendly error message in popup
         const errorMsg = downloadResponse.error;
@@ -1216,6 +1645,707 @@ function downloadVideo(
   );
 }
 
+/**
+ * Load the stored quality preference into the popup controls and save changes
+ */
+function setupQualityPreference() {
+  const container = document.getElementById("qualityPreference");
+  if (!container) return;
+  const modeSelect = document.getElementById("qualityMode");
+  const heightSelect = document.getElementById("qualityHeight");
+  const maxMbpsInput = document.getElementById("qualityMaxMbps");
+  const codecSelect = document.getElementById("qualityCodec");
+  const summary = container.querySelector(".quality-preference-summary");
+
+  const render = () => {
+    const policy = normalizeQualityPolicy(qualityPreference);
+    modeSelect.value = policy.mode;
+    if (policy.height) heightSelect.value = String(policy.height);
+    heightSelect.disabled = policy.mode === "best";
+    maxMbpsInput.value = policy.maxBandwidth
+      ? String(policy.maxBandwidth / 1000000)
+      : "";
+    codecSelect.value = policy.codec;
+    summary.textContent = describeQualityPolicy(policy);
+  };
+
+  const save = () => {
+    const maxMbps = parseFloat(maxMbpsInput.value);
+    qualityPreference = normalizeQualityPolicy({
+      mode: modeSelect.value,
+      height: heightSelect.value,
+      maxBandwidth: maxMbps > 0 ? Math.round(maxMbps * 1000000) : null,
+      codec: codecSelect.value,
+    });
+    chrome.storage.local.set({ qualityPreference });
+    render();
+  };
+
+  chrome.storage.local.get(["qualityPreference"], (result) => {
+    qualityPreference = normalizeQualityPolicy(result.qualityPreference);
+    render();
+  });
+
+  [modeSelect, heightSelect, maxMbpsInput, codecSelect].forEach((control) =>
+    control.addEventListener("change", save),
+  );
+}
+
+/**
+ * Load the stored live recording settings into the popup controls and save changes
+ */
+function setupLiveRecordingSettings() {
+  const container = document.getElementById("liveRecordingSettings");
+  if (!container) return;
+  const maxMinutesInput = document.getElementById("liveMaxMinutes");
+  const fromStartCheckbox = document.getElementById("liveFromStart");
+  const summary = container.querySelector(".quality-preference-summary");
+
+  const render = (settings) => {
+    const maxMinutes = parseFloat(settings.maxMinutes) || 0;
+    maxMinutesInput.value = maxMinutes > 0 ? String(maxMinutes) : "";
+    fromStartCheckbox.checked = !!settings.fromStart;
+    const limitText =
+      maxMinutes > 0 ? `Record up to ${maxMinutes} min` : "Record until stopped";
+    summary.textContent = settings.fromStart
+      ? `${limitText}, from the start`
+      : limitText;
+  };
+
+  const save = () => {
+    const maxMinutes = parseFloat(maxMinutesInput.value);
+    const liveRecordingSettings = {
+      maxMinutes: maxMinutes > 0 ? maxMinutes : null,
+      fromStart: fromStartCheckbox.checked,
+    };
+    chrome.storage.local.set({ liveRecordingSettings });
+    render(liveRecordingSettings);
+  };
+
+  chrome.storage.local.get(["liveRecordingSettings"], (result) => {
+    render(result.liveRecordingSettings || {});
+  });
+
+  [maxMinutesInput, fromStartCheckbox].forEach((control) =>
+    control.addEventListener("change", save),
+  );
+}
+
+/**
+ * Load the stored MP4 layout (regular or fragmented) into the popup and save changes
+ */
+function setupMp4LayoutSettings() {
+  const container = document.getElementById("mp4LayoutSettings");
+  if (!container) return;
+  const checkbox = document.getElementById("fragmentedMp4");
+  const summary = container.querySelector(".quality-preference-summary");
+
+  const render = (fragmented) => {
+    checkbox.checked = fragmented;
+    summary.textContent = fragmented ? "Fragmented" : "Regular";
+  };
+
+  chrome.storage.local.get(["fragmentedMp4Output"], (result) => {
+    render(!!result.fragmentedMp4Output);
+  });
+
+  checkbox.addEventListener("change", () => {
+    chrome.storage.local.set({ fragmentedMp4Output: checkbox.checked });
+    render(checkbox.checked);
+  });
+}
+
+/**
+ * Load the stored audio-only format and bitrate into the popup controls and save changes
+ */
+function setupAudioOnlySettings() {
+  const container = document.getElementById("audioOnlySettings");
+  if (!container) return;
+  const formatSelect = document.getElementById("audioOnlyFormat");
+  const bitrateSelect = document.getElementById("audioOnlyBitrate");
+  const summary = container.querySelector(".quality-preference-summary");
+
+  const render = () => {
+    const options = normalizeAudioOnlyOptions(audioOnlyPreference);
+    formatSelect.value = options.format;
+    bitrateSelect.value = String(options.bitrate);
+    // M4A keeps the stream's own audio, so there is no bitrate to pick
+    bitrateSelect.disabled = !AUDIO_ONLY_FORMATS[options.format].codec;
+    summary.textContent = describeAudioOnlyOptions(options);
+  };
+
+  const save = () => {
+    audioOnlyPreference = normalizeAudioOnlyOptions({
+      format: formatSelect.value,
+      bitrate: bitrateSelect.value,
+    });
+    chrome.storage.local.set({ audioOnlyPreference });
+    render();
+  };
+
+  chrome.storage.local.get(["audioOnlyPreference"], (result) => {
+    audioOnlyPreference = normalizeAudioOnlyOptions(result.audioOnlyPreference);
+    render();
+  });
+
+  [formatSelect, bitrateSelect].forEach((control) =>
+    control.addEventListener("change", save),
+  );
+}
+
+/**
+ * Load the stored subtitle languages to embed into the popup controls and save changes
+ */
+function setupSubtitleEmbedSettings() {
+  const container = document.getElementById("subtitleEmbedSettings");
+  if (!container) return;
+  const languagesInput = document.getElementById("subtitleEmbedLanguages");
+  const summary = container.querySelector(".quality-preference-summary");
+
+  const render = () => {
+    languagesInput.value = subtitleEmbedLanguages.join(", ");
+    summary.textContent = describeSubtitleLanguages(subtitleEmbedLanguages);
+  };
+
+  languagesInput.addEventListener("change", () => {
+    subtitleEmbedLanguages = normalizeSubtitleLanguages(languagesInput.value);
+    chrome.storage.local.set({ subtitleEmbedLanguages });
+    render();
+  });
+
+  chrome.storage.local.get(["subtitleEmbedLanguages"], (result) => {
+    subtitleEmbedLanguages = normalizeSubtitleLanguages(
+      result.subtitleEmbedLanguages,
+    );
+    render();
+  });
+}
+
+/**
+ * Load the stored transcoding presets into the popup controls and save changes
+ * Built-in presets can't be changed; user-defined ones are added from the form and removed
+ * from their row.
+ */
+function setupTranscodeSettings() {
+  const container = document.getElementById("transcodeSettings");
+  if (!container) return;
+  const defaultSelect = document.getElementById("transcodeDefault");
+  const list = document.getElementById("transcodeCustomList");
+  const summary = container.querySelector(".quality-preference-summary");
+  const form = {
+    name: document.getElementById("transcodeName"),
+    maxHeight: document.getElementById("transcodeMaxHeight"),
+    crf: document.getElementById("transcodeCrf"),
+    audioBitrate: document.getElementById("transcodeAudioBitrate"),
+    constantFrameRate: document.getElementById("transcodeConstantFrameRate"),
+    allIntra: document.getElementById("transcodeAllIntra"),
+  };
+  let customPresets = [];
+
+  const render = () => {
+    transcodePresets = getTranscodePresets(customPresets);
+    if (!transcodePresets.some((preset) => preset.id === defaultTranscodePresetId)) {
+      defaultTranscodePresetId = "";
+    }
+
+    fillTranscodePresetSelect(defaultSelect, defaultTranscodePresetId);
+    summary.textContent =
+      transcodePresets.find((preset) => preset.id === defaultTranscodePresetId)?.name ||
+      "Original";
+
+    list.innerHTML = "";
+    customPresets.forEach((preset) => {
+      const row = document.createElement("div");
+      row.className = "quality-preference-row";
+      const label = document.createElement("span");
+      label.className = "transcode-custom-label";
+      label.textContent = preset.name;
+      label.title = describeTranscodePreset(preset);
+      const remove = document.createElement("button");
+      remove.className = "pause-btn";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => {
+        customPresets = customPresets.filter((p) => p.id !== preset.id);
+        save();
+      });
+      row.append(label, remove);
+      list.appendChild(row);
+    });
+  };
+
+  const save = () => {
+    chrome.storage.local.set({
+      customTranscodePresets: customPresets,
+      defaultTranscodePreset: defaultTranscodePresetId || null,
+    });
+    render();
+    // Refresh the per-video lists, keeping each one's pick while it still exists
+    document.querySelectorAll(".transcode-preset").forEach((select) => {
+      fillTranscodePresetSelect(select, select.value);
+    });
+  };
+
+  defaultSelect.addEventListener("change", () => {
+    defaultTranscodePresetId = defaultSelect.value;
+    save();
+  });
+
+  document.getElementById("addTranscodePreset").addEventListener("click", () => {
+    const preset = normalizeTranscodePreset({
+      id: `custom_${Date.now()}`,
+      name: form.name.value,
+      maxHeight: form.maxHeight.value,
+      crf: form.crf.value,
+      audioBitrate: form.audioBitrate.value,
+      constantFrameRate: form.constantFrameRate.checked,
+      allIntra: form.allIntra.checked,
+    });
+    customPresets = [...customPresets, preset];
+    form.name.value = "";
+    save();
+  });
+
+  chrome.storage.local.get(
+    ["customTranscodePresets", "defaultTranscodePreset"],
+    (result) => {
+      customPresets = getTranscodePresets(result.customTranscodePresets).filter(
+        (preset) => !TRANSCODE_PRESETS[preset.id],
+      );
+      defaultTranscodePresetId = result.defaultTranscodePreset || "";
+      render();
+    },
+  );
+}
+
+/**
+ * Show the save location and open the save page to change it
+ */
+function setupSaveLocationSettings() {
+  const container = document.getElementById("saveLocationSettings");
+  if (!container) return;
+  const summary = container.querySelector(".quality-preference-summary");
+  const detail = container.querySelector(".save-location-detail");
+
+  const render = (result) => {
+    const saveLocation = normalizeSaveLocation(result.saveLocation);
+    summary.textContent = describeSaveLocation(saveLocation);
+    const needsAccess =
+      saveLocation.mode === "folder" && !!result.saveLocationNeedsAccess;
+    detail.classList.toggle("needs-access", needsAccess);
+    if (needsAccess) {
+      detail.textContent = "Access to the folder has to be allowed again.";
+    } else if (saveLocation.mode === "folder") {
+      detail.textContent = "Finished files are written into the folder.";
+    } else if (saveLocation.mode === "ask") {
+      detail.textContent = "A save page opens when a download starts.";
+    } else {
+      detail.textContent = "Finished files go through the browser's downloads.";
+    }
+    // Point the user at the problem
+    if (needsAccess) container.open = true;
+  };
+
+  chrome.storage.local.get(["saveLocation", "saveLocationNeedsAccess"], render);
+
+  document.getElementById("openSaveLocation").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("popup/saveLocation.html") });
+  });
+}
+
+/**
+ * Load the recent download reports whenever the reports section is opened
+ */
+function setupDownloadReports() {
+  const container = document.getElementById("downloadReports");
+  if (!container) return;
+  container.addEventListener("toggle", () => {
+    if (!container.open) return;
+    chrome.runtime.sendMessage({ action: "getDownloadReports" }, (response) => {
+      if (chrome.runtime.lastError) return;
+      renderDownloadReports(
+        container.querySelector(".download-report-list"),
+        response && response.success ? response.reports : [],
+      );
+    });
+  });
+}
+
+/**
+ * Render download reports: file, completion time, the CDN of each part and
+ * the segments that couldn't be fixed
+ * @param {HTMLElement} list - Element to render into
+ * @param {Array} reports - Reports from getDownloadReports
+ */
+function renderDownloadReports(list, reports) {
+  list.innerHTML = "";
+  if (!reports || reports.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "download-report-empty";
+    empty.textContent = "No finished HLS downloads yet.";
+    list.appendChild(empty);
+    return;
+  }
+
+  reports.forEach((report) => {
+    const item = document.createElement("div");
+    item.className = "download-report";
+    const title = document.createElement("div");
+    title.className = "download-report-title";
+    title.textContent = report.filename;
+    title.title = report.filename;
+    const meta = document.createElement("div");
+    meta.className = "download-report-meta";
+    meta.textContent = `${new Date(report.completedAt).toLocaleString()} · ${report.segmentCount} segments${report.codecs ? ` · ${report.codecs}` : ""}`;
+    item.append(title, meta);
+    (report.parts || []).forEach((part) => {
+      const row = document.createElement("div");
+      row.className = "download-report-part";
+      row.textContent = `${part.part}: ${part.cdn}`;
+      item.appendChild(row);
+    });
+    (report.unfixableSegments || []).forEach((segment) => {
+      const row = document.createElement("div");
+      row.className = "download-report-part download-report-unfixable";
+      row.textContent = `⚠️ ${segment.part}: ${segment.reason}${segment.cdn ? ` (${segment.cdn})` : ""}`;
+      item.appendChild(row);
+    });
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Load and render downloads in progress, with a Pause action
+ */
+function loadRunningDownloads() {
+  chrome.runtime.sendMessage({ action: "getRunningDownloads" }, (response) => {
+    if (chrome.runtime.lastError) return;
+    renderRunningDownloads(
+      response && response.success ? response.downloads : [],
+    );
+  });
+}
+
+/**
+ * Render the "Downloading" list with Pause actions (Stop for live recordings)
+ * @param {Array} downloads - [{downloadId, filename, progress, status, canPause, live}]
+ */
+function renderRunningDownloads(downloads) {
+  const container = document.getElementById("runningList");
+  if (!container) return;
+  container.innerHTML = "";
+  if (!downloads || downloads.length === 0) {
+    container.style.display = "none";
+    return;
+  }
+  container.style.display = "block";
+
+  const header = document.createElement("div");
+  header.className = "resume-header";
+  header.textContent = "⬇️ Downloading";
+  container.appendChild(header);
+
+  downloads.forEach((download) => {
+    const row = document.createElement("div");
+    row.className = "resume-item";
+    row.innerHTML = `
+      <div class="resume-info">
+        <div class="resume-filename"></div>
+        <div class="resume-progress"></div>
+      </div>
+      <button class="pause-btn">Pause</button>
+    `;
+    const filenameEl = row.querySelector(".resume-filename");
+    filenameEl.textContent = download.filename;
+    filenameEl.title = download.filename;
+    // A live recording has no meaningful percentage; its status shows the recorded length
+    row.querySelector(".resume-progress").textContent = download.live
+      ? download.status
+      : `${download.progress}% - ${download.status}`;
+
+    const pauseBtn = row.querySelector(".pause-btn");
+    if (download.live) {
+      pauseBtn.textContent = "Stop";
+      pauseBtn.title = "Stop recording and save what was recorded";
+      pauseBtn.addEventListener("click", () => {
+        pauseBtn.disabled = true;
+        chrome.runtime.sendMessage(
+          { action: "stopLiveRecording", downloadId: download.downloadId },
+          (stopResponse) => {
+            if (stopResponse && !stopResponse.success && stopResponse.error) {
+              showNotification("Stop Failed", stopResponse.error, "error");
+              loadRunningDownloads();
+              return;
+            }
+            showNotification(
+              "Recording Stopped",
+              "The recording is being merged and saved.",
+              "success",
+            );
+            setTimeout(loadRunningDownloads, 1000);
+          },
+        );
+      });
+      container.appendChild(row);
+      return;
+    }
+    if (!download.canPause) {
+      pauseBtn.disabled = true;
+      pauseBtn.title = "Fetching is done; the file is being merged";
+    }
+    pauseBtn.addEventListener("click", () => {
+      pauseBtn.disabled = true;
+      chrome.runtime.sendMessage(
+        { action: "pauseDownload", downloadId: download.downloadId },
+        (pauseResponse) => {
+          if (pauseResponse && !pauseResponse.success && pauseResponse.error) {
+            showNotification("Pause Failed", pauseResponse.error, "error");
+            loadRunningDownloads();
+            return;
+          }
+          showNotification(
+            "Download Paused",
+            "The data received so far is kept. Resume it from this list or the page notification.",
+            "success",
+          );
+          // The download needs a moment to stop and store its data
+          setTimeout(() => {
+            loadRunningDownloads();
+            loadInterruptedDownloads();
+          }, 1000);
+        },
+      );
+    });
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Load and render paused or interrupted downloads that can be resumed
+ */
+function loadInterruptedDownloads() {
+  chrome.runtime.sendMessage(
+    { action: "getInterruptedDownloads" },
+    (response) => {
+      if (chrome.runtime.lastError) return;
+      renderInterruptedDownloads(
+        response && response.success ? response.downloads : [],
+      );
+    },
+  );
+}
+
+/**
+ * Render the "Paused & interrupted downloads" list with Resume / Discard actions
+ * @param {Array} downloads - [{downloadId, filename, paused, completedCount, segmentCount,
+ *   receivedBytes, totalSize}]; HLS entries count segments, MP4 entries count bytes
+ */
+function renderInterruptedDownloads(downloads) {
+  const container = document.getElementById("resumeList");
+  if (!container) return;
+  container.innerHTML = "";
+  if (!downloads || downloads.length === 0) {
+    container.style.display = "none";
+    return;
+  }
+  container.style.display = "block";
+
+  const header = document.createElement("div");
+  header.className = "resume-header";
+  header.textContent = "⏸️ Paused & interrupted downloads";
+  container.appendChild(header);
+
+  downloads.forEach((download) => {
+    let progressText = "Nothing downloaded yet";
+    if (download.segmentCount) {
+      const percent = Math.round(
+        (download.completedCount / download.segmentCount) * 100,
+      );
+      progressText = `${download.completedCount}/${download.segmentCount} segments (${percent}%)`;
+    } else if (download.receivedBytes) {
+      progressText = download.totalSize
+        ? `${formatFileSize(download.receivedBytes, 1)} / ${formatFileSize(download.totalSize, 1)} (${Math.round((download.receivedBytes / download.totalSize) * 100)}%)`
+        : formatFileSize(download.receivedBytes, 1);
+    }
+    const row = document.createElement("div");
+    row.className = "resume-item";
+    row.innerHTML = `
+      <div class="resume-info">
+        <div class="resume-filename"></div>
+        <div class="resume-progress">${download.paused ? "Paused" : "Interrupted"} - ${progressText}</div>
+      </div>
+      <button class="resume-btn">Resume</button>
+      <button class="discard-btn" title="Delete the downloaded data">✕</button>
+    `;
+    const filenameEl = row.querySelector(".resume-filename");
+    filenameEl.textContent = download.filename;
+    filenameEl.title = download.filename;
+
+    row.querySelector(".resume-btn").addEventListener("click", () => {
+      chrome.runtime.sendMessage(
+        {
+          action: "resumeDownload",
+          downloadId: download.downloadId,
+          tabId: currentTabId,
+        },
+        (resumeResponse) => {
+          if (
+            resumeResponse &&
+            !resumeResponse.success &&
+            !resumeResponse.paused &&
+            resumeResponse.error
+          ) {
+            showNotification("Resume Failed", resumeResponse.error, "error");
+            loadInterruptedDownloads();
+          }
+        },
+      );
+      row.remove();
+      if (container.querySelectorAll(".resume-item").length === 0) {
+        container.style.display = "none";
+      }
+      showNotification(
+        "Download Resumed",
+        "Only the missing part will be downloaded.",
+        "success",
+      );
+      setTimeout(loadRunningDownloads, 1000);
+    });
+
+    row.querySelector(".discard-btn").addEventListener("click", () => {
+      chrome.runtime.sendMessage(
+        { action: "discardInterruptedDownload", downloadId: download.downloadId },
+        () => loadInterruptedDownloads(),
+      );
+    });
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Read the clip range entered for a video item
+ * @param {Element|null} videoItem - The .video-item element
+ * @returns {Object|null} {start, end, frameAccurate} in seconds (end null = to the end), or null for the full video
+ * @throws {Error} If a time can't be parsed or the end is not after the start
+ */
+function readClipRange(videoItem) {
+  const startInput = videoItem && videoItem.querySelector(".clip-start");
+  const endInput = videoItem && videoItem.querySelector(".clip-end");
+  if (!startInput || !endInput) return null;
+
+  const start = parseTimecode(startInput.value);
+  const end = parseTimecode(endInput.value);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    throw new Error("Use times like 90, 1:30 or 1:02:30.");
+  }
+  if (start === null && end === null) return null;
+  if (end !== null && end <= (start || 0)) {
+    throw new Error("The clip end must be after the start.");
+  }
+  return {
+    start: start || 0,
+    end: end,
+    frameAccurate: !!videoItem.querySelector(".clip-frame-accurate")?.checked,
+  };
+}
+
+/**
+ * Format seconds for a filename-safe clip label (e.g. "1h02m30s", "2m05s")
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Label
+ */
+function formatClipLabel(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}h${String(m).padStart(2, "0")}m${s}s` : `${m}m${s}s`;
+}
+
+/**
+ * Fill a preset list with "Original" and every transcoding preset
+ * @param {HTMLSelectElement} select - The list to fill
+ * @param {string} value - Preset ID to select ("" or an unknown one selects "Original")
+ */
+function fillTranscodePresetSelect(select, value) {
+  select.innerHTML = "";
+  select.appendChild(new Option("Original (no re-encode)", ""));
+  transcodePresets.forEach((preset) => {
+    select.appendChild(new Option(preset.name, preset.id));
+  });
+  select.value = transcodePresets.some((preset) => preset.id === value) ? value : "";
+}
+
+/**
+ * Read the transcoding preset picked for a video item
+ * @param {Element|null} videoItem - The .video-item element
+ * @returns {Object|null} The preset (see normalizeTranscodePreset), or null to keep the
+ *   streams as they are
+ */
+function readTranscodePreset(videoItem) {
+  const select = videoItem && videoItem.querySelector(".transcode-preset");
+  if (!select || !select.value) return null;
+  return transcodePresets.find((preset) => preset.id === select.value) || null;
+}
+
+/**
+ * Read the subtitle renditions ticked for embedding in a video item
+ * @param {Element|null} videoItem - The .video-item element
+ * @returns {Array|null} Renditions {uri, language, name, isDefault, forced}, or null when
+ *   the item lists no subtitles (the background then uses the stored languages)
+ */
+function readEmbeddedSubtitles(videoItem) {
+  const checkboxes = videoItem
+    ? [...videoItem.querySelectorAll(".subtitle-embed")]
+    : [];
+  if (checkboxes.length === 0) return null;
+  return checkboxes
+    .filter((checkbox) => checkbox.checked)
+    .map((checkbox) => ({
+      uri: checkbox.dataset.url,
+      language: checkbox.dataset.language || null,
+      name: checkbox.dataset.label || null,
+      isDefault: checkbox.dataset.default === "true",
+      forced: checkbox.dataset.forced === "true",
+    }));
+}
+
+/**
+ * Download a subtitle rendition as a .vtt or .srt file
+ * @param {string} url - Subtitle rendition playlist URL
+ * @param {string} format - "vtt" or "srt"
+ * @param {string} videoTitle - Title used for the filename
+ * @param {string} language - Language code or track name for the filename
+ */
+function downloadSubtitles(url, format, videoTitle, language) {
+  const baseName = `${videoTitle}${language ? ` - ${language}` : ""}`;
+  chrome.runtime.sendMessage(
+    {
+      action: "downloadSubtitles",
+      url: url,
+      format: format,
+      filename: `${baseName}.${format}`,
+      tabId: currentTabId,
+    },
+    (response) => {
+      if (response && response.success) {
+        showNotification(
+          "Subtitles Saved",
+          `${response.cueCount} cues saved as .${format}`,
+          "success",
+        );
+      } else {
+        showNotification(
+          "Subtitle Download Failed",
+          (response && response.error) || "Could not download subtitles.",
+          "error",
+        );
+      }
+    },
+  );
+}
+
 // Show notification in popup (replaces alert)
 function showNotification(title, message, type = "info") {
   const notificationArea = document.getElementById("notificationArea");
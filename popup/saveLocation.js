@@ -0,0 +1,224 @@
+// Save location page
+// Picks where finished downloads are written: the browser's downloads, a folder for every
+// download (showDirectoryPicker) or a file per download (showSaveFilePicker, opened with
+// ?downloadId=...&filename=... when a download starts). Handles are stored in the shared
+// IndexedDB blob store for the offscreen document's writer (background/fileSystemWriter.js).
+
+const SAVE_DIRECTORY_HANDLE_KEY = "fsDirectoryHandle";
+
+const pageParams = new URLSearchParams(window.location.search);
+const requestDownloadId = pageParams.get("downloadId");
+const requestFilename = pageParams.get("filename") || "dailymotion_video.mp4";
+
+/**
+ * Run a request against the shared IndexedDB blob store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} run - Gets the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function withHandleStore(mode, run) {
+  const db = await openDownloaderDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(["blobs"], mode);
+      const req = run(tx.objectStore("blobs"));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Suggested name for the file picker (HLS downloads are saved as MP4)
+ * @param {string} filename - Name the download was started with
+ * @returns {string}
+ */
+function getSuggestedSaveName(filename) {
+  return filename.replace(/\.m3u8$/i, ".mp4");
+}
+
+/**
+ * Show the stored save location and whether folder access has to be allowed again
+ */
+async function renderSaveLocation() {
+  const stored = await chrome.storage.local.get([
+    "saveLocation",
+    "saveLocationNeedsAccess",
+  ]);
+  const saveLocation = normalizeSaveLocation(stored.saveLocation);
+  document.getElementById("saveLocationSummary").textContent =
+    describeSaveLocation(saveLocation);
+  document.querySelectorAll('input[name="saveMode"]').forEach((radio) => {
+    radio.checked = radio.value === saveLocation.mode;
+  });
+
+  let needsAccess = false;
+  if (saveLocation.mode === "folder") {
+    const handle = await withHandleStore("readonly", (store) =>
+      store.get(SAVE_DIRECTORY_HANDLE_KEY),
+    ).catch(() => null);
+    needsAccess =
+      !!handle &&
+      (await handle.queryPermission({ mode: "readwrite" })) !== "granted";
+    if (!needsAccess && stored.saveLocationNeedsAccess) {
+      chrome.storage.local.remove("saveLocationNeedsAccess");
+    }
+  }
+  document.getElementById("saveFolderAccessRow").style.display = needsAccess
+    ? "flex"
+    : "none";
+}
+
+/**
+ * Pick a folder that every download is written into
+ */
+async function chooseSaveFolder() {
+  let directory;
+  try {
+    directory = await window.showDirectoryPicker({
+      id: "dailymotion-downloads",
+      mode: "readwrite",
+    });
+  } catch (error) {
+    if (error.name !== "AbortError") console.warn("Folder picker failed:", error);
+    return renderSaveLocation();
+  }
+  await withHandleStore("readwrite", (store) =>
+    store.put(directory, SAVE_DIRECTORY_HANDLE_KEY),
+  );
+  await chrome.storage.local.set({
+    saveLocation: { mode: "folder", folderName: directory.name },
+  });
+  await chrome.storage.local.remove("saveLocationNeedsAccess");
+  renderSaveLocation();
+}
+
+/**
+ * Ask again for access to the stored folder (needs this click, a user gesture)
+ */
+async function allowSaveFolder() {
+  const handle = await withHandleStore("readonly", (store) =>
+    store.get(SAVE_DIRECTORY_HANDLE_KEY),
+  ).catch(() => null);
+  if (!handle) return chooseSaveFolder();
+  const permission = await handle.requestPermission({ mode: "readwrite" });
+  if (permission === "granted") {
+    await chrome.storage.local.remove("saveLocationNeedsAccess");
+  }
+  renderSaveLocation();
+}
+
+/**
+ * Switch between the browser's downloads, the chosen folder and asking per download
+ * @param {string} mode - "downloads", "folder" or "ask"
+ */
+async function setSaveMode(mode) {
+  if (mode === "folder") {
+    const handle = await withHandleStore("readonly", (store) =>
+      store.get(SAVE_DIRECTORY_HANDLE_KEY),
+    ).catch(() => null);
+    // A folder has to be picked before it can be used
+    if (!handle) return chooseSaveFolder();
+    await chrome.storage.local.set({
+      saveLocation: { mode, folderName: handle.name },
+    });
+  } else {
+    await chrome.storage.local.set({ saveLocation: { mode } });
+  }
+  renderSaveLocation();
+}
+
+/**
+ * Pick the file for the download this page was opened for
+ */
+async function chooseSaveFile() {
+  let fileHandle;
+  try {
+    fileHandle = await window.showSaveFilePicker({
+      id: "dailymotion-downloads",
+      suggestedName: getSuggestedSaveName(requestFilename),
+    });
+  } catch (error) {
+    if (error.name !== "AbortError") console.warn("File picker failed:", error);
+    return;
+  }
+  await withHandleStore("readwrite", (store) =>
+    store.put(fileHandle, `fsFileHandle_${requestDownloadId}`),
+  );
+  await chrome.storage.local.set({
+    [`saveFileChoice_${requestDownloadId}`]: "file",
+  });
+  document.getElementById("saveFileName").textContent = fileHandle.name;
+  setSaveFileButtonsEnabled(false);
+}
+
+/**
+ * Let this download go through the browser's downloads
+ */
+async function useBrowserDownloads() {
+  await chrome.storage.local.set({
+    [`saveFileChoice_${requestDownloadId}`]: "downloads",
+  });
+  window.close();
+}
+
+/**
+ * @param {boolean} enabled
+ */
+function setSaveFileButtonsEnabled(enabled) {
+  document.getElementById("chooseSaveFile").disabled = !enabled;
+  document.getElementById("useBrowserDownloads").disabled = !enabled;
+}
+
+/**
+ * Follow the download this page was opened for; the tab closes once its file is written
+ */
+function setupSaveFileRequest() {
+  document.getElementById("saveFileRequest").style.display = "block";
+  document.getElementById("saveFileName").textContent =
+    getSuggestedSaveName(requestFilename);
+  const choiceKey = `saveFileChoice_${requestDownloadId}`;
+  const statusKey = `downloadStatus_${requestDownloadId}`;
+  const status = document.getElementById("saveFileStatus");
+
+  chrome.storage.local.get([choiceKey, statusKey], (result) => {
+    if (result[choiceKey]) setSaveFileButtonsEnabled(false);
+    if (result[statusKey]) status.textContent = result[statusKey];
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    if (changes[statusKey]?.newValue) {
+      status.textContent = changes[statusKey].newValue;
+    }
+    if (changes[choiceKey]?.newValue === "saved") {
+      status.textContent = "Saved.";
+      setTimeout(() => window.close(), 1500);
+    }
+  });
+
+  document
+    .getElementById("chooseSaveFile")
+    .addEventListener("click", chooseSaveFile);
+  document
+    .getElementById("useBrowserDownloads")
+    .addEventListener("click", useBrowserDownloads);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  if (requestDownloadId) setupSaveFileRequest();
+
+  document.querySelectorAll('input[name="saveMode"]').forEach((radio) => {
+    radio.addEventListener("change", () => setSaveMode(radio.value));
+  });
+  document
+    .getElementById("chooseSaveFolder")
+    .addEventListener("click", chooseSaveFolder);
+  document
+    .getElementById("allowSaveFolder")
+    .addEventListener("click", allowSaveFolder);
+
+  renderSaveLocation();
+});
@@ -166,6 +166,26 @@ function getAllDownloadProgressKeys(callback) {
   });
 }
 
+/**
+ * Open the extension's IndexedDB (DailymotionDownloaderDB), creating its "blobs" store
+ * Downloads, conversions and save handles all share it, from the service worker, the
+ * offscreen document and the extension pages.
+ * 
+ * @returns {Promise<IDBDatabase>} - Close it when done
+ */
+function openDownloaderDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open('DailymotionDownloaderDB', 1);
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => resolve(req.result);
+    req.onupgradeneeded = (e) => {
+      if (!e.target.result.objectStoreNames.contains('blobs')) {
+        e.target.result.createObjectStore('blobs');
+      }
+    };
+  });
+}
+
 // Export functions for use in different contexts
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js/CommonJS
@@ -176,6 +196,7 @@ if (typeof module !== 'undefined' && module.exports) {
     isExtensionContextValid,
     getDownloadProgressKey,
     getDownloadStatusKey,
-    getAllDownloadProgressKeys
+    getAllDownloadProgressKeys,
+    openDownloaderDB
   };
 }
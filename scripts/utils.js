@@ -491,6 +491,427 @@ function isSegmentPlaylist(url) {
          (url.includes('/playlist/av/') && url.includes('/avf/'));
 }
 
+/**
+ * Parse a user-entered timecode into seconds
+ * Accepts "ss", "mm:ss" or "hh:mm:ss", each with optional fractional seconds
+ * 
+ * @param {string} text - Timecode text (e.g. "1:02:30", "90", "4:05.5")
+ * @returns {number|null} - Seconds, null for empty input, NaN if the text is not a timecode
+ */
+function parseTimecode(text) {
+  if (text === null || text === undefined || String(text).trim() === '') {
+    return null;
+  }
+  const parts = String(text).trim().split(':');
+  if (parts.length > 3 || !parts.every(part => /^\d+(\.\d+)?$/.test(part))) {
+    return NaN;
+  }
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Format a duration in seconds for display ("1h 43m", "12m 05s", "45s")
+ * 
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Human-readable duration
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+  return `${secs}s`;
+}
+
+/**
+ * Format a bitrate in bits per second for display ("5.2 Mbps", "128 kbps")
+ * 
+ * @param {number|null} bitsPerSecond - Bitrate (e.g. an HLS BANDWIDTH attribute)
+ * @returns {string} - Human-readable bitrate, '' when unknown
+ */
+function formatBitrate(bitsPerSecond) {
+  if (!bitsPerSecond || bitsPerSecond <= 0) return '';
+  if (bitsPerSecond >= 1000000) {
+    return `${parseFloat((bitsPerSecond / 1000000).toFixed(1))} Mbps`;
+  }
+  return `${Math.round(bitsPerSecond / 1000)} kbps`;
+}
+
+/**
+ * Describe an HLS variant's size and duration estimate (e.g. "≈ 1.2 GB · 1h 43m")
+ * Sizes from byte ranges are exact and shown without "≈".
+ * 
+ * @param {Object|null} estimate - {sizeBytes, durationSeconds, live, source} from the background
+ * @returns {string} - Summary, or '' when nothing is known
+ */
+function formatSizeEstimate(estimate) {
+  if (!estimate) return '';
+  if (estimate.live) return 'Live';
+  const parts = [];
+  if (estimate.sizeBytes > 0) {
+    const size = formatFileSize(estimate.sizeBytes, 1);
+    parts.push(estimate.source === 'byterange' ? size : `≈ ${size}`);
+  }
+  if (estimate.durationSeconds > 0) {
+    parts.push(formatDuration(estimate.durationSeconds));
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Normalize a variant selection policy
+ * A policy picks one rendition out of several qualities:
+ * - mode 'best': highest quality (the default)
+ * - mode 'exact': the rendition with exactly `height` lines (nearest one if missing)
+ * - mode 'max': the best rendition at or below `height` (e.g. "best <= 720p")
+ * `maxBandwidth` (bits/s) caps the bitrate in any mode, and `codec` ('avc', 'hevc',
+ * 'av1' or 'any') is preferred when several renditions share the same height.
+ * 
+ * @param {Object|null} policy - Policy {mode, height, maxBandwidth, codec}
+ * @returns {Object} - Policy with every field filled in
+ */
+function normalizeQualityPolicy(policy) {
+  const source = policy && typeof policy === 'object' ? policy : {};
+  const height = parseInt(source.height, 10);
+  const maxBandwidth = parseInt(source.maxBandwidth, 10);
+  const hasHeight = height > 0;
+  return {
+    mode: hasHeight && (source.mode === 'exact' || source.mode === 'max') ? source.mode : 'best',
+    height: hasHeight ? height : null,
+    maxBandwidth: maxBandwidth > 0 ? maxBandwidth : null,
+    codec: ['avc', 'hevc', 'av1'].includes(source.codec) ? source.codec : 'any'
+  };
+}
+
+/**
+ * Get the video codec family of an RFC 6381 CODECS string
+ * 
+ * @param {string|null} codecs - CODECS attribute (e.g. "avc1.64001f,mp4a.40.2")
+ * @returns {string|null} - 'avc', 'hevc', 'av1', 'vp9', or null if unknown
+ */
+function getCodecFamily(codecs) {
+  if (!codecs) {
+    return null;
+  }
+  const value = String(codecs).toLowerCase();
+  if (/\b(avc1|avc3)\./.test(value)) return 'avc';
+  if (/\b(hvc1|hev1)\./.test(value)) return 'hevc';
+  if (/\bav01\./.test(value)) return 'av1';
+  if (/\bvp0?9/.test(value)) return 'vp9';
+  return null;
+}
+
+/**
+ * Pick a rendition according to a variant selection policy
+ * Renditions that break the height or bandwidth constraint are skipped; if none is
+ * left, the closest one is used instead (nearest height, then lowest bandwidth), so a
+ * download never fails just because the preference can't be met exactly.
+ * 
+ * @param {Array} variants - Renditions to choose from
+ * @param {Object|null} policy - Policy (see normalizeQualityPolicy)
+ * @param {Function} getInfo - Optional (variant) => {height, bandwidth, codecs}; by default
+ *   height is read from `variant.resolution` ("1280x720") and the rest from the variant
+ * @returns {Object|null} - The chosen variant, or null if the list is empty
+ */
+function selectVariantByPolicy(variants, policy, getInfo) {
+  if (!Array.isArray(variants) || variants.length === 0) {
+    return null;
+  }
+  const rules = normalizeQualityPolicy(policy);
+  const describe = getInfo || ((variant) => {
+    const match = /^\d+x(\d+)$/.exec(variant.resolution || '');
+    return {
+      height: match ? parseInt(match[1], 10) : null,
+      bandwidth: variant.bandwidth || null,
+      codecs: variant.codecs || null
+    };
+  });
+  const candidates = variants.map((variant, index) => {
+    const info = describe(variant) || {};
+    return {
+      variant,
+      index,
+      height: info.height || 0,
+      bandwidth: info.bandwidth || 0,
+      codecMatches: rules.codec !== 'any' && getCodecFamily(info.codecs) === rules.codec
+    };
+  });
+
+  const allowed = candidates.filter((c) => {
+    if (rules.mode === 'exact' && c.height !== rules.height) return false;
+    if (rules.mode === 'max' && (!c.height || c.height > rules.height)) return false;
+    if (rules.maxBandwidth && c.bandwidth && c.bandwidth > rules.maxBandwidth) return false;
+    return true;
+  });
+
+  if (allowed.length > 0) {
+    // Highest first; preferred codec, then bitrate, break ties; list order breaks the rest
+    allowed.sort((a, b) =>
+      b.height - a.height ||
+      Number(b.codecMatches) - Number(a.codecMatches) ||
+      b.bandwidth - a.bandwidth ||
+      a.index - b.index
+    );
+    return allowed[0].variant;
+  }
+
+  // Nothing satisfies the policy: fall back to the closest rendition
+  const target = rules.height || 0;
+  candidates.sort((a, b) =>
+    Math.abs(a.height - target) - Math.abs(b.height - target) ||
+    a.bandwidth - b.bandwidth ||
+    a.index - b.index
+  );
+  return candidates[0].variant;
+}
+
+/**
+ * Describe a variant selection policy for display (e.g. "Best up to 720p, AVC")
+ * 
+ * @param {Object|null} policy - Policy (see normalizeQualityPolicy)
+ * @returns {string} - Human-readable summary
+ */
+function describeQualityPolicy(policy) {
+  const rules = normalizeQualityPolicy(policy);
+  const parts = [
+    rules.mode === 'exact' ? `${rules.height}p` :
+      rules.mode === 'max' ? `Best up to ${rules.height}p` :
+        'Best quality'
+  ];
+  if (rules.maxBandwidth) {
+    parts.push(`max ${(rules.maxBandwidth / 1000000).toFixed(1)} Mbps`);
+  }
+  if (rules.codec !== 'any') {
+    parts.push(rules.codec.toUpperCase());
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Audio-only output formats
+ * m4a keeps the stream's AAC audio as is; mp3 and opus are transcoded at a chosen bitrate.
+ */
+const AUDIO_ONLY_FORMATS = {
+  m4a: { label: 'M4A', extension: 'm4a', mimeType: 'audio/mp4', codec: null },
+  mp3: { label: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg', codec: 'libmp3lame' },
+  opus: { label: 'Opus', extension: 'opus', mimeType: 'audio/ogg', codec: 'libopus' }
+};
+
+/** Bitrates (kbps) offered for transcoded audio */
+const AUDIO_ONLY_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+
+/**
+ * Normalize audio-only download options
+ * 
+ * @param {Object|null} options - Options {format, bitrate}
+ * @returns {Object} - {format: 'm4a'|'mp3'|'opus', bitrate: kbps}
+ */
+function normalizeAudioOnlyOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  const bitrate = parseInt(source.bitrate, 10);
+  return {
+    format: AUDIO_ONLY_FORMATS[source.format] ? source.format : 'm4a',
+    bitrate: AUDIO_ONLY_BITRATES.includes(bitrate) ? bitrate : 192
+  };
+}
+
+/**
+ * Describe audio-only download options for display (e.g. "MP3 192 kbps")
+ * 
+ * @param {Object|null} options - Options (see normalizeAudioOnlyOptions)
+ * @returns {string} - Human-readable summary
+ */
+function describeAudioOnlyOptions(options) {
+  const { format, bitrate } = normalizeAudioOnlyOptions(options);
+  const label = AUDIO_ONLY_FORMATS[format].label;
+  return AUDIO_ONLY_FORMATS[format].codec ? `${label} ${bitrate} kbps` : `${label} (original audio)`;
+}
+
+/**
+ * Normalize the stored save location (where finished downloads are written)
+ * 
+ * @param {Object|null} saveLocation - Stored {mode, folderName}
+ * @returns {Object} - {mode: "downloads"|"folder"|"ask", folderName}
+ */
+function normalizeSaveLocation(saveLocation) {
+  const source = saveLocation || {};
+  const mode = ['folder', 'ask'].includes(source.mode) ? source.mode : 'downloads';
+  return {
+    mode,
+    folderName: mode === 'folder' && source.folderName ? String(source.folderName) : null
+  };
+}
+
+/**
+ * Describe a save location for display (e.g. 'Folder "Videos"')
+ * 
+ * @param {Object|null} saveLocation - Stored {mode, folderName}
+ * @returns {string} - Human-readable summary
+ */
+function describeSaveLocation(saveLocation) {
+  const { mode, folderName } = normalizeSaveLocation(saveLocation);
+  if (mode === 'folder') return folderName ? `Folder "${folderName}"` : 'Chosen folder';
+  if (mode === 'ask') return 'Ask for each download';
+  return 'Browser downloads folder';
+}
+
+/**
+ * Normalize a subtitle language list (stored setting or typed text)
+ * 
+ * @param {Array<string>|string|null} languages - Codes, or text like "en, fr-CA"
+ * @returns {Array<string>} - Lowercase language codes, without duplicates
+ */
+function normalizeSubtitleLanguages(languages) {
+  const list = Array.isArray(languages) ? languages : String(languages || '').split(/[\s,;]+/);
+  return [...new Set(
+    list
+      .map((language) => String(language).trim().toLowerCase())
+      .filter((language) => /^[a-z]{2,3}(-[a-z0-9]+)*$/.test(language))
+  )];
+}
+
+/**
+ * Describe a subtitle language list for display (e.g. "en, fr")
+ * 
+ * @param {Array<string>|string|null} languages - Languages (see normalizeSubtitleLanguages)
+ * @returns {string} - Human-readable summary
+ */
+function describeSubtitleLanguages(languages) {
+  const list = normalizeSubtitleLanguages(languages);
+  return list.length ? list.join(', ') : 'None';
+}
+
+/**
+ * Check whether a subtitle rendition is in a language list
+ * "en" matches "en", "en-US" and "en-GB"; "en-us" only matches "en-US".
+ * 
+ * @param {Object} rendition - Rendition {language}
+ * @param {Array<string>|string|null} languages - Languages (see normalizeSubtitleLanguages)
+ * @returns {boolean}
+ */
+function subtitleMatchesLanguages(rendition, languages) {
+  const language = String(rendition?.language || '').toLowerCase();
+  if (!language) return false;
+  return normalizeSubtitleLanguages(languages).some(
+    (wanted) => language === wanted || language.startsWith(`${wanted}-`)
+  );
+}
+
+/**
+ * Built-in transcoding presets, re-encoded to H.264 / AAC by the offscreen FFmpeg
+ * maxHeight scales larger video down (null keeps the size); constantFrameRate and allIntra
+ * (every frame a keyframe) make the file easy to cut in an editor.
+ */
+const TRANSCODE_PRESETS = {
+  small: { id: 'small', name: 'Small (H.264 CRF 28, 480p max)', maxHeight: 480, crf: 28, audioBitrate: 96, constantFrameRate: false, allIntra: false },
+  phone: { id: 'phone', name: 'Phone (720p, AAC 128k)', maxHeight: 720, crf: 23, audioBitrate: 128, constantFrameRate: false, allIntra: false },
+  editing: { id: 'editing', name: 'Editing (constant frame rate, all-intra)', maxHeight: null, crf: 18, audioBitrate: 192, constantFrameRate: true, allIntra: true }
+};
+
+/** Heights a transcoding preset can scale down to */
+const TRANSCODE_MAX_HEIGHTS = [240, 360, 480, 720, 1080];
+
+/**
+ * Describe what a transcoding preset does (e.g. "H.264 CRF 28, 480p max, AAC 96k")
+ * 
+ * @param {Object} preset - Preset (see normalizeTranscodePreset)
+ * @returns {string} - Human-readable summary
+ */
+function describeTranscodePreset(preset) {
+  const parts = [`H.264 CRF ${preset.crf}`];
+  if (preset.maxHeight) parts.push(`${preset.maxHeight}p max`);
+  parts.push(`AAC ${preset.audioBitrate}k`);
+  if (preset.constantFrameRate) parts.push('constant frame rate');
+  if (preset.allIntra) parts.push('all-intra');
+  return parts.join(', ');
+}
+
+/**
+ * Normalize a transcoding preset (built-in, user-defined or received in a message)
+ * 
+ * @param {Object|null} preset - Preset {id, name, maxHeight, crf, audioBitrate, constantFrameRate, allIntra}
+ * @returns {Object|null} - Normalized preset, or null when there is none
+ */
+function normalizeTranscodePreset(preset) {
+  if (!preset || typeof preset !== 'object') return null;
+  const maxHeight = parseInt(preset.maxHeight, 10);
+  const crf = parseInt(preset.crf, 10);
+  const audioBitrate = parseInt(preset.audioBitrate, 10);
+  const normalized = {
+    id: preset.id ? String(preset.id) : 'custom',
+    name: '',
+    maxHeight: TRANSCODE_MAX_HEIGHTS.includes(maxHeight) ? maxHeight : null,
+    crf: crf >= 0 && crf <= 51 ? crf : 23,
+    audioBitrate: AUDIO_ONLY_BITRATES.includes(audioBitrate) ? audioBitrate : 128,
+    constantFrameRate: !!preset.constantFrameRate,
+    allIntra: !!preset.allIntra
+  };
+  normalized.name = String(preset.name || '').trim().substring(0, 60) || describeTranscodePreset(normalized);
+  return normalized;
+}
+
+/**
+ * List the transcoding presets a download can use: the built-in ones, then the user's
+ * 
+ * @param {Array|null} customPresets - Stored user-defined presets
+ * @returns {Array<Object>} - Normalized presets
+ */
+function getTranscodePresets(customPresets) {
+  const custom = (Array.isArray(customPresets) ? customPresets : [])
+    .map(normalizeTranscodePreset)
+    .filter((preset) => preset && !TRANSCODE_PRESETS[preset.id]);
+  return [...Object.values(TRANSCODE_PRESETS), ...custom];
+}
+
+/**
+ * Animated clip export formats (rendered from a time range by the offscreen FFmpeg)
+ * codec null is a GIF with a palette generated from the clip itself.
+ */
+const ANIMATION_FORMATS = {
+  gif: { label: 'GIF', extension: 'gif', mimeType: 'image/gif', codec: null },
+  vp9: { label: 'WebM (VP9)', extension: 'webm', mimeType: 'video/webm', codec: 'libvpx-vp9' },
+  vp8: { label: 'WebM (VP8)', extension: 'webm', mimeType: 'video/webm', codec: 'libvpx' }
+};
+
+/** Width (pixels) and frame rate limits of an animated export */
+const ANIMATION_WIDTH_RANGE = { min: 64, max: 1920, default: 480 };
+const ANIMATION_FPS_RANGE = { min: 1, max: 30, default: 12 };
+/** Most video an animated export can be rendered from (FFmpeg takes the range in one piece) */
+const ANIMATION_MAX_SOURCE_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Normalize animated export options
+ * 
+ * @param {Object|null} options - Options {format, width, fps}
+ * @returns {Object} - {format: 'gif'|'vp9'|'vp8', width: pixels (even), fps}
+ */
+function normalizeAnimationOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  const clamp = (value, range) => {
+    const number = parseInt(value, 10);
+    return number > 0 ? Math.min(range.max, Math.max(range.min, number)) : range.default;
+  };
+  return {
+    format: ANIMATION_FORMATS[source.format] ? source.format : 'gif',
+    // Video encoders need an even width
+    width: clamp(source.width, ANIMATION_WIDTH_RANGE) & ~1,
+    fps: clamp(source.fps, ANIMATION_FPS_RANGE)
+  };
+}
+
+/**
+ * Describe animated export options for display (e.g. "GIF 480px 12 fps")
+ * 
+ * @param {Object|null} options - Options (see normalizeAnimationOptions)
+ * @returns {string} - Human-readable summary
+ */
+function describeAnimationOptions(options) {
+  const { format, width, fps } = normalizeAnimationOptions(options);
+  return `${ANIMATION_FORMATS[format].label} ${width}px ${fps} fps`;
+}
+
 // Export functions for use in different contexts
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js/CommonJS
@@ -511,6 +932,34 @@ if (typeof module !== 'undefined' && module.exports) {
     validateJsonResponse,
     formatFileSize,
     isFileTooSmall,
-    isSegmentPlaylist
+    isSegmentPlaylist,
+    parseTimecode,
+    formatDuration,
+    formatBitrate,
+    formatSizeEstimate,
+    normalizeQualityPolicy,
+    getCodecFamily,
+    selectVariantByPolicy,
+    describeQualityPolicy,
+    AUDIO_ONLY_FORMATS,
+    AUDIO_ONLY_BITRATES,
+    normalizeAudioOnlyOptions,
+    describeAudioOnlyOptions,
+    normalizeSaveLocation,
+    describeSaveLocation,
+    normalizeSubtitleLanguages,
+    describeSubtitleLanguages,
+    subtitleMatchesLanguages,
+    TRANSCODE_PRESETS,
+    TRANSCODE_MAX_HEIGHTS,
+    describeTranscodePreset,
+    normalizeTranscodePreset,
+    getTranscodePresets,
+    ANIMATION_FORMATS,
+    ANIMATION_WIDTH_RANGE,
+    ANIMATION_FPS_RANGE,
+    ANIMATION_MAX_SOURCE_BYTES,
+    normalizeAnimationOptions,
+    describeAnimationOptions
   };
 }